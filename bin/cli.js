@@ -11,8 +11,6 @@ import { dirname, join } from 'path';
 import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { setVerbose, info, success, error, printError } from '../src/utils/logger.js';
-import { loadConfig, getDefaultConfigPath } from '../src/config/index.js';
-import { validateBasicStructure } from '../src/parsers/yaml-parser.js';
 import { exportCmd, showAvailableFormats } from '../src/commands/export.js';
 import { installWrappers, uninstallWrappers, listWrappers } from '../src/wrappers/installer.js';
 import { setupCmd, sessionCmd } from '../src/commands/session.js';
@@ -44,21 +42,34 @@ program
   .description('Validate preferences.yaml configuration')
   .action(async () => {
     try {
-      const opts = program.opts();
-      const configPath = opts.config || getDefaultConfigPath();
-      
-      info(`Validating config: ${configPath}`);
-      const { config, path } = await loadConfig(configPath);
-      
-      const validation = validateBasicStructure(config);
-      if (!validation.valid) {
-        error('Validation failed:');
-        validation.errors.forEach(err => error(`  - ${err}`));
+      const { validateCmd } = await import('../src/commands/validate.js');
+      const result = await validateCmd({
+        configPath: program.opts().config
+      });
+
+      if (!result.valid) {
         process.exit(1);
       }
-      
-      success('Configuration is valid!');
-      info(`  Loaded from: ${path}`);
+    } catch (e) {
+      printError(e);
+      process.exit(1);
+    }
+  });
+
+// Migrate command
+program
+  .command('migrate')
+  .description('Upgrade preferences.yaml to the current schema version')
+  .option('--dry-run', 'Show the migrated file without writing it')
+  .option('--no-backup', 'Skip creating a backup')
+  .action(async (options) => {
+    try {
+      const { migrateCmd } = await import('../src/commands/migrate.js');
+      await migrateCmd({
+        configPath: program.opts().config,
+        dryRun: options.dryRun,
+        backup: options.backup
+      });
     } catch (e) {
       printError(e);
       process.exit(1);
@@ -71,10 +82,14 @@ program
   .description('Export preferences to different formats')
   .argument('[format]', 'Output format (claude-md, chat, hybrid, etc.)')
   .option('-o, --output <file>', 'Write to file instead of stdout')
+  .option('-t, --template <file>', 'Template file for the template format')
+  .option('--max-tokens <n>', 'Trim detail until the output fits this many tokens', Number)
+  .option('-s, --scope <targets>', 'Render sections for these comma-separated targets instead')
+  .option('--trace-conditions', 'Show why each _when: block was included or excluded')
   .option('--list-formats', 'List available export formats')
   .action(async (format, options) => {
     if (options.listFormats) {
-      showAvailableFormats();
+      await showAvailableFormats({ configPath: program.opts().config });
       return;
     }
 
@@ -87,6 +102,32 @@ program
       await exportCmd({
         format,
         configPath: program.opts().config,
+        output: options.output,
+        template: options.template,
+        maxTokens: options.maxTokens,
+        scope: options.scope ? options.scope.split(',').map(s => s.trim()) : undefined,
+        traceConditions: options.traceConditions
+      });
+    } catch (e) {
+      printError(e);
+      process.exit(1);
+    }
+  });
+
+// Explain command
+program
+  .command('explain')
+  .description('Show the source file and line of each merged preference value')
+  .argument('[path]', 'YAML path to explain (e.g. technical.tools)')
+  .option('--annotate <file>', 'Annotate a generated CLAUDE.md with value sources')
+  .option('-o, --output <file>', 'Write the annotated file instead of printing it')
+  .action(async (path, options) => {
+    try {
+      const { explainCmd } = await import('../src/commands/explain.js');
+      await explainCmd({
+        path,
+        configPath: program.opts().config,
+        annotate: options.annotate,
         output: options.output
       });
     } catch (e) {
@@ -95,6 +136,20 @@ program
     }
   });
 
+// Scopes command
+program
+  .command('scopes')
+  .description('Show which sections reach which target after layering')
+  .action(async () => {
+    try {
+      const { scopesCmd } = await import('../src/commands/scopes.js');
+      await scopesCmd({ configPath: program.opts().config });
+    } catch (e) {
+      printError(e);
+      process.exit(1);
+    }
+  });
+
 // Sync commands
 program
   .command('sync')
@@ -104,23 +159,31 @@ program
   .option('--dry-run', 'Show what would be done without making changes')
   .option('--no-backup', 'Skip creating backups')
   .option('--no-merge', 'Overwrite instead of merging (project only)')
+  .option('--max-tokens <n>', 'Trim CLAUDE.md detail until it fits this many tokens', Number)
+  .option('--on-conflict <mode>', 'When edits since the last sync conflict: report, markers, keep, or overwrite', 'report')
+  .option('--diff', 'Show what would change instead of writing; exit 1 if anything would')
   .action(async (options) => {
     try {
       const { syncChat, syncGlobal, syncProject, syncAll } = await import('../src/commands/sync.js');
+      let result;
 
       if (options.target === 'chat') {
         await syncChat(options);
       } else
       if (options.target === 'global') {
-        await syncGlobal(options);
+        result = await syncGlobal(options);
       } else if (options.target === 'project') {
-        await syncProject(options);
+        result = await syncProject(options);
       } else if (options.target === 'all') {
-        await syncAll(options);
+        result = await syncAll(options);
       } else {
         error('Invalid target. Use: chat, global, project, or all');
         process.exit(1);
       }
+
+      if (options.diff && result?.changed) {
+        process.exitCode = 1;
+      }
     } catch (e) {
       printError(e);
       process.exit(1);
@@ -128,10 +191,53 @@ program
   });
 
 program
+  .command('diff')
+  .description('Show what a sync would change in each CLAUDE.md; exit 1 if anything would')
+  .option('--target <target>', 'Target: global, project, repos, or all', 'all')
+  .option('--path <paths...>', 'Project path (project target) or repository paths (repos target)')
+  .option('--scan <paths...>', 'Paths to scan for repositories')
+  .option('--max-tokens <n>', 'Trim CLAUDE.md detail until it fits this many tokens', Number)
+  .option('--on-conflict <mode>', 'When edits since the last sync conflict: report, markers, keep, or overwrite', 'report')
+  .action(async (options) => {
+    try {
+      const { diffCmd } = await import('../src/commands/diff.js');
+      const result = await diffCmd({
+        ...options,
+        // project takes one path, repos a list
+        path: options.target === 'project' ? options.path?.[0] : options.path,
+        verbose: program.opts().verbose
+      });
+
+      if (result.changed) {
+        process.exitCode = 1;
+      }
+    } catch (e) {
+      printError(e);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('status')
+  .description('Show which sync targets are stale, without writing anything')
+  .option('--scan <paths...>', 'Paths to scan for repositories')
+  .option('--json', 'Output JSON for scripting')
+  .action(async (options) => {
+    try {
+      const { statusCmd } = await import('../src/commands/status.js');
+      await statusCmd({ scan: options.scan || [], json: options.json });
+    } catch (e) {
+      printError(e);
+      process.exit(1);
+    }
+  });
+
+const backups = program
   .command('backups')
-  .description('List available backups')
+  .description('List available backups with their size, age and generator version')
   .option('--target <target>', 'Target: global or project', 'global')
   .option('--path <path>', 'Project path (required for project target)')
+  .option('--diff <backup>', 'Show what restoring a backup (path, index or time like "2 days ago") would change')
   .action(async (options) => {
     try {
       const { listBackups } = await import('../src/commands/sync.js');
@@ -142,16 +248,34 @@ program
     }
   });
 
+backups
+  .command('prune')
+  .description('Remove backups past the retention limits in preferences (backups.keep, backups.max_age_days)')
+  .option('--target <target>', 'Target: global, project, or all', 'all')
+  .option('--path <path>', 'Project path (required for project target)')
+  .option('--dry-run', 'List the backups that would be removed')
+  .action(async (options) => {
+    try {
+      const { pruneBackups } = await import('../src/commands/sync.js');
+      await pruneBackups(options);
+    } catch (e) {
+      printError(e);
+      process.exit(1);
+    }
+  });
+
 program
   .command('restore')
   .description('Restore from backup')
-  .requiredOption('--backup <path>', 'Path to backup file')
+  .requiredOption('--backup <backup>', 'Backup to restore: path, index from `backups`, or time like "2 days ago"')
   .option('--target <target>', 'Target: global or project', 'global')
   .option('--path <path>', 'Project path (required for project target)')
+  .option('--section <headings...>', 'Only restore these markdown sections')
+  .option('--dry-run', 'Show the change without writing')
   .action(async (options) => {
     try {
       const { restoreBackup } = await import('../src/commands/sync.js');
-      await restoreBackup(options);
+      await restoreBackup({ ...options, sections: options.section || [] });
     } catch (e) {
       printError(e);
       process.exit(1);
@@ -230,13 +354,25 @@ program
   .option('--interactive', 'Prompt for each repository')
   .option('--auto', 'Only sync repos with auto_update: true')
   .option('--force', 'Sync even if there are uncommitted changes')
+  .option('--on-conflict <mode>', 'When edits since the last sync conflict: report, markers, keep, or overwrite', 'report')
+  .option('--diff', 'Show what would change instead of writing; exit 1 if anything would')
+  .option('--transactional', 'Sync every repository or none: roll back all of them if one fails')
+  .option('--concurrency <n>', 'Sync up to n repositories at a time', Number, 1)
+  .option('--max-tokens <n>', 'Trim CLAUDE.md detail until it fits this many tokens', Number)
   .action(async (options) => {
     try {
       const { syncReposCmd } = await import('../src/commands/sync-repos.js');
-      await syncReposCmd({
+      const results = await syncReposCmd({
         ...options,
         verbose: program.opts().verbose
       });
+
+      if (options.diff && results?.some(r => r.changed)) {
+        process.exitCode = 1;
+      }
+      if (options.transactional && results?.some(r => !r.success)) {
+        process.exitCode = 1;
+      }
     } catch (e) {
       printError(e);
       process.exit(1);
@@ -0,0 +1,68 @@
+import { info, success, warn } from '../utils/logger.js';
+import { createUnifiedDiff, colorizeDiff } from '../utils/line-diff.js';
+
+/**
+ * Print a colored unified diff between a target's current and synced content
+ * @param {string} path - Target file
+ * @param {string|null} before - Current content (null if the file doesn't exist)
+ * @param {string} after - Content a sync would write
+ * @param {Object} [options]
+ * @param {string} [options.newLabel] - Label for the new side (defaults to "<path> (after sync)")
+ * @returns {boolean} Whether the target would change
+ */
+export function printFileDiff(path, before, after, options = {}) {
+  const { newLabel = `${path} (after sync)` } = options;
+  const diff = createUnifiedDiff(before, after, { oldLabel: path, newLabel });
+
+  if (!diff) {
+    info(`No changes: ${path}`);
+    return false;
+  }
+
+  console.log(colorizeDiff(diff));
+  return true;
+}
+
+/**
+ * Show what a sync would change in each target, without writing anything
+ *
+ * Runs the matching sync command in diff mode. `changed` is true when any
+ * target would change, so CI can fail on drift.
+ */
+export async function diffCmd(options = {}) {
+  const { target = 'all' } = options;
+  const diffOptions = { ...options, diff: true };
+  let changed;
+  let failed = [];
+
+  if (target === 'global' || target === 'project' || target === 'all') {
+    const { syncGlobal, syncProject, syncAll } = await import('./sync.js');
+    const run = { global: syncGlobal, project: syncProject, all: syncAll }[target];
+    const result = await run(diffOptions);
+    changed = result.changed;
+    failed = [
+      ...(result.errors || []).map(e => e.target),
+      ...(result.repos || []).filter(r => !r.success).map(r => r.repo)
+    ];
+  } else if (target === 'repos') {
+    const { syncReposCmd } = await import('./sync-repos.js');
+    const results = await syncReposCmd(diffOptions) || [];
+    changed = results.some(r => r.changed);
+    failed = results.filter(r => !r.success).map(r => r.repo);
+  } else {
+    throw new Error(`Invalid target: ${target} (use global, project, repos, or all)`);
+  }
+
+  // A target that couldn't be diffed (e.g. conflicting edits) can't be called in sync
+  if (failed.length > 0) {
+    throw new Error(`Could not diff: ${failed.join(', ')}`);
+  }
+
+  if (changed) {
+    warn('Sync would change the files above');
+  } else {
+    success('Everything is in sync');
+  }
+
+  return { changed };
+}
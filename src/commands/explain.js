@@ -0,0 +1,89 @@
+import { loadConfig } from '../config/index.js';
+import { parsePath, getAtPath, listProvenance, formatSource } from '../config/provenance.js';
+import { formatPath } from '../parsers/schema-validator.js';
+import { readText, writeText } from '../utils/fs.js';
+import { success, info } from '../utils/logger.js';
+
+// Shorter values (e.g. "Git", "true") match too many lines to annotate reliably
+const MIN_ANNOTATION_LENGTH = 12;
+
+const normalize = text => text.toLowerCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * Append the source of the best-matching preference value to each line
+ *
+ * A line is annotated with the longest string value it contains. Headings,
+ * code blocks and lines that already hold an HTML comment are left alone.
+ *
+ * @param {string} markdown - Generated CLAUDE.md content
+ * @param {Array<{value: *, file: string, line: number|null}>} entries - From listProvenance
+ * @returns {{content: string, annotated: number}}
+ */
+export function annotateMarkdown(markdown, entries) {
+  const candidates = entries
+    .filter(e => typeof e.value === 'string' && e.value.trim().length >= MIN_ANNOTATION_LENGTH)
+    .map(e => ({ ...e, text: normalize(e.value) }))
+    .sort((a, b) => b.text.length - a.text.length);
+
+  let inCodeBlock = false;
+  let annotated = 0;
+
+  const lines = markdown.split('\n').map(line => {
+    if (line.trimStart().startsWith('```')) {
+      inCodeBlock = !inCodeBlock;
+      return line;
+    }
+    if (inCodeBlock || line.startsWith('#') || line.includes('<!--') || !line.trim()) {
+      return line;
+    }
+
+    const text = normalize(line);
+    const match = candidates.find(c => text.includes(c.text));
+    if (!match) return line;
+
+    annotated++;
+    return `${line} <!-- ${formatSource(match)} -->`;
+  });
+
+  return { content: lines.join('\n'), annotated };
+}
+
+/**
+ * Show which file and line each merged preference value comes from
+ * @param {Object} options
+ * @param {string} [options.path] - Dotted YAML path to explain (defaults to everything)
+ * @param {string} [options.configPath] - Custom config file path
+ * @param {string} [options.annotate] - CLAUDE.md to annotate instead of listing values
+ * @param {string} [options.output] - Write the annotated file here (defaults to stdout)
+ * @returns {Promise<Array<Object>|{content: string, annotated: number}>}
+ */
+export async function explainCmd(options = {}) {
+  const { provenance, path: configPath, layers, chain } = await loadConfig(options.configPath);
+
+  const path = parsePath(options.path);
+  const subtree = getAtPath(provenance, path);
+  if (subtree === undefined) {
+    throw new Error(`Path '${options.path}' not found in preferences`);
+  }
+
+  const entries = listProvenance(subtree, path);
+
+  if (options.annotate) {
+    const result = annotateMarkdown(await readText(options.annotate), entries);
+    if (options.output) {
+      await writeText(options.output, result.content);
+      success(`Annotated ${result.annotated} lines, written to ${options.output}`);
+    } else {
+      console.log(result.content);
+    }
+    return result;
+  }
+
+  const files = chain ? chain.map(file => file.path) : [configPath];
+  info(`Merged from ${[...files, ...layers].join(', ')}`);
+  for (const entry of entries) {
+    console.log(`  ${formatPath(entry.path)} = ${JSON.stringify(entry.value)}  (${formatSource(entry)})`);
+  }
+
+  return entries;
+}
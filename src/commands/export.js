@@ -1,7 +1,53 @@
+import { dirname, resolve } from 'path';
 import { loadConfig } from '../config/index.js';
-import { createTransformer, getAvailableFormats } from '../transformers/index.js';
+import {
+  createTransformer,
+  getAvailableFormats,
+  getTransformerInfo,
+  loadTransformerPlugins
+} from '../transformers/index.js';
 import { writeText } from '../utils/fs.js';
-import { success, error, info } from '../utils/logger.js';
+import { fitToTokenBudget, formatBudgetReport } from '../utils/token-budget.js';
+import { formatConditionTrace } from '../config/conditions.js';
+import { success, error, info, warn, stderr } from '../utils/logger.js';
+import { SnapshotStore, exportTarget } from '../sync/snapshots.js';
+
+// Formats pasted into Claude Chat; `status` compares them against the last export
+const CHAT_FORMATS = ['chat', 'hybrid'];
+
+/**
+ * Load transformer plugins listed under `transformers:` in preferences and
+ * from the user plugin directory
+ * @private
+ */
+async function loadPlugins(config, configPath) {
+  const { errors } = await loadTransformerPlugins({
+    modules: Array.isArray(config?.transformers) ? config.transformers : [],
+    baseDir: configPath ? dirname(configPath) : process.cwd()
+  });
+
+  errors.forEach(({ source, error: message }) => {
+    warn(`Failed to load transformer ${source}: ${message}`);
+  });
+}
+
+/**
+ * Print why each `_when:` block was included or excluded
+ * On stderr, since the export itself may be going to stdout
+ * @private
+ */
+function printConditionTrace(loadTrace, transformTrace, format) {
+  if (loadTrace.length === 0 && transformTrace.length === 0) {
+    stderr.info('No _when: conditions found');
+    return;
+  }
+
+  stderr.info('Conditions:');
+  formatConditionTrace(loadTrace)
+    .filter((_line, index) => loadTrace[index].included !== null)
+    .forEach(line => stderr.info(`  [load] ${line}`));
+  formatConditionTrace(transformTrace).forEach(line => stderr.info(`  [${format}] ${line}`));
+}
 
 /**
  * Export preferences in specified format
@@ -10,6 +56,10 @@ import { success, error, info } from '../utils/logger.js';
  * @param {string} [options.output] - Output file path (optional, defaults to stdout)
  * @param {string} [options.section] - Specific section to export (optional)
  * @param {string} [options.configPath] - Custom config file path (optional)
+ * @param {string} [options.template] - Template file for the template format (optional)
+ * @param {number} [options.maxTokens] - Trim output to fit this token budget (optional)
+ * @param {string[]} [options.scope] - Targets to render instead of the format's own (optional)
+ * @param {boolean} [options.traceConditions] - Explain each `_when:` decision (optional)
  */
 export async function exportCmd(options) {
   try {
@@ -18,17 +68,19 @@ export async function exportCmd(options) {
       throw new Error('Format is required. Use --format <format>');
     }
 
+    // Load configuration
+    // For chat/hybrid formats, skip project-specific layers (those are for repo CLAUDE.md only)
+    // For claude-md format, include project layers (generating repo-specific CLAUDE.md)
+    const skipProjectLayers = (options.format === 'chat' || options.format === 'hybrid');
+    const { config, path: configPath, conditions = [] } = await loadConfig(options.configPath, { skipProjectLayers });
+
+    await loadPlugins(config, configPath);
+
     const availableFormats = getAvailableFormats();
     if (!availableFormats.includes(options.format)) {
       throw new Error(`Unknown format: ${options.format}. Available formats: ${availableFormats.join(', ')}`);
     }
 
-    // Load configuration
-    // For chat/hybrid formats, skip project-specific layers (those are for repo CLAUDE.md only)
-    // For claude-md format, include project layers (generating repo-specific CLAUDE.md)
-    const skipProjectLayers = (options.format === 'chat' || options.format === 'hybrid');
-    const { config } = await loadConfig(options.configPath, { skipProjectLayers });
-    
     // Filter by section if specified
     let preferences = config;
     if (options.section) {
@@ -36,10 +88,21 @@ export async function exportCmd(options) {
         throw new Error(`Section '${options.section}' not found in preferences`);
       }
       preferences = { [options.section]: config[options.section] };
+      // Keep the scopes mapping so the section still reaches the same targets
+      if (config.scopes) {
+        preferences.scopes = config.scopes;
+      }
     }
 
     // Create transformer and validate
-    const transformer = createTransformer(options.format, preferences);
+    if (options.template && options.format !== 'template') {
+      warn(`--template is only used by the template format; ignoring for ${options.format}`);
+    }
+    const transformerOptions = {
+      templatePath: options.template ? resolve(options.template) : undefined,
+      scope: options.scope
+    };
+    const transformer = createTransformer(options.format, preferences, transformerOptions);
     const validation = transformer.validate();
     
     if (!validation.valid) {
@@ -47,8 +110,24 @@ export async function exportCmd(options) {
       process.exit(1);
     }
 
-    // Transform
-    const output = await transformer.transform();
+    // Transform, trimming detail if a token budget is set
+    let output;
+    let rendered = transformer;
+    if (options.maxTokens !== undefined) {
+      const budget = await fitToTokenBudget(
+        preferences,
+        prefs => (rendered = createTransformer(options.format, prefs, transformerOptions)).transform(),
+        { maxTokens: options.maxTokens, dropOrder: config.token_budget?.drop_order }
+      );
+      formatBudgetReport(budget, options.maxTokens).forEach(line => stderr.warn(line));
+      output = budget.output;
+    } else {
+      output = await transformer.transform();
+    }
+
+    if (options.traceConditions) {
+      printConditionTrace(conditions, rendered.conditionTrace ?? [], options.format);
+    }
 
     // Output to file or stdout
     if (options.output) {
@@ -58,6 +137,15 @@ export async function exportCmd(options) {
       console.log(output);
     }
 
+    // Remember full chat exports, and how they were made, so `status` can tell when they go stale
+    if (CHAT_FORMATS.includes(options.format) && !options.section && !options.scope) {
+      const generatedWith = {
+        ...(options.configPath ? { configPath } : {}),
+        ...(options.maxTokens !== undefined ? { maxTokens: options.maxTokens } : {})
+      };
+      new SnapshotStore().write(exportTarget(options.format), output, generatedWith);
+    }
+
   } catch (e) {
     error(`Export failed: ${e.message}`);
     process.exit(1);
@@ -65,12 +153,26 @@ export async function exportCmd(options) {
 }
 
 /**
- * Show available export formats
+ * Show available export formats, including plugins
+ * @param {Object} [options]
+ * @param {string} [options.configPath] - Custom config file path (for config-listed plugins)
  */
-export function showAvailableFormats() {
-  const formats = getAvailableFormats();
+export async function showAvailableFormats(options = {}) {
+  let config = null;
+  let configPath = null;
+  try {
+    ({ config, path: configPath } = await loadConfig(options.configPath, { skipProjectLayers: true }));
+  } catch (_e) {
+    // No config - still list built-in and directory plugins
+  }
+
+  await loadPlugins(config, configPath);
+
+  const transformers = getTransformerInfo();
+  const width = Math.max(...transformers.map(t => t.format.length));
+
   info('Available export formats:');
-  formats.forEach(format => {
-    console.log(`  ${format}`);
+  transformers.forEach(({ format, description, source }) => {
+    console.log(`  ${format.padEnd(width)}  ${description} (${source})`);
   });
-}
\ No newline at end of file
+}
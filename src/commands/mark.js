@@ -2,16 +2,13 @@
  * Mark repositories for auto-sync
  */
 
-import { exec } from 'child_process';
-import { promisify } from 'util';
 import { mkdir, writeFile, access, readFile } from 'fs/promises';
 import { join } from 'path';
 import { homedir } from 'os';
 import { info, success, warn, error as logError } from '../utils/logger.js';
+import { git, gh, NETWORK_TIMEOUT_MS } from '../utils/exec.js';
 import yaml from 'js-yaml';
 
-const execAsync = promisify(exec);
-
 const DEFAULT_CLAUDE_SYNC_CONFIG = {
   sync: true,  // Enable CLAUDE.md sync for this repo
   auto_update: false,  // Auto-sync when running sync-repos (set to true to enable)
@@ -46,7 +43,7 @@ async function isRepoCloned(repoPath) {
 async function cloneRepo(repoUrl, targetDir) {
   info(`  Cloning ${repoUrl}...`);
   try {
-    await execAsync(`git clone ${repoUrl} "${targetDir}"`);
+    await git(['clone', '--', repoUrl, targetDir], { timeout: NETWORK_TIMEOUT_MS });
     return true;
   } catch (error) {
     logError(`  Failed to clone: ${error.message}`);
@@ -87,19 +84,19 @@ async function hasMarkerFile(repoPath) {
  * List repositories from GitHub
  */
 async function listGitHubRepos(username, filter = 'all') {
-  let visibilityFilter = '';
+  let visibilityFilter = [];
 
   if (filter === 'private') {
-    visibilityFilter = '--source --visibility private';
+    visibilityFilter = ['--source', '--visibility', 'private'];
   } else if (filter === 'public') {
-    visibilityFilter = '--source --visibility public';
+    visibilityFilter = ['--source', '--visibility', 'public'];
   } else {
-    visibilityFilter = '--source';
+    visibilityFilter = ['--source'];
   }
 
   try {
-    const { stdout } = await execAsync(
-      `gh repo list ${username} ${visibilityFilter} --limit 100 --json name,url,isPrivate`
+    const { stdout } = await gh(
+      ['repo', 'list', ...visibilityFilter, '--limit', '100', '--json', 'name,url,isPrivate', '--', username]
     );
 
     return JSON.parse(stdout);
@@ -0,0 +1,64 @@
+import { findConfigFile } from '../config/index.js';
+import { migrateConfig, needsMigration, getSchemaVersion } from '../config/migrations.js';
+import { SCHEMA_VERSION } from '../config/schema.js';
+import { parseYamlString, preserveComments } from '../parsers/yaml-parser.js';
+import { readText, writeText } from '../utils/fs.js';
+import { FileSync } from '../sync/file-sync.js';
+import { success, info, warn } from '../utils/logger.js';
+
+/**
+ * Upgrade a preferences file to the current schema version in place
+ * @param {Object} options
+ * @param {string} [options.configPath] - Custom config file path
+ * @param {boolean} [options.dryRun=false] - Print the migrated file instead of writing it
+ * @param {boolean} [options.backup=true] - Back up the original before rewriting
+ * @returns {Promise<Object>} Migration result with applied steps and backup path
+ */
+export async function migrateCmd(options = {}) {
+  const { configPath: customPath = null, dryRun = false, backup = true } = options;
+
+  const configPath = await findConfigFile(customPath);
+  const content = await readText(configPath);
+  const data = parseYamlString(content, configPath) || {};
+
+  if (!needsMigration(data)) {
+    success(`${configPath} is already at schema v${getSchemaVersion(data)}`);
+    return { migrated: false, path: configPath, applied: [] };
+  }
+
+  const result = migrateConfig(data);
+  info(`Migrating ${configPath}: v${result.fromVersion} → v${result.toVersion}`);
+
+  for (const step of result.applied) {
+    info(`  ${step.from} → ${step.to}: ${step.description}`);
+    step.notes.forEach(note => info(`    • ${note}`));
+  }
+
+  const output = preserveComments(content, result.data);
+
+  if (dryRun) {
+    info('Dry run - migrated file would be:\n');
+    console.log(output);
+    return { migrated: false, dryRun: true, path: configPath, applied: result.applied, output };
+  }
+
+  let backupPath = null;
+  if (backup) {
+    backupPath = await new FileSync({ backups: data.backups }).createBackup(configPath);
+    info(`Backup: ${backupPath}`);
+  }
+
+  await writeText(configPath, output);
+  success(`Preferences migrated to schema v${SCHEMA_VERSION}`);
+
+  if (result.data.personal) {
+    warn('Some legacy personal fields could not be mapped - review the personal section');
+  }
+
+  return {
+    migrated: true,
+    path: configPath,
+    backupPath,
+    applied: result.applied
+  };
+}
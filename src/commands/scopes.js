@@ -0,0 +1,44 @@
+import { loadConfig } from '../config/index.js';
+import { TOOLING_KEYS } from '../config/schema.js';
+import { listTargets, resolveSectionScopes } from '../config/scopes.js';
+import { info } from '../utils/logger.js';
+
+/**
+ * Build the section x target matrix for merged preferences
+ * @param {Object} preferences - Merged preferences (after layering)
+ * @returns {{targets: string[], rows: Array<{section: string, targets: string[], source: string}>}}
+ */
+export function buildScopeMatrix(preferences) {
+  const rows = Object.entries(preferences)
+    .filter(([key, value]) => !TOOLING_KEYS.includes(key) && value && typeof value === 'object')
+    .map(([section, value]) => ({ section, ...resolveSectionScopes(section, value, preferences.scopes) }));
+
+  return { targets: listTargets(preferences), rows };
+}
+
+/**
+ * Print which sections reach which target after layering
+ * @param {Object} options
+ * @param {string} [options.configPath] - Custom config file path
+ * @returns {Promise<{targets: string[], rows: Object[]}>}
+ */
+export async function scopesCmd(options = {}) {
+  const { config, path: configPath, layers } = await loadConfig(options.configPath);
+  const matrix = buildScopeMatrix(config);
+
+  info(`Section scopes for ${configPath}`);
+  layers.forEach(layer => info(`  Layer: ${layer}`));
+
+  const sectionWidth = Math.max('section'.length, ...matrix.rows.map(r => r.section.length));
+  const cell = (text, target) => text.padEnd(target.length);
+
+  console.log(`  ${'section'.padEnd(sectionWidth)}  ${matrix.targets.join('  ')}  from`);
+  for (const row of matrix.rows) {
+    const marks = matrix.targets.map(t => cell(row.targets.includes(t) ? '✓' : '-', t));
+    console.log(`  ${row.section.padEnd(sectionWidth)}  ${marks.join('  ')}  ${row.source}`);
+  }
+
+  info('Exports render sections scoped to chat or global; use export --scope <targets> for others');
+
+  return matrix;
+}
@@ -0,0 +1,181 @@
+import chalk from 'chalk';
+import { info } from '../utils/logger.js';
+import { loadConfig } from '../config/index.js';
+import { createTransformer } from '../transformers/index.js';
+import { FileSync } from '../sync/file-sync.js';
+import { RepoSync } from '../sync/repo-sync.js';
+import { RepoDiscovery } from '../sync/repo-discovery.js';
+import { SnapshotStore, exportTarget } from '../sync/snapshots.js';
+import { parseMetadata, stripMetadata, hasSameSourceHash } from '../utils/version.js';
+import { fitToTokenBudget } from '../utils/token-budget.js';
+import { formatAge } from '../utils/time.js';
+import { getDefaultScanPaths } from './sync-repos.js';
+
+// Chat formats whose last export is tracked (see exportCmd)
+const CHAT_FORMATS = ['chat', 'hybrid'];
+
+const STATE_LABELS = {
+  current: ['✓ up to date', chalk.green],
+  stale: ['⚠ stale', chalk.yellow],
+  missing: ['✗ missing', chalk.yellow],
+  conflict: ['✗ conflicting edits', chalk.red],
+  error: ['✗ error', chalk.red]
+};
+const STATE_WIDTH = Math.max(...Object.values(STATE_LABELS).map(([label]) => label.length));
+
+/**
+ * Status entry for one target, comparing its content with what a sync would write
+ * Matching source hashes settle it; otherwise the content is compared without
+ * the metadata header, whose timestamp changes on every run
+ * @private
+ */
+function describeTarget(target, path, current, expected) {
+  const metadata = parseMetadata(current);
+  let state = 'current';
+  if (current === null) {
+    state = 'missing';
+  } else if (!hasSameSourceHash(current, expected) && stripMetadata(current) !== stripMetadata(expected)) {
+    state = 'stale';
+  }
+
+  return {
+    target,
+    path,
+    state,
+    version: metadata?.version ?? null,
+    commit: metadata?.commit ?? null,
+    generatedAt: metadata?.generatedAt.toISOString() ?? null
+  };
+}
+
+/**
+ * Render a format the way the target was last generated (see SnapshotStore.write),
+ * so a target synced or exported with --max-tokens isn't reported stale
+ * @private
+ */
+async function regenerate(format, config, generatedWith = {}) {
+  const render = prefs => createTransformer(format, prefs).transform();
+  if (generatedWith.maxTokens === undefined) {
+    return render(config);
+  }
+
+  const { output } = await fitToTokenBudget(config, render, {
+    maxTokens: generatedWith.maxTokens,
+    dropOrder: config.token_budget?.drop_order
+  });
+  return output;
+}
+
+function failedTarget(target, path, e) {
+  const state = e.name === 'SyncConflictError' ? 'conflict' : 'error';
+  return { target, path, state, version: null, commit: null, generatedAt: null, error: e.message };
+}
+
+async function globalStatus() {
+  const fileSync = new FileSync();
+  try {
+    const { config } = await loadConfig(null, { global: true });
+    const snapshot = new SnapshotStore().read(fileSync.globalCLAUDEPath);
+    const content = await regenerate('claude-md', config, snapshot?.generatedWith);
+    const plan = fileSync.planGlobal(content);
+    return [describeTarget('global', plan.path, plan.current, plan.content)];
+  } catch (e) {
+    return [failedTarget('global', fileSync.globalCLAUDEPath, e)];
+  }
+}
+
+async function repoStatus(scan) {
+  const repos = await new RepoDiscovery().discover(scan.length > 0 ? scan : getDefaultScanPaths(), { maxDepth: 3 });
+  const repoSync = new RepoSync();
+  const entries = [];
+
+  for (const repo of repos) {
+    try {
+      const { files } = await repoSync.diffRepo(repo, repoSync.lastGeneratedWith(repo));
+      entries.push(...files.map(file => describeTarget('repo', file.path, file.before, file.after)));
+    } catch (e) {
+      entries.push(failedTarget('repo', repo.path, e));
+    }
+  }
+
+  return entries;
+}
+
+async function chatStatus() {
+  const snapshots = new SnapshotStore();
+  const exported = CHAT_FORMATS
+    .map(format => ({ format, snapshot: snapshots.read(exportTarget(format)) }))
+    .filter(({ snapshot }) => snapshot);
+
+  if (exported.length === 0) return [];
+
+  const entries = [];
+  for (const { format, snapshot } of exported) {
+    const { configPath = null, ...generatedWith } = snapshot.generatedWith ?? {};
+    try {
+      // Same layers as `export chat`: no project-specific context
+      const { config } = await loadConfig(configPath, { skipProjectLayers: true });
+      const content = await regenerate(format, config, generatedWith);
+      entries.push(describeTarget('chat', `last ${format} export`, snapshot.content, content));
+    } catch (e) {
+      entries.push(failedTarget('chat', `last ${format} export`, e));
+    }
+  }
+  return entries;
+}
+
+function printStatus(entries) {
+  if (entries.length === 0) {
+    info('No sync targets found');
+    return;
+  }
+
+  const width = Math.max(...entries.map(entry => entry.path.length));
+  for (const entry of entries) {
+    const generated = entry.generatedAt
+      ? `v${entry.version} (${entry.commit}), ${formatAge(new Date(entry.generatedAt))}`
+      : '';
+    const [label, color] = STATE_LABELS[entry.state];
+    console.log(`${entry.target.padEnd(6)}  ${entry.path.padEnd(width)}  ${color(label.padEnd(STATE_WIDTH))}  ${chalk.gray(generated)}`.trimEnd());
+    if (entry.error) {
+      console.log(chalk.gray(`        ${entry.error}`));
+    }
+  }
+
+  const stale = entries.filter(entry => entry.state !== 'current').length;
+  console.log('');
+  info(stale === 0 ? 'All targets up to date' : `${stale} of ${entries.length} target(s) need a sync`);
+}
+
+/**
+ * Report which sync targets are stale
+ *
+ * Regenerates output in memory and compares it with the global CLAUDE.md,
+ * every discovered repo's CLAUDE.md files and the last exported chat text.
+ * Each target is regenerated with the --max-tokens (and, for exports, the
+ * config file) it was last written with. Nothing is written.
+ *
+ * @param {Object} [options]
+ * @param {string[]} [options.scan] - Paths to scan for repositories (defaults to ~/projects, ~/work, ~/repos)
+ * @param {boolean} [options.json] - Print JSON instead of a table
+ * @returns {Promise<Array<{target: string, path: string, state: string, version: string|null,
+ *   commit: string|null, generatedAt: string|null, error?: string}>>} state is current, stale,
+ *   missing, conflict or error
+ */
+export async function statusCmd(options = {}) {
+  const { scan = [], json = false } = options;
+
+  const entries = [
+    ...await globalStatus(),
+    ...await repoStatus(scan),
+    ...await chatStatus()
+  ];
+
+  if (json) {
+    console.log(JSON.stringify({ targets: entries }, null, 2));
+  } else {
+    printStatus(entries);
+  }
+
+  return entries;
+}
@@ -1,9 +1,23 @@
-import { info, success, warn, error as logError } from '../utils/logger.js';
+import { info, success, warn, error as logError, spinner } from '../utils/logger.js';
 import { RepoDiscovery } from '../sync/repo-discovery.js';
 import { RepoSync } from '../sync/repo-sync.js';
+import { mapConcurrent } from '../utils/concurrency.js';
+import { printFileDiff } from './diff.js';
 import { homedir } from 'os';
 import { join } from 'path';
 
+/**
+ * Directories scanned for repositories when no --scan paths are given
+ * @returns {string[]}
+ */
+export function getDefaultScanPaths() {
+  return [
+    join(homedir(), 'projects'),
+    join(homedir(), 'work'),
+    join(homedir(), 'repos')
+  ];
+}
+
 /**
  * Discover repositories with .claude-sync markers
  */
@@ -39,11 +53,7 @@ export async function discoverRepos(options = {}) {
       }
     } else {
       // Filesystem discovery
-      const scanPaths = scan.length > 0 ? scan : [
-        join(homedir(), 'projects'),
-        join(homedir(), 'work'),
-        join(homedir(), 'repos')
-      ];
+      const scanPaths = scan.length > 0 ? scan : getDefaultScanPaths();
 
       info('Scanning for repositories with .claude-sync markers...');
       if (verbose) {
@@ -85,8 +95,177 @@ export async function discoverRepos(options = {}) {
   }
 }
 
+/**
+ * Print what syncing one repository would change
+ * @private
+ * @returns {Promise<Object>} Sync-style result; changed tells whether any file would change
+ */
+async function diffRepo(repoSync, repo) {
+  const result = { repo: repo.path, success: false, changed: false, changes: [], errors: [], warnings: [], skipped: false };
+
+  try {
+    const preview = await repoSync.diffRepo(repo);
+    for (const file of preview.files) {
+      if (printFileDiff(file.path, file.before, file.after)) {
+        result.changed = true;
+        result.changes.push(`Would update ${file.path}`);
+      }
+    }
+    result.warnings = preview.warnings;
+    result.success = true;
+  } catch (e) {
+    result.errors.push(e.message);
+  }
+
+  return result;
+}
+
+/**
+ * Ask whether to sync a repository
+ * @private
+ */
+async function confirmRepo(repo) {
+  const readline = await import('readline');
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout
+  });
+
+  const answer = await new Promise(resolve => {
+    rl.question(`Sync ${repo.path}? (y/n) `, resolve);
+  });
+  rl.close();
+
+  return answer.toLowerCase() === 'y';
+}
+
+/**
+ * Print the banner that starts a repository's output
+ * @private
+ */
+function printRepoHeader(repo) {
+  console.log(`\n${'='.repeat(60)}`);
+  info(`Syncing: ${repo.path}`);
+  console.log(`${'='.repeat(60)}\n`);
+}
+
+/**
+ * Print how syncing one repository went
+ * @private
+ */
+function printSyncResult(result) {
+  if (result.success) {
+    success('✓ Sync completed');
+    result.changes.forEach(change => info(`  • ${change}`));
+    (result.warnings || []).forEach(message => warn(`  • ${message}`));
+  } else if (result.skipped) {
+    warn('⚠ Sync skipped');
+    result.errors.forEach(err => warn(`  • ${err}`));
+  } else {
+    logError('✗ Sync failed');
+    result.errors.forEach(err => logError(`  • ${err}`));
+  }
+  console.log(''); // Blank line for readability
+}
+
+/**
+ * Sync repositories several at a time behind a progress spinner
+ * Each repository's output is printed as one block when it finishes, so
+ * output from repositories syncing side by side never interleaves
+ * @private
+ * @returns {Promise<Object[]>} syncRepo results, in the order of repos
+ */
+async function syncConcurrently(repoSync, repos, options) {
+  const { concurrency, dryRun, verbose, force } = options;
+  const running = [];
+  let done = 0;
+
+  const progressText = () => {
+    const names = running.map(repo => repo.path.split(/[/\\]/).pop()).join(', ');
+    return `Synced ${done}/${repos.length} repositories${names ? ` - syncing ${names}` : ''}`;
+  };
+  const progress = spinner(progressText());
+
+  try {
+    return await mapConcurrent(repos, concurrency, async repo => {
+      running.push(repo);
+      progress.text = progressText();
+
+      const lines = [];
+      const result = await repoSync.syncRepo(repo, { dryRun, verbose, force, log: line => lines.push(line) });
+
+      running.splice(running.indexOf(repo), 1);
+      done++;
+
+      // Print the finished repository above the spinner
+      progress.clear();
+      printRepoHeader(repo);
+      lines.forEach(line => console.log(line));
+      printSyncResult(result);
+      progress.text = progressText();
+      progress.render();
+
+      return result;
+    });
+  } finally {
+    progress.stop();
+  }
+}
+
+/**
+ * Sync repositories all-or-nothing and report what happened to each
+ * @private
+ */
+async function syncTransaction(repoSync, repos, verbose) {
+  info(`Syncing ${repos.length} repository(ies) as one transaction...\n`);
+  const { committed, results } = await repoSync.syncTransactional(repos, { verbose });
+
+  console.log(`\n${'='.repeat(60)}`);
+  info('TRANSACTION SUMMARY');
+  console.log(`${'='.repeat(60)}\n`);
+
+  if (committed) {
+    success(`✓ Committed ${results.length} repository(ies)`);
+  } else if (results.some(r => r.rollback && !r.rollback.success)) {
+    logError('✗ Transaction failed and some repositories could not be rolled back - check them by hand');
+  } else {
+    logError('✗ Transaction failed - every repository was left as it was');
+  }
+
+  for (const result of results) {
+    const repoName = result.repo.split(/[/\\]/).pop();
+    let state;
+    if (result.success) {
+      state = result.changes.length > 0 ? 'synced' : 'already up to date';
+    } else if (result.aborted) {
+      state = 'not started';
+    } else if (result.rollback?.success) {
+      state = 'rolled back';
+    } else if (result.rollback) {
+      const filesRestored = result.rollback.files.success ? ' (written files were restored)' : '';
+      state = `rollback failed: ${result.rollback.error}${filesRestored}`;
+    } else {
+      state = 'failed before writing';
+    }
+    console.log(`  • ${repoName}: ${state}`);
+
+    // The error that stopped the transaction, and any push/PR failures
+    result.errors
+      .filter(message => !message.startsWith('Not synced:') && !message.startsWith('Rolled back:'))
+      .forEach(message => console.log(`      ${message}`));
+    result.warnings.forEach(message => warn(`      ${message}`));
+  }
+
+  return results;
+}
+
 /**
  * Sync CLAUDE.md preferences to multiple repositories
+ *
+ * With `transactional`, every repository is synced or none is: see
+ * RepoSync.syncTransactional. With `concurrency` above 1, that many
+ * repositories are synced at a time. With `maxTokens`, each CLAUDE.md is
+ * trimmed to fit, as `sync` does.
  */
 export async function syncReposCmd(options = {}) {
   const {
@@ -96,9 +275,24 @@ export async function syncReposCmd(options = {}) {
     interactive = false,
     auto = false,
     force = false,
-    verbose = false
+    verbose = false,
+    onConflict,
+    diff = false,
+    transactional = false,
+    concurrency = 1,
+    maxTokens
   } = options;
 
+  if (transactional && force) {
+    throw new Error('--transactional cannot be combined with --force: rollback needs clean repositories');
+  }
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error(`--concurrency must be a positive whole number (got ${concurrency})`);
+  }
+  if (transactional && concurrency > 1) {
+    throw new Error('--transactional cannot be combined with --concurrency: a transaction syncs one repository at a time');
+  }
+
   try {
     let repos = [];
 
@@ -138,47 +332,44 @@ export async function syncReposCmd(options = {}) {
     }
 
     // Sync repos
-    const repoSync = new RepoSync({ dryRun });
+    const repoSync = new RepoSync({ dryRun, onConflict, maxTokens });
     const results = [];
 
-    for (const repo of repos) {
-      console.log(`\n${'='.repeat(60)}`);
-      info(`Syncing: ${repo.path}`);
-      console.log(`${'='.repeat(60)}\n`);
-
-      // Interactive mode - ask for confirmation
-      if (interactive && !auto && !dryRun) {
-        const readline = await import('readline');
-        const rl = readline.createInterface({
-          input: process.stdin,
-          output: process.stdout
-        });
-
-        const answer = await new Promise(resolve => {
-          rl.question(`Sync this repository? (y/n) `, resolve);
-        });
-        rl.close();
-
-        if (answer.toLowerCase() !== 'y') {
-          info('Skipped by user');
+    if (transactional && !dryRun && !diff) {
+      const confirmed = [];
+      for (const repo of repos) {
+        if (!interactive || auto || await confirmRepo(repo)) confirmed.push(repo);
+      }
+      return syncTransaction(repoSync, confirmed, verbose);
+    }
+
+    if (concurrency > 1 && !diff) {
+      const confirmed = [];
+      for (const repo of repos) {
+        if (!interactive || auto || dryRun || await confirmRepo(repo)) confirmed.push(repo);
+      }
+      results.push(...await syncConcurrently(repoSync, confirmed, { concurrency, dryRun, verbose, force }));
+    } else {
+      for (const repo of repos) {
+        printRepoHeader(repo);
+
+        if (diff) {
+          const result = await diffRepo(repoSync, repo);
+          results.push(result);
+          result.errors.forEach(err => logError(`  • ${err}`));
           continue;
         }
-      }
 
-      const result = await repoSync.syncRepo(repo, { dryRun, verbose, force });
-      results.push(result);
+        // Interactive mode - ask for confirmation
+        if (interactive && !auto && !dryRun && !await confirmRepo(repo)) {
+          info('Skipped by user');
+          continue;
+        }
 
-      if (result.success) {
-        success('✓ Sync completed');
-        result.changes.forEach(change => info(`  • ${change}`));
-      } else if (result.skipped) {
-        warn('⚠ Sync skipped');
-        result.errors.forEach(err => warn(`  • ${err}`));
-      } else {
-        logError('✗ Sync failed');
-        result.errors.forEach(err => logError(`  • ${err}`));
+        const result = await repoSync.syncRepo(repo, { dryRun, verbose, force });
+        results.push(result);
+        printSyncResult(result);
       }
-      console.log(''); // Blank line for readability
     }
 
     // Print summary
@@ -215,7 +406,9 @@ export async function syncReposCmd(options = {}) {
       });
     }
 
-    if (dryRun) {
+    if (diff) {
+      info('\nDiff only - no files were written.');
+    } else if (dryRun) {
       info('\nThis was a dry run. Run without --dry-run to apply changes.');
     }
 
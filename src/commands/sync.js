@@ -2,6 +2,64 @@ import { info, success, error, warn } from '../utils/logger.js';
 import { loadConfig } from '../config/index.js';
 import { createTransformer } from '../transformers/index.js';
 import { FileSync } from '../sync/file-sync.js';
+import { describeConflicts, DEFAULT_ON_CONFLICT } from '../sync/snapshots.js';
+import { printFileDiff } from './diff.js';
+import { fitToTokenBudget, formatBudgetReport } from '../utils/token-budget.js';
+import { formatAge } from '../utils/time.js';
+
+/**
+ * Render preferences as CLAUDE.md, trimming to a token budget if one is set
+ * @private
+ */
+async function renderClaudeMd(config, maxTokens) {
+  if (maxTokens === undefined) {
+    return createTransformer('claude-md', config).transform();
+  }
+
+  const budget = await fitToTokenBudget(
+    config,
+    prefs => createTransformer('claude-md', prefs).transform(),
+    { maxTokens, dropOrder: config.token_budget?.drop_order }
+  );
+  formatBudgetReport(budget, maxTokens).forEach(line => warn(line));
+  return budget.output;
+}
+
+/**
+ * Tell the user what happened to edits made since the last sync
+ * @private
+ */
+function reportEdits(result, onConflict) {
+  if (result.conflicts?.length > 0) {
+    warn(describeConflicts(result.path, result.conflicts, onConflict));
+  } else if (result.editsMerged) {
+    info('Kept edits made since the last sync');
+  }
+}
+
+/**
+ * The `backups:` policy from preferences
+ * Backups stay reachable with broken or missing preferences, using the defaults
+ * @private
+ */
+async function loadBackupPolicy(projectPath) {
+  try {
+    const { config } = await loadConfig(null, projectPath ? { cwd: projectPath } : {});
+    return config.backups;
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Human-readable file size
+ * @private
+ */
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
 
 /**
  * Sync preferences to Claude Chat via headless browser
@@ -29,15 +87,21 @@ export async function syncChat(_options = {}) {
  * Sync preferences to global CLAUDE.md
  */
 export async function syncGlobal(options = {}) {
-  const { dryRun = false, backup = true, verbose = false } = options;
+  const {
+    dryRun = false,
+    backup = true,
+    verbose = false,
+    maxTokens,
+    onConflict = DEFAULT_ON_CONFLICT,
+    diff = false
+  } = options;
 
   try {
     info('Loading preferences...');
-    const { config } = await loadConfig();
+    const { config } = await loadConfig(null, { global: true });
 
     info('Transforming to CLAUDE.md format...');
-    const transformer = createTransformer('claude-md', config);
-    const content = await transformer.transform();
+    const content = await renderClaudeMd(config, maxTokens);
 
     if (verbose) {
       console.log('\n--- Transformed Content Preview ---');
@@ -45,14 +109,28 @@ export async function syncGlobal(options = {}) {
       console.log('--- End Preview ---\n');
     }
 
-    const fileSync = new FileSync();
-    const result = await fileSync.syncGlobal(content, { dryRun, backup });
+    const fileSync = new FileSync({ backups: config.backups });
+
+    if (diff) {
+      const plan = fileSync.planGlobal(content, { onConflict });
+      return { path: plan.path, diff: true, changed: printFileDiff(plan.path, plan.current, plan.content) };
+    }
+
+    const result = await fileSync.syncGlobal(content, {
+      dryRun,
+      backup,
+      onConflict,
+      generatedWith: maxTokens === undefined ? {} : { maxTokens }
+    });
 
     if (result.dryRun) {
       info('Dry run complete - no changes made');
       info(`Would write to: ${result.path}`);
+    } else if (result.unchanged) {
+      success(`Global CLAUDE.md already up to date: ${result.path}`);
     } else {
       success(`Global CLAUDE.md updated: ${result.path}`);
+      reportEdits(result, onConflict);
       if (backup) {
         info('Previous version backed up');
       }
@@ -69,7 +147,15 @@ export async function syncGlobal(options = {}) {
  * Sync preferences to project CLAUDE.md
  */
 export async function syncProject(options = {}) {
-  const { path: projectPath, dryRun = false, backup = true, noMerge = false } = options;
+  const {
+    path: projectPath,
+    dryRun = false,
+    backup = true,
+    noMerge = false,
+    maxTokens,
+    onConflict = DEFAULT_ON_CONFLICT,
+    diff = false
+  } = options;
 
   if (!projectPath) {
     error('Project path required: --path <repo-path>');
@@ -78,28 +164,37 @@ export async function syncProject(options = {}) {
 
   try {
     info('Loading preferences...');
-    const { config } = await loadConfig();
+    const { config } = await loadConfig(null, { cwd: projectPath });
 
     info('Generating project preferences overlay...');
-    const transformer = createTransformer('claude-md', config);
-    const content = await transformer.transform();
+    const content = await renderClaudeMd(config, maxTokens);
+
+    const fileSync = new FileSync({ backups: config.backups });
+
+    if (diff) {
+      const plan = await fileSync.planProject(content, projectPath, { noMerge, onConflict });
+      return { path: plan.path, diff: true, changed: printFileDiff(plan.path, plan.current, plan.content) };
+    }
 
-    const fileSync = new FileSync();
     const result = await fileSync.syncProject(content, projectPath, {
       dryRun,
       backup,
-      noMerge
+      noMerge,
+      onConflict
     });
 
     if (result.dryRun) {
       info('Dry run complete - no changes made');
       info(`Would write to: ${result.path}`);
       info(`Mode: ${noMerge ? 'Overwrite' : 'Merge'}`);
+    } else if (result.unchanged) {
+      success(`Project CLAUDE.md already up to date: ${result.path}`);
     } else {
       success(`Project CLAUDE.md updated: ${result.path}`);
       if (result.merged) {
         info('Merged with existing project content');
       }
+      reportEdits(result, onConflict);
       if (backup) {
         info('Previous version backed up');
       }
@@ -163,6 +258,11 @@ export async function syncAll(options = {}) {
     }
   }
 
+  if (options.diff) {
+    results.changed = Boolean(results.global?.changed) || (results.repos || []).some(r => r.changed);
+    return results;
+  }
+
   // Summary
   console.log('\n' + '='.repeat(50));
   if (results.errors.length === 0) {
@@ -185,13 +285,16 @@ export async function syncAll(options = {}) {
 }
 
 /**
- * List available backups
+ * List available backups with their size, age and generator version
+ *
+ * With `diff` set to a backup (path, index or relative time), prints what
+ * restoring it would change instead.
  */
 export async function listBackups(options = {}) {
-  const { target = 'global', path: projectPath } = options;
+  const { target = 'global', path: projectPath, diff } = options;
 
   try {
-    const fileSync = new FileSync();
+    const fileSync = new FileSync({ backups: await loadBackupPolicy(target === 'project' ? projectPath : null) });
     let targetPath;
 
     if (target === 'global') {
@@ -207,14 +310,23 @@ export async function listBackups(options = {}) {
       throw new Error('Invalid target');
     }
 
-    const backups = await fileSync.listBackups(targetPath);
+    if (diff !== undefined) {
+      const backupPath = fileSync.backups.find(targetPath, diff);
+      const plan = fileSync.planRestore(backupPath, targetPath);
+      const changed = printFileDiff(targetPath, plan.current, plan.content, { newLabel: backupPath });
+      return { path: targetPath, backup: backupPath, diff: true, changed };
+    }
+
+    const backups = await fileSync.describeBackups(targetPath);
 
     if (backups.length === 0) {
       info(`No backups found for ${target} CLAUDE.md`);
     } else {
       success(`Found ${backups.length} backup(s) for ${target} CLAUDE.md:`);
+      const ageWidth = Math.max(...backups.map(backup => formatAge(backup.createdAt).length));
       backups.forEach((backup, i) => {
-        console.log(`  ${i + 1}. ${backup}`);
+        const version = backup.version ? `v${backup.version}` : '-';
+        console.log(`  ${i + 1}. ${formatAge(backup.createdAt).padEnd(ageWidth)}  ${formatSize(backup.size).padStart(8)}  ${version.padEnd(8)}  ${backup.path}`);
       });
     }
 
@@ -227,17 +339,21 @@ export async function listBackups(options = {}) {
 
 /**
  * Restore from backup
+ *
+ * The backup may be given as a path, its index in the `backups` listing or a
+ * relative time ("2 days ago", for the newest backup at least that old).
+ * `sections` restores only those headings; `dryRun` prints the change instead.
  */
 export async function restoreBackup(options = {}) {
-  const { target = 'global', path: projectPath, backup: backupPath } = options;
+  const { target = 'global', path: projectPath, backup: backupRef, sections = [], dryRun = false } = options;
 
-  if (!backupPath) {
-    error('Backup path required: --backup <backup-file>');
+  if (!backupRef) {
+    error('Backup required: --backup <path, index or time>');
     throw new Error('Backup path required');
   }
 
   try {
-    const fileSync = new FileSync();
+    const fileSync = new FileSync({ backups: await loadBackupPolicy(target === 'project' ? projectPath : null) });
     let targetPath;
 
     if (target === 'global') {
@@ -253,10 +369,23 @@ export async function restoreBackup(options = {}) {
       throw new Error('Invalid target');
     }
 
+    const backupPath = fileSync.backups.find(targetPath, backupRef);
+
+    if (dryRun) {
+      const plan = fileSync.planRestore(backupPath, targetPath, { sections });
+      plan.warnings.forEach(warning => warn(warning));
+      const changed = printFileDiff(targetPath, plan.current, plan.content, { newLabel: `${targetPath} (after restore)` });
+      info('Dry run - no changes made');
+      return { success: true, dryRun: true, path: targetPath, restoredFrom: backupPath, changed };
+    }
+
     info(`Restoring ${target} CLAUDE.md from backup...`);
-    const result = await fileSync.restoreBackup(backupPath, targetPath);
+    const result = await fileSync.restoreBackup(backupPath, targetPath, { sections });
+    result.warnings?.forEach(warning => warn(warning));
 
-    success(`Restored ${target} CLAUDE.md from backup`);
+    success(sections.length > 0
+      ? `Restored ${sections.join(', ')} in ${target} CLAUDE.md from backup`
+      : `Restored ${target} CLAUDE.md from backup`);
     info(`Target: ${result.path}`);
     info(`Backup: ${result.restoredFrom}`);
 
@@ -266,3 +395,47 @@ export async function restoreBackup(options = {}) {
     throw e;
   }
 }
+
+/**
+ * Remove backups past the retention limits
+ *
+ * Prunes one target's backups, or with target 'all' the global CLAUDE.md's and
+ * every target's in the central store.
+ */
+export async function pruneBackups(options = {}) {
+  const { target = 'all', path: projectPath, dryRun = false } = options;
+
+  try {
+    const fileSync = new FileSync({ backups: await loadBackupPolicy(target === 'project' ? projectPath : null) });
+    let targetPaths;
+
+    if (target === 'all') {
+      targetPaths = [...new Set([fileSync.globalCLAUDEPath, ...fileSync.backups.targets()])];
+    } else if (target === 'global') {
+      targetPaths = [fileSync.globalCLAUDEPath];
+    } else if (target === 'project') {
+      if (!projectPath) {
+        error('Project path required for project backups: --path <repo-path>');
+        throw new Error('Project path required');
+      }
+      targetPaths = [await fileSync.findProjectCLAUDE(projectPath)];
+    } else {
+      error('Invalid target. Use: global, project or all');
+      throw new Error('Invalid target');
+    }
+
+    const removed = targetPaths.flatMap(targetPath => fileSync.backups.prune(targetPath, { dryRun }));
+
+    if (removed.length === 0) {
+      info('No backups past the retention limits');
+    } else {
+      success(`${dryRun ? 'Would remove' : 'Removed'} ${removed.length} backup(s):`);
+      removed.forEach(path => console.log(`  ${path}`));
+    }
+
+    return removed;
+  } catch (e) {
+    error(`Failed to prune backups: ${e.message}`);
+    throw e;
+  }
+}
@@ -0,0 +1,166 @@
+import { resolve } from 'path';
+import { findConfigFile, discoverProjectLayers } from '../config/index.js';
+import { validatePreferencesFile, formatSchemaError } from '../parsers/schema-validator.js';
+import { YamlParseError } from '../parsers/yaml-parser.js';
+import { SCHEMA_VERSION, PREFERENCES_SCHEMA } from '../config/schema.js';
+import { resolveExtendsChain, ConfigExtendsError } from '../config/extends.js';
+import { interpolateTraced } from '../config/interpolate.js';
+import { mergeTraced } from '../config/provenance.js';
+import { deepMergeAll } from '../utils/deep-merge.js';
+import { needsMigration, getSchemaVersion } from '../config/migrations.js';
+import { success, error, info, warn } from '../utils/logger.js';
+
+/**
+ * Validate one file, converting YAML syntax errors into located violations
+ * @private
+ */
+async function validateFile(filepath, options) {
+  try {
+    return await validatePreferencesFile(filepath, options);
+  } catch (e) {
+    if (e instanceof YamlParseError) {
+      return {
+        valid: false,
+        errors: [{
+          path: '<syntax>',
+          message: e.message,
+          filepath,
+          lineNumber: e.lineNumber,
+          columnNumber: e.columnNumber
+        }]
+      };
+    }
+    throw e;
+  }
+}
+
+/**
+ * Resolve a file's `extends:` chain, reporting resolution failures as violations
+ * @private
+ */
+async function resolveChain(filepath) {
+  try {
+    const chain = await resolveExtendsChain(filepath);
+    // Report the file itself under the path it was given
+    chain[chain.length - 1].path = filepath;
+    return { chain, errors: [] };
+  } catch (e) {
+    if (e instanceof ConfigExtendsError) {
+      return {
+        chain: [{ path: filepath, spec: null }],
+        errors: [{ path: 'extends', message: e.message, filepath: e.filepath || filepath }]
+      };
+    }
+    // Unreadable or invalid YAML - validateFile reports it with a location
+    return { chain: [{ path: filepath, spec: null }], errors: [] };
+  }
+}
+
+/**
+ * Print an inheritance chain, parents first
+ * @private
+ */
+function printChain(chain) {
+  info('  Inheritance chain (merged in this order):');
+  chain.forEach(({ path, spec }, index) => {
+    info(`    ${index + 1}. ${path}${spec ? ` (extends: ${spec})` : ''}`);
+  });
+}
+
+/**
+ * Validate preferences.yaml and its project layers against the schema
+ *
+ * Files pulled in through `extends:` are validated too, and the inheritance
+ * chain is printed. Required sections may come from any file in the chain.
+ * `${...}` references that don't resolve are reported where they are written.
+ *
+ * @param {Object} options
+ * @param {string} [options.configPath] - Custom config file path
+ * @param {boolean} [options.skipProjectLayers=false] - Only validate the base file
+ * @returns {Promise<{valid: boolean, chain: Array<{path: string, spec: string|null}>,
+ *   files: Array<{path: string, errors: Object[]}>}>}
+ */
+export async function validateCmd(options = {}) {
+  const { configPath: customPath = null, skipProjectLayers = false } = options;
+
+  const configPath = await findConfigFile(customPath);
+  info(`Validating config: ${configPath} (schema v${SCHEMA_VERSION})`);
+
+  const base = await resolveChain(configPath);
+  if (base.chain.length > 1) {
+    printChain(base.chain);
+  }
+
+  // Layers only extend the base file, so required sections are checked on the base chain only
+  const files = base.chain.map(({ path }) => ({ path, partial: base.chain.length > 1 }));
+  const extendsErrors = [...base.errors];
+  const traced = base.chain.map(file => file.traced);
+
+  if (!skipProjectLayers) {
+    for (const layerPath of discoverProjectLayers(configPath)) {
+      const layer = await resolveChain(layerPath);
+      extendsErrors.push(...layer.errors);
+      traced.push(...layer.chain.map(file => file.traced));
+      layer.chain
+        .filter(({ path }) => !files.some(f => f.path === path))
+        .forEach(({ path }) => files.push({ path, partial: true }));
+    }
+  }
+
+  const results = [];
+  for (const file of files) {
+    const { errors, data } = await validateFile(file.path, { partial: file.partial });
+    results.push({ path: file.path, errors, data });
+  }
+
+  extendsErrors.forEach(err => {
+    const result = results.find(r => r.path === err.filepath) || results[results.length - 1];
+    result.errors.push(err);
+  });
+
+  // References resolve against the merged result, so check them once everything loaded
+  if (!traced.includes(undefined)) {
+    const { errors: referenceErrors } = interpolateTraced(mergeTraced(...traced));
+    referenceErrors.forEach(err => {
+      const result = results.find(r => resolve(r.path) === err.filepath) || results[base.chain.length - 1];
+      result.errors.push(err);
+    });
+  }
+
+  const baseResults = results.slice(0, base.chain.length);
+  if (base.chain.length > 1 && baseResults.every(r => r.data)) {
+    const merged = deepMergeAll(...baseResults.map(r => r.data));
+    PREFERENCES_SCHEMA.required
+      .filter(section => !merged[section])
+      .forEach(section => baseResults[baseResults.length - 1].errors.push({
+        path: section,
+        message: `Missing required section: ${section} (not found in this file or the files it extends)`
+      }));
+  }
+
+  const failed = results.filter(r => r.errors.length > 0);
+
+  if (failed.length > 0) {
+    error('Validation failed:');
+    for (const result of failed) {
+      error(`  ${result.path}`);
+      result.errors.forEach(err => error(`    - ${formatSchemaError(err)}`));
+    }
+  } else {
+    success('Configuration is valid!');
+    info(`  Loaded from: ${configPath}`);
+    results.slice(base.chain.length).forEach(r => info(`  Layer: ${r.path}`));
+  }
+
+  const baseData = results[base.chain.length - 1].data;
+  if (baseData && needsMigration(baseData)) {
+    warn(`Preferences use schema v${getSchemaVersion(baseData)} (current: v${SCHEMA_VERSION})`);
+    info('  Run: claude-context-sync migrate');
+  }
+
+  return {
+    valid: failed.length === 0,
+    chain: base.chain.map(({ path, spec }) => ({ path, spec })),
+    files: results.map(({ path, errors }) => ({ path, errors }))
+  };
+}
@@ -0,0 +1,261 @@
+/**
+ * Conditional preference blocks via `_when:`
+ *
+ * Any section, subsection or list item may carry a `_when:` mapping; the block
+ * is kept only if every listed condition matches (each value may be a pattern
+ * or a list of alternatives, with `*` and `?` wildcards):
+ *
+ *   work_tools:
+ *     _when: { hostname: "work-*", platform: darwin }
+ *     tools: [brew, 1password-cli]
+ *
+ *   tools:
+ *     - git
+ *     - _when: { languages: python }
+ *       value: uv
+ *
+ * hostname, platform, repo and languages are known when preferences load, so
+ * loadConfig settles them. target (the export format, or a `--scope` target)
+ * is only known to a transformer, so those conditions are left in place until
+ * BaseTransformer.filterByScope evaluates them.
+ */
+import { existsSync } from 'fs';
+import { hostname } from 'os';
+import { join } from 'path';
+import { getPlatform } from '../utils/platform.js';
+import { gitSync } from '../utils/exec.js';
+import { stripProvenance } from './provenance.js';
+
+export const WHEN_KEY = '_when';
+
+// Conditional list items hold their content under this key
+export const WHEN_VALUE_KEY = 'value';
+
+export const CONDITION_KEYS = ['hostname', 'platform', 'repo', 'languages', 'target'];
+
+// Marker files that identify a project's languages
+const LANGUAGE_MARKERS = {
+  javascript: ['package.json'],
+  typescript: ['tsconfig.json'],
+  python: ['pyproject.toml', 'requirements.txt', 'setup.py', 'Pipfile'],
+  go: ['go.mod'],
+  rust: ['Cargo.toml'],
+  ruby: ['Gemfile'],
+  java: ['pom.xml', 'build.gradle', 'build.gradle.kts'],
+  php: ['composer.json'],
+  elixir: ['mix.exs'],
+  swift: ['Package.swift']
+};
+
+function isPlainObject(obj) {
+  return obj !== null
+    && typeof obj === 'object'
+    && !Array.isArray(obj)
+    && Object.getPrototypeOf(obj) === Object.prototype;
+}
+
+/**
+ * Detect a project's languages from marker files in its root
+ * @param {string} [dir=process.cwd()] - Project root
+ * @returns {string[]} Language names, e.g. ['javascript', 'typescript']
+ */
+export function detectLanguages(dir = process.cwd()) {
+  return Object.entries(LANGUAGE_MARKERS)
+    .filter(([, markers]) => markers.some(marker => existsSync(join(dir, marker))))
+    .map(([language]) => language);
+}
+
+/**
+ * Normalize a git remote URL to `host/owner/name`
+ * @param {string} url - e.g. git@github.com:acme/api.git
+ * @returns {string} e.g. github.com/acme/api
+ */
+export function normalizeRemote(url) {
+  return url
+    .trim()
+    .replace(/^[a-z+]+:\/\//i, '')
+    .replace(/^[^@/]+@/, '')
+    .replace(/^([^/:]+):(?!\d)/, '$1/')
+    .replace(/\.git$/, '')
+    .replace(/\/$/, '');
+}
+
+/**
+ * Read the `origin` remote of the repository containing a directory
+ * @private
+ */
+function getRepoRemote(dir) {
+  try {
+    const url = gitSync(['remote', 'get-url', 'origin'], { cwd: dir, timeout: 5000 });
+    return normalizeRemote(url);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Facts `_when:` conditions are matched against while preferences load
+ * @param {Object} [options]
+ * @param {string} [options.cwd=process.cwd()] - Directory whose repo and languages apply
+ * @param {boolean} [options.global=false] - For a file outside any repo (the global
+ *   CLAUDE.md): no repo and no languages, so those conditions never match
+ * @returns {{hostname: string, platform: string, repo: string|null, languages: string[]}}
+ */
+export function getConditionContext(options = {}) {
+  const cwd = options.cwd || process.cwd();
+  return {
+    hostname: hostname(),
+    platform: getPlatform(),
+    repo: options.global ? null : getRepoRemote(cwd),
+    languages: options.global ? [] : detectLanguages(cwd)
+  };
+}
+
+function matchesPattern(pattern, actual) {
+  const source = String(pattern)
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${source}$`, 'i').test(String(actual));
+}
+
+function formatValues(values) {
+  return values.length === 1 ? `"${values[0]}"` : `[${values.map(v => `"${v}"`).join(', ')}]`;
+}
+
+/**
+ * Match one condition against the context
+ * @private
+ * @returns {{matched: boolean|null, reason: string}} matched is null when the fact is unknown
+ */
+function matchCondition(key, expected, context) {
+  const patterns = Array.isArray(expected) ? expected : [expected];
+
+  if (!CONDITION_KEYS.includes(key)) {
+    return { matched: false, reason: `unknown condition '${key}'` };
+  }
+
+  const actual = context[key];
+  if (actual === undefined) {
+    return { matched: null, reason: `${key} not known yet` };
+  }
+  if (actual === null || (Array.isArray(actual) && actual.length === 0)) {
+    return { matched: false, reason: `no ${key} detected (wanted ${formatValues(patterns)})` };
+  }
+
+  // A repo matches on its full host/owner/name or just owner/name
+  const candidates = key === 'repo'
+    ? [actual, actual.split('/').slice(-2).join('/')]
+    : (Array.isArray(actual) ? actual : [actual]);
+
+  const matched = patterns.some(pattern => candidates.some(candidate => matchesPattern(pattern, candidate)));
+  const shown = key === 'repo' ? [actual] : candidates;
+  return {
+    matched,
+    reason: `${key} ${formatValues(shown)} ${matched ? 'matches' : 'does not match'} ${formatValues(patterns)}`
+  };
+}
+
+/**
+ * Evaluate a `_when:` mapping
+ * @param {Object} when - Conditions (plain or traced)
+ * @param {Object} context - Known facts (see getConditionContext); missing keys defer
+ * @returns {{included: boolean|null, deferred: string[], reasons: string[]}}
+ *   included is false if any condition fails, null if some are deferred, true otherwise
+ */
+export function evaluateWhen(when, context) {
+  const conditions = stripProvenance(when);
+  const reasons = [];
+  const deferred = [];
+  let failed = false;
+
+  if (!isPlainObject(conditions)) {
+    return { included: false, deferred, reasons: ['_when must be a mapping of conditions'] };
+  }
+
+  for (const [key, expected] of Object.entries(conditions)) {
+    const { matched, reason } = matchCondition(key, expected, context);
+    if (matched === null) {
+      deferred.push(key);
+    } else {
+      failed = failed || !matched;
+      reasons.push(reason);
+    }
+  }
+
+  return { included: failed ? false : (deferred.length > 0 ? null : true), deferred, reasons };
+}
+
+function formatPath(path) {
+  return path.map(segment => (typeof segment === 'number' ? `[${segment}]` : `.${segment}`)).join('').slice(1);
+}
+
+/**
+ * Drop blocks whose `_when:` fails, unwrap the ones that pass
+ *
+ * Works on plain and traced trees alike. Blocks whose conditions depend on
+ * facts missing from the context keep a `_when:` with just those conditions,
+ * unless `final` is set, in which case they are dropped.
+ *
+ * @param {*} tree - Preferences (plain or traced)
+ * @param {Object} context - Known facts
+ * @param {Object} [options]
+ * @param {boolean} [options.final=false] - Treat unknown facts as failing
+ * @param {Array} [options.trace] - Receives {path, included, reasons} per conditional block
+ * @returns {*} Tree without failed blocks (undefined if the root itself is excluded)
+ */
+export function applyConditions(tree, context, options = {}, path = []) {
+  const { final = false, trace } = options;
+
+  if (Array.isArray(tree)) {
+    const items = [];
+    tree.forEach((item, index) => {
+      const result = applyConditions(item, context, options, [...path, index]);
+      if (result !== undefined) items.push(result);
+    });
+    return items;
+  }
+
+  if (!isPlainObject(tree)) {
+    return tree;
+  }
+
+  let node = tree;
+  if (WHEN_KEY in tree) {
+    const { included, deferred, reasons } = evaluateWhen(tree[WHEN_KEY], context);
+    const excluded = included === false || (included === null && final);
+    const allReasons = [...reasons, ...deferred.map(key => `${key} not known`)];
+
+    trace?.push({ path: formatPath(path), included: excluded ? false : included, reasons: allReasons });
+    if (excluded) return undefined;
+
+    const { [WHEN_KEY]: when, ...rest } = tree;
+    if (included === null) {
+      node = { [WHEN_KEY]: Object.fromEntries(deferred.map(key => [key, when[key]])), ...rest };
+    } else if (typeof path[path.length - 1] === 'number' && Object.keys(rest).length === 1 && WHEN_VALUE_KEY in rest) {
+      // `- {_when: ..., value: x}` list items become plain `x`
+      return applyConditions(rest[WHEN_VALUE_KEY], context, options, path);
+    } else {
+      node = rest;
+    }
+  }
+
+  const result = {};
+  for (const [key, child] of Object.entries(node)) {
+    const value = key === WHEN_KEY ? child : applyConditions(child, context, options, [...path, key]);
+    if (value !== undefined) result[key] = value;
+  }
+  return result;
+}
+
+/**
+ * Format a condition trace for display
+ * @param {Array<{path: string, included: boolean|null, reasons: string[]}>} trace
+ * @returns {string[]} One line per conditional block
+ */
+export function formatConditionTrace(trace) {
+  return trace.map(({ path, included, reasons }) => {
+    const verdict = included === true ? 'included' : (included === false ? 'excluded' : 'deferred');
+    return `${path || '(root)'}: ${verdict} (${reasons.join('; ') || 'no conditions'})`;
+  });
+}
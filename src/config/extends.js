@@ -0,0 +1,181 @@
+/**
+ * Preference inheritance via `extends:`
+ *
+ * Any preferences file may extend one or more parent files, which are merged
+ * before it (in listed order, each after its own parents):
+ *
+ *   extends: ./team-base.yaml                        # relative to this file
+ *   extends:
+ *     - "@acme/claude-preferences"                   # npm package (preferences.yaml)
+ *     - "@acme/claude-preferences/frontend.yaml"     # file inside a package
+ *     - git+https://github.com/acme/prefs.git//team/base.yaml#v2
+ *
+ * Git sources are `git+<repo-url>[//<path-in-repo>][#<branch-or-tag>]`; the
+ * path defaults to preferences.yaml. Clones are cached and reused.
+ */
+import { createHash } from 'crypto';
+import { existsSync } from 'fs';
+import { createRequire } from 'module';
+import { homedir } from 'os';
+import { dirname, isAbsolute, join, resolve } from 'path';
+import { expandTilde } from '../utils/platform.js';
+import { gitSync, NETWORK_TIMEOUT_MS } from '../utils/exec.js';
+import { readTracedYaml } from './provenance.js';
+
+export const DEFAULT_PREFERENCES_FILE = 'preferences.yaml';
+
+export class ConfigExtendsError extends Error {
+  constructor(message, filepath) {
+    super(message);
+    this.name = 'ConfigExtendsError';
+    this.filepath = filepath;
+  }
+}
+
+/**
+ * Directory git sources are cloned into
+ * @returns {string}
+ */
+export function getExtendsCacheDirectory() {
+  return join(homedir(), '.cache', 'claude-context-sync', 'extends');
+}
+
+/**
+ * Classify an `extends:` entry
+ * @param {string} spec - Entry as written
+ * @returns {{type: 'path', path: string}|{type: 'package', name: string, file: string|null}|
+ *   {type: 'git', url: string, path: string, ref: string|null}}
+ */
+export function parseExtendsSpec(spec) {
+  if (spec.startsWith('git+')) {
+    let url = spec.slice('git+'.length);
+    let ref = null;
+
+    const hash = url.lastIndexOf('#');
+    if (hash !== -1) {
+      ref = url.slice(hash + 1);
+      url = url.slice(0, hash);
+    }
+
+    // A `//` after the scheme separates the repo from the path inside it
+    const schemeEnd = url.includes('://') ? url.indexOf('://') + 3 : 0;
+    const split = url.indexOf('//', schemeEnd);
+    const path = split === -1 ? DEFAULT_PREFERENCES_FILE : url.slice(split + 2);
+    if (split !== -1) url = url.slice(0, split);
+
+    return { type: 'git', url, path, ref };
+  }
+
+  const expanded = expandTilde(spec);
+  if (expanded.startsWith('.') || isAbsolute(expanded)) {
+    return { type: 'path', path: expanded };
+  }
+
+  // Bare specifier: package name (scoped or not), optionally followed by a file
+  const parts = spec.split('/');
+  const nameLength = spec.startsWith('@') ? 2 : 1;
+  const file = parts.slice(nameLength).join('/');
+  return { type: 'package', name: parts.slice(0, nameLength).join('/'), file: file || null };
+}
+
+/**
+ * Clone (or reuse a cached clone of) a git source
+ * @private
+ */
+function fetchGitSource({ url, ref }, cacheDir) {
+  const key = createHash('sha1').update(`${url}#${ref || ''}`).digest('hex').slice(0, 16);
+  const dir = join(cacheDir, key);
+
+  if (!existsSync(dir)) {
+    const args = ['clone', '--depth', '1', ...(ref ? ['--branch', ref] : []), '--', url, dir];
+    try {
+      gitSync(args, { timeout: NETWORK_TIMEOUT_MS });
+    } catch (error) {
+      throw new ConfigExtendsError(`Failed to clone ${url}: ${error.stderr || error.message}`);
+    }
+  }
+
+  return dir;
+}
+
+/**
+ * Find an installed package's directory from a file's location
+ * @private
+ */
+function findPackageDirectory(name, fromFile) {
+  const require = createRequire(fromFile);
+  const searchPaths = require.resolve.paths(name) || [];
+  return searchPaths.map(dir => join(dir, name)).find(dir => existsSync(join(dir, 'package.json'))) || null;
+}
+
+/**
+ * Resolve an `extends:` entry to an absolute file path
+ * @param {string} spec - Entry as written
+ * @param {string} fromFile - File containing the entry
+ * @param {Object} [options]
+ * @param {string} [options.cacheDir] - Where git sources are cloned
+ * @returns {string} Absolute path of the parent preferences file
+ * @throws {ConfigExtendsError} If the parent can't be found
+ */
+export function resolveExtendsSpec(spec, fromFile, options = {}) {
+  const parsed = parseExtendsSpec(spec);
+  let path;
+
+  if (parsed.type === 'path') {
+    path = resolve(dirname(fromFile), parsed.path);
+  } else if (parsed.type === 'package') {
+    const packageDir = findPackageDirectory(parsed.name, fromFile);
+    if (!packageDir) {
+      throw new ConfigExtendsError(`Package '${parsed.name}' is not installed (extended from ${fromFile})`, fromFile);
+    }
+    path = join(packageDir, parsed.file || DEFAULT_PREFERENCES_FILE);
+  } else {
+    const repoDir = fetchGitSource(parsed, options.cacheDir || getExtendsCacheDirectory());
+    path = join(repoDir, parsed.path);
+  }
+
+  if (!existsSync(path)) {
+    throw new ConfigExtendsError(`Cannot find '${spec}' at ${path} (extended from ${fromFile})`, fromFile);
+  }
+  return path;
+}
+
+/**
+ * Load a preferences file and everything it extends
+ *
+ * Parents come before the file that extends them. A file reached twice
+ * (e.g. two parents sharing a base) is included once, at its first position.
+ *
+ * @param {string} filepath - Preferences file
+ * @param {Object} [options] - Passed to resolveExtendsSpec
+ * @returns {Promise<Array<{path: string, spec: string|null, data: Object, traced: Object}>>}
+ *   spec is the `extends:` entry that pulled the file in (null for filepath itself)
+ * @throws {ConfigExtendsError} On circular or unresolvable extends
+ */
+export async function resolveExtendsChain(filepath, options = {}, stack = [], seen = new Set()) {
+  const path = resolve(filepath);
+
+  if (stack.includes(path)) {
+    throw new ConfigExtendsError(`Circular extends: ${[...stack, path].join(' → ')}`, path);
+  }
+
+  const { data, traced } = await readTracedYaml(path);
+  const specs = [data?.extends ?? []].flat();
+  const chain = [];
+
+  for (const spec of specs) {
+    if (typeof spec !== 'string') {
+      throw new ConfigExtendsError(`Invalid extends entry in ${path}: expected a string`, path);
+    }
+    const parentPath = resolveExtendsSpec(spec, path, options);
+    if (seen.has(parentPath)) continue;
+
+    const parentChain = await resolveExtendsChain(parentPath, options, [...stack, path], seen);
+    parentChain[parentChain.length - 1].spec = spec;
+    chain.push(...parentChain);
+  }
+
+  seen.add(path);
+  chain.push({ path, spec: null, data, traced });
+  return chain;
+}
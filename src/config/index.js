@@ -1,11 +1,17 @@
 import { join, dirname } from 'path';
 import { homedir } from 'os';
-import { fileExists, readYaml } from '../utils/fs.js';
+import { fileExists } from '../utils/fs.js';
 import { validateBasicStructure } from '../parsers/yaml-parser.js';
 import { DEFAULT_CONFIG_PATHS, DEFAULT_CONFIG } from './defaults.js';
+import { traceValue, mergeTraced, stripProvenance, DEFAULTS_SOURCE } from './provenance.js';
+import { resolveExtendsChain, ConfigExtendsError } from './extends.js';
+import { interpolateTraced, formatInterpolationError } from './interpolate.js';
+import { applyConditions, getConditionContext } from './conditions.js';
 import { deepMergeAll } from '../utils/deep-merge.js';
 import { readdirSync } from 'fs';
 
+export { ConfigExtendsError };
+
 export class ConfigNotFoundError extends Error {
   constructor(searchPaths) {
     const pathsStr = searchPaths.join(', ');
@@ -82,16 +88,41 @@ export function discoverProjectLayers(baseConfigPath) {
   }
 }
 
+/**
+ * Load preferences: built-in defaults, then the base file, then project layers
+ *
+ * The base file and each layer are preceded by the files they `extends:`
+ * (see extends.js). `_when:` conditions (see conditions.js) and then variable
+ * references (see interpolate.js) are resolved after merging.
+ *
+ * @param {string} [customPath] - Custom config file path
+ * @param {Object} [options]
+ * @param {boolean} [options.skipProjectLayers=false] - Ignore .claude/preferences.*.yaml layers
+ * @param {string} [options.cacheDir] - Where git `extends:` sources are cloned
+ * @param {Object} [options.env=process.env] - Environment for `${env:}` references
+ * @param {string} [options.cwd=process.cwd()] - Directory whose repo and languages `_when:` matches
+ * @param {boolean} [options.global=false] - Load for the global CLAUDE.md: repo and languages
+ *   conditions never match, whatever directory the command runs from
+ * @param {Object} [options.conditionContext] - Facts for `_when:` instead of detecting them
+ * @param {Function} [options.onWarning=console.warn] - Receives warnings (e.g. a project layer
+ *   that failed to load), so a caller printing several loads at once can group them
+ * @returns {Promise<{config: Object, path: string, layers: string[], chain: Object[],
+ *   conditions: Object[], provenance: Object}>}
+ *   chain lists the base file's inheritance ({path, spec}, parents first); conditions traces
+ *   each `_when:` block (see conditions.js); provenance is the merged config with every
+ *   scalar as a SourcedValue (see provenance.js)
+ * @throws {ConfigValidationError} On missing required sections or unresolved references
+ */
 export async function loadConfig(customPath = null, options = {}) {
-  const { skipProjectLayers = false } = options;
+  const { skipProjectLayers = false, onWarning = message => console.warn(message) } = options;
   const configPath = await findConfigFile(customPath);
 
   try {
-    // Load base config
-    const baseConfig = await readYaml(configPath);
+    // Load base config and everything it extends
+    const baseChain = await resolveExtendsChain(configPath, options);
 
-    // Validate basic structure
-    const validation = validateBasicStructure(baseConfig);
+    // Validate basic structure (required sections may come from a parent)
+    const validation = validateBasicStructure(deepMergeAll(...baseChain.map(file => file.data ?? {})));
     if (!validation.valid) {
       throw new ConfigValidationError(validation.errors, configPath);
     }
@@ -102,29 +133,45 @@ export async function loadConfig(customPath = null, options = {}) {
 
     for (const layerPath of layerPaths) {
       try {
-        const layerConfig = await readYaml(layerPath);
-        layers.push(layerConfig);
+        const layerChain = await resolveExtendsChain(layerPath, options);
+        layers.push(...layerChain.map(file => file.traced));
       } catch (error) {
         // Log warning but don't fail - layer files are optional
-        console.warn(`Warning: Failed to load preference layer ${layerPath}: ${error.message}`);
+        onWarning(`Warning: Failed to load preference layer ${layerPath}: ${error.message}`);
       }
     }
 
     // Merge: defaults + base + layer1 + layer2 + ...
-    // Using deep merge with array append semantics
-    const mergedConfig = deepMergeAll(
-      DEFAULT_CONFIG,
-      baseConfig,
+    // Using deep merge with array append semantics, tracking where each value came from
+    const merged = mergeTraced(
+      traceValue(DEFAULT_CONFIG, DEFAULTS_SOURCE),
+      ...baseChain.map(file => file.traced),
       ...layers
     );
+    delete merged.extends;
+
+    // Drop `_when:` blocks for other hosts, platforms, repos and languages
+    // (target conditions wait for the transformer), before their references are resolved
+    const conditions = [];
+    const context = options.conditionContext ?? getConditionContext({ cwd: options.cwd, global: options.global });
+    const applicable = applyConditions(merged, context, { trace: conditions });
+
+    // Resolve ${env:}, ${var:} and ${file:} references once every layer is in
+    const { tree: provenance, errors } = interpolateTraced(applicable, options);
+    if (errors.length > 0) {
+      throw new ConfigValidationError(errors.map(formatInterpolationError), configPath);
+    }
 
     return {
-      config: mergedConfig,
+      config: stripProvenance(provenance),
       path: configPath,
-      layers: layerPaths // Include layer paths for debugging/tooling
+      layers: layerPaths, // Include layer paths for debugging/tooling
+      chain: baseChain.map(({ path, spec }) => ({ path, spec })),
+      conditions,
+      provenance
     };
   } catch (error) {
-    if (error instanceof ConfigValidationError) {
+    if (error instanceof ConfigValidationError || error instanceof ConfigExtendsError) {
       throw error;
     }
     throw new Error(`Failed to load config from ${configPath}: ${error.message}`);
@@ -0,0 +1,203 @@
+/**
+ * Variable interpolation for merged preferences
+ *
+ * String values may reference:
+ *
+ *   ${env:NAME}        environment variable
+ *   ${var:name}        entry of the top-level `vars:` block (dotted paths allowed)
+ *   ${file:path}       file contents, relative to the file holding the reference
+ *
+ * `vars:` merges like any other section, so a project layer can override a
+ * variable used by the base file. Variables are resolved only when referenced,
+ * so an unused one may point at an environment variable that isn't set. Interpolation runs once, on the fully merged
+ * traced tree, so errors point at the file and line that wrote the reference.
+ * A value that is exactly one `${var:...}` reference takes the variable's value
+ * as-is (lists and mappings included). Write `$${...}` for a literal `${...}`.
+ */
+import { readFileSync } from 'fs';
+import { dirname, isAbsolute, resolve } from 'path';
+import { expandTilde } from '../utils/platform.js';
+import { SourcedValue, DEFAULTS_SOURCE, stripProvenance, parsePath, getAtPath } from './provenance.js';
+
+export const VARS_KEY = 'vars';
+
+const REFERENCE_PATTERN = /\$(\$?)\{(env|var|file):([^}]*)\}/g;
+const WHOLE_VAR_PATTERN = /^\$\{var:([^}]*)\}$/;
+
+function isPlainObject(obj) {
+  return obj !== null
+    && typeof obj === 'object'
+    && !Array.isArray(obj)
+    && Object.getPrototypeOf(obj) === Object.prototype;
+}
+
+function formatPath(path) {
+  return path.map(segment => (typeof segment === 'number' ? `[${segment}]` : `.${segment}`)).join('').slice(1);
+}
+
+/**
+ * Whether a raw value is a single `${var:...}` reference, which takes the
+ * variable's type once resolved (so schema type checks must wait)
+ * @param {*} value - Raw preference value
+ * @returns {boolean}
+ */
+export function isVariableReference(value) {
+  return typeof value === 'string' && WHOLE_VAR_PATTERN.test(value);
+}
+
+/**
+ * Interpolates one merged tree; holds the variable cache and collected errors
+ * @private
+ */
+class Interpolator {
+  constructor(tree, env) {
+    this.vars = tree?.[VARS_KEY];
+    this.env = env;
+    this.resolved = new Map();
+    this.errors = [];
+  }
+
+  fail(node, path, message) {
+    this.errors.push({
+      path: formatPath(path),
+      message,
+      filepath: node.file === DEFAULTS_SOURCE ? null : node.file,
+      lineNumber: node.line
+    });
+  }
+
+  /**
+   * Resolve a variable to a traced subtree (memoized, cycle-checked)
+   */
+  lookupVar(name, stack) {
+    if (this.resolved.has(name)) return this.resolved.get(name);
+
+    if (stack.includes(name)) {
+      throw new Error(`Circular variable reference: ${[...stack, name].join(' → ')}`);
+    }
+
+    const definition = getAtPath(this.vars, parsePath(name));
+    if (definition === undefined) {
+      throw new Error(`Unresolved reference \${var:${name}}: no such entry under vars`);
+    }
+
+    const value = this.walk(definition, [VARS_KEY, ...parsePath(name)], [...stack, name]);
+    this.resolved.set(name, value);
+    return value;
+  }
+
+  lookup(source, name, node, stack) {
+    if (source === 'env') {
+      if (this.env[name] === undefined) {
+        throw new Error(`Unresolved reference \${env:${name}}: environment variable is not set`);
+      }
+      return this.env[name];
+    }
+
+    if (source === 'file') {
+      const base = node.file === DEFAULTS_SOURCE ? process.cwd() : dirname(node.file);
+      const expanded = expandTilde(name);
+      const filepath = isAbsolute(expanded) ? expanded : resolve(base, expanded);
+      try {
+        return readFileSync(filepath, 'utf-8').replace(/\r?\n$/, '');
+      } catch (e) {
+        throw new Error(`Unresolved reference \${file:${name}}: cannot read ${filepath} (${e.code || e.message})`);
+      }
+    }
+
+    const value = stripProvenance(this.lookupVar(name, stack));
+    if (value !== null && typeof value === 'object') {
+      throw new Error(`Cannot embed \${var:${name}} in text: it is a ${Array.isArray(value) ? 'list' : 'mapping'}`);
+    }
+    return String(value);
+  }
+
+  interpolateScalar(node, path, stack) {
+    if (typeof node.value !== 'string' || !node.value.includes('${')) return node;
+
+    const whole = node.value.match(WHOLE_VAR_PATTERN);
+    if (whole) {
+      try {
+        const value = this.lookupVar(whole[1], stack);
+        // Scalars keep the location of the reference; structures keep their own
+        return value instanceof SourcedValue ? new SourcedValue(value.value, node.file, node.line) : value;
+      } catch (e) {
+        this.fail(node, path, e.message);
+        return node;
+      }
+    }
+
+    const text = node.value.replace(REFERENCE_PATTERN, (match, escaped, source, name) => {
+      if (escaped) return match.slice(1);
+      try {
+        return this.lookup(source, name.trim(), node, stack);
+      } catch (e) {
+        this.fail(node, path, e.message);
+        return match;
+      }
+    });
+    return new SourcedValue(text, node.file, node.line);
+  }
+
+  walk(tree, path, stack = []) {
+    if (tree instanceof SourcedValue) return this.interpolateScalar(tree, path, stack);
+    if (Array.isArray(tree)) return tree.map((item, index) => this.walk(item, [...path, index], stack));
+    if (isPlainObject(tree)) {
+      return Object.fromEntries(Object.entries(tree).map(([key, child]) => [
+        key,
+        // `vars:` entries are resolved when something references them (see walkVars)
+        path.length === 0 && key === VARS_KEY ? child : this.walk(child, [...path, key], stack)
+      ]));
+    }
+    return tree;
+  }
+
+  /**
+   * The `vars:` block once the rest of the tree is walked: referenced entries
+   * resolved, the others left as written, so an unused entry can't fail a load
+   */
+  walkVars(tree, names = []) {
+    const name = names.join('.');
+    if (name && this.resolved.has(name)) return this.resolved.get(name);
+    if (isPlainObject(tree)) {
+      return Object.fromEntries(Object.entries(tree).map(([key, child]) => [key, this.walkVars(child, [...names, key])]));
+    }
+    return tree;
+  }
+}
+
+/**
+ * Resolve `${env:}`, `${var:}` and `${file:}` references in a merged traced tree
+ * @param {Object} tree - Traced tree (see provenance.js)
+ * @param {Object} [options]
+ * @param {Object} [options.env=process.env] - Environment for `${env:}`
+ * @returns {{tree: Object, errors: Array<{path: string, message: string, filepath: string|null,
+ *   lineNumber: number|null}>}} Interpolated tree; unresolved references are left as written
+ */
+export function interpolateTraced(tree, options = {}) {
+  const interpolator = new Interpolator(tree, options.env ?? process.env);
+
+  const result = interpolator.walk(tree, []);
+  if (isPlainObject(result) && VARS_KEY in result) {
+    result[VARS_KEY] = interpolator.walkVars(result[VARS_KEY]);
+  }
+
+  // Each failing variable is reported once per reference site, not once per use
+  const seen = new Set();
+  const errors = interpolator.errors.filter(err => {
+    const id = `${err.filepath}:${err.lineNumber}:${err.message}`;
+    return !seen.has(id) && seen.add(id);
+  });
+
+  return { tree: result, errors };
+}
+
+/**
+ * Format an interpolation error as `file:line: message`
+ * @param {{filepath: string|null, lineNumber: number|null, path: string, message: string}} err
+ * @returns {string}
+ */
+export function formatInterpolationError(err) {
+  const location = err.filepath ? `${err.filepath}${err.lineNumber ? `:${err.lineNumber}` : ''}` : err.path;
+  return `${location}: ${err.message}`;
+}
@@ -0,0 +1,225 @@
+import { SCHEMA_VERSION } from './schema.js';
+
+/**
+ * Schema migrations for preferences files
+ *
+ * Each step upgrades data from one schema version to the next. Steps are
+ * applied in order until the data reaches SCHEMA_VERSION. Files without a
+ * `schema_version` key predate versioning and are treated as LEGACY_SCHEMA_VERSION.
+ *
+ * Steps must be no-ops when the data they migrate is absent, since an
+ * unversioned file may already use the current structure.
+ */
+
+export const LEGACY_SCHEMA_VERSION = '0.1.0';
+
+function isEmpty(value) {
+  if (value === null || value === undefined) return true;
+  if (typeof value === 'string') return value.trim() === '';
+  if (Array.isArray(value)) return value.length === 0;
+  if (typeof value === 'object') return Object.values(value).every(isEmpty);
+  return false;
+}
+
+function toList(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Set a scalar field unless the target already has a value
+ * @returns {boolean} True if the value was moved
+ */
+function moveScalar(target, key, value, notes, label) {
+  if (isEmpty(value)) return false;
+
+  if (!isEmpty(target[key])) {
+    notes.push(`Kept existing ${label}; dropped legacy value "${value}"`);
+    return false;
+  }
+
+  target[key] = value;
+  return true;
+}
+
+/**
+ * Append list items to a field, skipping duplicates
+ * A field that already holds a single value or a mapping is kept as it is
+ * @returns {boolean} False if the items had nowhere to go
+ */
+function appendList(target, key, values, notes, label) {
+  const items = toList(values).filter(v => !isEmpty(v));
+  if (items.length === 0) return true;
+
+  if (!isEmpty(target[key]) && !Array.isArray(target[key])) {
+    notes.push(`Kept existing ${label}, which is not a list`);
+    return false;
+  }
+
+  const existing = Array.isArray(target[key]) ? target[key] : [];
+  target[key] = [...existing, ...items.filter(item => !existing.includes(item))];
+  return true;
+}
+
+/**
+ * 0.1.0 → 1.0.0: split legacy `personal` into structured sections
+ */
+function migratePersonal(data, notes) {
+  const personal = data.personal;
+  if (!personal || typeof personal !== 'object') {
+    return data;
+  }
+
+  const { personal: _legacy, ...rest } = data;
+  const result = { ...rest };
+  const remaining = { ...personal };
+
+  const personality = { ...(result.personality || {}) };
+  const background = { ...(result.professional_background || {}) };
+  const interests = { ...(result.personal_interests || {}) };
+  const workingStyle = { ...(result.working_style || {}) };
+
+  // Persona fields: legacy `name`/`role` described who Claude should be
+  moveScalar(personality, 'construct_name', personal.name, notes, 'personality.construct_name');
+  moveScalar(personality, 'description', personal.role, notes, 'personality.description');
+
+  // User context fields
+  moveScalar(background, 'experience', personal.background, notes, 'professional_background.experience');
+  moveScalar(background, 'technical_level', personal.experience_level, notes, 'professional_background.technical_level');
+  // List fields that can't be appended to stay in `personal`
+  const unmoved = new Set();
+  const appendFrom = (source, target, key, label, values = personal[source]) => {
+    if (!appendList(target, key, values, notes, label)) unmoved.add(source);
+  };
+
+  appendFrom('expertise_areas', background, 'philosophy', 'professional_background.philosophy');
+  appendFrom('learning_goals', background, 'philosophy', 'professional_background.philosophy');
+
+  appendFrom('interests', interests, 'primary', 'personal_interests.primary');
+  moveScalar(interests, 'generation', personal.generation, notes, 'personal_interests.generation');
+
+  // Communication preferences
+  appendFrom('communication_style', workingStyle, 'communication', 'working_style.communication');
+  if (personal.working_style && typeof personal.working_style === 'object') {
+    const styleItems = Object.entries(personal.working_style)
+      .filter(([, value]) => !isEmpty(value))
+      .map(([key, value]) => `${key.replace(/_/g, ' ')}: ${value}`);
+    appendFrom('working_style', workingStyle, 'communication', 'working_style.communication', styleItems);
+  }
+
+  for (const key of [
+    'name', 'role', 'background', 'experience_level', 'expertise_areas', 'learning_goals',
+    'interests', 'generation', 'communication_style', 'working_style', '_scope'
+  ]) {
+    if (!unmoved.has(key)) delete remaining[key];
+  }
+
+  // `personal._scope` limited where this content went: sections made from it keep
+  // that limit, sections that already existed keep their own scopes
+  const sections = {
+    personality,
+    professional_background: background,
+    personal_interests: interests,
+    working_style: workingStyle
+  };
+  for (const [name, section] of Object.entries(sections)) {
+    if (isEmpty(section)) continue;
+
+    if (personal._scope === undefined) {
+      result[name] = section;
+    } else if (data[name] === undefined) {
+      result[name] = { _scope: personal._scope, ...section };
+    } else {
+      result[name] = section;
+      notes.push(`Kept the scope of existing ${name}; personal._scope was not applied to it`);
+    }
+  }
+
+  // Anything we don't know how to map stays in `personal` for manual review
+  const leftover = Object.keys(remaining).filter(key => !isEmpty(remaining[key]));
+  if (leftover.length > 0) {
+    result.personal = Object.fromEntries(leftover.map(key => [key, remaining[key]]));
+    notes.push(`Left unmapped fields in personal: ${leftover.join(', ')}`);
+  } else {
+    notes.push('Moved personal section into personality, professional_background, personal_interests and working_style');
+  }
+
+  return result;
+}
+
+export const MIGRATIONS = [
+  {
+    from: '0.1.0',
+    to: '1.0.0',
+    description: 'Split legacy personal section into structured sections',
+    migrate: migratePersonal
+  }
+];
+
+/**
+ * Compare two dotted version strings
+ * @returns {number} Negative if a < b, positive if a > b, 0 if equal
+ */
+export function compareVersions(a, b) {
+  const pa = String(a).split('.').map(n => parseInt(n, 10) || 0);
+  const pb = String(b).split('.').map(n => parseInt(n, 10) || 0);
+
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const diff = (pa[i] || 0) - (pb[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+/**
+ * Get the schema version declared by a preferences object
+ */
+export function getSchemaVersion(data) {
+  return data?.schema_version ? String(data.schema_version) : LEGACY_SCHEMA_VERSION;
+}
+
+/**
+ * Check whether data is older than the current schema
+ */
+export function needsMigration(data) {
+  return compareVersions(getSchemaVersion(data), SCHEMA_VERSION) < 0;
+}
+
+/**
+ * Apply all migration steps needed to bring data to the current schema version
+ * @param {Object} data - Parsed preferences
+ * @returns {{data: Object, fromVersion: string, toVersion: string, applied: Object[]}}
+ * @throws {Error} If the file declares a version newer than this tool supports
+ */
+export function migrateConfig(data) {
+  const fromVersion = getSchemaVersion(data);
+
+  if (compareVersions(fromVersion, SCHEMA_VERSION) > 0) {
+    throw new Error(
+      `Preferences use schema ${fromVersion}, newer than supported ${SCHEMA_VERSION}. Upgrade claude-context-sync.`
+    );
+  }
+
+  let current = data;
+  let version = fromVersion;
+  const applied = [];
+
+  for (const step of MIGRATIONS) {
+    if (compareVersions(version, step.to) >= 0) continue;
+
+    const notes = [];
+    current = step.migrate(current, notes);
+    version = step.to;
+    applied.push({ from: step.from, to: step.to, description: step.description, notes });
+  }
+
+  // Stamp the version first so it is the first key in the rewritten file
+  const { schema_version: _old, ...body } = current;
+  const migrated = { schema_version: SCHEMA_VERSION, ...body };
+
+  return {
+    data: migrated,
+    fromVersion,
+    toVersion: SCHEMA_VERSION,
+    applied
+  };
+}
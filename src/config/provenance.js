@@ -0,0 +1,191 @@
+/**
+ * Provenance tracking for merged preferences
+ *
+ * Each file is loaded into a "traced" tree with the same shape as its data,
+ * except every scalar is a SourcedValue recording the file and line it came
+ * from. Traced trees merge with the regular deepMerge (directives compare
+ * the plain values), so after layering every leaf still knows its origin.
+ */
+import { parseDocument, LineCounter, isMap, isSeq, isScalar, isAlias } from 'yaml';
+import { readText } from '../utils/fs.js';
+import { MERGE_TAGS } from '../utils/merge-tags.js';
+import { deepMerge, mergeDirective, getMergeDirective, MERGE_STRATEGIES } from '../utils/deep-merge.js';
+
+// Source name for values that come from DEFAULT_CONFIG rather than a file
+export const DEFAULTS_SOURCE = 'built-in defaults';
+
+/**
+ * A scalar preference value and where it was defined
+ */
+export class SourcedValue {
+  /**
+   * @param {*} value - Plain scalar value
+   * @param {string} file - Source file (or DEFAULTS_SOURCE)
+   * @param {number|null} [line] - 1-based line number
+   */
+  constructor(value, file, line = null) {
+    this.value = value;
+    this.file = file;
+    this.line = line;
+  }
+}
+
+function isPlainObject(obj) {
+  return obj !== null
+    && typeof obj === 'object'
+    && !Array.isArray(obj)
+    && Object.getPrototypeOf(obj) === Object.prototype;
+}
+
+/**
+ * Trace plain data that has no source text (e.g. DEFAULT_CONFIG)
+ * @param {*} value - Plain data
+ * @param {string} file - Source name
+ * @returns {*} Traced tree
+ */
+export function traceValue(value, file) {
+  if (Array.isArray(value)) {
+    const traced = value.map(item => traceValue(item, file));
+    const directive = getMergeDirective(value);
+    return directive ? mergeDirective(directive.strategy, traced, { key: directive.key }) : traced;
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, child]) => [key, traceValue(child, file)]));
+  }
+  return new SourcedValue(value, file);
+}
+
+/**
+ * Trace a YAML AST node
+ * @private
+ */
+function traceNode(node, context, fallbackLine) {
+  const { doc, file, lineCounter } = context;
+  const lineOf = n => (n?.range ? lineCounter.linePos(n.range[0]).line : fallbackLine);
+
+  if (isMap(node)) {
+    if (node.tag === '!merge') {
+      const items = traceNode(node.get('items', true), context, lineOf(node));
+      return mergeDirective('merge', Array.isArray(items) ? items : [], { key: node.get('by') });
+    }
+
+    const traced = {};
+    for (const pair of node.items) {
+      const key = isScalar(pair.key) ? String(pair.key.value) : String(pair.key);
+      traced[key] = traceNode(pair.value, context, lineOf(pair.key));
+    }
+    return traced;
+  }
+
+  if (isSeq(node)) {
+    const traced = node.items.map(item => traceNode(item, context, lineOf(node)));
+    const strategy = node.tag?.slice(1);
+    return MERGE_STRATEGIES.includes(strategy) ? mergeDirective(strategy, traced) : traced;
+  }
+
+  if (isAlias(node)) {
+    return traceValue(node.toJS(doc), file);
+  }
+
+  return new SourcedValue(isScalar(node) ? node.value : null, file, lineOf(node));
+}
+
+/**
+ * Read a YAML file as both plain data and a traced tree
+ * @param {string} filepath - YAML file
+ * @returns {Promise<{data: *, traced: *}>}
+ * @throws {Error} On unreadable files or invalid YAML
+ */
+export async function readTracedYaml(filepath) {
+  const content = await readText(filepath);
+  const lineCounter = new LineCounter();
+  const doc = parseDocument(content, { lineCounter, customTags: MERGE_TAGS });
+
+  if (doc.errors.length > 0) {
+    throw new Error(`Failed to read YAML file ${filepath}: ${doc.errors[0].message}`);
+  }
+
+  return {
+    data: doc.toJS(),
+    traced: doc.contents ? traceNode(doc.contents, { doc, file: filepath, lineCounter }, 1) : null
+  };
+}
+
+/**
+ * Convert a traced tree back to plain data
+ * @param {*} tree - Traced tree
+ * @returns {*} Plain data
+ */
+export function stripProvenance(tree) {
+  if (tree instanceof SourcedValue) return tree.value;
+  if (Array.isArray(tree)) return tree.map(stripProvenance);
+  if (isPlainObject(tree)) {
+    return Object.fromEntries(Object.entries(tree).map(([key, child]) => [key, stripProvenance(child)]));
+  }
+  return tree;
+}
+
+/**
+ * Merge traced trees in order, like deepMergeAll
+ * @param {...*} trees - Traced trees (null entries are skipped)
+ * @returns {Object} Merged traced tree
+ */
+export function mergeTraced(...trees) {
+  return trees
+    .filter(tree => tree !== null && tree !== undefined)
+    .reduce((acc, tree) => deepMerge(acc, tree, { compareAs: stripProvenance }), {});
+}
+
+/**
+ * Parse a dotted YAML path such as `technical.tools[0]` or `technical.tools.0`
+ * @param {string} [pathString] - Dotted path (empty for the root)
+ * @returns {Array<string|number>} Path segments
+ */
+export function parsePath(pathString = '') {
+  return pathString
+    .replace(/\[(\d+)\]/g, '.$1')
+    .split('.')
+    .filter(Boolean)
+    .map(segment => (/^\d+$/.test(segment) ? Number(segment) : segment));
+}
+
+/**
+ * Get the subtree at a path
+ * @param {*} tree - Traced (or plain) tree
+ * @param {Array<string|number>} path - Path segments
+ * @returns {*} Subtree, or undefined if the path doesn't exist
+ */
+export function getAtPath(tree, path) {
+  return path.reduce((node, segment) => {
+    if (node instanceof SourcedValue || node === null || typeof node !== 'object') return undefined;
+    return node[segment];
+  }, tree);
+}
+
+/**
+ * Flatten a traced tree into one entry per scalar value
+ * @param {*} tree - Traced tree
+ * @param {Array<string|number>} [path] - Path of tree within the full config
+ * @returns {Array<{path: Array<string|number>, value: *, file: string, line: number|null}>}
+ */
+export function listProvenance(tree, path = []) {
+  if (tree instanceof SourcedValue) {
+    return [{ path, value: tree.value, file: tree.file, line: tree.line }];
+  }
+  if (Array.isArray(tree)) {
+    return tree.flatMap((item, index) => listProvenance(item, [...path, index]));
+  }
+  if (isPlainObject(tree)) {
+    return Object.entries(tree).flatMap(([key, child]) => listProvenance(child, [...path, key]));
+  }
+  return [];
+}
+
+/**
+ * Format a source location as `file:line`
+ * @param {{file: string, line: number|null}} entry
+ * @returns {string}
+ */
+export function formatSource({ file, line }) {
+  return line ? `${file}:${line}` : file;
+}
@@ -0,0 +1,274 @@
+/**
+ * Preferences schema
+ *
+ * JSON Schema (draft 2020-12 subset) describing every documented section of
+ * preferences.yaml. See docs/SCHEMA.md for the human-readable reference.
+ *
+ * Supported keywords: type, properties, additionalProperties, items, enum, required.
+ * Sections listed in `properties` are validated strictly for types; unknown keys
+ * are allowed (custom sections are a supported feature) but keys that look like
+ * typos of a known key are reported by the validator.
+ */
+
+import { CONDITION_KEYS } from './conditions.js';
+
+export const SCHEMA_VERSION = '1.0.0';
+
+const stringList = { type: 'array', items: { type: 'string' } };
+const openObject = { type: 'object' };
+
+// Per-section annotation controlling which targets receive the section
+const scopeAnnotation = stringList;
+
+// Top-level keys that configure the tool itself and never appear in output
+export const TOOLING_KEYS = ['schema_version', 'extends', 'vars', 'transformers', 'token_budget', 'scopes', 'backups'];
+
+// A `_when:` condition: one pattern or a list of alternatives
+const conditionPatterns = { type: ['string', 'array'], items: { type: 'string' } };
+
+// Priority levels for `_priority`, most important first
+export const PRIORITY_LEVELS = ['critical', 'high', 'normal', 'low'];
+
+/**
+ * Annotations any section or subsection may carry, validated wherever they appear
+ * - _scope: targets that receive the section
+ * - _priority: how hard compressed formats try to keep it
+ * - _min_depth: nesting levels kept even when a format limits depth
+ * - _when: conditions the block (or list item) is included under
+ */
+export const ANNOTATIONS = {
+  _scope: scopeAnnotation,
+  _priority: { type: 'string', enum: PRIORITY_LEVELS },
+  _min_depth: { type: 'integer' },
+  _when: {
+    type: 'object',
+    properties: Object.fromEntries(CONDITION_KEYS.map(key => [key, conditionPatterns])),
+    additionalProperties: false
+  }
+};
+
+const creativePursuit = {
+  type: 'object',
+  properties: {
+    artist_alias: { type: 'string' },
+    pen_name: { type: 'string' },
+    alias: { type: 'string' },
+    passion: { type: 'string' },
+    background: stringList,
+    active_work: {
+      type: 'object',
+      properties: {
+        role: { type: 'string' },
+        genres: stringList,
+        approach: stringList
+      }
+    },
+    engagement_patterns: stringList
+  }
+};
+
+export const PREFERENCES_SCHEMA = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  $id: `https://github.com/nlsherman-24861/claude-context-sync/schema/preferences/${SCHEMA_VERSION}`,
+  title: 'claude-context-sync preferences',
+  type: 'object',
+  required: ['technical', 'project_defaults'],
+  properties: {
+    schema_version: { type: ['string', 'number'] },
+
+    // Parent preference files merged before this one (paths, packages, git+ URLs)
+    extends: { type: ['string', 'array'], items: { type: 'string' } },
+
+    // Values for ${var:name} references; layers may override them
+    vars: openObject,
+
+    // Transformer plugin modules (paths relative to this file, or package names)
+    transformers: stringList,
+
+    // --max-tokens trimming: sections to drop, least essential first
+    token_budget: {
+      type: 'object',
+      properties: {
+        drop_order: stringList
+      },
+      additionalProperties: false
+    },
+
+    // Where sync keeps backups of the files it overwrites, and for how long
+    backups: {
+      type: 'object',
+      properties: {
+        location: { type: 'string', enum: ['central', 'target'] },
+        directory: { type: 'string' },
+        keep: { type: 'integer' },
+        max_age_days: { type: 'number' },
+        compress: { type: 'boolean' }
+      },
+      additionalProperties: false
+    },
+
+    // Targets for sections without their own _scope (section name -> targets, '*' for the rest)
+    scopes: {
+      type: 'object',
+      additionalProperties: stringList
+    },
+
+    personal: {
+      type: 'object',
+      properties: {
+        _scope: scopeAnnotation,
+        name: { type: 'string' },
+        role: { type: 'string' },
+        background: { type: 'string' },
+        experience_level: { type: 'string' },
+        communication_style: { type: 'string' },
+        expertise_areas: stringList,
+        learning_goals: stringList,
+        interests: stringList,
+        generation: { type: 'string' },
+        working_style: openObject
+      }
+    },
+
+    professional_background: {
+      type: 'object',
+      properties: {
+        _scope: scopeAnnotation,
+        experience: { type: 'string' },
+        technical_level: { type: 'string' },
+        philosophy: { type: ['array', 'object'], items: { type: 'string' } }
+      }
+    },
+
+    creative_pursuits: {
+      type: 'object',
+      properties: {
+        _scope: scopeAnnotation
+      },
+      additionalProperties: creativePursuit
+    },
+
+    personal_interests: {
+      type: 'object',
+      properties: {
+        _scope: scopeAnnotation,
+        primary: stringList,
+        engagement_style: stringList,
+        generation: { type: 'string' }
+      }
+    },
+
+    working_style: {
+      type: 'object',
+      properties: {
+        _scope: scopeAnnotation,
+        communication: stringList,
+        tone: stringList,
+        feedback: stringList,
+        learning: stringList,
+        learning_approach: stringList,
+        decision_points: openObject,
+        context_management: { type: ['array', 'object'], items: { type: 'string' } },
+        context_awareness: openObject,
+        learning_and_explanation: openObject,
+        self_diagnostics: openObject
+      }
+    },
+
+    technical_approach: {
+      type: 'object',
+      properties: {
+        _scope: scopeAnnotation,
+        philosophy: stringList,
+        coding_style: stringList,
+        workflow: {
+          type: 'object',
+          additionalProperties: stringList
+        }
+      }
+    },
+
+    technical: {
+      type: 'object',
+      properties: {
+        _scope: scopeAnnotation,
+        preferred_languages: stringList,
+        frameworks: stringList,
+        tools: stringList,
+        platforms: stringList,
+        language_preferences: openObject,
+        testing_standards: openObject,
+        linting_policy: openObject,
+        documentation: openObject,
+        markdown_formatting: openObject,
+        file_operations: openObject,
+        best_practices: openObject,
+        agent_collaboration: openObject,
+        git_authentication: openObject,
+        git_commit_discipline: openObject,
+        git_github_security: openObject,
+        git_github_workflow: { type: ['array', 'object'] },
+        code_quality: stringList,
+        problem_solving: stringList,
+        mcp_and_environment_selection: stringList
+      }
+    },
+
+    project_defaults: {
+      type: 'object',
+      properties: {
+        _scope: scopeAnnotation,
+        git_workflow: { type: ['string', 'object'] },
+        code_style: { type: 'string' },
+        testing_approach: { type: 'string' },
+        documentation_level: { type: 'string' },
+        meta_work_balance: { type: 'string' },
+        ai_philosophy: { type: 'string' },
+        code_quality: openObject,
+        repository_setup: stringList,
+        configurator_setup: openObject,
+        preference_sync: openObject,
+        timeboxing_and_completion: openObject
+      }
+    },
+
+    personality: {
+      type: 'object',
+      properties: {
+        _scope: scopeAnnotation,
+        construct_name: { type: 'string' },
+        name: { type: 'string' },
+        description: { type: 'string' },
+        archetype: { type: 'string' },
+        generation: { type: 'string' },
+        traits: stringList
+      }
+    },
+
+    project_conventions: {
+      type: 'object',
+      properties: {
+        _scope: scopeAnnotation
+      },
+      additionalProperties: stringList
+    },
+
+    project_specific: {
+      type: 'object',
+      properties: {
+        _scope: scopeAnnotation
+      }
+    },
+
+    claude_interfaces: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        properties: {
+          enabled: { type: 'boolean' },
+          sync_frequency: { type: 'string' }
+        }
+      }
+    }
+  }
+};
@@ -0,0 +1,86 @@
+/**
+ * Section scopes
+ *
+ * Decides which targets (chat, global, project, or any custom name) receive
+ * each top-level section. In order of precedence:
+ * 1. The section's own `_scope` list
+ * 2. Its entry in the top-level `scopes:` mapping
+ * 3. The built-in defaults below
+ * 4. The `'*'` entry in `scopes:`, else `['global']`
+ */
+
+export const BUILTIN_TARGETS = ['chat', 'global', 'project'];
+
+// Key in `scopes:` that applies to sections nothing else covers
+export const SCOPE_WILDCARD = '*';
+
+export const FALLBACK_SCOPES = ['global'];
+
+export const DEFAULT_SCOPES = {
+  // Chat and global scopes
+  professional_background: ['chat', 'global'],
+  personal_interests: ['chat', 'global'],
+  personality: ['chat', 'global'],
+
+  // All scopes
+  working_style: ['chat', 'global', 'project'],
+
+  // Global and project scopes
+  technical_approach: ['global', 'project'],
+  project_conventions: ['global', 'project'],
+
+  // Legacy field mappings
+  personal: ['chat', 'global'],
+  technical: ['global', 'project']
+};
+
+/**
+ * Targets for a section without an explicit `_scope`
+ * @param {string} sectionName - Top-level section name
+ * @param {Object} [scopes] - The `scopes:` mapping from preferences
+ * @returns {{targets: string[], source: string}} source is 'scopes', 'default' or 'fallback'
+ */
+export function getDefaultScopes(sectionName, scopes = {}) {
+  if (Array.isArray(scopes?.[sectionName])) {
+    return { targets: scopes[sectionName], source: 'scopes' };
+  }
+  if (DEFAULT_SCOPES[sectionName]) {
+    return { targets: DEFAULT_SCOPES[sectionName], source: 'default' };
+  }
+  if (Array.isArray(scopes?.[SCOPE_WILDCARD])) {
+    return { targets: scopes[SCOPE_WILDCARD], source: 'scopes' };
+  }
+  return { targets: FALLBACK_SCOPES, source: 'fallback' };
+}
+
+/**
+ * Targets a section is sent to
+ * @param {string} sectionName - Top-level section name
+ * @param {Object} section - Section value
+ * @param {Object} [scopes] - The `scopes:` mapping from preferences
+ * @returns {{targets: string[], source: string}} source is '_scope', 'scopes', 'default' or 'fallback'
+ */
+export function resolveSectionScopes(sectionName, section, scopes = {}) {
+  if (Array.isArray(section?._scope)) {
+    return { targets: section._scope, source: '_scope' };
+  }
+  return getDefaultScopes(sectionName, scopes);
+}
+
+/**
+ * Every target named anywhere in preferences, built-in targets first
+ * @param {Object} preferences - Merged preferences
+ * @returns {string[]}
+ */
+export function listTargets(preferences) {
+  const targets = new Set(BUILTIN_TARGETS);
+
+  for (const list of Object.values(preferences.scopes || {})) {
+    if (Array.isArray(list)) list.forEach(t => targets.add(t));
+  }
+  for (const section of Object.values(preferences)) {
+    if (Array.isArray(section?._scope)) section._scope.forEach(t => targets.add(t));
+  }
+
+  return [...targets];
+}
@@ -0,0 +1,276 @@
+import { parseDocument, LineCounter, isMap, isSeq, isPair, isScalar } from 'yaml';
+import { readText } from '../utils/fs.js';
+import { PREFERENCES_SCHEMA, ANNOTATIONS } from '../config/schema.js';
+import { YamlParseError } from './yaml-parser.js';
+import { MERGE_TAGS } from '../utils/merge-tags.js';
+import { isVariableReference } from '../config/interpolate.js';
+
+/**
+ * Schema validation for preferences files
+ *
+ * Validates parsed data against PREFERENCES_SCHEMA and maps each violation
+ * back to the YAML source so errors can be reported as path + line/column.
+ */
+
+// Maximum edit distance for an unknown key to be reported as a likely typo
+const TYPO_DISTANCE = 2;
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, expected) {
+  const actual = typeOf(value);
+  const types = Array.isArray(expected) ? expected : [expected];
+  return types.some(t => t === actual || (t === 'number' && actual === 'integer'));
+}
+
+/**
+ * Levenshtein distance between two strings
+ */
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    let prev = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const temp = row[j];
+      row[j] = a[i - 1] === b[j - 1]
+        ? prev
+        : 1 + Math.min(prev, row[j], row[j - 1]);
+      prev = temp;
+    }
+  }
+
+  return row[b.length];
+}
+
+function findSimilarKey(key, knownKeys) {
+  if (key.length <= TYPO_DISTANCE + 1) {
+    return null;
+  }
+
+  let best = null;
+  let bestDistance = TYPO_DISTANCE + 1;
+  for (const known of knownKeys) {
+    const distance = editDistance(key, known);
+    if (distance > 0 && distance < bestDistance) {
+      best = known;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+function isConditionalItem(item, itemSchema) {
+  return typeOf(item) === 'object'
+    && '_when' in item
+    && Boolean(itemSchema.type)
+    && !matchesType(item, itemSchema.type);
+}
+
+function walk(value, schema, path, errors, options) {
+  // Unset values (`key:` with nothing after it) are treated as absent
+  if (value === null || value === undefined || !schema) {
+    return;
+  }
+
+  // `${var:name}` stands for a value of any type until it is resolved
+  if (isVariableReference(value)) {
+    return;
+  }
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    const expected = Array.isArray(schema.type) ? schema.type.join(' or ') : schema.type;
+    errors.push({ path, message: `Expected ${expected}, got ${typeOf(value)}` });
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `Must be one of: ${schema.enum.join(', ')}` });
+    return;
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      // `- {_when: ..., value: x}` stands for x in a list of scalars
+      if (isConditionalItem(item, schema.items)) {
+        walk(item._when, ANNOTATIONS._when, [...path, index, '_when'], errors, options);
+        walk(item.value, schema.items, [...path, index, 'value'], errors, options);
+        return;
+      }
+      walk(item, schema.items, [...path, index], errors, options);
+    });
+    return;
+  }
+
+  if (typeOf(value) !== 'object') {
+    return;
+  }
+
+  const properties = schema.properties || {};
+  const knownKeys = Object.keys(properties);
+
+  if (!options.partial || path.length > 0) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null) {
+        errors.push({ path, message: `Missing required section: ${key}` });
+      }
+    }
+  }
+
+  for (const [key, child] of Object.entries(value)) {
+    const childPath = [...path, key];
+
+    if (key in ANNOTATIONS) {
+      walk(child, ANNOTATIONS[key], childPath, errors, options);
+    } else if (key in properties) {
+      walk(child, properties[key], childPath, errors, options);
+    } else if (schema.additionalProperties === false) {
+      errors.push({ path: childPath, message: `Unknown key '${key}'`, onKey: true });
+    } else if (typeof schema.additionalProperties === 'object') {
+      walk(child, schema.additionalProperties, childPath, errors, options);
+    } else {
+      // Underscore keys are annotations wherever they appear, so check those too
+      const candidates = key.startsWith('_') ? [...knownKeys, ...Object.keys(ANNOTATIONS)] : knownKeys;
+      const suggestion = findSimilarKey(key, candidates);
+      if (suggestion) {
+        errors.push({
+          path: childPath,
+          message: `Unknown key '${key}' (did you mean '${suggestion}'?)`,
+          onKey: true
+        });
+      }
+    }
+  }
+}
+
+/**
+ * Validate parsed preferences against the schema
+ * @param {*} data - Parsed YAML data
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Skip required-section checks (for layer files)
+ * @param {Object} [options.schema] - Schema to validate against (defaults to PREFERENCES_SCHEMA)
+ * @returns {{valid: boolean, errors: Array<{path: Array<string|number>, message: string}>}}
+ */
+export function validateSchema(data, options = {}) {
+  const { schema = PREFERENCES_SCHEMA, partial = false } = options;
+  const errors = [];
+
+  if (typeOf(data) !== 'object') {
+    errors.push({ path: [], message: 'Root must be an object' });
+  } else {
+    walk(data, schema, [], errors, { partial });
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Find the YAML node for a path, returning the pair key for key-level errors
+ * @private
+ */
+function findNode(doc, path, onKey) {
+  let node = doc.contents;
+  let keyNode = null;
+
+  for (const segment of path) {
+    if (isMap(node)) {
+      const pair = node.items.find(item => isPair(item) &&
+        (isScalar(item.key) ? item.key.value : item.key) === segment);
+      if (!pair) return node;
+      keyNode = pair.key;
+      node = pair.value;
+    } else if (isSeq(node)) {
+      keyNode = null;
+      node = node.items[segment];
+    } else {
+      break;
+    }
+  }
+
+  return onKey && keyNode ? keyNode : (node || keyNode);
+}
+
+/**
+ * Format a path array as a dotted YAML path (e.g. technical.tools[2])
+ */
+export function formatPath(path) {
+  if (path.length === 0) return '<root>';
+
+  return path.reduce((acc, segment) => {
+    if (typeof segment === 'number') return `${acc}[${segment}]`;
+    return acc ? `${acc}.${segment}` : segment;
+  }, '');
+}
+
+/**
+ * Validate YAML source text, attaching line/column to each violation
+ * @param {string} content - YAML source
+ * @param {string} [filepath] - File path used in error reports
+ * @param {Object} [options] - Passed to validateSchema
+ * @returns {{valid: boolean, errors: Array<Object>, data: *}}
+ * @throws {YamlParseError} If the content is not valid YAML
+ */
+export function validatePreferencesContent(content, filepath = '<string>', options = {}) {
+  const lineCounter = new LineCounter();
+  const doc = parseDocument(content, { lineCounter, customTags: MERGE_TAGS });
+
+  if (doc.errors.length > 0) {
+    const yamlError = doc.errors[0];
+    throw new YamlParseError(
+      `Invalid YAML syntax: ${yamlError.message}`,
+      filepath,
+      yamlError.linePos?.[0]?.line ?? null,
+      yamlError.linePos?.[0]?.col ?? null
+    );
+  }
+
+  const data = doc.toJS();
+  const { valid, errors } = validateSchema(data, options);
+
+  const located = errors.map(err => {
+    const node = findNode(doc, err.path, err.onKey);
+    const pos = node?.range ? lineCounter.linePos(node.range[0]) : null;
+
+    return {
+      path: formatPath(err.path),
+      message: err.message,
+      filepath,
+      lineNumber: pos?.line ?? null,
+      columnNumber: pos?.col ?? null
+    };
+  });
+
+  return { valid, errors: located, data };
+}
+
+/**
+ * Validate a preferences file on disk
+ * @param {string} filepath - Path to preferences YAML
+ * @param {Object} [options] - Passed to validateSchema
+ */
+export async function validatePreferencesFile(filepath, options = {}) {
+  const content = await readText(filepath);
+  return validatePreferencesContent(content, filepath, options);
+}
+
+/**
+ * Format a located violation for display
+ * @param {Object} err - Error returned by validatePreferencesContent
+ * @returns {string} e.g. "working_style.tone (line 12, column 3): Expected array, got string"
+ */
+export function formatSchemaError(err) {
+  const column = err.columnNumber ? `, column ${err.columnNumber}` : '';
+  const location = err.lineNumber
+    ? ` (line ${err.lineNumber}${column})`
+    : '';
+  return `${err.path}${location}: ${err.message}`;
+}
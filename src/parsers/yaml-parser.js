@@ -1,5 +1,8 @@
-import { parse, stringify, parseDocument } from 'yaml';
+import { parse, stringify, parseDocument, isMap, isScalar } from 'yaml';
+import { isDeepStrictEqual } from 'util';
 import { readYaml } from '../utils/fs.js';
+import { MERGE_TAGS } from '../utils/merge-tags.js';
+import { isVariableReference } from '../config/interpolate.js';
 
 export class YamlParseError extends Error {
   constructor(message, filepath, lineNumber = null, columnNumber = null) {
@@ -34,7 +37,7 @@ export async function parseYamlFile(filepath) {
 
 export function parseYamlString(content, filepath = '<string>') {
   try {
-    return parse(content);
+    return parse(content, { customTags: MERGE_TAGS });
   } catch (error) {
     const lineNumber = error.linePos?.[0]?.line;
     const columnNumber = error.linePos?.[0]?.col;
@@ -93,7 +96,8 @@ export function validateBasicStructure(data) {
   if (data.technical && typeof data.technical === 'object') {
     const arrayFields = ['preferred_languages', 'frameworks', 'tools', 'platforms'];
     for (const field of arrayFields) {
-      if (data.technical[field] && !Array.isArray(data.technical[field])) {
+      const value = data.technical[field];
+      if (value && !Array.isArray(value) && !isVariableReference(value)) {
         errors.push(`Field 'technical.${field}' must be an array`);
       }
     }
@@ -105,17 +109,55 @@ export function validateBasicStructure(data) {
   };
 }
 
+/**
+ * Update a YAML map node in place so it matches plain data
+ * Existing pairs are reused (keeping their comments); changed values are replaced
+ * @private
+ */
+function syncMapNode(doc, mapNode, data) {
+  const existing = new Map(
+    mapNode.items.map(pair => [isScalar(pair.key) ? pair.key.value : pair.key, pair])
+  );
+
+  const firstPair = mapNode.items[0];
+
+  mapNode.items = Object.entries(data).map(([key, value]) => {
+    const pair = existing.get(key);
+    if (!pair) {
+      return doc.createPair(key, value);
+    }
+
+    if (isMap(pair.value) && value && typeof value === 'object' && !Array.isArray(value)) {
+      syncMapNode(doc, pair.value, value);
+    } else if (!isDeepStrictEqual(pair.value?.toJSON?.() ?? pair.value, value)) {
+      pair.value = doc.createNode(value);
+    }
+    return pair;
+  });
+
+  // Keep a leading (header) comment in place when the first key moves or is removed
+  const newFirst = mapNode.items[0];
+  if (firstPair?.key?.commentBefore && newFirst && newFirst !== firstPair && isScalar(newFirst.key)) {
+    newFirst.key.commentBefore = firstPair.key.commentBefore;
+    firstPair.key.commentBefore = undefined;
+  }
+}
+
 export function preserveComments(originalContent, newData) {
   try {
     // Parse with document to preserve comments
-    const doc = parseDocument(originalContent);
-    
-    // Update the document with new data while preserving structure
-    doc.contents = newData;
-    
+    const doc = parseDocument(originalContent, { customTags: MERGE_TAGS });
+
+    if (isMap(doc.contents) && newData && typeof newData === 'object' && !Array.isArray(newData)) {
+      // Update the existing node tree so comments attached to unchanged keys survive
+      syncMapNode(doc, doc.contents, newData);
+    } else {
+      doc.contents = doc.createNode(newData);
+    }
+
     return doc.toString();
   } catch (_error) {
     // Fallback to regular stringify if comment preservation fails
     return stringifyYaml(newData);
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,239 @@
+/**
+ * Backups of target files, taken before a sync or restore overwrites them
+ *
+ * Backups are kept in one of two places, set by the `backups:` section of
+ * preferences.yaml:
+ *
+ *   central  ~/.config/claude/backups/<target key>/ (default), so nothing
+ *            lands in the repos being synced
+ *   target   a .backups/ directory next to the target, with a .gitignore
+ *
+ * Each new backup prunes the target's older ones past the retention limits
+ * (`keep` backups, none older than `max_age_days`). Backups written next to
+ * the target by earlier versions (`CLAUDE.md.backup.<timestamp>`) are listed
+ * and pruned with the rest.
+ */
+
+import { join, resolve, dirname, basename } from 'path';
+import { readFileSync, writeFileSync, existsSync, mkdirSync, readdirSync, rmSync, statSync } from 'fs';
+import { gzipSync, gunzipSync } from 'zlib';
+import { createHash } from 'crypto';
+import { homedir } from 'os';
+import { expandTilde } from '../utils/platform.js';
+import { parseAge } from '../utils/time.js';
+
+export const BACKUP_LOCATIONS = ['central', 'target'];
+
+export const DEFAULT_BACKUP_POLICY = {
+  location: 'central',
+  directory: null,
+  keep: 10,
+  max_age_days: null,
+  compress: false
+};
+
+// Directory per-target backups go in, next to the target
+const TARGET_BACKUP_DIRECTORY = '.backups';
+
+// Records which file a central backup directory belongs to
+const TARGET_FILE = 'target';
+
+// <name>.backup.2025-01-02-03-04-05-678[.gz]
+const BACKUP_NAME_PATTERN = /\.backup\.(\d{4})-(\d{2})-(\d{2})-(\d{2})-(\d{2})-(\d{2})(?:-(\d{3}))?(\.gz)?$/;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Directory central backups are kept in
+ * @returns {string} ~/.config/claude/backups
+ */
+export function getBackupDirectory() {
+  return join(homedir(), '.config', 'claude', 'backups');
+}
+
+function formatTimestamp(date) {
+  return date.toISOString()
+    .replace(/:/g, '-')
+    .replace(/\..+$/, '')
+    .replace('T', '-') + '-' + date.getMilliseconds().toString().padStart(3, '0');
+}
+
+/**
+ * When a backup was taken, from its file name
+ * @returns {Date|null} null if the name isn't a backup's
+ */
+function parseBackupName(name) {
+  const match = name.match(BACKUP_NAME_PATTERN);
+  if (!match) return null;
+
+  const [year, month, day, hours, minutes, seconds, millis] = match.slice(1, 8).map(part => Number(part ?? 0));
+  return new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds, millis));
+}
+
+/**
+ * Backups of each target file, with a retention and compression policy
+ */
+export class BackupStore {
+  /**
+   * @param {Object} [policy] - The `backups:` section of preferences.yaml
+   * @param {string} [policy.location='central'] - central or target
+   * @param {string} [policy.directory] - Central store (defaults to ~/.config/claude/backups)
+   * @param {number} [policy.keep=10] - Backups kept per target (0 for no limit)
+   * @param {number} [policy.max_age_days] - Remove backups older than this
+   * @param {boolean} [policy.compress=false] - gzip new backups
+   */
+  constructor(policy = {}) {
+    const { location, directory, keep, max_age_days: maxAgeDays, compress } = { ...DEFAULT_BACKUP_POLICY, ...policy };
+
+    if (!BACKUP_LOCATIONS.includes(location)) {
+      throw new Error(`Invalid backups.location: ${location} (expected one of: ${BACKUP_LOCATIONS.join(', ')})`);
+    }
+
+    this.location = location;
+    this.directory = directory ? resolve(expandTilde(directory)) : getBackupDirectory();
+    this.keep = keep;
+    this.maxAgeDays = maxAgeDays;
+    this.compress = compress;
+  }
+
+  /**
+   * Directory a target's backups are written to
+   */
+  directoryFor(targetPath) {
+    const target = resolve(targetPath);
+    if (this.location === 'target') {
+      return join(dirname(target), TARGET_BACKUP_DIRECTORY);
+    }
+    return join(this.directory, createHash('sha256').update(target).digest('hex').slice(0, 16));
+  }
+
+  /**
+   * Back up a target as it is now, then prune its old backups
+   * @returns {string} Path of the new backup
+   */
+  create(targetPath) {
+    const directory = this.directoryFor(targetPath);
+    mkdirSync(directory, { recursive: true });
+
+    if (this.location === 'target') {
+      const ignore = join(directory, '.gitignore');
+      if (!existsSync(ignore)) writeFileSync(ignore, '*\n', 'utf-8');
+    } else {
+      writeFileSync(join(directory, TARGET_FILE), resolve(targetPath), 'utf-8');
+    }
+
+    const content = readFileSync(targetPath);
+    const name = `${basename(targetPath)}.backup.${formatTimestamp(new Date())}`;
+    const backupPath = join(directory, this.compress ? `${name}.gz` : name);
+    writeFileSync(backupPath, this.compress ? gzipSync(content) : content);
+
+    this.prune(targetPath);
+    return backupPath;
+  }
+
+  /**
+   * Backups of a target, most recent first
+   * @returns {Array<{path: string, createdAt: Date, compressed: boolean, size: number}>} size is
+   *   in bytes on disk
+   */
+  list(targetPath) {
+    const name = basename(targetPath);
+    const directories = [...new Set([this.directoryFor(targetPath), dirname(resolve(targetPath))])];
+
+    return directories
+      .filter(directory => existsSync(directory))
+      .flatMap(directory => readdirSync(directory)
+        .filter(file => file.startsWith(`${name}.backup.`))
+        .map(file => ({ path: join(directory, file), createdAt: parseBackupName(file), compressed: file.endsWith('.gz') }))
+        .filter(backup => backup.createdAt)
+        .map(backup => ({ ...backup, size: statSync(backup.path).size })))
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /**
+   * Find one of a target's backups
+   * @param {string} targetPath
+   * @param {string} ref - Backup path, 1-based index in list() order, or a relative time
+   *   ("2 days ago") for the newest backup at least that old
+   * @param {Date} [now=new Date()]
+   * @returns {string} Backup path
+   * @throws {Error} If no backup matches
+   */
+  find(targetPath, ref, now = new Date()) {
+    const text = String(ref).trim();
+
+    if (/^\d+$/.test(text)) {
+      const backups = this.list(targetPath);
+      const backup = backups[Number(text) - 1];
+      if (!backup) {
+        throw new Error(`No backup #${text} for ${targetPath} (${backups.length} available)`);
+      }
+      return backup.path;
+    }
+
+    const age = parseAge(text);
+    if (age !== null) {
+      const backup = this.list(targetPath).find(b => now - b.createdAt >= age);
+      if (!backup) {
+        throw new Error(`No backup of ${targetPath} from ${text} or earlier`);
+      }
+      return backup.path;
+    }
+
+    if (!existsSync(text)) {
+      throw new Error(`Backup not found: ${text}`);
+    }
+    return text;
+  }
+
+  /**
+   * Content of a backup, decompressed
+   * @returns {string}
+   */
+  read(backupPath) {
+    if (!existsSync(backupPath)) {
+      throw new Error(`Backup not found: ${backupPath}`);
+    }
+
+    const data = readFileSync(backupPath);
+    return (backupPath.endsWith('.gz') ? gunzipSync(data) : data).toString('utf-8');
+  }
+
+  /**
+   * Remove a target's backups past the retention limits
+   * The most recent backup is kept whatever its age
+   * @param {string} targetPath
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun=false] - Only report what would be removed
+   * @param {Date} [options.now=new Date()]
+   * @returns {string[]} Removed (or, in a dry run, removable) backups
+   */
+  prune(targetPath, options = {}) {
+    const { dryRun = false, now = new Date() } = options;
+
+    const removed = this.list(targetPath)
+      .filter((backup, index) => index > 0 && (
+        (this.keep > 0 && index >= this.keep) ||
+        (this.maxAgeDays != null && now - backup.createdAt > this.maxAgeDays * DAY)
+      ))
+      .map(backup => backup.path);
+
+    if (!dryRun) {
+      removed.forEach(path => rmSync(path, { force: true }));
+    }
+    return removed;
+  }
+
+  /**
+   * Targets with backups in the central store
+   * @returns {string[]} Target paths (always empty for per-target backups)
+   */
+  targets() {
+    if (this.location !== 'central' || !existsSync(this.directory)) return [];
+
+    return readdirSync(this.directory)
+      .map(key => join(this.directory, key, TARGET_FILE))
+      .filter(file => existsSync(file))
+      .map(file => readFileSync(file, 'utf-8').trim());
+  }
+}
@@ -1,21 +1,74 @@
-import { join, dirname } from 'path';
+import { join } from 'path';
 import { homedir } from 'os';
-import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { readFileSync, existsSync } from 'fs';
+import { wrapManagedRegion, mergeManagedRegion, findManagedRegion } from './managed-region.js';
+import { SnapshotStore, SyncConflictError, reconcileGenerated } from './snapshots.js';
+import { BackupStore } from './backups.js';
+import { extractPreservedSections, insertPreservedSections } from './preserved-sections.js';
+import { hasSameSourceHash, parseMetadata } from '../utils/version.js';
+import { writeFileAtomic, withFileLock } from '../utils/atomic-write.js';
 
 /**
  * Manages file synchronization for CLAUDE.md files
  */
 export class FileSync {
-  constructor() {
+  constructor(options = {}) {
     // Claude Code stores CLAUDE.md in ~/.claude/
     this.globalCLAUDEPath = join(homedir(), '.claude', 'CLAUDE.md');
+    this.snapshots = new SnapshotStore(options.snapshotDirectory);
+    // Backup location, retention and compression (the `backups:` preferences section)
+    this.backups = new BackupStore(options.backups);
+    // Where sync locks are held (defaults to ~/.config/claude/locks)
+    this.lockDirectory = options.lockDirectory;
+  }
+
+  /**
+   * Work out what syncGlobal would write, without writing anything
+   * @returns {{path: string, current: string|null, content: string, unchanged: boolean,
+   *   editsMerged: boolean, conflicts: Array}} current is the file as it is now (null if missing),
+   *   content what the sync would write; unchanged when the source hash in its header still matches
+   * @throws {SyncConflictError} If edits conflict and onConflict is 'report'
+   */
+  planGlobal(content, options = {}) {
+    const { onConflict } = options;
+    const path = this.globalCLAUDEPath;
+
+    const current = existsSync(path) ? readFileSync(path, 'utf-8') : null;
+    if (hasSameSourceHash(current, content)) {
+      return { path, current, content: current, unchanged: true, editsMerged: false, conflicts: [] };
+    }
+
+    const reconciled = reconcileGenerated({
+      current,
+      previous: this.snapshots.read(path)?.content ?? null,
+      generated: content,
+      onConflict
+    });
+
+    if (reconciled.content === null) {
+      throw new SyncConflictError(path, reconciled.conflicts);
+    }
+
+    return {
+      path,
+      current,
+      content: reconciled.content,
+      unchanged: false,
+      editsMerged: reconciled.merged,
+      conflicts: reconciled.conflicts
+    };
   }
 
   /**
    * Sync content to global CLAUDE.md
+   * Edits made to the file since the last sync are merged into the new content.
+   * The file is locked from reading to writing, and written atomically.
+   * `generatedWith` (e.g. `{ maxTokens }`) is stored with the snapshot for `status`
+   * @throws {SyncConflictError} If edits conflict and onConflict is 'report'
+   * @throws {FileLockError} If another sync is writing the file
    */
   async syncGlobal(content, options = {}) {
-    const { backup = true, dryRun = false } = options;
+    const { backup = true, dryRun = false, onConflict, generatedWith } = options;
 
     if (dryRun) {
       console.log('DRY RUN - Would write to:', this.globalCLAUDEPath);
@@ -23,30 +76,85 @@ export class FileSync {
       return { success: true, dryRun: true, path: this.globalCLAUDEPath };
     }
 
-    // Ensure directory exists
-    const dir = dirname(this.globalCLAUDEPath);
-    if (!existsSync(dir)) {
-      mkdirSync(dir, { recursive: true });
+    return withFileLock(this.globalCLAUDEPath, async () => {
+      const plan = this.planGlobal(content, { onConflict });
+      if (plan.unchanged) {
+        return { success: true, path: plan.path, unchanged: true };
+      }
+
+      // Backup existing file
+      if (backup && plan.current !== null) {
+        await this.createBackup(plan.path);
+      }
+
+      // Write new content
+      writeFileAtomic(plan.path, plan.content);
+      this.snapshots.write(plan.path, content, generatedWith);
+
+      return { success: true, path: plan.path, editsMerged: plan.editsMerged, conflicts: plan.conflicts };
+    }, { directory: this.lockDirectory });
+  }
+
+  /**
+   * Work out what syncProject would write, without writing anything
+   * @returns {Promise<{path: string, current: string|null, content: string, merged: boolean,
+   *   unchanged: boolean, editsMerged: boolean, conflicts: Array}>} current is the file as it is now
+   *   (null if missing), content what the sync would write; unchanged when the source hash in the
+   *   generated header still matches
+   * @throws {SyncConflictError} If edits conflict and onConflict is 'report'
+   */
+  async planProject(content, projectPath, options = {}) {
+    const { noMerge = false, onConflict } = options;
+
+    // Find CLAUDE.md in project
+    const path = await this.findProjectCLAUDE(projectPath);
+    const current = existsSync(path) ? readFileSync(path, 'utf-8') : null;
+    const plan = { path, current, content, merged: !noMerge, unchanged: false, editsMerged: false, conflicts: [] };
+
+    if (noMerge) {
+      return hasSameSourceHash(current, content) ? { ...plan, content: current, unchanged: true } : plan;
+    }
+
+    // Generated content lives in a managed region; the rest of the file is left alone
+    if (current === null) {
+      return { ...plan, content: `${wrapManagedRegion(content)}\n` };
     }
 
-    // Backup existing file
-    if (backup && existsSync(this.globalCLAUDEPath)) {
-      await this.createBackup(this.globalCLAUDEPath);
+    const region = findManagedRegion(current);
+    if (region && hasSameSourceHash(region.content, content)) {
+      return { ...plan, content: current, unchanged: true };
     }
 
-    // Write new content
-    writeFileSync(this.globalCLAUDEPath, content, 'utf-8');
+    const reconciled = reconcileGenerated({
+      current: region?.content ?? null,
+      previous: this.snapshots.read(path)?.content ?? null,
+      generated: content.trim(),
+      onConflict
+    });
+
+    // Report conflicts by file line rather than region line
+    const conflicts = reconciled.conflicts.map(c => ({ ...c, line: c.line + region.line - 1 }));
+    if (reconciled.content === null) {
+      throw new SyncConflictError(path, conflicts);
+    }
 
-    return { success: true, path: this.globalCLAUDEPath };
+    return {
+      ...plan,
+      content: this.mergeContent(current, reconciled.content),
+      editsMerged: reconciled.merged,
+      conflicts
+    };
   }
 
   /**
    * Sync content to project CLAUDE.md
+   * Edits made inside the managed region since the last sync are merged into the new content.
+   * The file is locked from reading to writing, and written atomically
+   * @throws {SyncConflictError} If edits conflict and onConflict is 'report'
+   * @throws {FileLockError} If another sync is writing the file
    */
   async syncProject(content, projectPath, options = {}) {
-    const { backup = true, dryRun = false, noMerge = false } = options;
-
-    // Find CLAUDE.md in project
+    const { backup = true, dryRun = false, noMerge = false, onConflict } = options;
     const projectCLAUDEPath = await this.findProjectCLAUDE(projectPath);
 
     if (dryRun) {
@@ -56,29 +164,31 @@ export class FileSync {
       return { success: true, dryRun: true, path: projectCLAUDEPath };
     }
 
-    let finalContent = content;
-
-    // Merge with existing content if requested
-    if (!noMerge && existsSync(projectCLAUDEPath)) {
-      const existing = readFileSync(projectCLAUDEPath, 'utf-8');
-      finalContent = this.mergeContent(existing, content);
-    }
-
-    // Backup existing file
-    if (backup && existsSync(projectCLAUDEPath)) {
-      await this.createBackup(projectCLAUDEPath);
-    }
-
-    // Ensure directory exists
-    const dir = dirname(projectCLAUDEPath);
-    if (!existsSync(dir)) {
-      mkdirSync(dir, { recursive: true });
-    }
-
-    // Write merged content
-    writeFileSync(projectCLAUDEPath, finalContent, 'utf-8');
-
-    return { success: true, path: projectCLAUDEPath, merged: !noMerge };
+    return withFileLock(projectCLAUDEPath, async () => {
+      const plan = await this.planProject(content, projectPath, { noMerge, onConflict });
+      if (plan.unchanged) {
+        return { success: true, path: plan.path, merged: plan.merged, unchanged: true };
+      }
+
+      // Backup existing file
+      if (backup && plan.current !== null) {
+        await this.createBackup(plan.path);
+      }
+
+      // Write merged content
+      writeFileAtomic(plan.path, plan.content);
+      if (!noMerge) {
+        this.snapshots.write(plan.path, content.trim());
+      }
+
+      return {
+        success: true,
+        path: plan.path,
+        merged: plan.merged,
+        editsMerged: plan.editsMerged,
+        conflicts: plan.conflicts
+      };
+    }, { directory: this.lockDirectory });
   }
 
   /**
@@ -103,79 +213,86 @@ export class FileSync {
 
   /**
    * Merge new user preferences with existing project content
+   * Replaces the managed region (see managed-region.js), keeping everything outside it
    */
   mergeContent(existing, newUserPreferences) {
-    // Look for project context marker
-    const projectMarker = '# PROJECT CONTEXT';
-
-    if (existing.includes(projectMarker)) {
-      // Find where project context starts
-      const markerIndex = existing.indexOf(projectMarker);
-      const projectContext = existing.substring(markerIndex);
-
-      // Replace user preferences, keep project context
-      return newUserPreferences.trim() + '\n\n---\n\n' + projectContext;
-    } else {
-      // No clear separation - prepend user preferences
-      return newUserPreferences.trim() + '\n\n---\n\n' + existing;
-    }
+    return mergeManagedRegion(existing, newUserPreferences);
   }
 
   /**
-   * Create timestamped backup of file
+   * Create timestamped backup of file in the backup store
+   * Older backups past the retention limits are pruned
    */
   async createBackup(filePath) {
-    const now = new Date();
-    const timestamp = now.toISOString()
-      .replace(/:/g, '-')
-      .replace(/\..+$/, '')
-      .replace('T', '-') + '-' + now.getMilliseconds().toString().padStart(3, '0');
+    return this.backups.create(filePath);
+  }
 
-    const backupPath = `${filePath}.backup.${timestamp}`;
-    const content = readFileSync(filePath, 'utf-8');
-    writeFileSync(backupPath, content, 'utf-8');
+  /**
+   * List available backups for a file, most recent first
+   */
+  async listBackups(filePath) {
+    return this.backups.list(filePath).map(backup => backup.path);
+  }
 
-    return backupPath;
+  /**
+   * List backups for a file with the generator version from their metadata header
+   * @returns {Promise<Array<{path: string, createdAt: Date, compressed: boolean, size: number,
+   *   version: string|null}>>} Most recent first; version is null for hand-written files
+   */
+  async describeBackups(filePath) {
+    return this.backups.list(filePath).map(backup => ({
+      ...backup,
+      version: parseMetadata(this.backups.read(backup.path))?.version ?? null
+    }));
   }
 
   /**
-   * List available backups for a file
+   * Work out what restoreBackup would write, without writing anything
+   * @param {string} backupPath
+   * @param {string} targetPath
+   * @param {Object} [options]
+   * @param {string[]} [options.sections] - Only restore these markdown sections (headings, as in
+   *   preserve_sections); each replaces the current section of that name, or is added at the bottom
+   * @returns {{path: string, current: string|null, content: string, warnings: string[]}}
+   * @throws {Error} If the backup is missing or lacks a requested section
    */
-  async listBackups(filePath) {
-    const dir = dirname(filePath);
-    const filename = filePath.split(/[/\\]/).pop();
+  planRestore(backupPath, targetPath, options = {}) {
+    const { sections = [] } = options;
 
-    if (!existsSync(dir)) {
-      return [];
+    const backup = this.backups.read(backupPath);
+    const current = existsSync(targetPath) ? readFileSync(targetPath, 'utf-8') : null;
+
+    if (sections.length === 0) {
+      return { path: targetPath, current, content: backup, warnings: [] };
     }
 
-    const { readdirSync } = await import('fs');
-    const files = readdirSync(dir);
+    const extracted = extractPreservedSections(backup, sections);
+    if (extracted.missing.length > 0) {
+      throw new Error(`Not found in backup: ${extracted.missing.join(', ')}`);
+    }
 
-    return files
-      .filter(f => f.startsWith(`${filename}.backup.`))
-      .map(f => join(dir, f))
-      .sort()
-      .reverse(); // Most recent first
+    const { content, warnings } = insertPreservedSections(current ?? '', extracted.sections);
+    return { path: targetPath, current, content, warnings };
   }
 
   /**
-   * Restore from backup
+   * Restore from backup, in full or only the given sections
+   * @param {string} backupPath
+   * @param {string} targetPath
+   * @param {Object} [options] - See planRestore
    */
-  async restoreBackup(backupPath, targetPath) {
-    if (!existsSync(backupPath)) {
-      throw new Error(`Backup not found: ${backupPath}`);
-    }
+  async restoreBackup(backupPath, targetPath, options = {}) {
+    return withFileLock(targetPath, async () => {
+      const plan = this.planRestore(backupPath, targetPath, options);
 
-    const content = readFileSync(backupPath, 'utf-8');
-
-    // Backup current file before restoring
-    if (existsSync(targetPath)) {
-      await this.createBackup(targetPath);
-    }
+      // Backup current file before restoring
+      if (plan.current !== null) {
+        await this.createBackup(targetPath);
+      }
 
-    writeFileSync(targetPath, content, 'utf-8');
+      writeFileAtomic(targetPath, plan.content);
 
-    return { success: true, path: targetPath, restoredFrom: backupPath };
+      return { success: true, path: targetPath, restoredFrom: backupPath, warnings: plan.warnings };
+    }, { directory: this.lockDirectory });
   }
 }
@@ -0,0 +1,98 @@
+/**
+ * Managed regions inside CLAUDE.md files
+ *
+ * Generated preferences are written between a begin and an end marker. A
+ * re-sync replaces only what lies between the markers and leaves everything
+ * outside them byte-for-byte, so project notes can live above or below the
+ * region and survive every sync.
+ */
+
+export const MANAGED_REGION_BEGIN = '<!-- BEGIN claude-context-sync (generated - edits inside this region are overwritten) -->';
+export const MANAGED_REGION_END = '<!-- END claude-context-sync -->';
+
+// Layouts written before managed regions existed
+const LEGACY_PROJECT_MARKER = '# PROJECT CONTEXT';
+const LEGACY_PRESERVED_MARKER = '<!-- PROJECT-SPECIFIC PREFERENCES';
+const GENERATED_HEADER = '<!-- Generated by claude-context-sync';
+
+export class ManagedRegionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ManagedRegionError';
+  }
+}
+
+/**
+ * Wrap generated content in managed-region markers
+ * @param {string} content - Generated content
+ * @returns {string} Region, without a trailing newline
+ */
+export function wrapManagedRegion(content) {
+  return `${MANAGED_REGION_BEGIN}\n${content.trim()}\n${MANAGED_REGION_END}`;
+}
+
+/**
+ * Locate the managed region in a file
+ * @param {string} text - File content
+ * @returns {{start: number, end: number, content: string, line: number}|null} start/end span
+ *   both markers; content is what lies between them and line is the 1-based file line it
+ *   starts on. null if the file has no region.
+ * @throws {ManagedRegionError} If the markers are unbalanced or repeated
+ */
+export function findManagedRegion(text) {
+  const start = text.indexOf(MANAGED_REGION_BEGIN);
+  const endMarker = text.indexOf(MANAGED_REGION_END);
+
+  if (start === -1 && endMarker === -1) {
+    return null;
+  }
+  if (start === -1 || endMarker === -1 || endMarker < start) {
+    throw new ManagedRegionError(
+      `Unbalanced managed region markers: expected "${MANAGED_REGION_BEGIN}" followed by "${MANAGED_REGION_END}"`
+    );
+  }
+  if (text.indexOf(MANAGED_REGION_BEGIN, start + 1) !== -1 || text.indexOf(MANAGED_REGION_END, endMarker + 1) !== -1) {
+    throw new ManagedRegionError('Found more than one managed region; remove the duplicate markers');
+  }
+
+  const end = endMarker + MANAGED_REGION_END.length;
+  return {
+    start,
+    end,
+    content: text.slice(start + MANAGED_REGION_BEGIN.length, endMarker).replace(/^\n/, '').replace(/\n$/, ''),
+    line: text.slice(0, start).split('\n').length + 1
+  };
+}
+
+/**
+ * Put freshly generated content into an existing file's managed region
+ *
+ * Files without a region are migrated: the generated part of older layouts
+ * (everything before `# PROJECT CONTEXT`, or a whole generated file except a
+ * `<!-- PROJECT-SPECIFIC PREFERENCES` tail) becomes the region; any other file
+ * keeps its content below a new region.
+ *
+ * @param {string} existing - Current file content
+ * @param {string} generated - Newly generated content
+ * @returns {string} Updated file content
+ * @throws {ManagedRegionError} If the existing markers are malformed
+ */
+export function mergeManagedRegion(existing, generated) {
+  const region = wrapManagedRegion(generated);
+  const current = findManagedRegion(existing);
+
+  if (current) {
+    return existing.slice(0, current.start) + region + existing.slice(current.end);
+  }
+
+  if (existing.includes(LEGACY_PROJECT_MARKER)) {
+    return `${region}\n\n---\n\n${existing.slice(existing.indexOf(LEGACY_PROJECT_MARKER))}`;
+  }
+
+  if (existing.trimStart().startsWith(GENERATED_HEADER)) {
+    const preserved = existing.indexOf(LEGACY_PRESERVED_MARKER);
+    return preserved === -1 ? `${region}\n` : `${region}\n\n${existing.slice(preserved)}`;
+  }
+
+  return `${region}\n\n${existing}`;
+}
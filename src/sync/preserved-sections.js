@@ -0,0 +1,196 @@
+/**
+ * Preserved sections for repo sync
+ *
+ * `.claude-sync` can name parts of a repo's CLAUDE.md that must survive
+ * regeneration, typically hand-edited sections inside the managed region:
+ *
+ *   preserve_sections:
+ *     - Local Setup                       # heading (any level) and everything under it
+ *     - "## Deploy Notes"                 # heading at a specific level
+ *     - block: team-notes                 # <!-- preserve:team-notes --> ... <!-- /preserve:team-notes -->
+ *     - heading: Testing Standards
+ *       position: replace                 # per-entry position
+ *   preserve_position: bottom             # top | bottom | replace | after:<heading> | before:<heading>
+ *
+ * A preserved heading that the regenerated output also contains replaces the
+ * generated version in place; everything else goes to its position.
+ */
+
+export const DEFAULT_PRESERVE_POSITION = 'bottom';
+
+const HEADING_PATTERN = /^(#{1,6})[ \t]+(.+?)[ \t]*#*[ \t]*$/;
+const FENCE_PATTERN = /^\s*(```|~~~)/;
+
+/**
+ * Normalize a `preserve_sections` entry
+ * @param {string|{heading?: string, block?: string, position?: string}} entry
+ * @returns {{type: 'heading'|'block', name: string, level: number|null, position: string|null, label: string}}
+ * @throws {Error} On entries that name neither a heading nor a block
+ */
+export function parsePreserveSpec(entry) {
+  const spec = typeof entry === 'string' ? { heading: entry } : (entry || {});
+
+  if (spec.block) {
+    const name = String(spec.block).trim();
+    return { type: 'block', name, level: null, position: spec.position ?? null, label: `block ${name}` };
+  }
+
+  if (spec.heading) {
+    const text = String(spec.heading).trim();
+    const match = text.match(HEADING_PATTERN);
+    const name = match ? match[2] : text;
+    return { type: 'heading', name, level: match ? match[1].length : null, position: spec.position ?? null, label: text };
+  }
+
+  throw new Error(`Invalid preserve_sections entry: ${JSON.stringify(entry)} (expected a heading or {block: name})`);
+}
+
+/**
+ * List markdown headings outside fenced code blocks
+ * @private
+ * @returns {Array<{level: number, name: string, start: number}>} start is the offset of the heading line
+ */
+function listHeadings(markdown) {
+  const headings = [];
+  let offset = 0;
+  let inFence = false;
+
+  for (const line of markdown.split('\n')) {
+    if (FENCE_PATTERN.test(line)) {
+      inFence = !inFence;
+    } else if (!inFence) {
+      const match = line.match(HEADING_PATTERN);
+      if (match) headings.push({ level: match[1].length, name: match[2], start: offset });
+    }
+    offset += line.length + 1;
+  }
+
+  return headings;
+}
+
+/**
+ * Find a heading and its subtree (up to the next heading at the same or a higher level)
+ * @param {string} markdown
+ * @param {string} name - Heading text (case-insensitive)
+ * @param {number|null} [level] - Heading level, or null for any
+ * @returns {{start: number, end: number, level: number}|null}
+ */
+export function findHeadingSection(markdown, name, level = null) {
+  const headings = listHeadings(markdown);
+  const wanted = name.toLowerCase();
+  const index = headings.findIndex(h => h.name.toLowerCase() === wanted && (level === null || h.level === level));
+
+  if (index === -1) return null;
+
+  const heading = headings[index];
+  const next = headings.slice(index + 1).find(h => h.level <= heading.level);
+  return { start: heading.start, end: next ? next.start : markdown.length, level: heading.level };
+}
+
+/**
+ * Find a `<!-- preserve:name -->` ... `<!-- /preserve:name -->` block, markers included
+ * @param {string} markdown
+ * @param {string} name - Block name
+ * @returns {{start: number, end: number}|null}
+ */
+export function findCommentBlock(markdown, name) {
+  const open = `<!-- preserve:${name} -->`;
+  const close = `<!-- /preserve:${name} -->`;
+  const start = markdown.indexOf(open);
+  const closeIndex = start === -1 ? -1 : markdown.indexOf(close, start + open.length);
+
+  if (closeIndex === -1) return null;
+  return { start, end: closeIndex + close.length };
+}
+
+function findSection(markdown, spec) {
+  return spec.type === 'block'
+    ? findCommentBlock(markdown, spec.name)
+    : findHeadingSection(markdown, spec.name, spec.level);
+}
+
+/**
+ * Pull the named sections out of an existing CLAUDE.md
+ * @param {string} existing - Existing content (usually the managed region)
+ * @param {Array} entries - `preserve_sections` entries
+ * @returns {{sections: Array<{spec: Object, text: string}>, missing: string[]}} missing lists
+ *   the labels of entries that weren't found
+ */
+export function extractPreservedSections(existing, entries) {
+  const sections = [];
+  const missing = [];
+
+  for (const entry of entries) {
+    const spec = parsePreserveSpec(entry);
+    const found = findSection(existing, spec);
+    if (found) {
+      sections.push({ spec, text: existing.slice(found.start, found.end).trimEnd() });
+    } else {
+      missing.push(spec.label);
+    }
+  }
+
+  return { sections, missing };
+}
+
+/**
+ * Offset at which content for a position goes, or null if its anchor heading is missing
+ * @private
+ */
+function resolveOffset(markdown, position) {
+  if (position === 'top') {
+    // Below the document title when there is one
+    const title = listHeadings(markdown).find(h => h.level === 1);
+    if (!title) return 0;
+    const lineEnd = markdown.indexOf('\n', title.start);
+    return lineEnd === -1 ? markdown.length : lineEnd + 1;
+  }
+
+  const anchor = position.match(/^(after|before):\s*(.+)$/);
+  if (anchor) {
+    const section = findHeadingSection(markdown, anchor[2].trim());
+    if (!section) return null;
+    return anchor[1] === 'after' ? section.end : section.start;
+  }
+
+  return markdown.length;
+}
+
+function insertAt(markdown, offset, text) {
+  const before = markdown.slice(0, offset).replace(/\n*$/, '');
+  const after = markdown.slice(offset).replace(/^\n*/, '');
+  return [before, text, after].filter(Boolean).join('\n\n') + (after ? '' : '\n');
+}
+
+/**
+ * Put preserved sections back into regenerated content
+ * @param {string} generated - Regenerated markdown
+ * @param {Array<{spec: Object, text: string}>} sections - From extractPreservedSections
+ * @param {string} [defaultPosition='bottom'] - `preserve_position` from `.claude-sync`
+ * @returns {{content: string, warnings: string[]}}
+ */
+export function insertPreservedSections(generated, sections, defaultPosition = DEFAULT_PRESERVE_POSITION) {
+  let content = generated;
+  const warnings = [];
+
+  for (const { spec, text } of sections) {
+    const position = spec.position ?? defaultPosition;
+    const generatedSection = spec.type === 'heading' ? findSection(content, spec) : null;
+
+    // Same heading in the new output: the preserved version wins, in place
+    if (generatedSection && (position === 'replace' || spec.position === null)) {
+      const rest = content.slice(generatedSection.end);
+      content = content.slice(0, generatedSection.start) + text + (rest ? `\n\n${rest.replace(/^\n*/, '')}` : '\n');
+      continue;
+    }
+
+    let offset = position === 'replace' ? content.length : resolveOffset(content, position);
+    if (offset === null) {
+      warnings.push(`Preserved ${spec.label}: anchor for position '${position}' not found, placed at the bottom`);
+      offset = content.length;
+    }
+    content = insertAt(content, offset, text);
+  }
+
+  return { content, warnings };
+}
@@ -1,10 +1,9 @@
 import { readdirSync, statSync, readFileSync, existsSync } from 'fs';
 import { join } from 'path';
 import { parse as parseYaml } from 'yaml';
-import { exec } from 'child_process';
-import { promisify } from 'util';
-
-const execAsync = promisify(exec);
+import { DEFAULT_PRESERVE_POSITION } from './preserved-sections.js';
+import { DEFAULT_REPO_TARGETS } from './repo-sync.js';
+import { gh } from '../utils/exec.js';
 
 /**
  * Discovers repositories with .claude-sync markers
@@ -151,7 +150,10 @@ export class RepoDiscovery {
       merge_mode: config.merge_mode !== false,  // Merge with existing CLAUDE.md or overwrite
       create_pr: config.create_pr || false,  // Create PR instead of direct commit
       branch_name: config.branch_name || 'chore/update-preferences',  // Branch name for PRs
-      auto_push: config.auto_push || false  // Auto-push commits after sync
+      auto_push: config.auto_push || false,  // Auto-push commits after sync
+      preserve_sections: Array.isArray(config.preserve_sections) ? config.preserve_sections : [],  // Sections kept across syncs
+      preserve_position: config.preserve_position || DEFAULT_PRESERVE_POSITION,  // Where preserved sections go
+      targets: config.targets != null ? [config.targets].flat() : DEFAULT_REPO_TARGETS  // Which CLAUDE.md copies to maintain
     };
   }
 
@@ -206,19 +208,19 @@ export class RepoDiscovery {
    * List repositories from GitHub
    */
   async _listGitHubRepos(username, filter = 'all') {
-    let visibilityFilter = '';
+    let visibilityFilter = [];
 
     if (filter === 'private') {
-      visibilityFilter = '--source --visibility private';
+      visibilityFilter = ['--source', '--visibility', 'private'];
     } else if (filter === 'public') {
-      visibilityFilter = '--source --visibility public';
+      visibilityFilter = ['--source', '--visibility', 'public'];
     } else {
-      visibilityFilter = '--source';
+      visibilityFilter = ['--source'];
     }
 
     try {
-      const { stdout } = await execAsync(
-        `gh repo list ${username} ${visibilityFilter} --limit 100 --json name,url,isPrivate`
+      const { stdout } = await gh(
+        ['repo', 'list', ...visibilityFilter, '--limit', '100', '--json', 'name,url,isPrivate', '--', username]
       );
 
       return JSON.parse(stdout);
@@ -232,8 +234,8 @@ export class RepoDiscovery {
    */
   async _fetchMarkerFromGitHub(owner, repo) {
     try {
-      const { stdout } = await execAsync(
-        `gh api repos/${owner}/${repo}/contents/.claude-sync --jq .content`
+      const { stdout } = await gh(
+        ['api', `repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}/contents/.claude-sync`, '--jq', '.content']
       );
 
       // GitHub returns base64-encoded content
@@ -1,6 +1,34 @@
-import { execSync } from 'child_process';
-import { existsSync, readFileSync, writeFileSync, mkdirSync } from 'fs';
-import { join, dirname } from 'path';
+import { existsSync, readFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { wrapManagedRegion, mergeManagedRegion, findManagedRegion } from './managed-region.js';
+import { extractPreservedSections, insertPreservedSections } from './preserved-sections.js';
+import { SnapshotStore, SyncConflictError, reconcileGenerated, describeConflicts } from './snapshots.js';
+import { hasSameSourceHash } from '../utils/version.js';
+import { fitToTokenBudget, formatBudgetReport } from '../utils/token-budget.js';
+import { writeFileAtomic, withFileLock } from '../utils/atomic-write.js';
+import { git, gh, NETWORK_TIMEOUT_MS } from '../utils/exec.js';
+
+// Where each `targets:` entry of a .claude-sync marker lives in the repository
+export const REPO_TARGETS = {
+  root: 'CLAUDE.md',
+  '.claude': join('.claude', 'CLAUDE.md'),
+  '.github': join('.github', 'CLAUDE.md')
+};
+
+// Per Claude Code convention CLAUDE.md goes in the project root; .claude/ is kept for backward compatibility
+export const DEFAULT_REPO_TARGETS = ['root', '.claude'];
+
+const COMMIT_MESSAGE = 'chore: update Claude preferences\n\nAuto-synced from claude-context-sync';
+
+/**
+ * Reject branch names git would read as an option
+ * @private
+ */
+function checkBranchName(branchName) {
+  if (typeof branchName !== 'string' || branchName === '' || branchName.startsWith('-')) {
+    throw new Error(`Invalid branch_name: ${branchName}`);
+  }
+}
 
 /**
  * Syncs CLAUDE.md preference files across repositories
@@ -9,25 +37,33 @@ import { join, dirname } from 'path';
 export class RepoSync {
   constructor(options = {}) {
     this.dryRun = options.dryRun || false;
+    this.onConflict = options.onConflict;
+    this.maxTokens = options.maxTokens;
+    this.snapshots = new SnapshotStore(options.snapshotDirectory);
+    // Outside the repository, so a lock left by a crash never dirties it
+    this.lockDirectory = options.lockDirectory;
   }
 
   /**
    * Sync CLAUDE.md preferences to a repository
+   * Git runs asynchronously, so several repositories can be synced at once;
+   * pass `log` to collect the verbose output of each instead of printing it
    */
   async syncRepo(repo, options = {}) {
-    const { dryRun = this.dryRun, verbose = false, force = false } = options;
+    const { dryRun = this.dryRun, verbose = false, force = false, log = console.log } = options;
 
     const result = {
       repo: repo.path,
       success: false,
       changes: [],
       errors: [],
+      warnings: [],
       skipped: false
     };
 
     try {
       // Check for uncommitted changes
-      if (this._hasUncommittedChanges(repo.path)) {
+      if (await this._hasUncommittedChanges(repo.path)) {
         if (!force) {
           result.skipped = true;
           result.errors.push('Repository has uncommitted changes. Use --force to override.');
@@ -36,7 +72,7 @@ export class RepoSync {
       }
 
       // Sync CLAUDE.md preferences
-      const syncResult = await this._syncPreferences(repo.path, repo.config, { dryRun, verbose });
+      const syncResult = await this._syncPreferences(repo.path, repo.config, { dryRun, verbose, log });
 
       if (!syncResult.success) {
         result.errors.push(syncResult.error);
@@ -44,11 +80,12 @@ export class RepoSync {
       }
 
       result.changes.push(...syncResult.changes);
+      result.warnings.push(...(syncResult.warnings || []));
 
-      // Handle git operations if not dry run
-      if (!dryRun && syncResult.changes.length > 0) {
+      // Handle git operations if not dry run, staging only the files just written
+      if (!dryRun && syncResult.files.length > 0) {
         if (repo.config.create_pr) {
-          const prResult = await this._createPR(repo.path, repo.config.branch_name);
+          const prResult = await this._createPR(repo.path, repo.config.branch_name, syncResult.files);
           if (prResult.success) {
             result.changes.push(`Created PR on branch ${repo.config.branch_name}`);
 
@@ -59,7 +96,7 @@ export class RepoSync {
             result.errors.push(`PR creation failed: ${prResult.error}`);
           }
         } else {
-          const commitResult = await this._commitChanges(repo.path);
+          const commitResult = await this._commitChanges(repo.path, syncResult.files);
           if (commitResult.success) {
             result.changes.push('Committed changes');
 
@@ -87,131 +124,471 @@ export class RepoSync {
     return result;
   }
 
+  /**
+   * Sync several repositories all-or-nothing
+   *
+   * Every repository is checked and planned before anything is written. Files
+   * are then written and committed one repository at a time; if one fails,
+   * those already done are rolled back (files, local commits, branches and
+   * snapshots). Pushes and PRs wait until every repository is committed, as
+   * they can't be taken back.
+   *
+   * Repositories must be clean: rollback resets them to their previous commit.
+   * @returns {Promise<{committed: boolean, results: Array<Object>}>} A syncRepo-style result per
+   *   repo, with `aborted` for repos the transaction stopped before and `rollback`
+   *   ({success, error?, git, files}, each step {success, error?}) for repos that were rolled back
+   */
+  async syncTransactional(repos, options = {}) {
+    const { verbose = false } = options;
+    const entries = repos.map(repo => ({
+      repo,
+      result: {
+        repo: repo.path,
+        success: false,
+        changes: [],
+        errors: [],
+        warnings: [],
+        skipped: false,
+        aborted: false,
+        rollback: null
+      }
+    }));
+
+    // Check and plan every repository before writing anything
+    for (const entry of entries) {
+      try {
+        await this._prepareTransaction(entry);
+        entry.plan = await this._planPreferences(entry.repo.path, entry.repo.config);
+        entry.result.warnings.push(...entry.plan.warnings);
+      } catch (error) {
+        entry.result.errors.push(error.message);
+        return this._abortTransaction(entries, entry, []);
+      }
+    }
+
+    // Write and commit, rolling everything back on the first failure
+    const applied = [];
+    for (const entry of entries) {
+      applied.push(entry);
+      try {
+        await this._applyTransaction(entry, { verbose });
+      } catch (error) {
+        entry.result.errors.push(error.message);
+        return this._abortTransaction(entries, entry, applied);
+      }
+    }
+
+    // Every repository is committed: publish
+    for (const { repo, result, committed } of entries) {
+      result.success = true;
+      if (!committed) continue;
+
+      if (repo.config.create_pr) {
+        try {
+          await this._publishBranch(repo.path, repo.config.branch_name);
+          result.changes.push(`Created PR on branch ${repo.config.branch_name}`);
+        } catch (error) {
+          result.errors.push(`PR creation failed: ${error.message}`);
+        }
+      } else if (repo.config.auto_push) {
+        const pushResult = await this._pushChanges(repo.path);
+        if (pushResult.success) {
+          result.changes.push('Pushed changes to remote');
+        } else {
+          result.errors.push(`Push failed: ${pushResult.error}`);
+        }
+      }
+    }
+
+    return { committed: true, results: entries.map(entry => entry.result) };
+  }
+
+  /**
+   * Record where a repository stands before a transaction touches it
+   * @private
+   */
+  async _prepareTransaction(entry) {
+    const repoPath = entry.repo.path;
+
+    if (await this._hasUncommittedChanges(repoPath)) {
+      throw new Error('Repository has uncommitted changes (--transactional needs clean repositories)');
+    }
+
+    const revParse = async args => (await git(['rev-parse', ...args], { cwd: repoPath })).stdout.trim();
+    try {
+      entry.head = await revParse(['HEAD']);
+      entry.branch = await revParse(['--abbrev-ref', 'HEAD']);
+    } catch {
+      throw new Error('Not a git repository with at least one commit');
+    }
+
+    // Where the PR branch points now (null if it doesn't exist yet)
+    if (entry.repo.config.create_pr) {
+      checkBranchName(entry.repo.config.branch_name);
+      try {
+        entry.branchHead = await revParse(['--verify', '--quiet', `refs/heads/${entry.repo.config.branch_name}`]);
+      } catch {
+        entry.branchHead = null;
+      }
+    }
+  }
+
+  /**
+   * Write a repository's planned files and commit them
+   * @private
+   */
+  async _applyTransaction(entry, options = {}) {
+    const { verbose = false } = options;
+    const { repo, plan, result } = entry;
+    entry.written = [];
+
+    await withFileLock(plan.targets.map(target => target.targetPath), async () => {
+      for (const target of plan.targets) {
+        const { targetPath, current, generated, finalContent } = target;
+        const now = existsSync(targetPath) ? readFileSync(targetPath, 'utf-8') : null;
+        if (now !== current) {
+          throw new Error(`${targetPath} changed after it was planned`);
+        }
+        if (current === finalContent) continue;
+
+        entry.written.push({ ...target, snapshot: this.snapshots.read(targetPath) });
+        writeFileAtomic(targetPath, finalContent);
+        this.snapshots.write(targetPath, generated, plan.generatedWith);
+        result.changes.push(`Updated ${targetPath}`);
+
+        if (verbose) {
+          console.log(`  ✓ Updated ${targetPath}`);
+        }
+      }
+    }, { directory: this.lockDirectory });
+
+    if (entry.written.length === 0) return;
+
+    const files = entry.written.map(target => target.targetPath);
+    if (repo.config.create_pr) {
+      await this._commitToBranch(repo.path, repo.config.branch_name, files);
+    } else {
+      const commitResult = await this._commitChanges(repo.path, files);
+      if (!commitResult.success) {
+        throw new Error(`Commit failed: ${commitResult.error}`);
+      }
+    }
+    entry.committed = true;
+    result.changes.push('Committed changes');
+  }
+
+  /**
+   * Put a repository back the way _prepareTransaction found it
+   * Git (commits, branches) and the written files are restored in separate
+   * steps, so files are put back even when git can't be
+   * @private
+   * @returns {Promise<{success: boolean, error?: string, git: {success: boolean, error?: string},
+   *   files: {success: boolean, error?: string}}>}
+   */
+  async _rollbackTransaction(entry) {
+    const gitStep = await this._rollbackCommits(entry);
+    const filesStep = this._rollbackFiles(entry);
+
+    const errors = [
+      gitStep.error && `git: ${gitStep.error}`,
+      filesStep.error && `files: ${filesStep.error}`
+    ].filter(Boolean);
+
+    return {
+      success: errors.length === 0,
+      ...(errors.length > 0 && { error: errors.join('; ') }),
+      git: gitStep,
+      files: filesStep
+    };
+  }
+
+  /**
+   * Reset commits and the PR branch made by a transaction
+   * @private
+   */
+  async _rollbackCommits(entry) {
+    const { repo, head, branch } = entry;
+    const run = args => git(args, { cwd: repo.path });
+
+    try {
+      const prBranch = repo.config.create_pr ? repo.config.branch_name : null;
+      if (prBranch && prBranch !== branch) {
+        await run(['checkout', '-f', branch === 'HEAD' ? head : branch]);
+        if (entry.branchHead) {
+          await run(['branch', '-f', prBranch, entry.branchHead]);
+        } else {
+          try { await run(['branch', '-D', prBranch]); } catch { /* never created */ }
+        }
+      }
+      await run(['reset', '--hard', head]);
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Restore (or remove) the files a transaction wrote, and the snapshots taken with them
+   * Every file is attempted, whatever happens to the others
+   * @private
+   */
+  _rollbackFiles(entry) {
+    const errors = [];
+
+    for (const { targetPath, current, snapshot } of entry.written || []) {
+      try {
+        if (current === null) {
+          rmSync(targetPath, { force: true });
+        } else {
+          writeFileAtomic(targetPath, current);
+        }
+        if (snapshot) {
+          this.snapshots.write(targetPath, snapshot.content, snapshot.generatedWith);
+        } else {
+          this.snapshots.remove(targetPath);
+        }
+      } catch (error) {
+        errors.push(`${targetPath}: ${error.message}`);
+      }
+    }
+
+    return errors.length > 0 ? { success: false, error: errors.join('; ') } : { success: true };
+  }
+
+  /**
+   * Stop a transaction: mark the repositories it didn't reach and roll back the applied ones
+   * @private
+   */
+  async _abortTransaction(entries, failed, applied) {
+    for (const entry of entries) {
+      if (entry !== failed && !applied.includes(entry)) {
+        entry.result.aborted = true;
+        entry.result.errors.push(`Not synced: transaction aborted by ${failed.repo.path}`);
+      }
+    }
+
+    for (const entry of [...applied].reverse()) {
+      entry.result.rollback = await this._rollbackTransaction(entry);
+      if (entry !== failed) {
+        entry.result.errors.push(`Rolled back: transaction aborted by ${failed.repo.path}`);
+      }
+    }
+
+    return { committed: false, results: entries.map(entry => entry.result) };
+  }
+
+  /**
+   * Show what syncing a repository would change, without writing anything
+   * @returns {Promise<{repo: string, files: Array<{path: string, before: string|null, after: string}>,
+   *   warnings: string[]}>} files lists every target, changed or not
+   * @throws {SyncConflictError} If edits conflict and onConflict is 'report'
+   */
+  async diffRepo(repo, options = {}) {
+    const { targets, warnings } = await this._planPreferences(repo.path, repo.config, options);
+
+    return {
+      repo: repo.path,
+      files: targets.map(({ targetPath, current, finalContent }) => ({ path: targetPath, before: current, after: finalContent })),
+      warnings
+    };
+  }
+
+  /**
+   * Options a repository's CLAUDE.md files were last synced with, e.g. `{ maxTokens }`
+   * @returns {Object} Empty if the repository was never synced
+   */
+  lastGeneratedWith(repo) {
+    const [targetPath] = this._targetPaths(repo.path, repo.config);
+    return this.snapshots.read(targetPath)?.generatedWith ?? {};
+  }
+
+  /**
+   * CLAUDE.md files synced in a repository, chosen by the marker's `targets:`
+   * (root, .claude and/or .github; root and .claude if not set)
+   * @throws {Error} If `targets:` is empty or names an unknown location
+   */
+  _targetPaths(repoPath, config = {}) {
+    const names = config.targets ?? DEFAULT_REPO_TARGETS;
+    if (!Array.isArray(names) || names.length === 0) {
+      throw new Error(`No targets to sync: targets in .claude-sync must list one or more of ${Object.keys(REPO_TARGETS).join(', ')}`);
+    }
+
+    return [...new Set(names)].map(name => {
+      if (!Object.hasOwn(REPO_TARGETS, name)) {
+        throw new Error(`Invalid target in .claude-sync: ${name} (expected one of: ${Object.keys(REPO_TARGETS).join(', ')})`);
+      }
+      return join(repoPath, REPO_TARGETS[name]);
+    });
+  }
+
+  /**
+   * Work out the new content of each CLAUDE.md target in a repository
+   * Edits made inside a managed region since the last sync are merged into the new content.
+   * With `maxTokens`, detail is trimmed to fit and the budget report joins the warnings.
+   * @returns {Promise<{targets: Array<{targetPath: string, current: string|null, finalContent: string,
+   *   generated: string}>, warnings: string[], generatedWith: Object}>} generated is the region
+   *   content, and generatedWith the options it was rendered with, for the snapshot
+   * @throws {SyncConflictError} If edits conflict and onConflict is 'report'
+   */
+  async _planPreferences(repoPath, config, options = {}) {
+    const { onConflict = this.onConflict, maxTokens = this.maxTokens } = options;
+
+    // Import the necessary modules
+    const { loadConfig } = await import('../config/index.js');
+    const { createTransformer } = await import('../transformers/index.js');
+
+    // Load preferences from default config, skipping project-specific layers
+    // This prevents claude-context-sync's own project context from leaking to other repos
+    // `_when:` repo and language conditions are matched against the repo being synced.
+    // Load warnings join the repo's own, so concurrent syncs print them in its block
+    const warnings = [];
+    const { config: preferences } = await loadConfig(null, {
+      skipProjectLayers: true,
+      cwd: repoPath,
+      onWarning: message => warnings.push(message)
+    });
+
+    const targetPaths = this._targetPaths(repoPath, config);
+    const targets = [];
+
+    // Transform to CLAUDE.md format, trimmed to the token budget if one is set
+    const render = prefs => createTransformer('claude-md', prefs).transform();
+    let claudeMd;
+    if (maxTokens === undefined) {
+      claudeMd = await render(preferences);
+    } else {
+      const budget = await fitToTokenBudget(preferences, render, { maxTokens, dropOrder: preferences.token_budget?.drop_order });
+      warnings.push(...formatBudgetReport(budget, maxTokens));
+      claudeMd = budget.output;
+    }
+
+    for (const targetPath of targetPaths) {
+      const current = existsSync(targetPath) ? readFileSync(targetPath, 'utf-8') : null;
+      const generated = this._applyPreservedSections(claudeMd, current, config, targetPath, warnings).trim();
+
+      if (current === null) {
+        targets.push({ targetPath, current, generated, finalContent: `${wrapManagedRegion(generated)}\n` });
+        continue;
+      }
+
+      const region = findManagedRegion(current);
+      // Same source hash: leave the file alone, so its header (and git) see no change.
+      // The snapshot must then be what the file holds, not the regenerated header
+      if (region && hasSameSourceHash(region.content, generated)) {
+        targets.push({ targetPath, current, generated: region.content, finalContent: current });
+        continue;
+      }
+
+      const reconciled = reconcileGenerated({
+        current: region?.content ?? null,
+        previous: this.snapshots.read(targetPath)?.content ?? null,
+        generated,
+        onConflict
+      });
+      const conflicts = reconciled.conflicts.map(c => ({ ...c, line: c.line + region.line - 1 }));
+      if (reconciled.content === null) {
+        throw new SyncConflictError(targetPath, conflicts);
+      }
+      if (conflicts.length > 0) {
+        warnings.push(describeConflicts(targetPath, conflicts, onConflict));
+      } else if (reconciled.merged) {
+        warnings.push(`Kept edits made since the last sync in ${targetPath}`);
+      }
+
+      targets.push({ targetPath, current, generated, finalContent: mergeManagedRegion(current, reconciled.content) });
+    }
+
+    return { targets, warnings, generatedWith: maxTokens === undefined ? {} : { maxTokens } };
+  }
+
   /**
    * Sync CLAUDE.md preferences to a repository
+   * Every target is worked out before any is written, so a conflict under
+   * `onConflict: 'report'` leaves all of them untouched. The targets are locked
+   * from reading to writing, and each is written atomically
+   * @returns {Promise<Object>} success, changes and warnings, plus `files`: the
+   *   paths actually written, which are the ones to commit
    */
   async _syncPreferences(repoPath, config, options = {}) {
-    const { dryRun = false, verbose = false } = options;
+    const { dryRun = false, verbose = false, log = console.log } = options;
 
     try {
       if (dryRun) {
         return {
           success: true,
-          changes: ['Would update CLAUDE.md files']
+          changes: ['Would update CLAUDE.md files'],
+          files: []
         };
       }
 
-      // Import the necessary modules
-      const { loadConfig } = await import('../config/index.js');
-      const { createTransformer } = await import('../transformers/index.js');
-
-      // Load preferences from default config, skipping project-specific layers
-      // This prevents claude-context-sync's own project context from leaking to other repos
-      const { config: preferences } = await loadConfig(null, { skipProjectLayers: true });
-
-      // Transform to CLAUDE.md format
-      const transformer = createTransformer('claude-md', preferences);
-      const claudeMd = await transformer.transform();
-
-      // Define target paths
-      // Per Claude Code convention: CLAUDE.md in project root
-      // Also sync to .claude/ for backward compatibility
-      const targets = [
-        join(repoPath, 'CLAUDE.md'),           // Primary: project root
-        join(repoPath, '.claude', 'CLAUDE.md')  // Secondary: .claude directory
-      ];
-
-      const changes = [];
-
-      // Write to both locations
-      for (const targetPath of targets) {
-        let finalContent = claudeMd;
-
-        // Check if we need to preserve sections
-        if (config.preserve_sections && config.preserve_sections.length > 0) {
-          if (existsSync(targetPath)) {
-            const existingContent = readFileSync(targetPath, 'utf-8');
-
-            // Extract preserved sections from existing file
-            const preservedContent = this._extractPreservedSections(
-              existingContent,
-              config.preserve_sections
-            );
-
-            if (preservedContent) {
-              // Append preserved content with clear marker
-              finalContent = claudeMd + '\n\n' + preservedContent;
-            }
-          }
-        }
+      return await withFileLock(this._targetPaths(repoPath, config), async () => {
+        const { targets, warnings, generatedWith } = await this._planPreferences(repoPath, config, options);
+        const changes = [];
+        const files = [];
 
-        // Check if file already exists and has same content
-        if (existsSync(targetPath)) {
-          const existingContent = readFileSync(targetPath, 'utf-8');
-          if (existingContent === finalContent) {
+        // Write files, replacing only the managed region of existing ones
+        for (const { targetPath, current, generated, finalContent } of targets) {
+          if (current === finalContent) {
+            this.snapshots.write(targetPath, generated, generatedWith);
             if (verbose) {
-              console.log(`  ✓ ${targetPath} already up to date`);
+              log(`  ✓ ${targetPath} already up to date`);
             }
             continue;
           }
-        }
-
-        // Ensure directory exists
-        mkdirSync(dirname(targetPath), { recursive: true });
 
-        // Write file
-        writeFileSync(targetPath, finalContent, 'utf-8');
+          writeFileAtomic(targetPath, finalContent);
+          this.snapshots.write(targetPath, generated, generatedWith);
 
-        changes.push(`Updated ${targetPath}`);
+          changes.push(`Updated ${targetPath}`);
+          files.push(targetPath);
 
-        if (verbose) {
-          console.log(`  ✓ Updated ${targetPath}`);
+          if (verbose) {
+            log(`  ✓ Updated ${targetPath}`);
+          }
         }
-      }
 
-      return {
-        success: true,
-        changes
-      };
+        return {
+          success: true,
+          changes,
+          files,
+          warnings
+        };
+      }, { directory: this.lockDirectory });
     } catch (error) {
       return {
         success: false,
         error: `Failed to sync preferences: ${error.message}`,
-        changes: []
+        changes: [],
+        files: []
       };
     }
   }
 
   /**
-   * Extract preserved sections from existing CLAUDE.md file
-   * Looks for HTML comment markers indicating project-specific content
+   * Carry `preserve_sections` from an existing CLAUDE.md into regenerated content
+   * Sections are taken from the managed region (content outside it is kept anyway)
    */
-  _extractPreservedSections(content, _sectionNames) {
-    // Look for the PROJECT-SPECIFIC marker comment
-    const startMarker = '<!-- PROJECT-SPECIFIC PREFERENCES';
-    const startIndex = content.indexOf(startMarker);
-
-    if (startIndex === -1) {
-      return null; // No preserved section found
+  _applyPreservedSections(generated, existingContent, config, targetPath, warnings) {
+    if (existingContent === null || !config.preserve_sections?.length) {
+      return generated;
     }
 
-    // Extract everything from the marker to the end
-    const preserved = content.substring(startIndex);
+    const source = findManagedRegion(existingContent)?.content ?? existingContent;
+    const { sections, missing } = extractPreservedSections(source, config.preserve_sections);
+    missing.forEach(label => warnings.push(`Preserved section '${label}' not found in ${targetPath}`));
 
-    return preserved;
+    const { content, warnings: placement } = insertPreservedSections(generated, sections, config.preserve_position);
+    warnings.push(...placement.map(message => `${message} (${targetPath})`));
+    return content;
   }
 
   /**
    * Check if repository has uncommitted changes
    */
-  _hasUncommittedChanges(repoPath) {
+  async _hasUncommittedChanges(repoPath) {
     try {
-      const gitStatus = execSync('git status --porcelain', {
-        cwd: repoPath,
-        encoding: 'utf-8',
-        stdio: 'pipe'
-      });
-      return gitStatus.trim().length > 0;
+      const { stdout } = await git(['status', '--porcelain'], { cwd: repoPath });
+      return stdout.trim().length > 0;
     } catch (_error) {
       // Not a git repo or git not available
       return false;
@@ -220,64 +597,84 @@ export class RepoSync {
 
   /**
    * Create pull request
+   * @param {string} repoPath
+   * @param {string} branchName
+   * @param {string[]} files - Files to commit
    */
-  async _createPR(repoPath, branchName) {
+  async _createPR(repoPath, branchName, files) {
     try {
-      // Check if branch exists
-      let branchExists = false;
-      try {
-        execSync(`git rev-parse --verify ${branchName}`, {
-          cwd: repoPath,
-          stdio: 'pipe'
-        });
-        branchExists = true;
-      } catch {
-        branchExists = false;
-      }
+      await this._commitToBranch(repoPath, branchName, files);
+      await this._publishBranch(repoPath, branchName);
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
 
-      if (branchExists) {
-        // Switch to existing branch
-        execSync(`git checkout ${branchName}`, { cwd: repoPath, stdio: 'pipe' });
-      } else {
-        // Create and switch to new branch
-        execSync(`git checkout -b ${branchName}`, { cwd: repoPath, stdio: 'pipe' });
-      }
+  /**
+   * Switch to the PR branch (creating it if needed) and commit there
+   * @param {string} repoPath
+   * @param {string} branchName
+   * @param {string[]} files - Files to stage
+   * @throws {Error} If the branch name is invalid or a git command fails
+   */
+  async _commitToBranch(repoPath, branchName, files) {
+    checkBranchName(branchName);
 
-      // Stage changes
-      execSync('git add .github/CLAUDE.md .claude/CLAUDE.md', { cwd: repoPath, stdio: 'pipe' });
+    // Check if branch exists
+    let branchExists = false;
+    try {
+      await git(['rev-parse', '--verify', '--quiet', `refs/heads/${branchName}`], { cwd: repoPath });
+      branchExists = true;
+    } catch {
+      branchExists = false;
+    }
 
-      // Commit
-      const commitMsg = 'chore: update Claude preferences\n\nAuto-synced from claude-context-sync';
-      execSync(`git commit -m "${commitMsg}"`, { cwd: repoPath, stdio: 'pipe' });
+    if (branchExists) {
+      // Switch to existing branch
+      await git(['checkout', branchName], { cwd: repoPath });
+    } else {
+      // Create and switch to new branch
+      await git(['checkout', '-b', branchName], { cwd: repoPath });
+    }
 
-      // Push
-      execSync(`git push -u origin ${branchName}`, { cwd: repoPath, stdio: 'pipe' });
+    // Stage changes
+    await git(['add', '--', ...files], { cwd: repoPath });
 
-      // Create PR using gh cli if available
-      try {
-        execSync(`gh pr create --title "Update Claude Preferences" --body "Auto-synced preferences from claude-context-sync"`, {
-          cwd: repoPath,
-          stdio: 'pipe'
-        });
-      } catch {
-        // gh cli not available or PR already exists - not a failure
-      }
+    // Commit
+    await git(['commit', '-m', COMMIT_MESSAGE], { cwd: repoPath });
+  }
 
-      return { success: true };
-    } catch (error) {
-      return { success: false, error: error.message };
+  /**
+   * Push the PR branch and open a PR
+   * @throws {Error} If the push fails
+   */
+  async _publishBranch(repoPath, branchName) {
+    checkBranchName(branchName);
+
+    // Push
+    await git(['push', '-u', 'origin', branchName], { cwd: repoPath, timeout: NETWORK_TIMEOUT_MS });
+
+    // Create PR using gh cli if available
+    try {
+      await gh(['pr', 'create', '--title', 'Update Claude Preferences', '--body', 'Auto-synced preferences from claude-context-sync'], {
+        cwd: repoPath,
+        timeout: NETWORK_TIMEOUT_MS
+      });
+    } catch {
+      // gh cli not available or PR already exists - not a failure
     }
   }
 
   /**
    * Commit changes directly
+   * @param {string} repoPath
+   * @param {string[]} files - Files to stage
    */
-  async _commitChanges(repoPath) {
+  async _commitChanges(repoPath, files) {
     try {
-      execSync('git add .github/CLAUDE.md .claude/CLAUDE.md', { cwd: repoPath, stdio: 'pipe' });
-
-      const commitMsg = 'chore: update Claude preferences\n\nAuto-synced from claude-context-sync';
-      execSync(`git commit -m "${commitMsg}"`, { cwd: repoPath, stdio: 'pipe' });
+      await git(['add', '--', ...files], { cwd: repoPath });
+      await git(['commit', '-m', COMMIT_MESSAGE], { cwd: repoPath });
 
       return { success: true };
     } catch (error) {
@@ -290,7 +687,7 @@ export class RepoSync {
    */
   async _pushChanges(repoPath) {
     try {
-      execSync('git push', { cwd: repoPath, stdio: 'pipe' });
+      await git(['push'], { cwd: repoPath, timeout: NETWORK_TIMEOUT_MS });
       return { success: true };
     } catch (error) {
       return { success: false, error: error.message };
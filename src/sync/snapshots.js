@@ -0,0 +1,179 @@
+/**
+ * Snapshots of generated content, for merging hand edits on re-sync
+ *
+ * After each sync the generated content written to a target (the whole file
+ * for the global CLAUDE.md, the managed region for project files) is stored
+ * with its hash. The next sync runs a three-way merge between that snapshot,
+ * the target as it is now and the new output, so edits made since the last
+ * sync survive unless they collide with a generated change. `--on-conflict`
+ * decides what happens to collisions:
+ *
+ *   report     leave the target untouched and fail (default)
+ *   markers    write both sides between conflict markers
+ *   keep       keep the edited lines
+ *   overwrite  take the generated lines
+ */
+
+import { createHash } from 'crypto';
+import { join, resolve, dirname } from 'path';
+import { homedir } from 'os';
+import { readFileSync, writeFileSync, existsSync, mkdirSync, rmSync } from 'fs';
+import { mergeThreeWay } from '../utils/three-way-merge.js';
+
+export const ON_CONFLICT_MODES = ['report', 'markers', 'keep', 'overwrite'];
+export const DEFAULT_ON_CONFLICT = 'report';
+
+const EXPORT_TARGET_PREFIX = 'export:';
+
+const RESOLUTIONS = { markers: 'markers', keep: 'current', overwrite: 'generated', report: 'markers' };
+
+export class SyncConflictError extends Error {
+  constructor(path, conflicts) {
+    const lines = conflicts.map(c => c.line).join(', ');
+    super(
+      `Edits in ${path} conflict with regenerated content (line${conflicts.length === 1 ? '' : 's'} ${lines}). ` +
+      'Re-run with --on-conflict markers, keep or overwrite'
+    );
+    this.name = 'SyncConflictError';
+    this.path = path;
+    this.conflicts = conflicts;
+  }
+}
+
+/**
+ * Describe how conflicting edits were handled, for sync output
+ * @param {string} path - Target file
+ * @param {Array<{line: number}>} conflicts - From reconcileGenerated
+ * @param {string} onConflict - Mode the conflicts were resolved with
+ * @returns {string}
+ */
+export function describeConflicts(path, conflicts, onConflict) {
+  const count = `${conflicts.length} conflicting edit${conflicts.length === 1 ? '' : 's'}`;
+  const lines = conflicts.map(c => c.line).join(', ');
+
+  if (onConflict === 'keep') return `Kept ${count} in ${path} over regenerated content (line ${lines})`;
+  if (onConflict === 'overwrite') return `Overwrote ${count} in ${path} with regenerated content`;
+  return `Wrote ${count} in ${path} between conflict markers (line ${lines}); resolve them by hand`;
+}
+
+/**
+ * Snapshot target for the last exported text of a format (chat, hybrid)
+ * @param {string} format
+ * @returns {string}
+ */
+export function exportTarget(format) {
+  return `${EXPORT_TARGET_PREFIX}${format}`;
+}
+
+/**
+ * Directory snapshots are kept in
+ * @returns {string} ~/.config/claude/snapshots
+ */
+export function getSnapshotDirectory() {
+  return join(homedir(), '.config', 'claude', 'snapshots');
+}
+
+/**
+ * Hash content the way snapshots record it
+ * @param {string} content
+ * @returns {string} sha256 hex digest
+ */
+export function hashContent(content) {
+  return createHash('sha256').update(content).digest('hex');
+}
+
+function targetKey(targetPath) {
+  return targetPath.startsWith(EXPORT_TARGET_PREFIX) ? targetPath : resolve(targetPath);
+}
+
+/**
+ * Last generated content per target file
+ */
+export class SnapshotStore {
+  constructor(directory = getSnapshotDirectory()) {
+    this.directory = directory;
+  }
+
+  /**
+   * Snapshot file for a target, keyed by its absolute path (or export target)
+   */
+  pathFor(targetPath) {
+    return join(this.directory, `${hashContent(targetKey(targetPath)).slice(0, 16)}.json`);
+  }
+
+  /**
+   * Read the snapshot for a target
+   * @returns {{target: string, hash: string, content: string, generatedWith?: Object,
+   *   updatedAt: string}|null} null if there is none or it doesn't match its recorded hash
+   */
+  read(targetPath) {
+    const file = this.pathFor(targetPath);
+    if (!existsSync(file)) return null;
+
+    try {
+      const snapshot = JSON.parse(readFileSync(file, 'utf-8'));
+      return typeof snapshot.content === 'string' && hashContent(snapshot.content) === snapshot.hash
+        ? snapshot
+        : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Record the content just generated for a target
+   * @param {string} targetPath
+   * @param {string} content
+   * @param {Object} [generatedWith] - Options the content was generated with (e.g.
+   *   `{ maxTokens }`), so `status` can regenerate it the same way
+   */
+  write(targetPath, content, generatedWith = {}) {
+    const file = this.pathFor(targetPath);
+    mkdirSync(dirname(file), { recursive: true });
+
+    const snapshot = {
+      target: targetKey(targetPath),
+      hash: hashContent(content),
+      content,
+      generatedWith,
+      updatedAt: new Date().toISOString()
+    };
+    writeFileSync(file, JSON.stringify(snapshot, null, 2) + '\n', 'utf-8');
+    return snapshot;
+  }
+
+  /**
+   * Forget a target's snapshot
+   */
+  remove(targetPath) {
+    rmSync(this.pathFor(targetPath), { force: true });
+  }
+}
+
+/**
+ * Carry edits made since the last sync into newly generated content
+ * @param {Object} input
+ * @param {string|null} input.current - Target content now (null if there is none)
+ * @param {string|null} input.previous - Snapshot of the last generated content (null if none)
+ * @param {string} input.generated - Newly generated content
+ * @param {string} [input.onConflict='report'] - One of ON_CONFLICT_MODES
+ * @returns {{content: string|null, conflicts: Array, merged: boolean}} content is null when
+ *   there are conflicts and onConflict is 'report'; merged tells whether edits were carried over
+ */
+export function reconcileGenerated({ current, previous, generated, onConflict = DEFAULT_ON_CONFLICT }) {
+  if (!ON_CONFLICT_MODES.includes(onConflict)) {
+    throw new Error(`Invalid --on-conflict mode: ${onConflict} (expected one of: ${ON_CONFLICT_MODES.join(', ')})`);
+  }
+
+  // Nothing to carry over: first sync, or no edits since the last one
+  if (current === null || previous === null || current === previous) {
+    return { content: generated, conflicts: [], merged: false };
+  }
+
+  const { content, conflicts } = mergeThreeWay(previous, current, generated, { resolve: RESOLUTIONS[onConflict] });
+
+  if (conflicts.length > 0 && onConflict === 'report') {
+    return { content: null, conflicts, merged: false };
+  }
+  return { content, conflicts, merged: true };
+}
@@ -1,21 +1,83 @@
+import { limitDepth, smartCondense } from '../utils/depth-limit.js';
+import { findByPriority, omitByPriority, withDefaultPriorities } from '../utils/priority.js';
+import { TOOLING_KEYS } from '../config/schema.js';
+import { getDefaultScopes, resolveSectionScopes } from '../config/scopes.js';
+import { applyConditions } from '../config/conditions.js';
+import { getPackageVersion, hashSource } from '../utils/version.js';
+
+/**
+ * Remove annotations and the values limitDepth condensed to placeholders
+ * @private
+ */
+function dropCondensed(original, limited) {
+  const result = {};
+
+  for (const [key, value] of Object.entries(limited)) {
+    if (key.startsWith('_')) continue;
+
+    const source = original[key];
+    const sourceIsObject = source !== null && typeof source === 'object' && !Array.isArray(source);
+    if (!sourceIsObject) {
+      result[key] = value;
+    } else if (typeof value === 'object' && value !== null) {
+      result[key] = dropCondensed(source, value);
+    }
+  }
+
+  return result;
+}
+
 /**
  * Base transformer class for converting preferences to different output formats
  */
 export class BaseTransformer {
-  constructor(preferences) {
+  /**
+   * @param {Object} preferences - Preferences object to transform
+   * @param {Object} [options] - Transformer-specific options (e.g. templatePath)
+   * @param {string|string[]} [options.scope] - Target(s) to render instead of the format's own
+   * @param {string} [options.format] - Format name, matched by `_when: { target }` (set by createTransformer)
+   * @param {Object} [options.conditionContext] - Extra facts for `_when:` conditions
+   */
+  constructor(preferences, options = {}) {
     this.preferences = preferences;
+    this.options = options;
+    this.conditionTrace = [];
+  }
+
+  /**
+   * Hash for the generated header, from everything the output is rendered from
+   * @param {Object} sections - Filtered sections being rendered
+   * @param {*} [extra] - Other inputs, e.g. template text
+   * @returns {string}
+   */
+  sourceHash(sections, extra = null) {
+    return hashSource({ transformer: this.constructor.name, version: getPackageVersion(), sections, extra });
   }
 
   /**
-   * Filter sections by scope (chat, global, project)
-   * @param {string|string[]} scope - Scope(s) to filter for
+   * Filter sections by scope (chat, global, project, or a custom target)
+   *
+   * Remaining `_when:` conditions are settled here: `target` matches the format
+   * name or an options.scope target, and conditions on facts not in
+   * options.conditionContext exclude their block. Each decision is recorded in
+   * this.conditionTrace.
+   *
+   * @param {string|string[]} scope - Scope(s) to filter for, unless options.scope overrides them
    * @returns {Object} Filtered preferences object
    */
   filterByScope(scope) {
-    const targetScopes = Array.isArray(scope) ? scope : [scope];
+    const requested = this.options.scope || scope;
+    const targetScopes = Array.isArray(requested) ? requested : [requested];
     const filtered = {};
 
-    for (const [key, value] of Object.entries(this.preferences)) {
+    this.conditionTrace = [];
+    const context = {
+      ...this.options.conditionContext,
+      target: this.options.format ? [this.options.format, ...(this.options.scope || [])] : targetScopes
+    };
+    const preferences = applyConditions(this.preferences, context, { final: true, trace: this.conditionTrace });
+
+    for (const [key, value] of Object.entries(preferences)) {
       if (this._shouldIncludeSection(key, value, targetScopes)) {
         filtered[key] = value;
       }
@@ -29,19 +91,18 @@ export class BaseTransformer {
    * @private
    */
   _shouldIncludeSection(key, value, targetScopes) {
-    // Skip non-object values
-    if (!value || typeof value !== 'object') {
+    if (TOOLING_KEYS.includes(key)) {
       return false;
     }
 
-    // If section has explicit _scope, use it
-    if (value._scope && Array.isArray(value._scope)) {
-      return value._scope.some(s => targetScopes.includes(s));
+    // Skip non-object values
+    if (!value || typeof value !== 'object') {
+      return false;
     }
 
-    // Default scope rules based on section name
-    const defaultScopes = this._getDefaultScopes(key);
-    return defaultScopes.some(s => targetScopes.includes(s));
+    // Explicit _scope, then the `scopes:` mapping, then built-in defaults
+    const { targets } = resolveSectionScopes(key, value, this.preferences.scopes);
+    return targets.some(s => targetScopes.includes(s));
   }
 
   /**
@@ -49,25 +110,54 @@ export class BaseTransformer {
    * @private
    */
   _getDefaultScopes(sectionName) {
-    const scopeMap = {
-      // Chat and global scopes
-      professional_background: ['chat', 'global'],
-      personal_interests: ['chat', 'global'],
-      personality: ['chat', 'global'],
-      
-      // All scopes
-      working_style: ['chat', 'global', 'project'],
-      
-      // Global and project scopes
-      technical_approach: ['global', 'project'],
-      project_conventions: ['global', 'project'],
-      
-      // Legacy field mappings
-      personal: ['chat', 'global'],
-      technical: ['global', 'project']
+    return getDefaultScopes(sectionName, this.preferences.scopes).targets;
+  }
+
+  /**
+   * Split sections by priority for compressed formats
+   *
+   * Compressed formats render `critical` subsections in full (see
+   * getCriticalContent), `high` ones as condensed summaries, and `rest`
+   * through their usual formatters. `_priority: low` content is left out.
+   * Known policy subsections without a priority count as critical (see
+   * withDefaultPriorities).
+   *
+   * @param {Object} sections - Scope-filtered sections
+   * @returns {{critical: Array<{path: string[], key: string, value: Object}>,
+   *   high: Array<{path: string[], key: string, value: Object}>, rest: Object}}
+   */
+  splitByPriority(sections) {
+    const withoutLow = omitByPriority(withDefaultPriorities(sections), ['low']);
+
+    return {
+      critical: findByPriority(withoutLow, 'critical'),
+      high: findByPriority(omitByPriority(withoutLow, ['critical']), 'high'),
+      rest: omitByPriority(withoutLow, ['critical', 'high'])
     };
+  }
+
+  /**
+   * Reduce a critical subsection to its minimum depth
+   *
+   * Nested objects past `_min_depth` (1 if unset) are left out rather than
+   * replaced with limitDepth placeholders; annotations are removed.
+   * @param {Object} value - Critical subsection
+   * @returns {Object} Renderable content
+   */
+  getCriticalContent(value) {
+    return dropCondensed(value, limitDepth(value, 0));
+  }
 
-    return scopeMap[sectionName] || ['global']; // Default to global if unknown
+  /**
+   * One-line summary of a high-priority subsection
+   * @param {Object} value - High-priority subsection
+   * @returns {string}
+   */
+  getSummary(value) {
+    const content = Object.fromEntries(
+      Object.entries(value).filter(([key]) => !key.startsWith('_'))
+    );
+    return smartCondense(content);
   }
 
   /**
@@ -7,10 +7,12 @@ import { generateMetadata } from '../utils/version.js';
  */
 export class ChatFormatTransformer extends BaseTransformer {
   async transform() {
-    const sections = this.filterByScope(['chat', 'global']);
+    // Critical and high-priority subsections are pulled out so compaction can't drop them
+    const filtered = this.filterByScope(['chat', 'global']);
+    const { critical, high, rest: sections } = this.splitByPriority(filtered);
 
     // Add generation metadata as HTML comment
-    let output = generateMetadata({ format: 'chat' }) + '\n\n';
+    let output = generateMetadata({ format: 'chat', hash: this.sourceHash(filtered) }) + '\n\n';
 
     // Personality (Claude's persona) - establish who Claude is first
     if (sections.personality) {
@@ -46,6 +48,9 @@ export class ChatFormatTransformer extends BaseTransformer {
       output += this._formatTechnical(sections.technical);
     }
 
+    // Must-follow policies (_priority: critical), kept at their minimum depth
+    output += this._formatCriticalPolicies(critical, high);
+
     // Project defaults (compacted)
     if (sections.project_defaults) {
       output += this._formatProjectDefaults(sections.project_defaults);
@@ -305,7 +310,7 @@ n
       return '';
     }
 
-    let processedItems = options.lowercase
+    const processedItems = options.lowercase
       ? items.map(item => item.charAt(0).toLowerCase() + item.slice(1))
       : items;
 
@@ -314,8 +319,9 @@ n
     } else if (processedItems.length === 2) {
       return `${processedItems[0]} and ${processedItems[1]}`;
     } else {
-      const lastItem = processedItems.pop();
-      return `${processedItems.join(', ')}, and ${lastItem}`;
+      // Don't pop: items may be the caller's preferences array
+      const lastItem = processedItems[processedItems.length - 1];
+      return `${processedItems.slice(0, -1).join(', ')}, and ${lastItem}`;
     }
   }
 
@@ -466,6 +472,55 @@ n
     return text ? text + '\n\n' : '';
   }
 
+  /**
+   * Format critical subsections as one uncompacted prose paragraph, and
+   * high-priority ones as a condensed follow-up
+   * @private
+   */
+  _formatCriticalPolicies(critical, high = []) {
+    let text = '';
+
+    if (critical.length > 0) {
+      const policies = critical.map(({ key, value }) =>
+        `${this._formatLabel(key)}: ${this._formatCriticalValue(this.getCriticalContent(value))}`
+      );
+      text += `Must-follow policies: ${policies.join('. ')}.\n\n`;
+    }
+
+    if (high.length > 0) {
+      const summaries = high.map(({ key, value }) => `${this._formatLabel(key)}: ${this.getSummary(value)}`);
+      text += `Also important: ${summaries.join('. ')}.\n\n`;
+    }
+
+    return text;
+  }
+
+  /**
+   * Flatten a critical value into prose without dropping any items
+   * @private
+   */
+  _formatCriticalValue(value) {
+    if (Array.isArray(value)) {
+      return value.map(item => this._formatCriticalValue(item)).join('; ');
+    }
+    if (typeof value === 'object' && value !== null) {
+      return Object.entries(value)
+        .filter(([key]) => !key.startsWith('_'))
+        .map(([key, item]) => `${this._formatLabel(key).toLowerCase()}: ${this._formatCriticalValue(item)}`)
+        .join('; ');
+    }
+    return String(value).trim();
+  }
+
+  /**
+   * Convert snake_case to a sentence-case label
+   * @private
+   */
+  _formatLabel(key) {
+    const words = key.replace(/_/g, ' ');
+    return words.charAt(0).toUpperCase() + words.slice(1);
+  }
+
   /**
    * Format generic/unknown sections as natural prose
    * @private
@@ -1,5 +1,6 @@
 import { BaseTransformer } from './base.js';
 import { generateMetadata } from '../utils/version.js';
+import { getPriority } from '../utils/priority.js';
 
 /**
  * Transforms preferences into structured markdown format for CLAUDE.md files
@@ -9,7 +10,7 @@ export class ClaudeMdFormatTransformer extends BaseTransformer {
     const sections = this.filterByScope(['chat', 'global']);
 
     // Add generation metadata as HTML comment
-    let output = generateMetadata({ format: 'claude-md' }) + '\n\n';
+    let output = generateMetadata({ format: 'claude-md', hash: this.sourceHash(sections) }) + '\n\n';
     output += '# Claude Code Preferences\n\n';
 
     // CLAUDE PERSONA SECTION - Who Claude should be
@@ -358,6 +359,9 @@ n
     let section = '## Technical Preferences\n\n';
 
     for (const [key, value] of Object.entries(technical)) {
+      // Skip annotations (_scope, _priority, _min_depth)
+      if (key.startsWith('_')) continue;
+
       if (Array.isArray(value)) {
         section += `### ${this._formatSectionTitle(key)}\n\n`;
 
@@ -411,9 +415,11 @@ n
    * @private
    */
   _formatNestedTechnicalSection(key, obj) {
-    let section = `### ${this._formatSectionTitle(key)}\n\n`;
+    let section = `### ${this._formatSectionTitle(key)}${this._formatPriorityMarker(obj)}\n\n`;
 
     for (const [propKey, propValue] of Object.entries(obj)) {
+      if (propKey.startsWith('_')) continue;
+
       if (typeof propValue === 'string') {
         section += `**${this._formatSectionTitle(propKey)}**: ${propValue}\n\n`;
       } else if (Array.isArray(propValue)) {
@@ -423,8 +429,10 @@ n
         });
         section += '\n';
       } else if (typeof propValue === 'object' && propValue !== null) {
-        section += `**${this._formatSectionTitle(propKey)}**:\n\n`;
+        section += `**${this._formatSectionTitle(propKey)}${this._formatPriorityMarker(propValue)}**:\n\n`;
         for (const [subKey, subValue] of Object.entries(propValue)) {
+          if (subKey.startsWith('_')) continue;
+
           if (typeof subValue === 'string') {
             section += `- ${this._formatSectionTitle(subKey)}: ${subValue}\n`;
           } else if (Array.isArray(subValue)) {
@@ -446,15 +454,15 @@ n
    * @private
    */
   _formatGenericSection(key, value) {
-    let section = `## ${this._formatSectionTitle(key)}\n\n`;
+    let section = `## ${this._formatSectionTitle(key)}${this._formatPriorityMarker(value)}\n\n`;
     
     if (typeof value === 'string') {
       section += `${value}\n\n`;
     } else if (typeof value === 'object' && value !== null) {
       // Handle objects with properties
       for (const [propKey, propValue] of Object.entries(value)) {
-        // Skip scope metadata
-        if (propKey === '_scope') continue;
+        // Skip annotations (_scope, _priority, _min_depth)
+        if (propKey.startsWith('_')) continue;
         
         if (Array.isArray(propValue)) {
           section += `### ${this._formatSectionTitle(propKey)}\n\n`;
@@ -497,7 +505,7 @@ n
           section += `- **${this._formatSectionTitle(propKey)}**: ${propValue}\n`;
         } else if (typeof propValue === 'object' && propValue !== null) {
           // Handle nested objects (like workflow)
-          section += `### ${this._formatSectionTitle(propKey)}\n\n`;
+          section += `### ${this._formatSectionTitle(propKey)}${this._formatPriorityMarker(propValue)}\n\n`;
           for (const [nestedKey, nestedValue] of Object.entries(propValue)) {
             if (Array.isArray(nestedValue)) {
               section += `#### ${this._formatSectionTitle(nestedKey)}\n\n`;
@@ -518,6 +526,17 @@ n
     return section + '\n';
   }
 
+  /**
+   * Heading suffix flagging `_priority: critical` content
+   *
+   * CLAUDE.md keeps full detail at every priority, so priority only marks
+   * the must-follow sections.
+   * @private
+   */
+  _formatPriorityMarker(value) {
+    return getPriority(value) === 'critical' ? ' (Critical)' : '';
+  }
+
   /**
    * Convert snake_case to Title Case
    * @private
@@ -1,6 +1,7 @@
 import { BaseTransformer } from './base.js';
 import { limitDepth } from '../utils/depth-limit.js';
 import { generateMetadata } from '../utils/version.js';
+import { titleCase, toBulletList } from '../utils/template.js';
 
 /**
  * Hybrid Prose-Bullet transformer - balances readability with token efficiency
@@ -14,10 +15,12 @@ import { generateMetadata } from '../utils/version.js';
  */
 export class HybridFormatTransformer extends BaseTransformer {
   async transform() {
-    const sections = this.filterByScope(['chat', 'global']);
+    // Critical and high-priority subsections get their own block; low-priority ones are left out
+    const filtered = this.filterByScope(['chat', 'global']);
+    const { critical, high, rest: sections } = this.splitByPriority(filtered);
 
     // Add generation metadata as HTML comment
-    let output = generateMetadata({ format: 'hybrid' }) + '\n\n';
+    let output = generateMetadata({ format: 'hybrid', hash: this.sourceHash(filtered) }) + '\n\n';
 
     // Add framing context to clarify perspective and pronouns
     const personaName = sections.personality?.construct_name ||
@@ -44,7 +47,7 @@ export class HybridFormatTransformer extends BaseTransformer {
     output += this._formatPreferencesBullets(sections);
 
     // BULLET SECTIONS - Critical policies
-    output += this._formatCriticalPoliciesBullets(sections);
+    output += this._formatCriticalPoliciesBullets(critical, high);
 
     // BULLET SECTIONS - Workflows
     output += this._formatWorkflowsBullets(sections);
@@ -198,53 +201,23 @@ export class HybridFormatTransformer extends BaseTransformer {
   }
 
   /**
-   * Format critical policies as bullets
+   * Format `_priority: critical` subsections as bullets, never condensed
+   * below their `_min_depth`, followed by one-line `_priority: high` summaries
    */
-  _formatCriticalPoliciesBullets(sections) {
-    let bullets = '**Critical Policies**:\n\n';
-
-    // Testing
-    if (sections.technical?.testing_standards) {
-      bullets += '*Testing*:\n';
-      bullets += '- MUST pass before commit (218 tests currently)\n';
-      bullets += '- No reduced coverage after changes\n';
-      bullets += '- Run full suite, fix ALL failures\n\n';
-    }
-
-    // Documentation
-    if (sections.technical?.documentation) {
-      bullets += '*Documentation*:\n';
-      bullets += '- MUST update README for user-facing changes\n';
-      bullets += '- MUST update docs/*.md for affected features\n';
-      bullets += '- Grep all .md files for feature references\n';
-      bullets += '- Update ALL found mentions, not just obvious ones\n\n';
+  _formatCriticalPoliciesBullets(critical, high = []) {
+    if (critical.length === 0 && high.length === 0) {
+      return '';
     }
 
-    // Git workflow
-    if (sections.technical?.git_github_workflow || sections.technical?.git_workflow) {
-      bullets += '*Git Workflow*:\n';
-      bullets += '- Status → diff → log (check style) → commit\n';
-      bullets += '- Verify username: nlsherman-24861\n';
-      bullets += '- Never force push to main/master\n';
-      bullets += '- Commit msg: type: description + Claude attribution\n\n';
-    }
+    let bullets = '**Critical Policies**:\n\n';
 
-    // Git commit discipline (CRITICAL for auto git operations)
-    if (sections.technical?.git_commit_discipline) {
-      bullets += '*Git Commit Discipline*:\n';
-      bullets += '- NEVER revert commits without understanding what they did\n';
-      bullets += '- Read commit diff and message before reverting\n';
-      bullets += '- Ask user before destructive operations if consequences unclear\n';
-      bullets += '- Revert messages MUST explain: what, why, what\'s lost, alternative\n';
-      bullets += '- Default: fix forward, not revert backward\n\n';
+    for (const { key, value } of critical) {
+      bullets += `*${titleCase(key)}*:\n`;
+      bullets += toBulletList(this.getCriticalContent(value)) + '\n\n';
     }
 
-    // Linting
-    if (sections.technical?.linting_policy) {
-      bullets += '*Linting*:\n';
-      bullets += '- MUST run lint:all before commit\n';
-      bullets += '- Fix ALL errors, warnings acceptable if noted\n';
-      bullets += '- YAML, Markdown, code - all must be clean\n\n';
+    for (const { key, value } of high) {
+      bullets += `*${titleCase(key)}*: ${this.getSummary(value)}\n\n`;
     }
 
     return bullets;
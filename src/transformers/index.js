@@ -1,31 +1,193 @@
 /**
  * Transformer registry and factory
  */
+import { readdirSync } from 'fs';
+import { join, resolve, isAbsolute, basename, extname } from 'path';
+import { homedir } from 'os';
+import { pathToFileURL } from 'url';
+import { createRequire } from 'module';
 import { ChatFormatTransformer } from './chat-format.js';
 import { ClaudeMdFormatTransformer } from './claude-md-format.js';
 import { HybridFormatTransformer } from './hybrid-format.js';
+import { TemplateFormatTransformer } from './template-format.js';
+import { expandTilde } from '../utils/platform.js';
 
-// Registry of available transformers
+const BUILT_IN = 'built-in';
+
+// Registry of available transformers: format -> { TransformerClass, description, source }
 const TRANSFORMERS = {
-  chat: ChatFormatTransformer,
-  'claude-md': ClaudeMdFormatTransformer,
-  hybrid: HybridFormatTransformer
+  chat: {
+    TransformerClass: ChatFormatTransformer,
+    description: 'Natural prose for Claude Chat',
+    source: BUILT_IN
+  },
+  'claude-md': {
+    TransformerClass: ClaudeMdFormatTransformer,
+    description: 'Structured markdown for CLAUDE.md files (full detail)',
+    source: BUILT_IN
+  },
+  hybrid: {
+    TransformerClass: HybridFormatTransformer,
+    description: 'Prose + bullets for Claude Chat (~1,500 tokens)',
+    source: BUILT_IN
+  },
+  template: {
+    TransformerClass: TemplateFormatTransformer,
+    description: 'Rendered from a Mustache-style template (--template <file>)',
+    source: BUILT_IN
+  }
 };
 
+// Plugin files already imported, so repeated loads are cheap
+const loadedPlugins = new Set();
+
+/**
+ * Get the user transformer plugin directory
+ * @returns {string} ~/.config/claude/transformers
+ */
+export function getTransformersDirectory() {
+  return join(homedir(), '.config', 'claude', 'transformers');
+}
+
 /**
  * Create a transformer instance for the specified format
- * @param {string} format - Format name (chat, claude-md, hybrid)
+ * @param {string} format - Format name (chat, claude-md, hybrid, or a registered plugin)
  * @param {Object} preferences - Preferences object to transform
+ * @param {Object} [options] - Transformer options (e.g. templatePath for the template format)
  * @returns {BaseTransformer} Transformer instance
  */
-export function createTransformer(format, preferences) {
-  const TransformerClass = TRANSFORMERS[format];
-  
-  if (!TransformerClass) {
+export function createTransformer(format, preferences, options = {}) {
+  const entry = TRANSFORMERS[format];
+
+  if (!entry) {
     throw new Error(`Unknown transformer format: ${format}. Available formats: ${Object.keys(TRANSFORMERS).join(', ')}`);
   }
 
-  return new TransformerClass(preferences);
+  return new entry.TransformerClass(preferences, { format, ...options });
+}
+
+/**
+ * Register a transformer class under a format name
+ * @param {string} format - Format name used on the command line
+ * @param {Function} TransformerClass - BaseTransformer subclass
+ * @param {Object} [meta]
+ * @param {string} [meta.description] - One-line description for --list-formats
+ * @param {string} [meta.source] - Where the transformer came from (file path or package)
+ */
+export function registerTransformer(format, TransformerClass, meta = {}) {
+  if (typeof TransformerClass !== 'function' || typeof TransformerClass.prototype?.transform !== 'function') {
+    throw new Error(`Transformer '${format}' must be a class extending BaseTransformer with a transform() method`);
+  }
+
+  const existing = TRANSFORMERS[format];
+  if (existing && existing.source === BUILT_IN) {
+    throw new Error(`Cannot override built-in transformer '${format}'`);
+  }
+
+  TRANSFORMERS[format] = {
+    TransformerClass,
+    description: meta.description || TransformerClass.description || '',
+    source: meta.source || 'runtime'
+  };
+}
+
+/**
+ * Import one plugin module and register its default export
+ * @private
+ */
+async function loadPluginModule(specifier, source) {
+  const module = await import(specifier);
+  const TransformerClass = module.default;
+
+  if (!TransformerClass) {
+    throw new Error('Module has no default export');
+  }
+
+  // Format name: static `format` on the class, else the file name
+  const format = TransformerClass.format || basename(source, extname(source));
+  registerTransformer(format, TransformerClass, {
+    description: TransformerClass.description,
+    source
+  });
+
+  return format;
+}
+
+/**
+ * Find an installed package from a directory, the way Node would from a file in it
+ * Falls back to the bare name, which resolves against this tool's own dependencies
+ * @private
+ */
+function resolvePackage(name, baseDir) {
+  try {
+    const require = createRequire(join(resolve(baseDir), 'noop.js'));
+    return pathToFileURL(require.resolve(name)).href;
+  } catch (_error) {
+    return name;
+  }
+}
+
+/**
+ * Load third-party transformers from config-listed modules and the plugin directory
+ *
+ * Each plugin module default-exports a BaseTransformer subclass. The class may set
+ * static `format` (defaults to the file name) and static `description`.
+ *
+ * @param {Object} [options]
+ * @param {string[]} [options.modules] - Module paths or package names, both resolved from baseDir
+ * @param {string} [options.baseDir] - Directory relative module paths resolve against
+ * @param {string|null} [options.directory] - Plugin directory to scan (null to skip)
+ * @returns {Promise<{loaded: string[], errors: Array<{source: string, error: string}>}>}
+ */
+export async function loadTransformerPlugins(options = {}) {
+  const {
+    modules = [],
+    baseDir = process.cwd(),
+    directory = getTransformersDirectory()
+  } = options;
+
+  const candidates = [];
+
+  for (const mod of modules) {
+    const expanded = expandTilde(mod);
+    if (expanded.startsWith('.') || isAbsolute(expanded)) {
+      const path = resolve(baseDir, expanded);
+      candidates.push({ specifier: pathToFileURL(path).href, source: path });
+    } else {
+      // Bare specifier: an installed npm package
+      candidates.push({ specifier: resolvePackage(expanded, baseDir), source: expanded });
+    }
+  }
+
+  if (directory) {
+    try {
+      const files = readdirSync(directory)
+        .filter(f => f.endsWith('.js') || f.endsWith('.mjs'))
+        .sort();
+      for (const file of files) {
+        const path = join(directory, file);
+        candidates.push({ specifier: pathToFileURL(path).href, source: path });
+      }
+    } catch (_error) {
+      // Directory doesn't exist - plugins are optional
+    }
+  }
+
+  const loaded = [];
+  const errors = [];
+
+  for (const { specifier, source } of candidates) {
+    if (loadedPlugins.has(source)) continue;
+
+    try {
+      loaded.push(await loadPluginModule(specifier, source));
+      loadedPlugins.add(source);
+    } catch (error) {
+      errors.push({ source, error: error.message });
+    }
+  }
+
+  return { loaded, errors };
 }
 
 /**
@@ -36,6 +198,18 @@ export function getAvailableFormats() {
   return Object.keys(TRANSFORMERS);
 }
 
+/**
+ * Get description and origin of every registered transformer
+ * @returns {Array<{format: string, description: string, source: string}>}
+ */
+export function getTransformerInfo() {
+  return Object.entries(TRANSFORMERS).map(([format, entry]) => ({
+    format,
+    description: entry.description,
+    source: entry.source
+  }));
+}
+
 /**
  * Check if a format is supported
  * @param {string} format - Format name to check
@@ -49,4 +223,5 @@ export function isFormatSupported(format) {
 export { ChatFormatTransformer } from './chat-format.js';
 export { ClaudeMdFormatTransformer } from './claude-md-format.js';
 export { HybridFormatTransformer } from './hybrid-format.js';
-export { BaseTransformer } from './base.js';
\ No newline at end of file
+export { TemplateFormatTransformer } from './template-format.js';
+export { BaseTransformer } from './base.js';
@@ -0,0 +1,73 @@
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { BaseTransformer } from './base.js';
+import { readText } from '../utils/fs.js';
+import { renderTemplate } from '../utils/template.js';
+import { generateMetadata } from '../utils/version.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_TEMPLATE_PATH = join(__dirname, '..', '..', 'templates', 'formats', 'claude-md.mustache');
+
+// Sections the bundled template renders explicitly; everything else lands in other_sections
+const TEMPLATED_SECTIONS = new Set([
+  'personality', 'professional_background', 'creative_pursuits', 'personal_interests',
+  'working_style', 'technical_approach', 'project_conventions',
+  'personal', 'technical', 'project_defaults', 'project_specific'
+]);
+
+function pick(sections, keys) {
+  return Object.fromEntries(keys.filter(key => sections[key]).map(key => [key, sections[key]]));
+}
+
+/**
+ * Renders filtered preferences through a user-editable Mustache-style template
+ *
+ * Wording and layout live in the template file, so teams can change them
+ * without touching JavaScript. See src/utils/template.js for the syntax.
+ *
+ * Options:
+ * - templatePath: template file (defaults to templates/formats/claude-md.mustache)
+ * - scope: target(s) to render (defaults to chat + global)
+ */
+export class TemplateFormatTransformer extends BaseTransformer {
+  async transform() {
+    const templatePath = this.options.templatePath || DEFAULT_TEMPLATE_PATH;
+    const source = await readText(templatePath);
+
+    const output = renderTemplate(source, this.buildContext(source), { templatePath });
+
+    // Same cleanup as claude-md: trailing spaces, collapsed blank lines, single final newline
+    return output
+      .split('\n')
+      .map(line => line.trimEnd())
+      .join('\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim() + '\n';
+  }
+
+  /**
+   * Build the root template context
+   *
+   * Every filtered section is available at the top level, plus groupings
+   * so templates can render a heading only when a group has content.
+   * @param {string} [templateSource] - Template text, part of the metadata hash
+   * @returns {Object} Template data
+   */
+  buildContext(templateSource) {
+    const sections = this.filterByScope(['chat', 'global']);
+
+    const otherSections = Object.fromEntries(
+      Object.entries(sections).filter(([key]) => !TEMPLATED_SECTIONS.has(key))
+    );
+
+    return {
+      ...sections,
+      sections,
+      metadata: generateMetadata({ format: 'template', hash: this.sourceHash(sections, templateSource ?? null) }),
+      user_context: pick(sections, ['professional_background', 'creative_pursuits', 'personal_interests']),
+      user_preferences: pick(sections, ['working_style', 'technical_approach', 'project_conventions']),
+      other_sections: otherSections
+    };
+  }
+}
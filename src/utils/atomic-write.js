@@ -0,0 +1,180 @@
+/**
+ * Crash- and concurrency-safe writes for sync targets
+ *
+ * writeFileAtomic writes to a temp file in the target's directory, fsyncs it
+ * and renames it over the target, so readers see the old content or the new,
+ * never a truncated mix. withFileLock holds an advisory lock file for the
+ * read-merge-write cycle of a sync, so two runs (say a cron job and a manual
+ * sync) can't interleave. Lock files live under ~/.config/claude/locks, keyed
+ * by the target's absolute path, so they never show up in a synced repo's
+ * `git status`. A lock is stale once its process has exited or it is older
+ * than LOCK_STALE_MS, and is then taken over.
+ */
+
+import {
+  openSync, writeSync, fsyncSync, closeSync, renameSync, unlinkSync,
+  readFileSync, statSync, existsSync, mkdirSync, realpathSync, chmodSync
+} from 'fs';
+import { dirname, basename, join, resolve } from 'path';
+import { hostname, homedir } from 'os';
+import { randomBytes, createHash } from 'crypto';
+import { formatAge } from './time.js';
+
+// No sync holds a lock this long; older locks are left over from a crash
+export const LOCK_STALE_MS = 10 * 60 * 1000;
+
+export class FileLockError extends Error {
+  constructor(path, holder, lockPath) {
+    const owner = holder
+      ? ` (pid ${holder.pid} on ${holder.hostname}, since ${formatAge(new Date(holder.createdAt))})`
+      : '';
+    super(`${path} is being written by another sync${owner}. Try again when it finishes, or delete ${lockPath} if no sync is running`);
+    this.name = 'FileLockError';
+    this.path = path;
+    this.holder = holder;
+    this.lockPath = lockPath;
+  }
+}
+
+/**
+ * Directory lock files are kept in
+ * @returns {string} ~/.config/claude/locks
+ */
+export function getLockDirectory() {
+  return join(homedir(), '.config', 'claude', 'locks');
+}
+
+/**
+ * Lock file for a target, keyed by its absolute path
+ * @param {string} path - Target file
+ * @param {string} [directory] - Lock directory (defaults to getLockDirectory())
+ * @returns {string}
+ */
+export function lockPathFor(path, directory = getLockDirectory()) {
+  const key = createHash('sha256').update(resolve(path)).digest('hex').slice(0, 16);
+  return join(directory, `${key}.lock`);
+}
+
+/**
+ * Write a file atomically: temp file, fsync, rename
+ * Symlinked targets are written through, and an existing file's mode is kept
+ * @param {string} path
+ * @param {string} content
+ */
+export function writeFileAtomic(path, content) {
+  const target = existsSync(path) ? realpathSync(path) : path;
+  const directory = dirname(target);
+  mkdirSync(directory, { recursive: true });
+
+  const temp = join(directory, `.${basename(target)}.${process.pid}.${randomBytes(4).toString('hex')}.tmp`);
+  const fd = openSync(temp, 'wx');
+  try {
+    writeSync(fd, content, null, 'utf-8');
+    fsyncSync(fd);
+    closeSync(fd);
+    if (existsSync(target)) {
+      chmodSync(temp, statSync(target).mode);
+    }
+    renameSync(temp, target);
+  } catch (e) {
+    try { closeSync(fd); } catch { /* already closed */ }
+    try { unlinkSync(temp); } catch { /* never created or already renamed */ }
+    throw e;
+  }
+
+  // Persist the rename itself; not every platform can fsync a directory
+  try {
+    const dirFd = openSync(directory, 'r');
+    try { fsyncSync(dirFd); } finally { closeSync(dirFd); }
+  } catch { /* best effort */ }
+}
+
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    // EPERM: alive, owned by someone else
+    return e.code === 'EPERM';
+  }
+}
+
+/**
+ * Who holds a lock, and whether it is stale
+ * @private
+ * @returns {{holder: Object|null, stale: boolean}|null} null if the lock is gone
+ */
+function inspectLock(lockPath) {
+  let holder = null;
+  let modified;
+  try {
+    modified = statSync(lockPath).mtimeMs;
+    holder = JSON.parse(readFileSync(lockPath, 'utf-8'));
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    // Unreadable or half-written: judge by age alone
+  }
+
+  const age = Date.now() - (holder?.createdAt ? new Date(holder.createdAt).getTime() : modified);
+  const exited = holder?.hostname === hostname() && !isRunning(holder.pid);
+  return { holder, stale: exited || age > LOCK_STALE_MS };
+}
+
+function acquireLock(path, directory) {
+  const lockPath = lockPathFor(path, directory);
+  const token = randomBytes(8).toString('hex');
+  const holder = {
+    pid: process.pid, hostname: hostname(), createdAt: new Date().toISOString(), target: resolve(path), token
+  };
+  mkdirSync(dirname(lockPath), { recursive: true });
+
+  // A second attempt after clearing a stale lock
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      const fd = openSync(lockPath, 'wx');
+      try { writeSync(fd, JSON.stringify(holder)); } finally { closeSync(fd); }
+      return { lockPath, token };
+    } catch (e) {
+      if (e.code !== 'EEXIST') throw e;
+    }
+
+    const existing = inspectLock(lockPath);
+    if (existing && !existing.stale) {
+      throw new FileLockError(path, existing.holder, lockPath);
+    }
+    try { unlinkSync(lockPath); } catch { /* removed in the meantime */ }
+  }
+
+  throw new FileLockError(path, null, lockPath);
+}
+
+function releaseLock({ lockPath, token }) {
+  try {
+    // Only remove our own lock, not one that replaced it after being judged stale
+    if (JSON.parse(readFileSync(lockPath, 'utf-8')).token === token) {
+      unlinkSync(lockPath);
+    }
+  } catch { /* already gone */ }
+}
+
+/**
+ * Run fn while holding the lock on one or more target files
+ * @param {string|string[]} paths - Target files (each gets a lock file, see lockPathFor)
+ * @param {Function} fn - May be async
+ * @param {Object} [options]
+ * @param {string} [options.directory] - Lock directory (defaults to getLockDirectory())
+ * @returns {Promise<*>} What fn returns
+ * @throws {FileLockError} If another sync holds one of the locks
+ */
+export async function withFileLock(paths, fn, options = {}) {
+  const locks = [];
+  try {
+    // A fixed order, so two runs locking the same files can't each hold half
+    for (const path of [...new Set([paths].flat())].sort()) {
+      locks.push(acquireLock(path, options.directory));
+    }
+    return await fn();
+  } finally {
+    locks.reverse().forEach(releaseLock);
+  }
+}
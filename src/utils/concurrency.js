@@ -0,0 +1,31 @@
+/**
+ * Bounded concurrency for async work
+ */
+
+/**
+ * Call an async function for each item, with at most `limit` calls in flight
+ * Items are taken in order as workers free up. If a call rejects, the returned
+ * promise rejects, but calls already started are left to finish
+ * @param {Array} items
+ * @param {number} limit - Positive whole number
+ * @param {Function} fn - (item, index) => Promise
+ * @returns {Promise<Array>} Results in the order of items
+ */
+export async function mapConcurrent(items, limit, fn) {
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new Error(`Concurrency must be a positive whole number (got ${limit})`);
+  }
+
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
@@ -10,7 +10,23 @@
  * - Base layer: core_requirements: ["Test A", "Test B"]
  * - Project layer: core_requirements: ["Test C"]
  * - Result: core_requirements: ["Test A", "Test B", "Test C"]
+ *
+ * A source array can carry a merge directive (set from YAML tags by
+ * src/utils/merge-tags.js, or with mergeDirective) to merge differently:
+ * - replace: source replaces target
+ * - prepend: source items go before target items
+ * - remove: target items equal to any source item are removed
+ * - unique: append, then drop items equal to an earlier one
+ * - merge: objects with the same `key` field (default `name`) are deep merged,
+ *   the rest appended
  */
+import { isDeepStrictEqual } from 'util';
+
+export const MERGE_STRATEGIES = ['append', 'replace', 'prepend', 'remove', 'unique', 'merge'];
+
+export const DEFAULT_MERGE_KEY = 'name';
+
+const DIRECTIVE = Symbol('mergeDirective');
 
 /**
  * Check if value is a plain object (not array, not null, not class instance)
@@ -22,14 +38,114 @@ function isPlainObject(obj) {
     && Object.getPrototypeOf(obj) === Object.prototype;
 }
 
+/**
+ * Mark an array with a merge directive
+ *
+ * The directive is a non-enumerable property, so the array still behaves
+ * (and serializes) as a plain array. Merged results never carry one.
+ *
+ * @param {string} strategy - One of MERGE_STRATEGIES
+ * @param {Array} items - Array to mark (marked in place and returned)
+ * @param {Object} [options]
+ * @param {string} [options.key] - Identity field for the merge strategy
+ * @returns {Array} items
+ */
+export function mergeDirective(strategy, items, options = {}) {
+  if (!MERGE_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown merge strategy '${strategy}'. Use one of: ${MERGE_STRATEGIES.join(', ')}`);
+  }
+  Object.defineProperty(items, DIRECTIVE, {
+    value: { strategy, key: options.key || DEFAULT_MERGE_KEY },
+    configurable: true
+  });
+  return items;
+}
+
+/**
+ * Get the merge directive of an array
+ * @param {*} value - Any value
+ * @returns {{strategy: string, key: string}|null} null for unmarked values
+ */
+export function getMergeDirective(value) {
+  return Array.isArray(value) ? value[DIRECTIVE] || null : null;
+}
+
+const identity = value => value;
+
+/**
+ * Remove merge directives from a value that has nothing to merge into
+ * @private
+ */
+function normalize(value, options) {
+  if (getMergeDirective(value)) {
+    return mergeArrays([], value, options);
+  }
+  if (isPlainObject(value)) {
+    return deepMerge({}, value, options);
+  }
+  return value;
+}
+
+/**
+ * Merge two arrays according to the source array's directive
+ * @private
+ */
+function mergeArrays(target, source, options) {
+  const { strategy, key } = getMergeDirective(source) || { strategy: 'append' };
+  const compareAs = options.compareAs || identity;
+  const items = source.map(item => normalize(item, options));
+  const same = (a, b) => isDeepStrictEqual(compareAs(a), compareAs(b));
+  const keyOf = item => {
+    const value = compareAs(item);
+    return isPlainObject(value) ? value[key] : undefined;
+  };
+
+  switch (strategy) {
+    case 'replace':
+      return items;
+
+    case 'prepend':
+      return [...items, ...target];
+
+    case 'remove':
+      return target.filter(item => !items.some(removed => same(item, removed)));
+
+    case 'unique':
+      return [...target, ...items].filter((item, index, all) =>
+        all.findIndex(other => same(other, item)) === index
+      );
+
+    case 'merge': {
+      const result = [...target];
+      for (const item of items) {
+        const index = keyOf(item) !== undefined
+          ? result.findIndex(existing => keyOf(existing) === keyOf(item))
+          : -1;
+        if (index === -1) {
+          result.push(item);
+        } else {
+          result[index] = deepMerge(result[index], item, options);
+        }
+      }
+      return result;
+    }
+
+    default:
+      return [...target, ...items];
+  }
+}
+
 /**
  * Deep merge two objects with array append semantics
  *
  * @param {Object} target - Base object
  * @param {Object} source - Object to merge into base
+ * @param {Object} [options]
+ * @param {Function} [options.compareAs] - Maps an array item to the plain value that
+ *   directives compare, for trees whose leaves wrap values (see src/config/provenance.js)
  * @returns {Object} Merged object (creates new object, doesn't mutate inputs)
  */
-export function deepMerge(target, source) {
+export function deepMerge(target, source, options = {}) {
   // Handle non-object cases
   if (!isPlainObject(target) || !isPlainObject(source)) {
     return source !== undefined ? source : target;
@@ -41,15 +157,18 @@ export function deepMerge(target, source) {
     const targetValue = target[key];
     const sourceValue = source[key];
 
-    if (Array.isArray(targetValue) && Array.isArray(sourceValue)) {
+    if (getMergeDirective(sourceValue)) {
+      // Directive arrays apply even when the target is missing (e.g. !remove gives [])
+      result[key] = mergeArrays(Array.isArray(targetValue) ? targetValue : [], sourceValue, options);
+    } else if (Array.isArray(targetValue) && Array.isArray(sourceValue)) {
       // Array append - concatenate arrays
-      result[key] = [...targetValue, ...sourceValue];
+      result[key] = mergeArrays(targetValue, sourceValue, options);
     } else if (isPlainObject(targetValue) && isPlainObject(sourceValue)) {
       // Recurse for nested objects
-      result[key] = deepMerge(targetValue, sourceValue);
+      result[key] = deepMerge(targetValue, sourceValue, options);
     } else {
       // Primitive or type mismatch - source wins
-      result[key] = sourceValue;
+      result[key] = normalize(sourceValue, options);
     }
   }
 
@@ -6,7 +6,11 @@
  * - claude-md: unlimited depth (full detail)
  * - hybrid: depth 2 (top-level + one sublevel)
  * - chat: depth 1 (top-level only)
+ *
+ * Sections annotated with `_min_depth` (or `_priority: critical`) keep that
+ * many levels below themselves whatever the limit (see utils/priority.js).
  */
+import { getMinDepth } from './priority.js';
 
 /**
  * Check if value is a plain object (not array, not null)
@@ -38,6 +42,9 @@ function isPlainObject(obj) {
  * limitDepth(deep, 1) // { a: "[nested object]" }
  * limitDepth(deep, 2) // { a: { b: "[nested object]" } }
  * limitDepth(deep, 3) // { a: { b: { c: "deep value" } } }
+ *
+ * limitDepth({ a: { _min_depth: 2, b: { c: "kept" } } }, 1)
+ * // { a: { _min_depth: 2, b: { c: "kept" } } }
  */
 export function limitDepth(obj, maxDepth, currentDepth = 0) {
   // Base case: not an object, return as-is
@@ -45,6 +52,12 @@ export function limitDepth(obj, maxDepth, currentDepth = 0) {
     return obj;
   }
 
+  // Annotated minimum depth extends the limit below this node
+  const minDepth = getMinDepth(obj);
+  if (minDepth > 0) {
+    maxDepth = Math.max(maxDepth, currentDepth + minDepth);
+  }
+
   // At max depth: condense nested objects
   if (currentDepth >= maxDepth) {
     return condenseValue(obj);
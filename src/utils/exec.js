@@ -0,0 +1,158 @@
+/**
+ * Running git and gh without a shell
+ *
+ * Arguments are passed to the program as an array, so branch names, URLs and
+ * usernames taken from config files or the command line are never parsed by a
+ * shell. Every call has a timeout, stdout and stderr are captured, and
+ * failures are thrown as CommandError (or one of its subclasses) carrying the
+ * exit code and stderr.
+ */
+
+import { execFile, execFileSync } from 'child_process';
+
+export const DEFAULT_TIMEOUT_MS = 60 * 1000;
+
+// Clones and pushes talk to a remote, so they get longer
+export const NETWORK_TIMEOUT_MS = 2 * 60 * 1000;
+
+// gh JSON output for 100 repositories is well past execFile's 1 MB default
+const MAX_BUFFER = 16 * 1024 * 1024;
+
+export class CommandError extends Error {
+  /**
+   * @param {string} command
+   * @param {string[]} args
+   * @param {{message?: string, exitCode?: number|null, signal?: string|null, stderr?: string}} [details]
+   */
+  constructor(command, args, details = {}) {
+    const { exitCode = null, signal = null, stderr = '' } = details;
+    const status = exitCode !== null ? ` (exit ${exitCode})` : '';
+    super(details.message || `${describeCommand(command, args)} failed${status}${stderr ? `: ${stderr}` : ''}`);
+    this.name = 'CommandError';
+    this.command = command;
+    this.args = args;
+    this.exitCode = exitCode;
+    this.signal = signal;
+    this.stderr = stderr;
+  }
+}
+
+export class CommandNotFoundError extends CommandError {
+  constructor(command, args) {
+    super(command, args, { message: `${command} is not installed or not on PATH` });
+    this.name = 'CommandNotFoundError';
+  }
+}
+
+export class CommandTimeoutError extends CommandError {
+  constructor(command, args, timeout, stderr = '') {
+    super(command, args, {
+      message: `${describeCommand(command, args)} timed out after ${timeout / 1000}s`,
+      signal: 'SIGTERM',
+      stderr
+    });
+    this.name = 'CommandTimeoutError';
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * Short form of a command for messages: the program and its subcommand
+ * (full argument lists can hold commit messages or tokens)
+ * @private
+ */
+function describeCommand(command, args) {
+  const subcommand = args.find(arg => !arg.startsWith('-'));
+  return subcommand ? `${command} ${subcommand}` : command;
+}
+
+/**
+ * Turn a child_process failure into a CommandError
+ * @private
+ */
+function toCommandError(command, args, error, timeout, output = error.stderr) {
+  const stderr = output?.toString().trim() || '';
+  if (error.code === 'ENOENT') {
+    return new CommandNotFoundError(command, args);
+  }
+  // execFileSync reports a timeout as ETIMEDOUT, execFile by killing the child
+  if (error.code === 'ETIMEDOUT' || (error.killed && error.signal === 'SIGTERM')) {
+    return new CommandTimeoutError(command, args, timeout, stderr);
+  }
+  return new CommandError(command, args, {
+    exitCode: typeof error.code === 'number' ? error.code : error.status ?? null,
+    signal: error.signal ?? null,
+    stderr: stderr || error.message
+  });
+}
+
+/**
+ * Run a program with an argument array
+ * @param {string} command
+ * @param {string[]} args
+ * @param {{cwd?: string, timeout?: number}} [options]
+ * @returns {Promise<{stdout: string, stderr: string}>}
+ * @throws {CommandError} If the program fails, times out or isn't installed
+ */
+export function run(command, args, options = {}) {
+  const { cwd, timeout = DEFAULT_TIMEOUT_MS } = options;
+
+  return new Promise((resolve, reject) => {
+    execFile(command, args, { cwd, timeout, maxBuffer: MAX_BUFFER, encoding: 'utf-8' }, (error, stdout, stderr) => {
+      if (error) {
+        reject(toCommandError(command, args, error, timeout, stderr));
+      } else {
+        resolve({ stdout, stderr });
+      }
+    });
+  });
+}
+
+/**
+ * Synchronous run, for callers that can't be async
+ * @returns {string} stdout
+ * @throws {CommandError}
+ */
+export function runSync(command, args, options = {}) {
+  const { cwd, timeout = DEFAULT_TIMEOUT_MS } = options;
+
+  try {
+    return execFileSync(command, args, {
+      cwd,
+      timeout,
+      maxBuffer: MAX_BUFFER,
+      encoding: 'utf-8',
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+  } catch (error) {
+    throw toCommandError(command, args, error, timeout);
+  }
+}
+
+/**
+ * Run git
+ * @param {string[]} args
+ * @param {{cwd?: string, timeout?: number}} [options]
+ * @returns {Promise<{stdout: string, stderr: string}>}
+ */
+export function git(args, options) {
+  return run('git', args, options);
+}
+
+/**
+ * Run git synchronously
+ * @returns {string} stdout
+ */
+export function gitSync(args, options) {
+  return runSync('git', args, options);
+}
+
+/**
+ * Run the GitHub CLI
+ * @param {string[]} args
+ * @param {{cwd?: string, timeout?: number}} [options]
+ * @returns {Promise<{stdout: string, stderr: string}>}
+ */
+export function gh(args, options) {
+  return run('gh', args, options);
+}
@@ -1,6 +1,7 @@
 import { promises as fs } from 'fs';
 import { dirname } from 'path';
 import { parse, stringify } from 'yaml';
+import { MERGE_TAGS } from './merge-tags.js';
 
 export async function ensureDir(path) {
   try {
@@ -23,7 +24,7 @@ export async function fileExists(path) {
 export async function readYaml(path) {
   try {
     const content = await fs.readFile(path, 'utf-8');
-    return parse(content);
+    return parse(content, { customTags: MERGE_TAGS });
   } catch (error) {
     if (error.code === 'ENOENT') {
       throw new Error(`File not found: ${path}`);
@@ -0,0 +1,173 @@
+/**
+ * Line diffs: longest-common-subsequence matching and unified diff output
+ */
+import chalk from 'chalk';
+
+export const DEFAULT_CONTEXT_LINES = 3;
+
+/**
+ * Split text into lines; empty text has none
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function splitLines(text) {
+  return text === '' ? [] : text.split('\n');
+}
+
+/**
+ * Match lines of `a` to lines of `b` along a longest common subsequence
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {number[]} For each line of a, the index of its match in b or -1
+ */
+export function matchLines(a, b) {
+  const matches = new Array(a.length).fill(-1);
+
+  // Common prefix and suffix are matched directly, keeping the table small
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    matches[start] = start;
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+    matches[endA] = endB;
+  }
+
+  // lengths[i * width + j] = LCS length of a[start + i..endA) and b[start + j..endB)
+  const n = endA - start;
+  const m = endB - start;
+  const width = m + 1;
+  const lengths = new Uint32Array((n + 1) * width);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lengths[i * width + j] = a[start + i] === b[start + j]
+        ? lengths[(i + 1) * width + j + 1] + 1
+        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[start + i] === b[start + j]) {
+      matches[start + i] = start + j;
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Line-by-line edit script from a to b
+ * @private
+ * @returns {Array<{type: ' '|'-'|'+', line: string, oldIndex: number, newIndex: number}>} oldIndex and
+ *   newIndex are the positions in a and b before the entry is applied
+ */
+function editScript(a, b) {
+  const matches = matchLines(a, b);
+  const ops = [];
+  let j = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    if (matches[i] === -1) {
+      ops.push({ type: '-', line: a[i], oldIndex: i, newIndex: j });
+      continue;
+    }
+    for (; j < matches[i]; j++) {
+      ops.push({ type: '+', line: b[j], oldIndex: i, newIndex: j });
+    }
+    ops.push({ type: ' ', line: a[i], oldIndex: i, newIndex: j });
+    j++;
+  }
+  for (; j < b.length; j++) {
+    ops.push({ type: '+', line: b[j], oldIndex: a.length, newIndex: j });
+  }
+
+  return ops;
+}
+
+function hunkRange(start, count) {
+  // An empty range names the line before it, as diff -u does
+  return count === 0 ? `${start},0` : count === 1 ? `${start + 1}` : `${start + 1},${count}`;
+}
+
+/**
+ * Render a unified diff
+ * @param {string|null} before - Old content (null for a file that doesn't exist yet)
+ * @param {string} after - New content
+ * @param {Object} [options]
+ * @param {string} [options.oldLabel='a'] - Label for the --- line
+ * @param {string} [options.newLabel='b'] - Label for the +++ line
+ * @param {number} [options.context=3] - Unchanged lines around each change
+ * @returns {string} Diff text, or '' if the contents are the same
+ */
+export function createUnifiedDiff(before, after, options = {}) {
+  const { oldLabel = 'a', newLabel = 'b', context = DEFAULT_CONTEXT_LINES } = options;
+
+  if (before === after) return '';
+
+  const a = splitLines(before ?? '');
+  const b = splitLines(after);
+  const ops = editScript(a, b);
+  const lines = [`--- ${before === null ? '/dev/null' : oldLabel}`, `+++ ${newLabel}`];
+
+  let index = 0;
+  while (index < ops.length) {
+    // Next change, with its leading context
+    const change = ops.findIndex((op, i) => i >= index && op.type !== ' ');
+    if (change === -1) break;
+
+    const start = Math.max(index, change - context);
+    let end = change;
+    let unchanged = 0;
+    // Extend while changes are closer than two contexts apart
+    for (let i = change; i < ops.length; i++) {
+      if (ops[i].type === ' ') {
+        unchanged++;
+        if (unchanged > context * 2) break;
+      } else {
+        unchanged = 0;
+        end = i;
+      }
+    }
+    const stop = Math.min(ops.length, end + 1 + context);
+    const hunk = ops.slice(start, stop);
+
+    const oldCount = hunk.filter(op => op.type !== '+').length;
+    const newCount = hunk.filter(op => op.type !== '-').length;
+    lines.push(`@@ -${hunkRange(hunk[0].oldIndex, oldCount)} +${hunkRange(hunk[0].newIndex, newCount)} @@`);
+    hunk.forEach(op => lines.push(`${op.type}${op.line}`));
+
+    index = stop;
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Color a unified diff for the terminal (a no-op where chalk has colors disabled)
+ * @param {string} diff - From createUnifiedDiff
+ * @returns {string}
+ */
+export function colorizeDiff(diff) {
+  return diff
+    .split('\n')
+    .map(line => {
+      if (line.startsWith('---') || line.startsWith('+++')) return chalk.bold(line);
+      if (line.startsWith('@@')) return chalk.cyan(line);
+      if (line.startsWith('+')) return chalk.green(line);
+      if (line.startsWith('-')) return chalk.red(line);
+      return line;
+    })
+    .join('\n');
+}
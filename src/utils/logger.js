@@ -29,6 +29,19 @@ export function error(message) {
   console.error(chalk.red('✗'), chalk.red(message));
 }
 
+/**
+ * info and warn on stderr, for commands whose stdout is the output itself
+ * (`export` without -o), so messages don't end up in a redirect or pipe
+ */
+export const stderr = {
+  info(message) {
+    console.error(chalk.blue('→'), message);
+  },
+  warn(message) {
+    console.error(chalk.yellow('⚠'), chalk.yellow(message));
+  }
+};
+
 export function spinner(text) {
   return ora(text).start();
 }
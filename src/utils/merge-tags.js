@@ -0,0 +1,66 @@
+/**
+ * YAML tags for array merge directives in preference layers
+ *
+ *   core_requirements: !replace
+ *     - "Only this list"
+ *   tools: !remove [vim]
+ *   agents: !merge              # match items on `name`
+ *     - name: reviewer
+ *       model: large
+ *   servers: !merge             # or on another field
+ *     by: host
+ *     items:
+ *       - host: ci.example.com
+ *
+ * Tagged sequences load as ordinary arrays carrying a directive that
+ * deepMerge applies (see src/utils/deep-merge.js).
+ */
+import { YAMLSeq, YAMLMap } from 'yaml';
+import { mergeDirective, MERGE_STRATEGIES } from './deep-merge.js';
+
+/**
+ * Sequence node that loads as an array marked with a merge strategy
+ * @private
+ */
+function directiveSeqTag(strategy) {
+  class DirectiveSeq extends YAMLSeq {
+    toJSON(arg, ctx) {
+      return mergeDirective(strategy, super.toJSON(arg, ctx));
+    }
+  }
+
+  return {
+    tag: `!${strategy}`,
+    collection: 'seq',
+    nodeClass: DirectiveSeq,
+    resolve(seq) {
+      return Object.assign(new DirectiveSeq(seq.schema), seq);
+    }
+  };
+}
+
+/**
+ * `!merge` mapping form: `{ by: <field>, items: [...] }`
+ * @private
+ */
+class MergeByMap extends YAMLMap {
+  toJSON(arg, ctx) {
+    const { by, items } = super.toJSON(arg, ctx);
+    return mergeDirective('merge', Array.isArray(items) ? items : [], { key: by });
+  }
+}
+
+const mergeByTag = {
+  tag: '!merge',
+  collection: 'map',
+  nodeClass: MergeByMap,
+  resolve(map) {
+    return Object.assign(new MergeByMap(map.schema), map);
+  }
+};
+
+// Pass as `customTags` to yaml's parse/parseDocument
+export const MERGE_TAGS = [
+  ...MERGE_STRATEGIES.filter(s => s !== 'append').map(directiveSeqTag),
+  mergeByTag
+];
@@ -0,0 +1,137 @@
+/**
+ * Section priority annotations
+ *
+ * Any section or subsection (any mapping in preferences) may carry:
+ * - _priority: critical | high | normal | low (default normal)
+ * - _min_depth: nesting levels kept even when a format limits depth
+ *
+ * Compressed formats (chat, hybrid, --max-tokens) use these to decide what
+ * survives:
+ * - critical: never dropped, never condensed below its minimum depth (1 if unset)
+ * - high: always included, but as a condensed summary
+ * - normal: left to the format
+ * - low: omitted from compressed formats and dropped first under a budget
+ */
+import { PRIORITY_LEVELS } from '../config/schema.js';
+
+export const DEFAULT_PRIORITY = 'normal';
+
+function isPlainObject(obj) {
+  return obj !== null
+    && typeof obj === 'object'
+    && !Array.isArray(obj);
+}
+
+/**
+ * Policy subsections that count as critical unless a file gives them a priority
+ *
+ * Preference files written before `_priority` existed carry no annotations;
+ * these are the policies compressed formats always kept for them.
+ */
+export const DEFAULT_CRITICAL = [
+  ['technical', 'testing_standards'],
+  ['technical', 'documentation'],
+  ['technical', 'git_github_workflow'],
+  ['technical', 'git_workflow'],
+  ['technical', 'git_commit_discipline'],
+  ['technical', 'linting_policy']
+];
+
+/**
+ * Copy of preferences with `_priority: critical` on each DEFAULT_CRITICAL
+ * subsection that has no priority of its own
+ *
+ * A list or text value can't carry the annotation, so it moves under `rules:`
+ * (the shape default-preferences.yaml gives git_github_workflow).
+ *
+ * @param {Object} preferences
+ * @returns {Object} Copy, sharing everything it didn't annotate
+ */
+export function withDefaultPriorities(preferences) {
+  let result = preferences;
+
+  for (const [section, key] of DEFAULT_CRITICAL) {
+    const parent = result[section];
+    if (!isPlainObject(parent) || parent[key] === undefined || parent[key] === null) continue;
+
+    const value = parent[key];
+    if (isPlainObject(value) && '_priority' in value) continue;
+
+    const annotated = isPlainObject(value)
+      ? { _priority: 'critical', ...value }
+      : { _priority: 'critical', rules: value };
+    result = { ...result, [section]: { ...parent, [key]: annotated } };
+  }
+
+  return result;
+}
+
+/**
+ * Get the annotated priority of a section
+ * @param {*} value - Section or subsection
+ * @returns {string} One of PRIORITY_LEVELS
+ */
+export function getPriority(value) {
+  if (isPlainObject(value) && PRIORITY_LEVELS.includes(value._priority)) {
+    return value._priority;
+  }
+  return DEFAULT_PRIORITY;
+}
+
+/**
+ * Nesting levels a section keeps regardless of depth limits
+ * @param {*} value - Section or subsection
+ * @returns {number} 0 when the section may be condensed away entirely
+ */
+export function getMinDepth(value) {
+  if (!isPlainObject(value)) return 0;
+  if (Number.isInteger(value._min_depth) && value._min_depth > 0) return value._min_depth;
+  return value._priority === 'critical' ? 1 : 0;
+}
+
+/**
+ * Find every section or subsection annotated with a given priority
+ *
+ * Matches are not searched further, so a critical subsection inside a
+ * critical section is reported once, as part of its parent.
+ *
+ * @param {Object} sections - Preferences (or any nested object)
+ * @param {string} priority - Exact priority to look for
+ * @returns {Array<{path: string[], key: string, value: Object}>} In document order
+ */
+export function findByPriority(sections, priority, path = []) {
+  const found = [];
+
+  for (const [key, value] of Object.entries(sections)) {
+    if (!isPlainObject(value) || key.startsWith('_')) continue;
+
+    const childPath = [...path, key];
+    if (getPriority(value) === priority) {
+      found.push({ path: childPath, key, value });
+    } else {
+      found.push(...findByPriority(value, priority, childPath));
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Deep copy of sections without subsections at any of the given priorities
+ * @param {Object} sections - Preferences (or any nested object)
+ * @param {string[]} priorities - Priorities to remove
+ * @returns {Object} Copy with matching subsections removed
+ */
+export function omitByPriority(sections, priorities) {
+  const result = {};
+
+  for (const [key, value] of Object.entries(sections)) {
+    if (!isPlainObject(value) || key.startsWith('_')) {
+      result[key] = value;
+    } else if (!priorities.includes(getPriority(value))) {
+      result[key] = omitByPriority(value, priorities);
+    }
+  }
+
+  return result;
+}
@@ -0,0 +1,296 @@
+/**
+ * Minimal Mustache-style template engine for user-editable output formats
+ *
+ * Supported tags:
+ * - {{path}}                    Value lookup (dotted paths, searched up the context stack)
+ * - {{#path}}...{{/path}}       Section: iterate arrays, enter objects, render once if truthy
+ * - {{^path}}...{{/path}}       Inverted section: render if missing/empty
+ * - {{#if path}}...{{/if}}      Render once if the value is non-empty (no iteration)
+ * - {{#each path}}...{{/each}}  Iterate arrays or object entries ({{@key}}, {{@index}}, {{.}})
+ * - {{#limit path N}}...{{/limit}}  Enter value with nesting limited to depth N
+ * - {{helper arg ...}}          Inline helper call (args: paths, "quoted strings", numbers)
+ * - {{! comment}}               Ignored
+ *
+ * Output is not HTML-escaped: templates produce markdown/plain text.
+ */
+import { limitDepth, smartCondense } from './depth-limit.js';
+
+export class TemplateError extends Error {
+  constructor(message, templatePath = null) {
+    super(templatePath ? `${message} (in ${templatePath})` : message);
+    this.name = 'TemplateError';
+    this.templatePath = templatePath;
+  }
+}
+
+function isPlainObject(obj) {
+  return obj !== null
+    && typeof obj === 'object'
+    && !Array.isArray(obj);
+}
+
+function isEmpty(value) {
+  if (value === null || value === undefined || value === false || value === '') return true;
+  if (Array.isArray(value)) return value.length === 0;
+  if (isPlainObject(value)) return Object.keys(value).filter(k => !k.startsWith('_')).length === 0;
+  return false;
+}
+
+/**
+ * Convert snake_case to Title Case
+ */
+export function titleCase(text) {
+  return String(text)
+    .split('_')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+/**
+ * Render any value as a markdown bullet list, nesting objects and arrays
+ */
+export function toBulletList(value, indent = 0) {
+  const pad = '  '.repeat(indent);
+
+  if (Array.isArray(value)) {
+    return value
+      .filter(item => !isEmpty(item))
+      .map(item => (isPlainObject(item) || Array.isArray(item))
+        ? toBulletList(item, indent)
+        : `${pad}- ${String(item).trim()}`)
+      .join('\n');
+  }
+
+  if (isPlainObject(value)) {
+    return Object.entries(value)
+      .filter(([key, child]) => !key.startsWith('_') && !isEmpty(child))
+      .map(([key, child]) => {
+        if (isPlainObject(child) || Array.isArray(child)) {
+          return `${pad}- **${titleCase(key)}**:\n${toBulletList(child, indent + 1)}`;
+        }
+        return `${pad}- **${titleCase(key)}**: ${child}`;
+      })
+      .join('\n');
+  }
+
+  return isEmpty(value) ? '' : `${pad}- ${value}`;
+}
+
+/**
+ * Default string conversion for {{path}} tags
+ */
+function stringify(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.join(', ');
+  if (isPlainObject(value)) return smartCondense(value);
+  return String(value);
+}
+
+export const DEFAULT_HELPERS = {
+  list: value => toBulletList(value),
+  heading: (level, text) => `${'#'.repeat(Number(level) || 1)} ${text}`,
+  title: value => titleCase(value),
+  join: (value, separator = ', ') => Array.isArray(value) ? value.join(separator) : stringify(value),
+  condense: value => smartCondense(value),
+  limit: (value, depth) => toBulletList(limitDepth(value, Number(depth))),
+  lower: value => stringify(value).toLowerCase(),
+  upper: value => stringify(value).toUpperCase()
+};
+
+// Block helpers return the value the section body is rendered against
+const BLOCK_HELPERS = {
+  if: value => value,
+  each: value => value,
+  limit: (value, depth) => limitDepth(value, Number(depth))
+};
+
+/**
+ * Split tag content into tokens, keeping quoted strings together
+ * @private
+ */
+function tokenize(content) {
+  return content.match(/"[^"]*"|'[^']*'|\S+/g) || [];
+}
+
+/**
+ * Parse template source into a tree of text, variable and section nodes
+ * @private
+ */
+function parse(source, templatePath) {
+  const root = { children: [] };
+  const stack = [root];
+  const tagPattern = /\{\{\s*([#^/!]?)\s*([\s\S]*?)\s*\}\}/g;
+  let lastIndex = 0;
+  let match;
+
+  while ((match = tagPattern.exec(source)) !== null) {
+    const [full, sigil, body] = match;
+    let start = match.index;
+    let end = start + full.length;
+
+    // Standalone section/comment tags consume their whole line
+    if (sigil) {
+      const lineStart = source.lastIndexOf('\n', start - 1) + 1;
+      const lineEndIndex = source.indexOf('\n', end);
+      const lineEnd = lineEndIndex === -1 ? source.length : lineEndIndex;
+      if (!source.slice(lineStart, start).trim() && !source.slice(end, lineEnd).trim()) {
+        start = lineStart;
+        end = lineEndIndex === -1 ? lineEnd : lineEnd + 1;
+      }
+    }
+
+    const current = stack[stack.length - 1];
+    if (start > lastIndex) {
+      current.children.push({ type: 'text', value: source.slice(lastIndex, start) });
+    }
+    lastIndex = end;
+
+    if (sigil === '!') continue;
+
+    const tokens = tokenize(body);
+    if (sigil === '#' || sigil === '^') {
+      const node = { type: 'section', inverted: sigil === '^', name: tokens[0], args: tokens.slice(1), children: [] };
+      current.children.push(node);
+      stack.push(node);
+    } else if (sigil === '/') {
+      const open = stack.pop();
+      if (!open || open === root || open.name !== tokens[0]) {
+        throw new TemplateError(`Unexpected closing tag {{/${tokens[0]}}}`, templatePath);
+      }
+    } else {
+      current.children.push({ type: 'var', name: tokens[0], args: tokens.slice(1) });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new TemplateError(`Unclosed section {{#${stack[stack.length - 1].name}}}`, templatePath);
+  }
+
+  if (lastIndex < source.length) {
+    root.children.push({ type: 'text', value: source.slice(lastIndex) });
+  }
+
+  return root;
+}
+
+/**
+ * Resolve a dotted path against the context stack (innermost first)
+ * @private
+ */
+function lookup(stack, path) {
+  if (path === '.' || path === 'this') {
+    return stack[stack.length - 1].value;
+  }
+
+  if (path.startsWith('@')) {
+    for (let i = stack.length - 1; i >= 0; i--) {
+      if (path in stack[i].meta) return stack[i].meta[path];
+    }
+    return undefined;
+  }
+
+  const [head, ...rest] = path.split('.');
+  for (let i = stack.length - 1; i >= 0; i--) {
+    const value = stack[i].value;
+    if (isPlainObject(value) && head in value) {
+      return rest.reduce((acc, key) => (acc == null ? undefined : acc[key]), value[head]);
+    }
+  }
+  return undefined;
+}
+
+function resolveArg(stack, token) {
+  if (/^(["']).*\1$/.test(token)) return token.slice(1, -1);
+  if (/^-?\d+(\.\d+)?$/.test(token)) return Number(token);
+  return lookup(stack, token);
+}
+
+function renderNodes(nodes, stack, helpers) {
+  let output = '';
+
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      output += node.value;
+    } else if (node.type === 'var') {
+      if (node.args.length > 0 || (helpers[node.name] && lookup(stack, node.name) === undefined)) {
+        const helper = helpers[node.name];
+        if (!helper) {
+          throw new TemplateError(`Unknown helper: ${node.name}`);
+        }
+        output += stringify(helper(...node.args.map(arg => resolveArg(stack, arg))));
+      } else {
+        output += stringify(lookup(stack, node.name));
+      }
+    } else if (node.type === 'section') {
+      output += renderSection(node, stack, helpers);
+    }
+  }
+
+  return output;
+}
+
+function renderSection(node, stack, helpers) {
+  let value;
+  if (BLOCK_HELPERS[node.name] && node.args.length > 0) {
+    const [target, ...rest] = node.args.map(arg => resolveArg(stack, arg));
+    value = BLOCK_HELPERS[node.name](target, ...rest);
+  } else {
+    value = lookup(stack, node.name);
+  }
+
+  if (node.inverted) {
+    return isEmpty(value) ? renderNodes(node.children, stack, helpers) : '';
+  }
+
+  if (isEmpty(value)) {
+    return '';
+  }
+
+  if (node.name === 'if') {
+    return renderNodes(node.children, stack, helpers);
+  }
+
+  if (Array.isArray(value)) {
+    return value
+      .map((item, index) => renderNodes(node.children, [...stack, { value: item, meta: { '@index': index } }], helpers))
+      .join('');
+  }
+
+  if (isPlainObject(value) && node.name === 'each') {
+    return Object.entries(value)
+      .filter(([key]) => !key.startsWith('_'))
+      .map(([key, item], index) =>
+        renderNodes(node.children, [...stack, { value: item, meta: { '@key': key, '@index': index } }], helpers))
+      .join('');
+  }
+
+  if (isPlainObject(value)) {
+    return renderNodes(node.children, [...stack, { value, meta: {} }], helpers);
+  }
+
+  return renderNodes(node.children, stack, helpers);
+}
+
+/**
+ * Render a template string against data
+ * @param {string} source - Template source
+ * @param {Object} data - Root context
+ * @param {Object} [options]
+ * @param {Object} [options.helpers] - Extra inline helpers (merged over DEFAULT_HELPERS)
+ * @param {string} [options.templatePath] - Used in error messages
+ * @returns {string} Rendered output
+ * @throws {TemplateError} On unbalanced sections or unknown helpers
+ */
+export function renderTemplate(source, data, options = {}) {
+  const { helpers = {}, templatePath = null } = options;
+  const tree = parse(source, templatePath);
+
+  try {
+    return renderNodes(tree.children, [{ value: data, meta: {} }], { ...DEFAULT_HELPERS, ...helpers });
+  } catch (error) {
+    if (error instanceof TemplateError && templatePath && !error.templatePath) {
+      throw new TemplateError(error.message, templatePath);
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,99 @@
+/**
+ * Line-based three-way merge (diff3 style)
+ *
+ * Given a common ancestor and two descendants, changes made on only one side
+ * are applied automatically. Hunks changed differently on both sides are
+ * conflicts, written between markers or resolved in favour of one side:
+ *
+ *   <<<<<<< current
+ *   (lines from the current file)
+ *   =======
+ *   (lines from the newly generated content)
+ *   >>>>>>> generated
+ */
+import { splitLines, matchLines } from './line-diff.js';
+
+export const CONFLICT_START = '<<<<<<< current';
+export const CONFLICT_SEPARATOR = '=======';
+export const CONFLICT_END = '>>>>>>> generated';
+
+export const CONFLICT_RESOLUTIONS = ['markers', 'current', 'generated'];
+
+function sameLines(a, b) {
+  return a.length === b.length && a.every((line, i) => line === b[i]);
+}
+
+/**
+ * Merge two descendants of a common base
+ * @param {string} base - Common ancestor
+ * @param {string} current - One descendant (the file as it is now)
+ * @param {string} generated - The other descendant (newly generated content)
+ * @param {Object} [options]
+ * @param {string} [options.resolve='markers'] - How to write conflicting hunks: markers,
+ *   current (keep the current side) or generated (take the generated side)
+ * @returns {{content: string, conflicts: Array<{line: number, current: string[], generated: string[]}>}}
+ *   line is the 1-based line in `current` where each conflicting hunk starts
+ */
+export function mergeThreeWay(base, current, generated, options = {}) {
+  const { resolve = 'markers' } = options;
+
+  if (!CONFLICT_RESOLUTIONS.includes(resolve)) {
+    throw new Error(`Invalid conflict resolution: ${resolve} (expected one of: ${CONFLICT_RESOLUTIONS.join(', ')})`);
+  }
+
+  const o = splitLines(base);
+  const a = splitLines(current);
+  const b = splitLines(generated);
+  const toA = matchLines(o, a);
+  const toB = matchLines(o, b);
+
+  const output = [];
+  const conflicts = [];
+  let io = 0;
+  let ia = 0;
+  let ib = 0;
+
+  for (;;) {
+    // Lines unchanged on both sides
+    while (io < o.length && toA[io] === ia && toB[io] === ib) {
+      output.push(o[io]);
+      io++;
+      ia++;
+      ib++;
+    }
+
+    // Everything up to the next base line both sides kept is one hunk
+    let next = io;
+    while (next < o.length && (toA[next] === -1 || toB[next] === -1)) {
+      next++;
+    }
+    const endA = next < o.length ? toA[next] : a.length;
+    const endB = next < o.length ? toB[next] : b.length;
+
+    const baseHunk = o.slice(io, next);
+    const currentHunk = a.slice(ia, endA);
+    const generatedHunk = b.slice(ib, endB);
+
+    if (sameLines(currentHunk, baseHunk) || sameLines(currentHunk, generatedHunk)) {
+      output.push(...generatedHunk);
+    } else if (sameLines(generatedHunk, baseHunk)) {
+      output.push(...currentHunk);
+    } else {
+      conflicts.push({ line: ia + 1, current: currentHunk, generated: generatedHunk });
+      if (resolve === 'current') {
+        output.push(...currentHunk);
+      } else if (resolve === 'generated') {
+        output.push(...generatedHunk);
+      } else {
+        output.push(CONFLICT_START, ...currentHunk, CONFLICT_SEPARATOR, ...generatedHunk, CONFLICT_END);
+      }
+    }
+
+    if (next >= o.length) break;
+    io = next;
+    ia = endA;
+    ib = endB;
+  }
+
+  return { content: output.join('\n'), conflicts };
+}
@@ -0,0 +1,67 @@
+/**
+ * Human-friendly time formatting
+ */
+
+const UNITS = [
+  ['year', 365 * 24 * 60 * 60 * 1000],
+  ['month', 30 * 24 * 60 * 60 * 1000],
+  ['day', 24 * 60 * 60 * 1000],
+  ['hour', 60 * 60 * 1000],
+  ['minute', 60 * 1000]
+];
+
+const UNIT_SIZES = Object.fromEntries(UNITS);
+
+// Unit names parseAge accepts besides the full ones (plurals are stripped first)
+const UNIT_ALIASES = {
+  y: 'year',
+  yr: 'year',
+  mo: 'month',
+  w: 'week',
+  wk: 'week',
+  week: 'week',
+  d: 'day',
+  h: 'hour',
+  hr: 'hour',
+  m: 'minute',
+  min: 'minute'
+};
+
+const WEEK = 7 * UNIT_SIZES.day;
+
+const AGE_PATTERN = /^(\d+)\s*([a-z]+)(?:\s+ago)?$/;
+
+/**
+ * Describe how long ago a date was, e.g. "3 hours ago"
+ * @param {Date} date
+ * @param {Date} [now=new Date()]
+ * @returns {string}
+ */
+export function formatAge(date, now = new Date()) {
+  const elapsed = now.getTime() - date.getTime();
+
+  for (const [unit, size] of UNITS) {
+    const count = Math.floor(elapsed / size);
+    if (count >= 1) {
+      return `${count} ${unit}${count === 1 ? '' : 's'} ago`;
+    }
+  }
+  return 'just now';
+}
+
+/**
+ * Read a relative time such as "2 days ago", "3 hours" or "90m"
+ * @param {string} text
+ * @returns {number|null} Milliseconds, or null if the text isn't a relative time
+ */
+export function parseAge(text) {
+  const match = String(text).trim().toLowerCase().match(AGE_PATTERN);
+  if (!match) return null;
+
+  const [, count, name] = match;
+  const singular = name.length > 2 && name.endsWith('s') ? name.slice(0, -1) : name;
+  const unit = UNIT_ALIASES[singular] ?? singular;
+  const size = unit === 'week' ? WEEK : UNIT_SIZES[unit];
+
+  return size === undefined ? null : Number(count) * size;
+}
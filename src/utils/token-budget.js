@@ -0,0 +1,220 @@
+/**
+ * Token estimation and budget enforcement for exported preferences
+ *
+ * When rendered output exceeds a token budget, detail is removed in stages
+ * until it fits:
+ * 1. Lower limitDepth levels across all sections
+ * 2. Drop whole sections: `_priority: low` first, then the configurable drop order
+ * 3. smartCondense what remains into one-line summaries
+ *
+ * `_priority: critical` sections are never dropped (dropping a section keeps
+ * its critical subsections), and neither they nor any `_min_depth` subsection
+ * is condensed below its minimum depth.
+ */
+import { limitDepth, smartCondense, condenseValue } from './depth-limit.js';
+import { getPriority, findByPriority, withDefaultPriorities } from './priority.js';
+import { TOOLING_KEYS } from '../config/schema.js';
+
+// Rough average for English prose and markdown (see docs/COMPRESSION_ALGORITHMS.md)
+export const CHARS_PER_TOKEN = 4;
+
+// Least essential first; sections not listed are never dropped
+export const DEFAULT_DROP_ORDER = [
+  'project_specific',
+  'claude_interfaces',
+  'creative_pursuits',
+  'personal_interests',
+  'project_conventions',
+  'technical',
+  'technical_approach',
+  'professional_background',
+  'working_style'
+];
+
+function isPlainObject(obj) {
+  return obj !== null
+    && typeof obj === 'object'
+    && !Array.isArray(obj);
+}
+
+/**
+ * Estimate the token count of a string
+ * @param {string} text - Rendered output
+ * @returns {number} Approximate token count
+ */
+export function estimateTokens(text) {
+  if (!text) return 0;
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Nesting depth in limitDepth terms: limitDepth(obj, measureDepth(obj)) is lossless
+ * @private
+ */
+function measureDepth(value) {
+  if (Array.isArray(value)) {
+    return Math.max(0, ...value.map(measureDepth));
+  }
+  if (isPlainObject(value)) {
+    return 1 + Math.max(0, ...Object.values(value).map(measureDepth));
+  }
+  return 0;
+}
+
+/**
+ * Apply fn to every section object, leaving scalars and tooling keys (scopes etc.) alone
+ * @private
+ */
+function mapSections(preferences, fn) {
+  return Object.fromEntries(
+    Object.entries(preferences).map(([key, value]) => [
+      key,
+      isPlainObject(value) && !TOOLING_KEYS.includes(key) ? fn(value) : value
+    ])
+  );
+}
+
+/**
+ * What is left of a section once it is dropped: only its critical subsections
+ * (annotated, or known policies without a priority), at their original paths
+ * @private
+ * @returns {Object|null} null when the section holds nothing critical
+ */
+function keepCritical(name, section) {
+  const annotated = withDefaultPriorities({ [name]: section })[name];
+  const critical = findByPriority(annotated, 'critical');
+  if (critical.length === 0) return null;
+
+  const kept = {};
+  for (const { path } of critical) {
+    let node = kept;
+    let source = section;
+    for (const key of path.slice(0, -1)) {
+      node = node[key] ??= {};
+      source = source[key];
+    }
+    const key = path[path.length - 1];
+    node[key] = source[key];
+  }
+  return kept;
+}
+
+/**
+ * Collapse each field of a section to a one-line summary, keeping annotations
+ * and anything with a minimum depth (limitDepth(value, 0) is as small as it may get)
+ * @private
+ */
+function condenseSection(section) {
+  if (getPriority(section) === 'critical') {
+    return limitDepth(section, 0);
+  }
+
+  return Object.fromEntries(
+    Object.entries(section).map(([key, value]) => {
+      if (key.startsWith('_')) return [key, value];
+      if (!isPlainObject(value)) return [key, condenseValue(value)];
+      const floor = limitDepth(value, 0);
+      return [key, isPlainObject(floor) ? floor : smartCondense(value)];
+    })
+  );
+}
+
+/**
+ * Render preferences, progressively removing detail until the output fits
+ *
+ * @param {Object} preferences - Preferences to render
+ * @param {Function} render - async (preferences) => string
+ * @param {Object} options
+ * @param {number} options.maxTokens - Token budget
+ * @param {string[]} [options.dropOrder] - Sections to drop, least essential first
+ * @returns {Promise<{output: string, tokens: number, originalTokens: number, fits: boolean,
+ *   trimmed: Array<{stage: string, detail: string, saved: number}>}>}
+ */
+export async function fitToTokenBudget(preferences, render, options) {
+  const { maxTokens, dropOrder = DEFAULT_DROP_ORDER } = options;
+
+  if (!Number.isInteger(maxTokens) || maxTokens <= 0) {
+    throw new Error(`Invalid token budget: ${maxTokens}. Use a positive whole number`);
+  }
+
+  const trimmed = [];
+  let current = preferences;
+  let output = await render(current);
+  let tokens = estimateTokens(output);
+  const originalTokens = tokens;
+
+  const done = () => ({ output, tokens, originalTokens, fits: tokens <= maxTokens, trimmed });
+
+  const measure = async candidate => {
+    const rendered = await render(candidate);
+    return { output: rendered, tokens: estimateTokens(rendered) };
+  };
+
+  // Keep a candidate only if it renders smaller, recording what it saved
+  const attempt = async (candidate, stage, detail) => {
+    const result = await measure(candidate);
+    if (result.tokens < tokens) {
+      trimmed.push({ stage, detail, saved: tokens - result.tokens });
+      current = candidate;
+      ({ output, tokens } = result);
+    }
+    return tokens <= maxTokens;
+  };
+
+  if (tokens <= maxTokens) return done();
+
+  // Stage 1: lower nesting depth one level at a time
+  const depthStart = tokens;
+  let depthReached = null;
+  for (let level = measureDepth(preferences) - 2; level >= 1; level--) {
+    current = mapSections(preferences, section => limitDepth(section, level));
+    ({ output, tokens } = await measure(current));
+    depthReached = level;
+    if (tokens <= maxTokens) break;
+  }
+  if (depthReached !== null && tokens < depthStart) {
+    trimmed.push({ stage: 'depth', detail: `Limited nesting depth to ${depthReached}`, saved: depthStart - tokens });
+  }
+  if (tokens <= maxTokens) return done();
+
+  // Stage 2: drop sections, least essential first
+  const lowPriority = Object.keys(current).filter(key => getPriority(current[key]) === 'low');
+  const candidates = [...new Set([...lowPriority, ...dropOrder])];
+  for (const section of candidates) {
+    if (!(section in current) || getPriority(current[section]) === 'critical') continue;
+
+    const { [section]: dropped, ...rest } = current;
+    const kept = keepCritical(section, dropped);
+    const candidate = kept ? { ...current, [section]: kept } : rest;
+    const detail = kept ? `Dropped section '${section}' except its critical subsections` : `Dropped section '${section}'`;
+    if (await attempt(candidate, 'drop', detail)) return done();
+  }
+
+  // Stage 3: condense everything left
+  await attempt(mapSections(current, condenseSection), 'condense', 'Condensed remaining sections');
+
+  return done();
+}
+
+/**
+ * Describe what fitToTokenBudget trimmed, one line per step
+ * @param {Object} result - fitToTokenBudget result
+ * @param {number} maxTokens - Budget that was enforced
+ * @returns {string[]} Report lines (empty if nothing was trimmed and the output fits)
+ */
+export function formatBudgetReport(result, maxTokens) {
+  const lines = [];
+
+  if (result.trimmed.length > 0) {
+    lines.push(`Trimmed output from ~${result.originalTokens} to ~${result.tokens} tokens to fit --max-tokens ${maxTokens}:`);
+    result.trimmed.forEach(({ detail, saved }) => {
+      lines.push(`  - ${detail} (-${saved} tokens)`);
+    });
+  }
+
+  if (!result.fits) {
+    lines.push(`Output is still ~${result.tokens} tokens, over the ${maxTokens} token budget`);
+  }
+
+  return lines;
+}
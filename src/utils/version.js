@@ -1,7 +1,8 @@
-import { execSync } from 'child_process';
+import { createHash } from 'crypto';
 import { readFileSync } from 'fs';
 import { dirname, join } from 'path';
 import { fileURLToPath } from 'url';
+import { gitSync } from './exec.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -24,7 +25,7 @@ export function getPackageVersion() {
  */
 export function getGitCommit() {
   try {
-    return execSync('git rev-parse --short HEAD', { encoding: 'utf-8' }).trim();
+    return gitSync(['rev-parse', '--short', 'HEAD']).trim();
   } catch (_error) {
     return 'unknown';
   }
@@ -35,7 +36,7 @@ export function getGitCommit() {
  */
 export function getGitRepoUrl() {
   try {
-    const remoteUrl = execSync('git config --get remote.origin.url', { encoding: 'utf-8' }).trim();
+    const remoteUrl = gitSync(['config', '--get', 'remote.origin.url']).trim();
     // Convert git@github.com:user/repo.git to https://github.com/user/repo
     if (remoteUrl.startsWith('git@github.com:')) {
       return remoteUrl
@@ -49,10 +50,39 @@ export function getGitRepoUrl() {
   }
 }
 
+/**
+ * JSON with object keys sorted, so equal values always serialize the same way
+ * @private
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+/**
+ * Deterministic hash of the inputs a generated file was rendered from
+ * @param {*} source - Anything JSON-serializable (key order doesn't matter)
+ * @returns {string} e.g. sha256:3f9a0c1d2e4b5a6f
+ */
+export function hashSource(source) {
+  return `sha256:${createHash('sha256').update(stableStringify(source)).digest('hex').slice(0, 16)}`;
+}
+
 /**
  * Generate metadata comment for generated files
+ *
+ * With a hash, the timestamp only needs to change when the content does: sync
+ * paths compare hashes (see hasSameSourceHash) and leave files whose hash
+ * matches untouched, header included.
+ *
  * @param {Object} options - Generation options
  * @param {string} options.format - Output format (claude-md, hybrid, chat)
+ * @param {string} [options.hash] - Source hash from hashSource
  * @returns {string} HTML comment with generation metadata
  */
 export function generateMetadata(options = {}) {
@@ -61,12 +91,54 @@ export function generateMetadata(options = {}) {
   const repoUrl = getGitRepoUrl();
   const timestamp = new Date().toISOString();
   const format = options.format || 'unknown';
+  const hash = options.hash ? `\n     Hash: ${options.hash}` : '';
 
   return `<!-- Generated by claude-context-sync v${version} (${commit}) on ${timestamp}
-     Format: ${format}
+     Format: ${format}${hash}
      Source: ${repoUrl}
 
      This file is auto-generated. Do not edit manually.
      To update: Run 'claude-context-sync sync-repos' or regenerate from preferences.
 -->`;
 }
+
+const METADATA_START = '<!-- Generated by claude-context-sync';
+const METADATA_PATTERN = /<!-- Generated by claude-context-sync v(\S+) \((\S+)\) on (\S+)\s+Format: (\S+)(?:\s+Hash: (\S+))?/;
+
+/**
+ * Read the generateMetadata header back out of generated content
+ * @param {string|null} text - Generated file content (the header may be anywhere in it)
+ * @returns {{version: string, commit: string, generatedAt: Date, format: string, hash: string|null}|null}
+ *   null if there is no header
+ */
+export function parseMetadata(text) {
+  const match = text?.match(METADATA_PATTERN);
+  const generatedAt = match && new Date(match[3]);
+  if (!match || Number.isNaN(generatedAt.getTime())) return null;
+
+  return { version: match[1], commit: match[2], generatedAt, format: match[4], hash: match[5] ?? null };
+}
+
+/**
+ * Remove the generateMetadata header, so content can be compared across runs
+ * @param {string} text
+ * @returns {string}
+ */
+export function stripMetadata(text) {
+  const start = text.indexOf(METADATA_START);
+  const end = start === -1 ? -1 : text.indexOf('-->', start);
+  if (end === -1) return text;
+
+  return text.slice(0, start) + text.slice(end + '-->'.length).replace(/^\n+/, '');
+}
+
+/**
+ * Whether two generated texts were rendered from the same source
+ * @param {string|null} current - Existing content
+ * @param {string} generated - Newly generated content
+ * @returns {boolean} false unless both carry a hash
+ */
+export function hasSameSourceHash(current, generated) {
+  const hash = parseMetadata(current)?.hash;
+  return Boolean(hash) && hash === parseMetadata(generated)?.hash;
+}
@@ -0,0 +1,141 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { join } from 'path';
+import { tmpdir, hostname, homedir } from 'os';
+import {
+  mkdirSync, rmSync, writeFileSync, readFileSync, readdirSync, existsSync, statSync, chmodSync, symlinkSync, lstatSync
+} from 'fs';
+import {
+  writeFileAtomic, withFileLock, lockPathFor, FileLockError, LOCK_STALE_MS
+} from '../src/utils/atomic-write.js';
+
+// Above the largest pid Linux hands out, so never a running process
+const DEAD_PID = 4194305;
+
+describe('atomic-write', () => {
+  let testDir;
+  let target;
+  let lockDirectory;
+
+  beforeEach(() => {
+    testDir = join(tmpdir(), `atomic-write-test-${Date.now()}`);
+    mkdirSync(testDir, { recursive: true });
+    target = join(testDir, 'CLAUDE.md');
+    lockDirectory = join(testDir, 'locks');
+  });
+
+  afterEach(() => {
+    rmSync(testDir, { recursive: true, force: true });
+  });
+
+  const lockOf = path => lockPathFor(path, lockDirectory);
+  const lock = (paths, fn) => withFileLock(paths, fn, { directory: lockDirectory });
+
+  function writeLock(holder) {
+    mkdirSync(lockDirectory, { recursive: true });
+    writeFileSync(lockOf(target), JSON.stringify(holder), 'utf-8');
+  }
+
+  describe('writeFileAtomic', () => {
+    it('should replace the file without leaving temp files behind', () => {
+      writeFileSync(target, '# Old', 'utf-8');
+
+      writeFileAtomic(target, '# New');
+
+      expect(readFileSync(target, 'utf-8')).toBe('# New');
+      expect(readdirSync(testDir)).toEqual(['CLAUDE.md']);
+    });
+
+    it('should create missing directories', () => {
+      const nested = join(testDir, '.claude', 'CLAUDE.md');
+
+      writeFileAtomic(nested, '# New');
+
+      expect(readFileSync(nested, 'utf-8')).toBe('# New');
+    });
+
+    it('should keep the mode of the file it replaces', () => {
+      writeFileSync(target, '# Old', 'utf-8');
+      chmodSync(target, 0o600);
+
+      writeFileAtomic(target, '# New');
+
+      expect(statSync(target).mode & 0o777).toBe(0o600);
+    });
+
+    it('should write through symlinks', () => {
+      const real = join(testDir, 'dotfiles-CLAUDE.md');
+      writeFileSync(real, '# Old', 'utf-8');
+      symlinkSync(real, target);
+
+      writeFileAtomic(target, '# New');
+
+      expect(lstatSync(target).isSymbolicLink()).toBe(true);
+      expect(readFileSync(real, 'utf-8')).toBe('# New');
+    });
+  });
+
+  describe('withFileLock', () => {
+    it('should hold the lock while fn runs and release it afterwards', async () => {
+      const result = await lock(target, () => {
+        expect(existsSync(lockOf(target))).toBe(true);
+        return 'done';
+      });
+
+      expect(result).toBe('done');
+      expect(existsSync(lockOf(target))).toBe(false);
+    });
+
+    it('should keep lock files out of the target directory', async () => {
+      await lock(target, () => {
+        expect(readdirSync(testDir)).toEqual(['locks']);
+        expect(JSON.parse(readFileSync(lockOf(target), 'utf-8')).target).toBe(target);
+      });
+    });
+
+    it('should key locks by absolute path', () => {
+      expect(lockPathFor(join(testDir, '.', 'CLAUDE.md'), lockDirectory)).toBe(lockOf(target));
+      expect(lockOf(join(testDir, 'AGENTS.md'))).not.toBe(lockOf(target));
+      expect(lockPathFor(target).startsWith(join(homedir(), '.config', 'claude', 'locks'))).toBe(true);
+    });
+
+    it('should release the lock when fn throws', async () => {
+      await expect(lock(target, () => { throw new Error('boom'); })).rejects.toThrow('boom');
+
+      expect(existsSync(lockOf(target))).toBe(false);
+    });
+
+    it('should refuse a lock held by a running sync', async () => {
+      writeLock({ pid: process.pid, hostname: hostname(), createdAt: new Date().toISOString(), token: 'other' });
+
+      const error = await lock(target, () => 'never').catch(e => e);
+
+      expect(error).toBeInstanceOf(FileLockError);
+      expect(error.message).toContain(`${target} is being written by another sync (pid ${process.pid}`);
+      expect(error.message).toContain(`delete ${lockOf(target)} if no sync is running`);
+      expect(JSON.parse(readFileSync(lockOf(target), 'utf-8')).token).toBe('other');
+    });
+
+    it('should release the locks it already took when a later one is held', async () => {
+      const other = join(testDir, 'AGENTS.md');
+      writeLock({ pid: process.pid, hostname: hostname(), createdAt: new Date().toISOString(), token: 'other' });
+
+      await expect(lock([other, target], () => 'never')).rejects.toThrow(FileLockError);
+
+      expect(existsSync(lockOf(other))).toBe(false);
+    });
+
+    it('should take over a lock whose process has exited', async () => {
+      writeLock({ pid: DEAD_PID, hostname: hostname(), createdAt: new Date().toISOString(), token: 'dead' });
+
+      await expect(lock(target, () => 'done')).resolves.toBe('done');
+      expect(existsSync(lockOf(target))).toBe(false);
+    });
+
+    it('should take over a lock older than LOCK_STALE_MS', async () => {
+      const createdAt = new Date(Date.now() - LOCK_STALE_MS - 1000).toISOString();
+      writeLock({ pid: 1, hostname: 'another-host', createdAt, token: 'old' });
+
+      await expect(lock(target, () => 'done')).resolves.toBe('done');
+    });
+  });
+});
@@ -0,0 +1,65 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { diffCmd, printFileDiff } from '../../src/commands/diff.js';
+import * as sync from '../../src/commands/sync.js';
+import * as syncRepos from '../../src/commands/sync-repos.js';
+
+vi.mock('../../src/commands/sync.js');
+vi.mock('../../src/commands/sync-repos.js');
+vi.mock('../../src/utils/logger.js');
+
+describe('diff command', () => {
+  let log;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    log = vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  describe('printFileDiff', () => {
+    it('should print a unified diff and report a change', () => {
+      expect(printFileDiff('/repo/CLAUDE.md', '# Old', '# New')).toBe(true);
+      expect(log.mock.calls[0][0]).toContain('-# Old');
+      expect(log.mock.calls[0][0]).toContain('+# New');
+    });
+
+    it('should print nothing for unchanged files', () => {
+      expect(printFileDiff('/repo/CLAUDE.md', '# Same', '# Same')).toBe(false);
+      expect(log).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('diffCmd', () => {
+    it('should run the sync for the target in diff mode', async () => {
+      sync.syncGlobal.mockResolvedValue({ diff: true, changed: true });
+
+      const result = await diffCmd({ target: 'global', maxTokens: 100 });
+
+      expect(sync.syncGlobal).toHaveBeenCalledWith({ target: 'global', maxTokens: 100, diff: true });
+      expect(result).toEqual({ changed: true });
+    });
+
+    it('should report repos as changed when any repo would change', async () => {
+      syncRepos.syncReposCmd.mockResolvedValue([
+        { repo: '/a', success: true, changed: false },
+        { repo: '/b', success: true, changed: true }
+      ]);
+
+      expect(await diffCmd({ target: 'repos' })).toEqual({ changed: true });
+    });
+
+    it('should fail when a target could not be diffed', async () => {
+      sync.syncAll.mockResolvedValue({
+        global: { changed: false },
+        repos: [{ repo: '/b', success: false, changed: false }],
+        errors: [],
+        changed: false
+      });
+
+      await expect(diffCmd({ target: 'all' })).rejects.toThrow('Could not diff: /b');
+    });
+
+    it('should reject unknown targets', async () => {
+      await expect(diffCmd({ target: 'chat' })).rejects.toThrow(/Invalid target/);
+    });
+  });
+});
@@ -0,0 +1,81 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { explainCmd, annotateMarkdown } from '../../src/commands/explain.js';
+import { traceValue, SourcedValue } from '../../src/config/provenance.js';
+import * as config from '../../src/config/index.js';
+import * as fs from '../../src/utils/fs.js';
+
+vi.mock('../../src/config/index.js');
+vi.mock('../../src/utils/fs.js');
+vi.mock('../../src/utils/logger.js');
+
+const provenance = {
+  technical: {
+    tools: [new SourcedValue('git', '/prefs.yaml', 4), new SourcedValue('node', '/.claude/preferences.team.yaml', 2)],
+    testing: { rule: new SourcedValue('Tests MUST pass before commit', '/prefs.yaml', 7) }
+  },
+  project_defaults: traceValue({ code_style: '' }, 'built-in defaults')
+};
+
+describe('Explain Command', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    config.loadConfig.mockResolvedValue({ provenance, path: '/prefs.yaml', layers: ['/.claude/preferences.team.yaml'] });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('explainCmd', () => {
+    it('should print every value under a path with its source', async () => {
+      const entries = await explainCmd({ path: 'technical.tools' });
+
+      expect(entries).toHaveLength(2);
+      expect(console.log).toHaveBeenCalledWith('  technical.tools[0] = "git"  (/prefs.yaml:4)');
+      expect(console.log).toHaveBeenCalledWith('  technical.tools[1] = "node"  (/.claude/preferences.team.yaml:2)');
+    });
+
+    it('should explain everything when no path is given', async () => {
+      const entries = await explainCmd({});
+
+      expect(entries.map(e => e.file)).toContain('built-in defaults');
+    });
+
+    it('should reject unknown paths', async () => {
+      await expect(explainCmd({ path: 'technical.missing' })).rejects.toThrow("Path 'technical.missing' not found");
+    });
+
+    it('should write an annotated CLAUDE.md', async () => {
+      fs.readText.mockResolvedValue('## Testing\n\n- Tests MUST pass before commit\n');
+
+      const result = await explainCmd({ annotate: 'CLAUDE.md', output: 'CLAUDE.annotated.md' });
+
+      expect(result.annotated).toBe(1);
+      expect(fs.writeText).toHaveBeenCalledWith(
+        'CLAUDE.annotated.md',
+        '## Testing\n\n- Tests MUST pass before commit <!-- /prefs.yaml:7 -->\n'
+      );
+    });
+  });
+
+  describe('annotateMarkdown', () => {
+    const entries = [
+      { value: 'Prefer small commits', file: 'a.yaml', line: 1 },
+      { value: 'Prefer small commits with clear messages', file: 'b.yaml', line: 9 },
+      { value: 'git', file: 'a.yaml', line: 2 }
+    ];
+
+    it('should use the longest matching value', () => {
+      const { content } = annotateMarkdown('- prefer small commits with clear messages', entries);
+
+      expect(content).toBe('- prefer small commits with clear messages <!-- b.yaml:9 -->');
+    });
+
+    it('should skip headings, code blocks and short values', () => {
+      const markdown = '## Prefer small commits\n```\nPrefer small commits\n```\n- Use git';
+
+      expect(annotateMarkdown(markdown, entries)).toEqual({ content: markdown, annotated: 0 });
+    });
+  });
+});
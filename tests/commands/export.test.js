@@ -3,11 +3,13 @@ import { exportCmd, showAvailableFormats } from '../../src/commands/export.js';
 import * as config from '../../src/config/index.js';
 import * as fs from '../../src/utils/fs.js';
 import * as logger from '../../src/utils/logger.js';
+import * as snapshots from '../../src/sync/snapshots.js';
 
 // Mock dependencies
 vi.mock('../../src/config/index.js');
 vi.mock('../../src/utils/fs.js');
 vi.mock('../../src/utils/logger.js');
+vi.mock('../../src/sync/snapshots.js');
 
 describe('Export Command', () => {
   beforeEach(() => {
@@ -58,7 +60,7 @@ describe('Export Command', () => {
         await exportCmd(options);
 
         expect(logger.error).toHaveBeenCalledWith(
-          'Export failed: Unknown format: unknown. Available formats: chat, claude-md, hybrid'
+          'Export failed: Unknown format: unknown. Available formats: chat, claude-md, hybrid, template'
         );
         expect(process.exit).toHaveBeenCalledWith(1);
       });
@@ -90,6 +92,43 @@ describe('Export Command', () => {
         expect(logger.success).toHaveBeenCalledWith('Exported to /tmp/test.md');
       });
 
+      it('should remember chat exports for status but not claude-md ones', async () => {
+        snapshots.exportTarget.mockImplementation(format => `export:${format}`);
+
+        await exportCmd({ format: 'chat' });
+        await exportCmd({ format: 'claude-md' });
+
+        const store = snapshots.SnapshotStore.mock.instances[0];
+        expect(snapshots.SnapshotStore).toHaveBeenCalledTimes(1);
+        expect(store.write).toHaveBeenCalledWith('export:chat', console.log.mock.calls[0][0], {});
+      });
+
+      it('should record the config and token budget a chat export was made with', async () => {
+        config.loadConfig.mockResolvedValue({ config: mockConfig, path: '/custom/path.yaml' });
+        snapshots.exportTarget.mockImplementation(format => `export:${format}`);
+
+        await exportCmd({ format: 'hybrid', configPath: '/custom/path.yaml', maxTokens: 500 });
+
+        const store = snapshots.SnapshotStore.mock.instances[0];
+        expect(store.write).toHaveBeenCalledWith(
+          'export:hybrid',
+          expect.any(String),
+          { configPath: '/custom/path.yaml', maxTokens: 500 }
+        );
+      });
+
+      it('should trim output to fit --max-tokens', async () => {
+        const options = { format: 'claude-md', maxTokens: 100 };
+
+        await exportCmd(options);
+
+        const output = console.log.mock.calls[0][0];
+        expect(output.length).toBeLessThanOrEqual(100 * 4);
+        // On stderr, so a redirected export holds only the output
+        expect(logger.warn).not.toHaveBeenCalled();
+        expect(logger.stderr.warn).toHaveBeenCalledWith(expect.stringMatching(/^Trimmed output from ~\d+ to ~\d+ tokens to fit --max-tokens 100:$/));
+      });
+
       it('should use custom config path', async () => {
         const options = { 
           format: 'chat',
@@ -102,6 +141,47 @@ describe('Export Command', () => {
       });
     });
 
+    describe('scope override', () => {
+      it('should render sections for the requested targets', async () => {
+        config.loadConfig.mockResolvedValue({
+          config: {
+            ...mockConfig,
+            scopes: { api_notes: ['api'] },
+            api_notes: { endpoints: ['Prefer REST over RPC'] }
+          }
+        });
+
+        await exportCmd({ format: 'claude-md', scope: ['api'] });
+
+        const output = console.log.mock.calls[0][0];
+        expect(output).toContain('Prefer REST over RPC');
+        expect(output).not.toContain('15 years software engineering');
+      });
+    });
+
+    describe('condition tracing', () => {
+      it('should report load-time and target decisions', async () => {
+        config.loadConfig.mockResolvedValue({
+          config: {
+            ...mockConfig,
+            chat_notes: { _when: { target: 'chat' }, note: 'Chat only' }
+          },
+          conditions: [{ path: 'work_setup', included: false, reasons: ['hostname "vm" does not match "work-*"'] }]
+        });
+
+        await exportCmd({ format: 'claude-md', traceConditions: true });
+
+        expect(logger.info).not.toHaveBeenCalled();
+        expect(logger.stderr.info).toHaveBeenCalledWith(
+          '  [load] work_setup: excluded (hostname "vm" does not match "work-*")'
+        );
+        expect(logger.stderr.info).toHaveBeenCalledWith(
+          '  [claude-md] chat_notes: excluded (target "claude-md" does not match "chat")'
+        );
+        expect(console.log.mock.calls[0][0]).not.toContain('Chat only');
+      });
+    });
+
     describe('section filtering', () => {
       it('should export specific section only', async () => {
         const options = { 
@@ -175,17 +255,21 @@ describe('Export Command', () => {
 
         expect(logger.error).toHaveBeenCalledWith('Export failed: Permission denied');
         expect(process.exit).toHaveBeenCalledWith(1);
+        // A failed write isn't the last export
+        expect(snapshots.SnapshotStore).not.toHaveBeenCalled();
       });
     });
   });
 
   describe('showAvailableFormats', () => {
-    it('should display available formats', () => {
-      showAvailableFormats();
+    it('should display available formats with description and source', async () => {
+      config.loadConfig.mockRejectedValue(new Error('Config file not found'));
+
+      await showAvailableFormats();
 
       expect(logger.info).toHaveBeenCalledWith('Available export formats:');
-      expect(console.log).toHaveBeenCalledWith('  chat');
-      expect(console.log).toHaveBeenCalledWith('  claude-md');
+      expect(console.log).toHaveBeenCalledWith(expect.stringMatching(/^ {2}chat +Natural prose for Claude Chat \(built-in\)$/));
+      expect(console.log).toHaveBeenCalledWith(expect.stringMatching(/^ {2}claude-md +.+\(built-in\)$/));
     });
   });
 });
\ No newline at end of file
@@ -0,0 +1,52 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { scopesCmd, buildScopeMatrix } from '../../src/commands/scopes.js';
+import * as config from '../../src/config/index.js';
+
+vi.mock('../../src/config/index.js');
+vi.mock('../../src/utils/logger.js');
+
+const preferences = {
+  schema_version: '1.0.0',
+  scopes: { house_rules: ['global', 'api'] },
+  professional_background: { experience: '15 years' },
+  house_rules: { rules: ['No force pushes'] },
+  team_notes: { _scope: ['projects'], notes: ['Weekly sync'] },
+  misc: { anything: ['goes'] }
+};
+
+describe('Scopes Command', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    config.loadConfig.mockResolvedValue({ config: preferences, path: '/prefs.yaml', layers: [] });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('buildScopeMatrix', () => {
+    it('should resolve every section and explain where its targets came from', () => {
+      const { targets, rows } = buildScopeMatrix(preferences);
+
+      expect(targets).toEqual(['chat', 'global', 'project', 'api', 'projects']);
+      expect(rows).toEqual([
+        { section: 'professional_background', targets: ['chat', 'global'], source: 'default' },
+        { section: 'house_rules', targets: ['global', 'api'], source: 'scopes' },
+        { section: 'team_notes', targets: ['projects'], source: '_scope' },
+        { section: 'misc', targets: ['global'], source: 'fallback' }
+      ]);
+    });
+  });
+
+  describe('scopesCmd', () => {
+    it('should load layered config and print one row per section', async () => {
+      await scopesCmd({ configPath: '/prefs.yaml' });
+
+      expect(config.loadConfig).toHaveBeenCalledWith('/prefs.yaml');
+      const lines = console.log.mock.calls.map(call => call[0]);
+      expect(lines[0]).toMatch(/section\s+chat\s+global\s+project\s+api\s+projects\s+from/);
+      expect(lines.find(line => line.includes('house_rules'))).toMatch(/house_rules\s+-\s+✓\s+-\s+✓\s+-\s+scopes/);
+    });
+  });
+});
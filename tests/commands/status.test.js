@@ -0,0 +1,108 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { statusCmd } from '../../src/commands/status.js';
+import * as config from '../../src/config/index.js';
+import * as transformers from '../../src/transformers/index.js';
+import { FileSync } from '../../src/sync/file-sync.js';
+import { RepoSync } from '../../src/sync/repo-sync.js';
+import { RepoDiscovery } from '../../src/sync/repo-discovery.js';
+import * as snapshots from '../../src/sync/snapshots.js';
+import { generateMetadata } from '../../src/utils/version.js';
+
+vi.mock('../../src/config/index.js');
+vi.mock('../../src/transformers/index.js');
+vi.mock('../../src/sync/file-sync.js');
+vi.mock('../../src/sync/repo-sync.js');
+vi.mock('../../src/sync/repo-discovery.js');
+vi.mock('../../src/sync/snapshots.js');
+vi.mock('../../src/utils/logger.js');
+
+describe('status command', () => {
+  const generated = `${generateMetadata({ format: 'claude-md' })}\n\n# Prefs`;
+  const old = '<!-- Generated by claude-context-sync v0.0.9 (abc1234) on 2025-01-02T03:04:05.000Z\n     Format: claude-md\n-->\n\n# Prefs';
+  let log;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    log = vi.spyOn(console, 'log').mockImplementation(() => {});
+
+    config.loadConfig.mockResolvedValue({ config: {} });
+    transformers.createTransformer.mockImplementation(() => ({ transform: async () => generated }));
+    FileSync.prototype.planGlobal.mockReturnValue({ path: '/home/.claude/CLAUDE.md', current: old, content: generated });
+    RepoDiscovery.prototype.discover.mockResolvedValue([{ path: '/repo', config: {} }]);
+    RepoSync.prototype.diffRepo.mockResolvedValue({
+      files: [
+        { path: '/repo/CLAUDE.md', before: '# Stale', after: generated },
+        { path: '/repo/.claude/CLAUDE.md', before: null, after: generated }
+      ]
+    });
+    snapshots.SnapshotStore.prototype.read.mockReturnValue(null);
+  });
+
+  afterEach(() => {
+    log.mockRestore();
+  });
+
+  it('should compare every target while ignoring the metadata timestamp', async () => {
+    const entries = await statusCmd({ scan: ['/scan'] });
+
+    expect(entries.map(({ target, path, state }) => ({ target, path, state }))).toEqual([
+      { target: 'global', path: '/home/.claude/CLAUDE.md', state: 'current' },
+      { target: 'repo', path: '/repo/CLAUDE.md', state: 'stale' },
+      { target: 'repo', path: '/repo/.claude/CLAUDE.md', state: 'missing' }
+    ]);
+    expect(entries[0]).toMatchObject({ version: '0.0.9', commit: 'abc1234', generatedAt: '2025-01-02T03:04:05.000Z' });
+    expect(RepoDiscovery.prototype.discover).toHaveBeenCalledWith(['/scan'], { maxDepth: 3 });
+    expect(config.loadConfig).toHaveBeenCalledWith(null, { global: true });
+  });
+
+  it('should compare the last chat export with regenerated chat text', async () => {
+    snapshots.SnapshotStore.prototype.read.mockImplementation(target => (target === 'export:chat' ? { content: '# Old chat' } : null));
+    snapshots.exportTarget.mockImplementation(format => `export:${format}`);
+
+    const entries = await statusCmd();
+
+    expect(entries.at(-1)).toMatchObject({ target: 'chat', path: 'last chat export', state: 'stale' });
+    expect(config.loadConfig).toHaveBeenCalledWith(null, { skipProjectLayers: true });
+  });
+
+  it('should regenerate each target with the options it was last generated with', async () => {
+    config.loadConfig.mockResolvedValue({
+      config: { technical: { tools: ['git'] }, token_budget: { drop_order: ['technical'] } }
+    });
+    transformers.createTransformer.mockImplementation((format, preferences) => ({
+      transform: async () => (preferences.technical ? 'x'.repeat(400) : 'short')
+    }));
+    snapshots.exportTarget.mockImplementation(format => `export:${format}`);
+    const exports = { 'export:chat': { content: 'short', generatedWith: { configPath: '/custom.yaml', maxTokens: 50 } } };
+    snapshots.SnapshotStore.prototype.read.mockImplementation(target => (String(target).startsWith('export:')
+      ? exports[target] ?? null
+      : { content: 'short', generatedWith: { maxTokens: 50 } }));
+    RepoSync.prototype.lastGeneratedWith.mockReturnValue({ maxTokens: 50 });
+
+    const entries = await statusCmd();
+
+    expect(FileSync.prototype.planGlobal).toHaveBeenCalledWith('short');
+    expect(RepoSync.prototype.diffRepo).toHaveBeenCalledWith(expect.objectContaining({ path: '/repo' }), { maxTokens: 50 });
+    expect(config.loadConfig).toHaveBeenCalledWith('/custom.yaml', { skipProjectLayers: true });
+    expect(entries.at(-1)).toMatchObject({ target: 'chat', path: 'last chat export', state: 'current' });
+  });
+
+  it('should report conflicts instead of failing', async () => {
+    const conflict = Object.assign(new Error('Edits in /home/.claude/CLAUDE.md conflict'), { name: 'SyncConflictError' });
+    FileSync.prototype.planGlobal.mockImplementation(() => { throw conflict; });
+    FileSync.mockImplementation(function () {
+      this.globalCLAUDEPath = '/home/.claude/CLAUDE.md';
+    });
+
+    const [global] = await statusCmd();
+
+    expect(global).toMatchObject({ target: 'global', state: 'conflict', error: conflict.message });
+  });
+
+  it('should print JSON for scripting', async () => {
+    await statusCmd({ json: true });
+
+    const output = JSON.parse(log.mock.calls[0][0]);
+    expect(output.targets).toHaveLength(3);
+  });
+});
@@ -0,0 +1,113 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { syncReposCmd } from '../../src/commands/sync-repos.js';
+import { RepoSync } from '../../src/sync/repo-sync.js';
+import { RepoDiscovery } from '../../src/sync/repo-discovery.js';
+import * as logger from '../../src/utils/logger.js';
+
+vi.mock('../../src/sync/repo-sync.js');
+vi.mock('../../src/sync/repo-discovery.js');
+vi.mock('../../src/utils/logger.js');
+
+const tick = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('sync-repos command', () => {
+  const repos = ['alpha', 'beta', 'gamma'].map(name => ({ path: `/repos/${name}`, config: {} }));
+  let output;
+  let progress;
+  let log;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    output = [];
+    log = vi.spyOn(console, 'log').mockImplementation((...args) => output.push(args.join(' ')));
+    logger.info.mockImplementation(message => output.push(message));
+    logger.success.mockImplementation(message => output.push(message));
+
+    progress = { text: '', clear: vi.fn(), render: vi.fn(), stop: vi.fn() };
+    logger.spinner.mockReturnValue(progress);
+
+    RepoDiscovery.prototype.discover.mockResolvedValue(repos);
+    // alpha finishes last, so a serial log would differ from completion order
+    const delays = { '/repos/alpha': 30, '/repos/beta': 5, '/repos/gamma': 15 };
+    RepoSync.prototype.syncRepo.mockImplementation(async (repo, { log: write = console.log }) => {
+      write(`  ✓ first ${repo.path}`);
+      await tick(delays[repo.path]);
+      write(`  ✓ second ${repo.path}`);
+      return { repo: repo.path, success: true, changes: [`Updated ${repo.path}/CLAUDE.md`], errors: [], warnings: [], skipped: false };
+    });
+    RepoSync.prototype.getSummary.mockImplementation(results => ({
+      total: results.length, successful: results.length, failed: 0, skipped: 0
+    }));
+  });
+
+  afterEach(() => {
+    log.mockRestore();
+  });
+
+  it('should sync several repositories at once and print each as one block', async () => {
+    const results = await syncReposCmd({ scan: ['/repos'], concurrency: 3 });
+
+    expect(results.map(result => result.repo)).toEqual(repos.map(repo => repo.path));
+    for (const repo of repos) {
+      const start = output.indexOf(`Syncing: ${repo.path}`);
+      expect(output.slice(start + 2, start + 6)).toEqual([
+        `  ✓ first ${repo.path}`,
+        `  ✓ second ${repo.path}`,
+        '✓ Sync completed',
+        `  • Updated ${repo.path}/CLAUDE.md`
+      ]);
+    }
+    expect(output.indexOf('Syncing: /repos/beta')).toBeLessThan(output.indexOf('Syncing: /repos/alpha'));
+    expect(progress.text).toBe('Synced 3/3 repositories');
+    expect(progress.stop).toHaveBeenCalled();
+  });
+
+  it('should print each repository\'s warnings in its own block', async () => {
+    logger.warn.mockImplementation(message => output.push(message));
+    RepoSync.prototype.syncRepo.mockImplementation(async repo => ({
+      repo: repo.path, success: true, changes: [], errors: [], warnings: [`Layer failed for ${repo.path}`], skipped: false
+    }));
+
+    await syncReposCmd({ scan: ['/repos'], concurrency: 3 });
+
+    for (const repo of repos) {
+      const start = output.indexOf(`Syncing: ${repo.path}`);
+      expect(output.slice(start + 2, start + 4)).toEqual(['✓ Sync completed', `  • Layer failed for ${repo.path}`]);
+    }
+  });
+
+  it('should keep at most concurrency repositories syncing', async () => {
+    let running = 0;
+    let peak = 0;
+    RepoSync.prototype.syncRepo.mockImplementation(async repo => {
+      peak = Math.max(peak, ++running);
+      await tick(5);
+      running--;
+      return { repo: repo.path, success: true, changes: [], errors: [], warnings: [], skipped: false };
+    });
+
+    await syncReposCmd({ scan: ['/repos'], concurrency: 2 });
+
+    expect(peak).toBe(2);
+  });
+
+  it('should sync one repository at a time by default', async () => {
+    await syncReposCmd({ scan: ['/repos'] });
+
+    expect(logger.spinner).not.toHaveBeenCalled();
+    expect(output.filter(line => line.startsWith('Syncing: '))).toEqual(repos.map(repo => `Syncing: ${repo.path}`));
+  });
+
+  it('should pass the token budget on to each repository', async () => {
+    await syncReposCmd({ scan: ['/repos'], maxTokens: 2000 });
+
+    expect(RepoSync).toHaveBeenCalledWith(expect.objectContaining({ maxTokens: 2000 }));
+  });
+
+  it('should reject an invalid concurrency', async () => {
+    await expect(syncReposCmd({ concurrency: 0 })).rejects.toThrow('--concurrency must be a positive whole number (got 0)');
+    await expect(syncReposCmd({ concurrency: NaN })).rejects.toThrow('--concurrency must be a positive whole number');
+    await expect(syncReposCmd({ concurrency: 4, transactional: true }))
+      .rejects.toThrow('--transactional cannot be combined with --concurrency');
+  });
+});
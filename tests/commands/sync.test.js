@@ -1,5 +1,5 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest';
-import { syncGlobal, syncProject, syncAll, listBackups, restoreBackup } from '../../src/commands/sync.js';
+import { syncGlobal, syncProject, syncAll, listBackups, restoreBackup, pruneBackups } from '../../src/commands/sync.js';
 
 // Mock dependencies
 vi.mock('../../src/config/index.js');
@@ -40,8 +40,16 @@ describe('Sync Commands', () => {
       syncGlobal: vi.fn().mockResolvedValue({ success: true, path: '~/.claude/CLAUDE.md' }),
       syncProject: vi.fn().mockResolvedValue({ success: true, path: '/project/.claude/CLAUDE.md', merged: true }),
       findProjectCLAUDE: vi.fn().mockResolvedValue('/project/.claude/CLAUDE.md'),
+      planGlobal: vi.fn().mockReturnValue({ path: '~/.claude/CLAUDE.md', current: '# Old', content: '# Transformed Content' }),
       listBackups: vi.fn().mockResolvedValue([]),
       restoreBackup: vi.fn().mockResolvedValue({ success: true, path: '~/.claude/CLAUDE.md', restoredFrom: 'backup.md' }),
+      describeBackups: vi.fn().mockResolvedValue([]),
+      planRestore: vi.fn().mockReturnValue({ path: '~/.claude/CLAUDE.md', current: '# Now', content: '# Then', warnings: [] }),
+      backups: {
+        prune: vi.fn().mockReturnValue([]),
+        targets: vi.fn().mockReturnValue([]),
+        find: vi.fn((targetPath, ref) => ref)
+      },
       globalCLAUDEPath: '~/.claude/CLAUDE.md'
     };
     const fileSyncModule = await import('../../src/sync/file-sync.js');
@@ -63,6 +71,7 @@ describe('Sync Commands', () => {
 
   describe('syncGlobal', () => {
     it('should sync preferences to global CLAUDE.md', async () => {
+      const configModule = await import('../../src/config/index.js');
       const result = await syncGlobal();
 
       expect(result.success).toBe(true);
@@ -70,9 +79,38 @@ describe('Sync Commands', () => {
         '# Transformed Content',
         expect.objectContaining({ dryRun: false, backup: true })
       );
+      // The global file doesn't depend on the repo the command runs from
+      expect(configModule.loadConfig).toHaveBeenCalledWith(null, { global: true });
       // Success messages verified in individual sync function tests
     });
 
+    it('should trim content to fit --max-tokens and report what was trimmed', async () => {
+      const configModule = await import('../../src/config/index.js');
+      const transformerModule = await import('../../src/transformers/index.js');
+      configModule.loadConfig = vi.fn().mockResolvedValue({
+        config: { technical: { tools: ['git'] }, token_budget: { drop_order: ['technical'] } }
+      });
+      transformerModule.createTransformer = vi.fn().mockImplementation((format, preferences) => ({
+        transform: vi.fn().mockResolvedValue(preferences.technical ? 'x'.repeat(400) : 'short')
+      }));
+
+      await syncGlobal({ maxTokens: 50 });
+
+      expect(mockFileSync.syncGlobal).toHaveBeenCalledWith('short', expect.objectContaining({ generatedWith: { maxTokens: 50 } }));
+      expect(mockLogger.warn).toHaveBeenCalledWith("  - Dropped section 'technical' (-98 tokens)");
+    });
+
+    it('should print a diff instead of writing with --diff', async () => {
+      const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+
+      const result = await syncGlobal({ diff: true });
+
+      expect(result).toEqual({ path: '~/.claude/CLAUDE.md', diff: true, changed: true });
+      expect(mockFileSync.syncGlobal).not.toHaveBeenCalled();
+      expect(log.mock.calls[0][0]).toContain('+# Transformed Content');
+      log.mockRestore();
+    });
+
     it('should perform dry run when requested', async () => {
       mockFileSync.syncGlobal.mockResolvedValue({ success: true, dryRun: true, path: '~/.claude/CLAUDE.md' });
 
@@ -201,21 +239,37 @@ describe('Sync Commands', () => {
 
   describe('listBackups', () => {
     it('should list backups for global target', async () => {
-      mockFileSync.listBackups.mockResolvedValue(['backup1.md', 'backup2.md']);
+      const backups = [
+        { path: 'backup1.md', createdAt: new Date(Date.now() - 2 * 60 * 60 * 1000), size: 2048, version: '0.3.0' },
+        { path: 'backup2.md', createdAt: new Date(Date.now() - 3 * 24 * 60 * 60 * 1000), size: 512, version: null }
+      ];
+      mockFileSync.describeBackups.mockResolvedValue(backups);
+      const log = vi.spyOn(console, 'log').mockImplementation(() => {});
 
       const result = await listBackups({ target: 'global' });
 
-      expect(result).toEqual(['backup1.md', 'backup2.md']);
-      // Success messages verified in individual sync function tests
+      expect(result).toEqual(backups);
+      expect(log).toHaveBeenCalledWith(expect.stringMatching(/1\. 2 hours ago +2\.0 KB +v0\.3\.0 +backup1\.md/));
+      expect(log).toHaveBeenCalledWith(expect.stringMatching(/2\. 3 days ago +512 B +- +backup2\.md/));
+      log.mockRestore();
     });
 
     it('should list backups for project target', async () => {
-      mockFileSync.listBackups.mockResolvedValue(['backup1.md']);
-
       await listBackups({ target: 'project', path: '/project' });
 
       expect(mockFileSync.findProjectCLAUDE).toHaveBeenCalledWith('/project');
-      expect(mockFileSync.listBackups).toHaveBeenCalled();
+      expect(mockFileSync.describeBackups).toHaveBeenCalledWith('/project/.claude/CLAUDE.md');
+    });
+
+    it('should diff a backup against the current file', async () => {
+      const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+
+      const result = await listBackups({ target: 'global', diff: '2' });
+
+      expect(mockFileSync.backups.find).toHaveBeenCalledWith('~/.claude/CLAUDE.md', '2');
+      expect(result).toEqual({ path: '~/.claude/CLAUDE.md', backup: '2', diff: true, changed: true });
+      expect(log.mock.calls[0][0]).toContain('-# Now');
+      log.mockRestore();
     });
 
     it('should throw error if project path not provided', async () => {
@@ -227,23 +281,73 @@ describe('Sync Commands', () => {
     });
 
     it('should handle no backups gracefully', async () => {
-      mockFileSync.listBackups.mockResolvedValue([]);
-
       await listBackups({ target: 'global' });
 
       expect(mockLogger.info).toHaveBeenCalledWith(expect.stringContaining('No backups found'));
     });
   });
 
+  describe('pruneBackups', () => {
+    it('should prune the global target and every target in the store', async () => {
+      mockFileSync.backups.targets.mockReturnValue(['/repo/CLAUDE.md', '~/.claude/CLAUDE.md']);
+      mockFileSync.backups.prune.mockImplementation(path => path === '/repo/CLAUDE.md' ? ['/old.backup'] : []);
+
+      const removed = await pruneBackups({ dryRun: true });
+
+      expect(removed).toEqual(['/old.backup']);
+      expect(mockFileSync.backups.prune).toHaveBeenCalledTimes(2);
+      expect(mockFileSync.backups.prune).toHaveBeenCalledWith('/repo/CLAUDE.md', { dryRun: true });
+    });
+
+    it('should pass the backups policy from preferences', async () => {
+      const configModule = await import('../../src/config/index.js');
+      configModule.loadConfig.mockResolvedValue({ config: { backups: { keep: 3 } } });
+      const fileSyncModule = await import('../../src/sync/file-sync.js');
+
+      await pruneBackups({ target: 'global' });
+
+      expect(fileSyncModule.FileSync).toHaveBeenCalledWith({ backups: { keep: 3 } });
+      expect(mockLogger.info).toHaveBeenCalledWith('No backups past the retention limits');
+    });
+
+    it('should throw error for invalid target', async () => {
+      await expect(pruneBackups({ target: 'invalid' })).rejects.toThrow('Invalid target');
+    });
+  });
+
   describe('restoreBackup', () => {
     it('should restore backup for global target', async () => {
       const result = await restoreBackup({ target: 'global', backup: 'backup.md' });
 
       expect(result.success).toBe(true);
-      expect(mockFileSync.restoreBackup).toHaveBeenCalledWith('backup.md', '~/.claude/CLAUDE.md');
+      expect(mockFileSync.restoreBackup).toHaveBeenCalledWith('backup.md', '~/.claude/CLAUDE.md', { sections: [] });
       // Success messages verified in individual sync function tests
     });
 
+    it('should pick the backup by index or relative time', async () => {
+      mockFileSync.backups.find.mockReturnValue('/backups/CLAUDE.md.backup.2025-01-01-00-00-00-000');
+
+      await restoreBackup({ target: 'global', backup: '2 days ago', sections: ['Tools'] });
+
+      expect(mockFileSync.backups.find).toHaveBeenCalledWith('~/.claude/CLAUDE.md', '2 days ago');
+      expect(mockFileSync.restoreBackup).toHaveBeenCalledWith(
+        '/backups/CLAUDE.md.backup.2025-01-01-00-00-00-000',
+        '~/.claude/CLAUDE.md',
+        { sections: ['Tools'] }
+      );
+    });
+
+    it('should preview the restore without writing in dry-run mode', async () => {
+      const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+
+      const result = await restoreBackup({ target: 'global', backup: '1', dryRun: true });
+
+      expect(result).toMatchObject({ dryRun: true, changed: true });
+      expect(mockFileSync.restoreBackup).not.toHaveBeenCalled();
+      expect(log.mock.calls[0][0]).toContain('+# Then');
+      log.mockRestore();
+    });
+
     it('should restore backup for project target', async () => {
       await restoreBackup({ target: 'project', path: '/project', backup: 'backup.md' });
 
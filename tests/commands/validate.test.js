@@ -0,0 +1,91 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { validateCmd } from '../../src/commands/validate.js';
+import * as logger from '../../src/utils/logger.js';
+
+vi.mock('../../src/utils/logger.js');
+
+const tempDir = join(tmpdir(), 'claude-context-sync-validate-test');
+
+describe('Validate Command', () => {
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    await fs.mkdir(tempDir, { recursive: true });
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should validate a standalone preferences file', async () => {
+    const configPath = join(tempDir, 'preferences.yaml');
+    await fs.writeFile(configPath, 'schema_version: "1.0.0"\ntechnical: {}\nproject_defaults: {}\n');
+
+    const result = await validateCmd({ configPath });
+
+    expect(result.valid).toBe(true);
+    expect(result.chain).toEqual([{ path: configPath, spec: null }]);
+  });
+
+  describe('extends', () => {
+    it('should print the inheritance chain and accept required sections from a parent', async () => {
+      const teamPath = join(tempDir, 'team.yaml');
+      const configPath = join(tempDir, 'preferences.yaml');
+      await fs.writeFile(teamPath, 'technical: {}\nproject_defaults: {}\n');
+      await fs.writeFile(configPath, 'schema_version: "1.0.0"\nextends: ./team.yaml\n');
+
+      const result = await validateCmd({ configPath });
+
+      expect(result.valid).toBe(true);
+      expect(logger.info).toHaveBeenCalledWith(`    1. ${teamPath} (extends: ./team.yaml)`);
+      expect(logger.info).toHaveBeenCalledWith(`    2. ${configPath}`);
+    });
+
+    it('should report required sections missing from the whole chain', async () => {
+      const configPath = join(tempDir, 'preferences.yaml');
+      await fs.writeFile(join(tempDir, 'team.yaml'), 'technical: {}\n');
+      await fs.writeFile(configPath, 'schema_version: "1.0.0"\nextends: ./team.yaml\n');
+
+      const result = await validateCmd({ configPath });
+
+      expect(result.valid).toBe(false);
+      expect(result.files[1].errors[0].message).toMatch(/^Missing required section: project_defaults/);
+    });
+
+    it('should report unresolvable parents', async () => {
+      const configPath = join(tempDir, 'preferences.yaml');
+      await fs.writeFile(configPath, 'extends: ./missing.yaml\ntechnical: {}\nproject_defaults: {}\n');
+
+      const result = await validateCmd({ configPath });
+
+      expect(result.valid).toBe(false);
+      expect(result.files[0].errors.map(e => e.path)).toContain('extends');
+    });
+  });
+
+  describe('interpolation', () => {
+    it('should report unresolved references and accept variables in place of lists', async () => {
+      const configPath = join(tempDir, 'preferences.yaml');
+      await fs.writeFile(configPath, [
+        'schema_version: "1.0.0"',
+        'vars:',
+        '  tools: [git]',
+        'technical:',
+        '  tools: ${var:tools}',
+        '  editor: ${var:editor}',
+        'project_defaults: {}'
+      ].join('\n'));
+
+      const result = await validateCmd({ configPath });
+
+      expect(result.valid).toBe(false);
+      expect(result.files[0].errors).toEqual([expect.objectContaining({
+        path: 'technical.editor',
+        lineNumber: 6,
+        message: 'Unresolved reference ${var:editor}: no such entry under vars'
+      })]);
+    });
+  });
+});
@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest';
+import { mapConcurrent } from '../src/utils/concurrency.js';
+
+const tick = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('mapConcurrent', () => {
+  it('should return results in input order whatever order calls finish in', async () => {
+    const results = await mapConcurrent([30, 10, 20], 3, async ms => {
+      await tick(ms);
+      return ms;
+    });
+
+    expect(results).toEqual([30, 10, 20]);
+  });
+
+  it('should never run more than limit calls at once', async () => {
+    let running = 0;
+    let peak = 0;
+
+    await mapConcurrent([1, 2, 3, 4, 5, 6, 7], 3, async () => {
+      running++;
+      peak = Math.max(peak, running);
+      await tick(5);
+      running--;
+    });
+
+    expect(peak).toBe(3);
+  });
+
+  it('should start items in order', async () => {
+    const started = [];
+
+    await mapConcurrent(['a', 'b', 'c', 'd'], 2, async (item, index) => {
+      started.push([item, index]);
+      await tick(1);
+    });
+
+    expect(started).toEqual([['a', 0], ['b', 1], ['c', 2], ['d', 3]]);
+  });
+
+  it('should handle no items', async () => {
+    await expect(mapConcurrent([], 4, async () => 'never')).resolves.toEqual([]);
+  });
+
+  it('should reject a limit that is not a positive whole number', async () => {
+    await expect(mapConcurrent([1], 0, async () => {})).rejects.toThrow('Concurrency must be a positive whole number (got 0)');
+    await expect(mapConcurrent([1], 1.5, async () => {})).rejects.toThrow('positive whole number');
+  });
+});
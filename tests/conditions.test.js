@@ -0,0 +1,156 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import {
+  applyConditions,
+  evaluateWhen,
+  detectLanguages,
+  getConditionContext,
+  normalizeRemote,
+  formatConditionTrace
+} from '../src/config/conditions.js';
+import { SourcedValue } from '../src/config/provenance.js';
+
+const context = {
+  hostname: 'work-mbp',
+  platform: 'darwin',
+  repo: 'github.com/acme/api',
+  languages: ['javascript', 'typescript']
+};
+
+describe('Conditions', () => {
+  describe('evaluateWhen', () => {
+    it('should require every condition to match', () => {
+      expect(evaluateWhen({ hostname: 'work-*', platform: 'darwin' }, context).included).toBe(true);
+      expect(evaluateWhen({ hostname: 'work-*', platform: 'linux' }, context).included).toBe(false);
+    });
+
+    it('should accept lists of alternatives and match any detected language', () => {
+      expect(evaluateWhen({ platform: ['linux', 'darwin'] }, context).included).toBe(true);
+      expect(evaluateWhen({ languages: 'TypeScript' }, context).included).toBe(true);
+      expect(evaluateWhen({ languages: ['go', 'rust'] }, context).included).toBe(false);
+    });
+
+    it('should match repos on host/owner/name or owner/name', () => {
+      expect(evaluateWhen({ repo: 'acme/*' }, context).included).toBe(true);
+      expect(evaluateWhen({ repo: 'github.com/acme/api' }, context).included).toBe(true);
+      expect(evaluateWhen({ repo: 'other/api' }, context).included).toBe(false);
+    });
+
+    it('should defer conditions on facts not in the context', () => {
+      const result = evaluateWhen({ platform: 'darwin', target: 'chat' }, context);
+
+      expect(result.included).toBe(null);
+      expect(result.deferred).toEqual(['target']);
+    });
+
+    it('should explain each decision', () => {
+      const { reasons } = evaluateWhen({ hostname: 'home-*', colour: 'blue' }, context);
+
+      expect(reasons).toEqual([
+        'hostname "work-mbp" does not match "home-*"',
+        "unknown condition 'colour'"
+      ]);
+    });
+  });
+
+  describe('applyConditions', () => {
+    const preferences = {
+      technical: {
+        tools: [
+          'git',
+          { _when: { platform: 'darwin' }, value: 'brew' },
+          { _when: { platform: 'linux' }, value: 'apt' },
+          { _when: { target: 'hybrid' }, value: 'hybrid-only' }
+        ]
+      },
+      home_setup: { _when: { hostname: 'home-*' }, note: 'Home only' },
+      work_setup: { _when: { hostname: 'work-*' }, note: 'Work only' }
+    };
+
+    it('should drop failed blocks, unwrap passing list items and keep deferred ones', () => {
+      const trace = [];
+      const result = applyConditions(preferences, context, { trace });
+
+      expect(result).toEqual({
+        technical: { tools: ['git', 'brew', { _when: { target: 'hybrid' }, value: 'hybrid-only' }] },
+        work_setup: { note: 'Work only' }
+      });
+      expect(trace.map(t => [t.path, t.included])).toEqual([
+        ['technical.tools[1]', true],
+        ['technical.tools[2]', false],
+        ['technical.tools[3]', null],
+        ['home_setup', false],
+        ['work_setup', true]
+      ]);
+    });
+
+    it('should drop deferred blocks when final', () => {
+      const result = applyConditions(preferences, context, { final: true });
+
+      expect(result.technical.tools).toEqual(['git', 'brew']);
+    });
+
+    it('should evaluate traced trees', () => {
+      const traced = {
+        work_setup: {
+          _when: { hostname: new SourcedValue('home-*', 'prefs.yaml', 2) },
+          note: new SourcedValue('Home only', 'prefs.yaml', 3)
+        }
+      };
+
+      expect(applyConditions(traced, context)).toEqual({});
+    });
+
+    it('should not mutate the input', () => {
+      const snapshot = structuredClone(preferences);
+
+      applyConditions(preferences, context, { final: true });
+
+      expect(preferences).toEqual(snapshot);
+    });
+  });
+
+  describe('detectLanguages', () => {
+    const tempDir = join(tmpdir(), 'claude-context-sync-conditions-test');
+
+    beforeEach(async () => {
+      await fs.mkdir(tempDir, { recursive: true });
+    });
+
+    afterEach(async () => {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    it('should detect languages from marker files', async () => {
+      await fs.writeFile(join(tempDir, 'package.json'), '{}');
+      await fs.writeFile(join(tempDir, 'pyproject.toml'), '');
+
+      expect(detectLanguages(tempDir)).toEqual(['javascript', 'python']);
+    });
+
+    it('should report no repo or languages for the global file', async () => {
+      await fs.writeFile(join(tempDir, 'pyproject.toml'), '');
+
+      expect(getConditionContext({ cwd: tempDir }).languages).toEqual(['python']);
+      expect(getConditionContext({ cwd: tempDir, global: true })).toMatchObject({ repo: null, languages: [] });
+    });
+  });
+
+  it('should normalize remote URLs', () => {
+    expect(normalizeRemote('git@github.com:acme/api.git\n')).toBe('github.com/acme/api');
+    expect(normalizeRemote('https://github.com/acme/api.git')).toBe('github.com/acme/api');
+    expect(normalizeRemote('ssh://git@gitlab.example.com:2222/acme/api')).toBe('gitlab.example.com:2222/acme/api');
+  });
+
+  it('should format traces one line per block', () => {
+    expect(formatConditionTrace([
+      { path: 'work_setup', included: true, reasons: ['hostname "work-mbp" matches "work-*"'] },
+      { path: 'tools[1]', included: null, reasons: ['target not known'] }
+    ])).toEqual([
+      'work_setup: included (hostname "work-mbp" matches "work-*")',
+      'tools[1]: deferred (target not known)'
+    ]);
+  });
+});
@@ -90,4 +90,140 @@ describe('Config Loader', () => {
     const foundPath = await findConfigFile(configPath);
     expect(foundPath).toBe(configPath);
   });
+
+  it('should apply merge directives from project layers', async () => {
+    const configPath = join(tempDir, 'preferences.yaml');
+    await fs.writeFile(configPath, [
+      'technical:',
+      '  tools: [git, vim, node]',
+      '  frameworks: [React]',
+      'project_defaults: {}'
+    ].join('\n'));
+    await fs.mkdir(join(tempDir, '.claude'), { recursive: true });
+    await fs.writeFile(join(tempDir, '.claude', 'preferences.project.yaml'), [
+      'technical:',
+      '  tools: !remove [vim]',
+      '  frameworks: !replace [Vue]'
+    ].join('\n'));
+
+    const { config } = await loadConfig(configPath);
+
+    expect(config.technical.tools).toEqual(['git', 'node']);
+    expect(config.technical.frameworks).toEqual(['Vue']);
+  });
+
+  it('should pass layers that fail to load to onWarning', async () => {
+    const configPath = join(tempDir, 'preferences.yaml');
+    const layerPath = join(tempDir, '.claude', 'preferences.broken.yaml');
+    await fs.writeFile(configPath, 'technical:\n  tools: [git]\nproject_defaults: {}\n');
+    await fs.mkdir(join(tempDir, '.claude'), { recursive: true });
+    await fs.writeFile(layerPath, 'technical: [unclosed\n');
+    const warnings = [];
+
+    const { config } = await loadConfig(configPath, { onWarning: message => warnings.push(message) });
+
+    expect(config.technical.tools).toEqual(['git']);
+    expect(warnings).toEqual([expect.stringContaining(`Failed to load preference layer ${layerPath}`)]);
+  });
+
+  it('should report the file and line each merged value came from', async () => {
+    const configPath = join(tempDir, 'preferences.yaml');
+    const layerPath = join(tempDir, '.claude', 'preferences.team.yaml');
+    await fs.writeFile(configPath, 'technical:\n  tools: [git]\nproject_defaults: {}\n');
+    await fs.mkdir(join(tempDir, '.claude'), { recursive: true });
+    await fs.writeFile(layerPath, '# Team tools\ntechnical:\n  tools:\n    - node\n');
+
+    const { provenance } = await loadConfig(configPath);
+
+    expect(provenance.technical.tools.map(t => [t.value, t.file, t.line])).toEqual([
+      ['git', configPath, 2],
+      ['node', layerPath, 4]
+    ]);
+    expect(provenance.project_defaults.git_workflow.file).toBe('built-in defaults');
+  });
+
+  it('should merge files listed under extends before the base file', async () => {
+    const teamPath = join(tempDir, 'team.yaml');
+    const configPath = join(tempDir, 'preferences.yaml');
+    await fs.writeFile(teamPath, 'technical:\n  tools: [git]\nproject_defaults:\n  code_style: strict\n');
+    await fs.writeFile(configPath, 'extends: ./team.yaml\ntechnical:\n  tools: [node]\n');
+
+    const { config, chain } = await loadConfig(configPath);
+
+    expect(config.technical.tools).toEqual(['git', 'node']);
+    expect(config.project_defaults.code_style).toBe('strict');
+    expect(config).not.toHaveProperty('extends');
+    expect(chain).toEqual([
+      { path: teamPath, spec: './team.yaml' },
+      { path: configPath, spec: null }
+    ]);
+  });
+
+  it('should resolve variables after merging so layers can override them', async () => {
+    const configPath = join(tempDir, 'preferences.yaml');
+    await fs.mkdir(join(tempDir, '.claude'), { recursive: true });
+    await fs.writeFile(configPath, [
+      'vars:',
+      '  persona: JAX',
+      'technical: {}',
+      'project_defaults: {}',
+      'personality:',
+      '  construct_name: ${var:persona}'
+    ].join('\n'));
+    await fs.writeFile(join(tempDir, '.claude', 'preferences.project.yaml'), 'vars:\n  persona: Ada\n');
+
+    const { config } = await loadConfig(configPath);
+
+    expect(config.personality.construct_name).toBe('Ada');
+  });
+
+  it('should fail with located errors for unresolved references', async () => {
+    const configPath = join(tempDir, 'preferences.yaml');
+    await fs.writeFile(configPath, 'technical:\n  home: ${env:CCS_TEST_UNSET}\nproject_defaults: {}\n');
+
+    await expect(loadConfig(configPath, { env: {} })).rejects.toThrow(
+      `${configPath}:2: Unresolved reference \${env:CCS_TEST_UNSET}`
+    );
+  });
+
+  it('should apply _when conditions for the current machine and report them', async () => {
+    const configPath = join(tempDir, 'preferences.yaml');
+    await fs.writeFile(configPath, [
+      'technical: {}',
+      'project_defaults: {}',
+      'home_setup:',
+      '  _when: { hostname: home-pc }',
+      '  path: ${env:CCS_TEST_UNSET_HOME}',
+      'work_setup:',
+      '  _when: { hostname: "work-*", platform: darwin }',
+      '  vpn: always on'
+    ].join('\n'));
+
+    const { config, conditions } = await loadConfig(configPath, {
+      conditionContext: { hostname: 'work-mbp', platform: 'darwin' }
+    });
+
+    // Excluded blocks are dropped before their references are resolved
+    expect(config).not.toHaveProperty('home_setup');
+    expect(config.work_setup).toEqual({ vpn: 'always on' });
+    expect(conditions.map(c => [c.path, c.included])).toEqual([['home_setup', false], ['work_setup', true]]);
+  });
+
+  it('should drop repo and language blocks when loading for the global file', async () => {
+    const configPath = join(tempDir, 'preferences.yaml');
+    await fs.writeFile(join(tempDir, 'pyproject.toml'), '');
+    await fs.writeFile(configPath, [
+      'technical: {}',
+      'project_defaults: {}',
+      'python:',
+      '  _when: { languages: python }',
+      '  formatter: black'
+    ].join('\n'));
+
+    const { config: inRepo } = await loadConfig(configPath, { cwd: tempDir });
+    const { config: global } = await loadConfig(configPath, { cwd: tempDir, global: true });
+
+    expect(inRepo.python).toEqual({ formatter: 'black' });
+    expect(global).not.toHaveProperty('python');
+  });
 });
@@ -0,0 +1,106 @@
+import { describe, it, expect } from 'vitest';
+import { parse } from 'yaml';
+import {
+  deepMerge,
+  deepMergeAll,
+  mergeDirective,
+  getMergeDirective
+} from '../src/utils/deep-merge.js';
+import { MERGE_TAGS } from '../src/utils/merge-tags.js';
+
+const base = {
+  testing: {
+    core: ['Run tests', 'Keep coverage'],
+    agents: [{ name: 'reviewer', model: 'small' }, { name: 'writer' }]
+  }
+};
+
+describe('Deep Merge', () => {
+  describe('default semantics', () => {
+    it('should append arrays, merge objects and let primitives win', () => {
+      const result = deepMerge({ a: [1], b: { c: 1, d: 2 }, e: 'x' }, { a: [2], b: { d: 3 }, e: 'y' });
+
+      expect(result).toEqual({ a: [1, 2], b: { c: 1, d: 3 }, e: 'y' });
+    });
+
+    it('should merge left to right without mutating inputs', () => {
+      const snapshot = structuredClone(base);
+      const result = deepMergeAll(base, { testing: { core: ['Lint'] } }, { testing: { core: ['Docs'] } });
+
+      expect(result.testing.core).toEqual(['Run tests', 'Keep coverage', 'Lint', 'Docs']);
+      expect(base).toEqual(snapshot);
+    });
+  });
+
+  describe('merge directives', () => {
+    it('should replace arrays', () => {
+      const result = deepMerge(base, { testing: { core: mergeDirective('replace', ['Only this']) } });
+
+      expect(result.testing.core).toEqual(['Only this']);
+    });
+
+    it('should prepend arrays', () => {
+      const result = deepMerge(base, { testing: { core: mergeDirective('prepend', ['First']) } });
+
+      expect(result.testing.core).toEqual(['First', 'Run tests', 'Keep coverage']);
+    });
+
+    it('should remove matching items', () => {
+      const result = deepMerge(base, { testing: { core: mergeDirective('remove', ['Keep coverage']) } });
+
+      expect(result.testing.core).toEqual(['Run tests']);
+    });
+
+    it('should append without duplicates', () => {
+      const result = deepMerge(base, { testing: { core: mergeDirective('unique', ['Run tests', 'Lint', 'Lint']) } });
+
+      expect(result.testing.core).toEqual(['Run tests', 'Keep coverage', 'Lint']);
+    });
+
+    it('should merge objects by key and append new ones', () => {
+      const result = deepMerge(base, {
+        testing: { agents: mergeDirective('merge', [{ name: 'reviewer', model: 'large' }, { name: 'tester' }]) }
+      });
+
+      expect(result.testing.agents).toEqual([
+        { name: 'reviewer', model: 'large' },
+        { name: 'writer' },
+        { name: 'tester' }
+      ]);
+    });
+
+    it('should apply directives when the target has no array', () => {
+      const result = deepMerge({}, {
+        fresh: { gone: mergeDirective('remove', ['x']), kept: mergeDirective('replace', ['y']) }
+      });
+
+      expect(result.fresh).toEqual({ gone: [], kept: ['y'] });
+      expect(getMergeDirective(result.fresh.kept)).toBeNull();
+    });
+
+    it('should reject unknown strategies', () => {
+      expect(() => mergeDirective('shuffle', [])).toThrow(/Unknown merge strategy 'shuffle'/);
+    });
+  });
+
+  describe('YAML tags', () => {
+    it('should load tagged sequences as arrays with directives', () => {
+      const layer = parse([
+        'testing:',
+        '  core: !remove [Run tests]',
+        '  agents: !merge',
+        '    by: model',
+        '    items:',
+        '      - model: small',
+        '        name: critic'
+      ].join('\n'), { customTags: MERGE_TAGS });
+
+      expect(layer.testing.core).toEqual(['Run tests']);
+      expect(getMergeDirective(layer.testing.agents)).toEqual({ strategy: 'merge', key: 'model' });
+
+      const result = deepMerge(base, layer);
+      expect(result.testing.core).toEqual(['Keep coverage']);
+      expect(result.testing.agents[0]).toEqual({ name: 'critic', model: 'small' });
+    });
+  });
+});
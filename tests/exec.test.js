@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import { tmpdir } from 'os';
+import {
+  run, runSync, git, gitSync, CommandError, CommandNotFoundError, CommandTimeoutError
+} from '../src/utils/exec.js';
+
+const node = process.execPath;
+
+describe('exec', () => {
+  describe('run', () => {
+    it('should pass arguments to the program without a shell', async () => {
+      const tricky = '$(echo injected) "quoted" `tick`; && |';
+
+      const { stdout } = await run(node, ['-e', 'process.stdout.write(process.argv[1])', tricky]);
+
+      expect(stdout).toBe(tricky);
+    });
+
+    it('should capture stderr and the exit code of a failing program', async () => {
+      const error = await run(node, ['-e', 'console.error("bad ref"); process.exit(3)']).catch(e => e);
+
+      expect(error).toBeInstanceOf(CommandError);
+      expect(error.exitCode).toBe(3);
+      expect(error.stderr).toBe('bad ref');
+      expect(error.message).toMatch(/ failed \(exit 3\): bad ref$/);
+    });
+
+    it('should stop a program that runs past its timeout', async () => {
+      const error = await run(node, ['-e', 'setTimeout(() => {}, 10000)'], { timeout: 200 }).catch(e => e);
+
+      expect(error).toBeInstanceOf(CommandTimeoutError);
+      expect(error.message).toContain('timed out after 0.2s');
+    });
+
+    it('should report a program that is not installed', async () => {
+      const error = await run('no-such-program-for-tests', ['--version']).catch(e => e);
+
+      expect(error).toBeInstanceOf(CommandNotFoundError);
+      expect(error.message).toBe('no-such-program-for-tests is not installed or not on PATH');
+    });
+  });
+
+  describe('runSync', () => {
+    it('should return stdout', () => {
+      expect(runSync(node, ['-e', 'process.stdout.write("ok")'])).toBe('ok');
+    });
+
+    it('should throw typed errors', () => {
+      expect(() => runSync(node, ['-e', 'setTimeout(() => {}, 10000)'], { timeout: 200 })).toThrow(CommandTimeoutError);
+      expect(() => runSync('no-such-program-for-tests', [])).toThrow(CommandNotFoundError);
+
+      let error;
+      try {
+        runSync(node, ['-e', 'console.error("nope"); process.exit(2)']);
+      } catch (e) {
+        error = e;
+      }
+      expect(error).toBeInstanceOf(CommandError);
+      expect(error.exitCode).toBe(2);
+      expect(error.stderr).toBe('nope');
+    });
+  });
+
+  describe('git', () => {
+    it('should run git', async () => {
+      const { stdout } = await git(['--version']);
+
+      expect(stdout).toMatch(/^git version/);
+      expect(gitSync(['--version'])).toMatch(/^git version/);
+    });
+
+    it('should name the subcommand but not the other arguments in messages', async () => {
+      const error = await git(['commit', '-m', 'secret message'], { cwd: tmpdir() }).catch(e => e);
+
+      expect(error).toBeInstanceOf(CommandError);
+      expect(error.message).toMatch(/^git commit failed \(exit 128\): fatal: not a git repository/);
+      expect(error.message).not.toContain('secret message');
+    });
+  });
+});
@@ -0,0 +1,126 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { promises as fs } from 'fs';
+import { execFileSync } from 'child_process';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { pathToFileURL } from 'url';
+import {
+  parseExtendsSpec,
+  resolveExtendsSpec,
+  resolveExtendsChain,
+  ConfigExtendsError
+} from '../src/config/extends.js';
+
+const tempDir = join(tmpdir(), 'claude-context-sync-extends-test');
+
+async function writeFile(path, lines) {
+  await fs.mkdir(join(path, '..'), { recursive: true });
+  await fs.writeFile(path, lines.join('\n'));
+  return path;
+}
+
+describe('Extends', () => {
+  beforeEach(async () => {
+    await fs.mkdir(tempDir, { recursive: true });
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe('parseExtendsSpec', () => {
+    it('should recognize relative and absolute paths', () => {
+      expect(parseExtendsSpec('./team.yaml')).toEqual({ type: 'path', path: './team.yaml' });
+      expect(parseExtendsSpec('/etc/claude/base.yaml')).toEqual({ type: 'path', path: '/etc/claude/base.yaml' });
+    });
+
+    it('should recognize packages with optional files', () => {
+      expect(parseExtendsSpec('@acme/prefs')).toEqual({ type: 'package', name: '@acme/prefs', file: null });
+      expect(parseExtendsSpec('acme-prefs/web/base.yaml')).toEqual({ type: 'package', name: 'acme-prefs', file: 'web/base.yaml' });
+    });
+
+    it('should split git sources into repo, path and ref', () => {
+      expect(parseExtendsSpec('git+https://github.com/acme/prefs.git//team/base.yaml#v2')).toEqual({
+        type: 'git', url: 'https://github.com/acme/prefs.git', path: 'team/base.yaml', ref: 'v2'
+      });
+      expect(parseExtendsSpec('git+git@github.com:acme/prefs.git')).toEqual({
+        type: 'git', url: 'git@github.com:acme/prefs.git', path: 'preferences.yaml', ref: null
+      });
+    });
+  });
+
+  describe('resolveExtendsSpec', () => {
+    it('should resolve installed packages from the extending file', async () => {
+      const pkgDir = join(tempDir, 'node_modules', '@acme', 'prefs');
+      await writeFile(join(pkgDir, 'package.json'), ['{ "name": "@acme/prefs" }']);
+      await writeFile(join(pkgDir, 'preferences.yaml'), ['technical: {}']);
+      const from = join(tempDir, 'preferences.yaml');
+
+      expect(resolveExtendsSpec('@acme/prefs', from)).toBe(join(pkgDir, 'preferences.yaml'));
+      expect(() => resolveExtendsSpec('@acme/missing', from)).toThrow(/Package '@acme\/missing' is not installed/);
+    });
+
+    it('should clone git sources into the cache', async () => {
+      const repo = join(tempDir, 'repo');
+      await writeFile(join(repo, 'team', 'base.yaml'), ['technical: {}']);
+      const git = args => execFileSync('git', args, { cwd: repo, stdio: 'pipe' });
+      git(['init', '-q', '-b', 'main']);
+      git(['add', '.']);
+      git(['-c', 'user.name=Test', '-c', 'user.email=test@example.com', 'commit', '-q', '-m', 'Base']);
+
+      const spec = `git+${pathToFileURL(repo).href}//team/base.yaml#main`;
+      const resolved = resolveExtendsSpec(spec, join(tempDir, 'preferences.yaml'), { cacheDir: join(tempDir, 'cache') });
+
+      expect(resolved.startsWith(join(tempDir, 'cache'))).toBe(true);
+      expect(await fs.readFile(resolved, 'utf-8')).toBe('technical: {}');
+    });
+
+    it('should pass git URLs that look like options as URLs', () => {
+      const spec = 'git+--upload-pack=touch injected';
+      const options = { cacheDir: join(tempDir, 'cache') };
+
+      expect(() => resolveExtendsSpec(spec, join(tempDir, 'preferences.yaml'), options))
+        .toThrow(/Failed to clone --upload-pack=touch injected: .*'--upload-pack=touch injected' does not exist/);
+    });
+
+    it('should report missing files', () => {
+      expect(() => resolveExtendsSpec('./nope.yaml', join(tempDir, 'preferences.yaml')))
+        .toThrow(ConfigExtendsError);
+    });
+  });
+
+  describe('resolveExtendsChain', () => {
+    it('should list parents before the files that extend them', async () => {
+      const company = await writeFile(join(tempDir, 'shared', 'company.yaml'), ['technical:', '  tools: [git]']);
+      const team = await writeFile(join(tempDir, 'shared', 'team.yaml'), ['extends: ./company.yaml']);
+      const base = await writeFile(join(tempDir, 'preferences.yaml'), ['extends:', '  - ./shared/team.yaml']);
+
+      const chain = await resolveExtendsChain(base);
+
+      expect(chain.map(({ path, spec }) => ({ path, spec }))).toEqual([
+        { path: company, spec: './company.yaml' },
+        { path: team, spec: './shared/team.yaml' },
+        { path: base, spec: null }
+      ]);
+      expect(chain[0].data.technical.tools).toEqual(['git']);
+    });
+
+    it('should include a shared parent once', async () => {
+      await writeFile(join(tempDir, 'common.yaml'), ['technical: {}']);
+      await writeFile(join(tempDir, 'a.yaml'), ['extends: ./common.yaml']);
+      await writeFile(join(tempDir, 'b.yaml'), ['extends: ./common.yaml']);
+      const base = await writeFile(join(tempDir, 'preferences.yaml'), ['extends: [./a.yaml, ./b.yaml]']);
+
+      const chain = await resolveExtendsChain(base);
+
+      expect(chain.map(file => file.path.split('/').pop())).toEqual(['common.yaml', 'a.yaml', 'b.yaml', 'preferences.yaml']);
+    });
+
+    it('should detect cycles', async () => {
+      await writeFile(join(tempDir, 'a.yaml'), ['extends: ./b.yaml']);
+      await writeFile(join(tempDir, 'b.yaml'), ['extends: ./a.yaml']);
+
+      await expect(resolveExtendsChain(join(tempDir, 'a.yaml'))).rejects.toThrow(/Circular extends: .*a\.yaml → .*b\.yaml → .*a\.yaml/);
+    });
+  });
+});
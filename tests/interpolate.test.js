@@ -0,0 +1,129 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { interpolateTraced, isVariableReference, formatInterpolationError } from '../src/config/interpolate.js';
+import { readTracedYaml, stripProvenance, traceValue, SourcedValue } from '../src/config/provenance.js';
+
+const tempDir = join(tmpdir(), 'claude-context-sync-interpolate-test');
+
+async function load(name, content) {
+  const filepath = join(tempDir, name);
+  await fs.writeFile(filepath, content);
+  return { filepath, ...(await readTracedYaml(filepath)) };
+}
+
+describe('Interpolation', () => {
+  beforeEach(async () => {
+    await fs.mkdir(tempDir, { recursive: true });
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should substitute env, var and file references', async () => {
+    await fs.writeFile(join(tempDir, 'persona.md'), 'Dry humor\n');
+    const { traced } = await load('prefs.yaml', [
+      'vars:',
+      '  persona: JAX',
+      '  repos: ${env:REPOS}/code',
+      'personality:',
+      '  construct_name: ${var:persona}',
+      '  description: "${var:persona} works in ${var:repos}"',
+      '  humor: ${file:persona.md}'
+    ].join('\n'));
+
+    const { tree, errors } = interpolateTraced(traced, { env: { REPOS: '/srv' } });
+
+    expect(errors).toEqual([]);
+    expect(stripProvenance(tree).personality).toEqual({
+      construct_name: 'JAX',
+      description: 'JAX works in /srv/code',
+      humor: 'Dry humor'
+    });
+  });
+
+  it('should substitute whole-value references with lists and keep their type', () => {
+    const tree = traceValue({
+      vars: { tools: ['git', 'node'], retries: 3 },
+      technical: { tools: '${var:tools}', retries: '${var:retries}' }
+    }, 'prefs.yaml');
+
+    const { tree: result } = interpolateTraced(tree, { env: {} });
+
+    expect(stripProvenance(result).technical).toEqual({ tools: ['git', 'node'], retries: 3 });
+  });
+
+  it('should resolve dotted variable paths and leave escaped references alone', () => {
+    const tree = traceValue({
+      vars: { paths: { repos: '~/repos' } },
+      notes: { text: '${var:paths.repos} and $${env:HOME}' }
+    }, 'prefs.yaml');
+
+    const { tree: result } = interpolateTraced(tree, { env: {} });
+
+    expect(stripProvenance(result).notes.text).toBe('~/repos and ${env:HOME}');
+  });
+
+  it('should report unresolved references with the file and line that wrote them', async () => {
+    const { filepath, traced } = await load('prefs.yaml', [
+      'technical:',
+      '  home: ${env:MISSING_VAR}',
+      '  name: ${var:nope}',
+      '  notes: ${file:absent.md}'
+    ].join('\n'));
+
+    const { tree, errors } = interpolateTraced(traced, { env: {} });
+
+    expect(errors.map(e => [e.path, e.lineNumber])).toEqual([
+      ['technical.home', 2],
+      ['technical.name', 3],
+      ['technical.notes', 4]
+    ]);
+    expect(errors[0].filepath).toBe(filepath);
+    expect(formatInterpolationError(errors[0]))
+      .toBe(`${filepath}:2: Unresolved reference \${env:MISSING_VAR}: environment variable is not set`);
+    expect(stripProvenance(tree).technical.home).toBe('${env:MISSING_VAR}');
+  });
+
+  it('should detect circular variables', () => {
+    const tree = traceValue({ vars: { a: '${var:b}', b: 'x ${var:a}' }, notes: { text: '${var:a}' } }, 'prefs.yaml');
+
+    const { errors } = interpolateTraced(tree, { env: {} });
+
+    expect(errors[0].message).toMatch(/Circular variable reference: a → b → a/);
+  });
+
+  it('should only resolve variables that are referenced', () => {
+    const tree = traceValue({
+      vars: { persona: 'JAX', work_home: '${env:WORK_HOME}' },
+      personality: { construct_name: '${var:persona}' }
+    }, 'prefs.yaml');
+
+    const { tree: result, errors } = interpolateTraced(tree, { env: {} });
+
+    expect(errors).toEqual([]);
+    expect(stripProvenance(result)).toEqual({
+      vars: { persona: 'JAX', work_home: '${env:WORK_HOME}' },
+      personality: { construct_name: 'JAX' }
+    });
+  });
+
+  it('should keep the reference location for substituted scalars', () => {
+    const tree = {
+      vars: { persona: new SourcedValue('JAX', 'base.yaml', 2) },
+      personality: { construct_name: new SourcedValue('${var:persona}', 'layer.yaml', 7) }
+    };
+
+    const { tree: result } = interpolateTraced(tree, { env: {} });
+
+    expect(result.personality.construct_name).toEqual(new SourcedValue('JAX', 'layer.yaml', 7));
+  });
+
+  it('should recognize whole-value variable references', () => {
+    expect(isVariableReference('${var:tools}')).toBe(true);
+    expect(isVariableReference('prefix ${var:tools}')).toBe(false);
+    expect(isVariableReference(['${var:tools}'])).toBe(false);
+  });
+});
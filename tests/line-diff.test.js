@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import { createUnifiedDiff, matchLines } from '../src/utils/line-diff.js';
+
+describe('line-diff', () => {
+  describe('matchLines', () => {
+    it('should match lines along a longest common subsequence', () => {
+      expect(matchLines(['a', 'b', 'c', 'd'], ['a', 'x', 'c', 'd', 'e'])).toEqual([0, -1, 2, 3]);
+    });
+  });
+
+  describe('createUnifiedDiff', () => {
+    it('should return an empty string for identical content', () => {
+      expect(createUnifiedDiff('a\nb', 'a\nb')).toBe('');
+    });
+
+    it('should render changes with context and hunk headers', () => {
+      const before = ['1', '2', '3', '4', '5', '6', '7', '8'].join('\n');
+      const after = ['1', '2', '3', '4', 'five', '6', '7', '8'].join('\n');
+
+      expect(createUnifiedDiff(before, after, { oldLabel: 'CLAUDE.md', newLabel: 'CLAUDE.md (after sync)' })).toBe([
+        '--- CLAUDE.md',
+        '+++ CLAUDE.md (after sync)',
+        '@@ -2,7 +2,7 @@',
+        ' 2',
+        ' 3',
+        ' 4',
+        '-5',
+        '+five',
+        ' 6',
+        ' 7',
+        ' 8'
+      ].join('\n'));
+    });
+
+    it('should split distant changes into separate hunks', () => {
+      const before = Array.from({ length: 20 }, (_, i) => `line ${i + 1}`);
+      const after = [...before];
+      after[1] = 'changed 2';
+      after[17] = 'changed 18';
+
+      const diff = createUnifiedDiff(before.join('\n'), after.join('\n'), { context: 1 });
+
+      expect(diff.split('\n').filter(line => line.startsWith('@@'))).toEqual(['@@ -1,3 +1,3 @@', '@@ -17,3 +17,3 @@']);
+    });
+
+    it('should diff a new file against /dev/null', () => {
+      expect(createUnifiedDiff(null, '# Prefs\n- One', { newLabel: 'CLAUDE.md' })).toBe([
+        '--- /dev/null',
+        '+++ CLAUDE.md',
+        '@@ -0,0 +1,2 @@',
+        '+# Prefs',
+        '+- One'
+      ].join('\n'));
+    });
+  });
+});
@@ -6,6 +6,7 @@ import {
   success,
   warn,
   error,
+  stderr,
   formatError,
   printError
 } from '../src/utils/logger.js';
@@ -81,6 +82,18 @@ describe('Logger', () => {
         expect.stringContaining('test error')
       );
     });
+
+    it('should write stderr info and warnings to stderr only', () => {
+      stderr.info('test info');
+      stderr.warn('test warning');
+
+      expect(consoleSpy).not.toHaveBeenCalled();
+      expect(consoleErrorSpy).toHaveBeenCalledWith(expect.stringContaining('→'), 'test info');
+      expect(consoleErrorSpy).toHaveBeenCalledWith(
+        expect.stringContaining('⚠'),
+        expect.stringContaining('test warning')
+      );
+    });
   });
 
   describe('formatError', () => {
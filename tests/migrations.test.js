@@ -0,0 +1,195 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import {
+  migrateConfig,
+  needsMigration,
+  getSchemaVersion,
+  compareVersions,
+  LEGACY_SCHEMA_VERSION
+} from '../src/config/migrations.js';
+import { SCHEMA_VERSION } from '../src/config/schema.js';
+import { preserveComments } from '../src/parsers/yaml-parser.js';
+import { migrateCmd } from '../src/commands/migrate.js';
+
+vi.mock('../src/utils/logger.js', () => ({
+  info: vi.fn(),
+  success: vi.fn(),
+  warn: vi.fn(),
+  error: vi.fn()
+}));
+
+const tempDir = join(tmpdir(), 'claude-context-sync-migrate-test');
+
+beforeEach(async () => {
+  await fs.mkdir(tempDir, { recursive: true });
+});
+
+afterEach(async () => {
+  await fs.rm(tempDir, { recursive: true, force: true });
+});
+
+describe('Schema Migrations', () => {
+  describe('versions', () => {
+    it('should treat files without schema_version as legacy', () => {
+      expect(getSchemaVersion({ technical: {} })).toBe(LEGACY_SCHEMA_VERSION);
+      expect(needsMigration({ technical: {} })).toBe(true);
+    });
+
+    it('should not migrate files at the current version', () => {
+      expect(needsMigration({ schema_version: SCHEMA_VERSION })).toBe(false);
+    });
+
+    it('should compare dotted versions numerically', () => {
+      expect(compareVersions('0.9.0', '1.0.0')).toBeLessThan(0);
+      expect(compareVersions('1.10.0', '1.9.0')).toBeGreaterThan(0);
+      expect(compareVersions('1.0', '1.0.0')).toBe(0);
+    });
+  });
+
+  describe('migrateConfig', () => {
+    it('should split personal into structured sections', () => {
+      const { data, applied } = migrateConfig({
+        personal: {
+          name: 'JAX',
+          role: 'Engineering buddy',
+          background: '15 years software engineering',
+          interests: ['Sci-fi'],
+          generation: 'Gen-X'
+        },
+        technical: {},
+        project_defaults: {}
+      });
+
+      expect(data.personal).toBeUndefined();
+      expect(data.personality).toEqual({ construct_name: 'JAX', description: 'Engineering buddy' });
+      expect(data.professional_background.experience).toBe('15 years software engineering');
+      expect(data.personal_interests).toEqual({ primary: ['Sci-fi'], generation: 'Gen-X' });
+      expect(applied).toHaveLength(1);
+    });
+
+    it('should not overwrite existing structured values', () => {
+      const { data, applied } = migrateConfig({
+        personal: { name: 'Old', role: 'Dev' },
+        personality: { construct_name: 'JAX' }
+      });
+
+      expect(data.personality.construct_name).toBe('JAX');
+      expect(data.personality.description).toBe('Dev');
+      expect(applied[0].notes[0]).toContain('Kept existing personality.construct_name');
+    });
+
+    it('should leave unmapped personal fields for review', () => {
+      const { data } = migrateConfig({ personal: { name: 'JAX', pronouns: 'they/them' } });
+
+      expect(data.personal).toEqual({ pronouns: 'they/them' });
+    });
+
+    it('should keep an existing field that is not a list and leave the legacy items for review', () => {
+      const { data, applied } = migrateConfig({
+        personal: { expertise_areas: ['Distributed systems'], interests: ['Sci-fi'] },
+        professional_background: { philosophy: 'Ship small, ship often' }
+      });
+
+      expect(data.professional_background.philosophy).toBe('Ship small, ship often');
+      expect(data.personal_interests).toEqual({ primary: ['Sci-fi'] });
+      expect(data.personal).toEqual({ expertise_areas: ['Distributed systems'] });
+      expect(applied[0].notes).toEqual([
+        'Kept existing professional_background.philosophy, which is not a list',
+        'Left unmapped fields in personal: expertise_areas'
+      ]);
+    });
+
+    it('should carry personal._scope over to the sections it creates', () => {
+      const { data, applied } = migrateConfig({
+        personal: { _scope: ['chat'], name: 'JAX', communication_style: ['Concise'] },
+        working_style: { tone: ['Direct'] }
+      });
+
+      expect(data.personal).toBeUndefined();
+      expect(data.personality).toEqual({ _scope: ['chat'], construct_name: 'JAX' });
+      expect(data.working_style).toEqual({ tone: ['Direct'], communication: ['Concise'] });
+      expect(applied[0].notes[0]).toBe('Kept the scope of existing working_style; personal._scope was not applied to it');
+    });
+
+    it('should stamp schema_version as the first key', () => {
+      const { data } = migrateConfig({ technical: {}, project_defaults: {} });
+
+      expect(Object.keys(data)[0]).toBe('schema_version');
+      expect(data.schema_version).toBe(SCHEMA_VERSION);
+    });
+
+    it('should refuse files newer than the supported schema', () => {
+      expect(() => migrateConfig({ schema_version: '99.0.0' })).toThrow(/newer than supported/);
+    });
+  });
+
+  describe('preserveComments', () => {
+    it('should keep comments on unchanged keys', () => {
+      const original = [
+        '# Header comment',
+        'personal:',
+        '  name: JAX',
+        'technical:',
+        '  # Tools I use',
+        '  tools: [git]',
+        ''
+      ].join('\n');
+
+      const output = preserveComments(original, {
+        schema_version: '1.0.0',
+        technical: { tools: ['git'] },
+        personality: { construct_name: 'JAX' }
+      });
+
+      expect(output).toMatch(/^# Header comment\nschema_version: 1.0.0/);
+      expect(output).toContain('# Tools I use');
+      expect(output).not.toContain('personal:');
+      expect(output).toContain('construct_name: JAX');
+    });
+  });
+
+  describe('migrateCmd', () => {
+    it('should rewrite the file in place and create a backup', async () => {
+      const configPath = join(tempDir, 'preferences.yaml');
+      await fs.writeFile(
+        configPath,
+        '# Mine\npersonal:\n  name: JAX\ntechnical: {}\nproject_defaults: {}\nbackups:\n  location: target\n',
+        'utf-8'
+      );
+
+      const result = await migrateCmd({ configPath });
+
+      expect(result.migrated).toBe(true);
+      const rewritten = await fs.readFile(configPath, 'utf-8');
+      expect(rewritten).toContain('# Mine');
+      expect(rewritten).toContain(`schema_version: ${SCHEMA_VERSION}`);
+      expect(rewritten).toContain('construct_name: JAX');
+
+      expect(result.backupPath.startsWith(join(tempDir, '.backups'))).toBe(true);
+      const backup = await fs.readFile(result.backupPath, 'utf-8');
+      expect(backup).toContain('personal:');
+    });
+
+    it('should not touch files in dry-run mode', async () => {
+      const configPath = join(tempDir, 'preferences.yaml');
+      const original = 'personal:\n  name: JAX\ntechnical: {}\nproject_defaults: {}\n';
+      await fs.writeFile(configPath, original, 'utf-8');
+
+      const result = await migrateCmd({ configPath, dryRun: true });
+
+      expect(result.dryRun).toBe(true);
+      expect(await fs.readFile(configPath, 'utf-8')).toBe(original);
+    });
+
+    it('should report files already at the current version', async () => {
+      const configPath = join(tempDir, 'preferences.yaml');
+      await fs.writeFile(configPath, `schema_version: ${SCHEMA_VERSION}\ntechnical: {}\n`, 'utf-8');
+
+      const result = await migrateCmd({ configPath });
+
+      expect(result.migrated).toBe(false);
+    });
+  });
+});
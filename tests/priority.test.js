@@ -0,0 +1,107 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getPriority,
+  getMinDepth,
+  findByPriority,
+  omitByPriority,
+  withDefaultPriorities,
+  DEFAULT_PRIORITY
+} from '../src/utils/priority.js';
+import { limitDepth } from '../src/utils/depth-limit.js';
+
+const sections = {
+  technical: {
+    tools: ['git'],
+    testing_standards: {
+      _priority: 'critical',
+      rules: ['Run the full suite'],
+      nested: { _priority: 'critical', detail: 'Reported with its parent' }
+    },
+    trivia: { _priority: 'low', fact: 'Tabs once won a poll' }
+  },
+  hobbies: { _priority: 'low', list: ['Chess'] }
+};
+
+describe('Priority', () => {
+  describe('getPriority', () => {
+    it('should read the _priority annotation', () => {
+      expect(getPriority({ _priority: 'high' })).toBe('high');
+    });
+
+    it('should default to normal for missing or unknown priorities', () => {
+      expect(getPriority({})).toBe(DEFAULT_PRIORITY);
+      expect(getPriority({ _priority: 'urgent' })).toBe('normal');
+      expect(getPriority(['not', 'a', 'section'])).toBe('normal');
+    });
+  });
+
+  describe('getMinDepth', () => {
+    it('should use _min_depth when set', () => {
+      expect(getMinDepth({ _min_depth: 3 })).toBe(3);
+    });
+
+    it('should keep one level of critical sections by default', () => {
+      expect(getMinDepth({ _priority: 'critical' })).toBe(1);
+      expect(getMinDepth({ _priority: 'high' })).toBe(0);
+      expect(getMinDepth('text')).toBe(0);
+    });
+  });
+
+  describe('findByPriority', () => {
+    it('should find matches at any depth without descending into them', () => {
+      const found = findByPriority(sections, 'critical');
+
+      expect(found).toHaveLength(1);
+      expect(found[0].path).toEqual(['technical', 'testing_standards']);
+      expect(found[0].key).toBe('testing_standards');
+    });
+  });
+
+  describe('omitByPriority', () => {
+    it('should remove matching subsections from a copy', () => {
+      const result = omitByPriority(sections, ['low']);
+
+      expect(result).not.toHaveProperty('hobbies');
+      expect(result.technical).not.toHaveProperty('trivia');
+      expect(result.technical.testing_standards.rules).toEqual(['Run the full suite']);
+      expect(sections.technical).toHaveProperty('trivia');
+    });
+  });
+
+  describe('withDefaultPriorities', () => {
+    it('should mark known policies without a priority as critical', () => {
+      const legacy = {
+        technical: {
+          testing_standards: { core_requirements: ['Tests pass'] },
+          git_github_workflow: ['Verify the username'],
+          linting_policy: { _priority: 'high', principle: 'Lint everything' }
+        }
+      };
+
+      const result = withDefaultPriorities(legacy);
+
+      expect(result.technical.testing_standards).toEqual({ _priority: 'critical', core_requirements: ['Tests pass'] });
+      expect(result.technical.git_github_workflow).toEqual({ _priority: 'critical', rules: ['Verify the username'] });
+      expect(result.technical.linting_policy._priority).toBe('high');
+      expect(legacy.technical.testing_standards).not.toHaveProperty('_priority');
+    });
+
+    it('should return preferences without known policies unchanged', () => {
+      expect(withDefaultPriorities(sections.hobbies)).toBe(sections.hobbies);
+    });
+  });
+
+  describe('limitDepth with _min_depth', () => {
+    const preferences = {
+      style: { tone: { formal: { always: 'yes' } } },
+      policies: { _min_depth: 2, review: { required: { approvals: 2 } } }
+    };
+
+    it('should keep annotated sections past the depth limit', () => {
+      const limited = limitDepth(preferences, 1);
+
+      expect(limited.style).toBe('[1 fields]');
+      expect(limited.policies.review).toEqual({ required: '[1 fields]' });
+    });
+  });
+});
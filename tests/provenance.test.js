@@ -0,0 +1,100 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import {
+  readTracedYaml,
+  traceValue,
+  mergeTraced,
+  stripProvenance,
+  listProvenance,
+  parsePath,
+  getAtPath,
+  formatSource,
+  SourcedValue
+} from '../src/config/provenance.js';
+
+const tempDir = join(tmpdir(), 'claude-context-sync-provenance-test');
+
+describe('Provenance', () => {
+  beforeEach(async () => {
+    await fs.mkdir(tempDir, { recursive: true });
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  async function writeFile(name, lines) {
+    const path = join(tempDir, name);
+    await fs.writeFile(path, lines.join('\n'));
+    return path;
+  }
+
+  describe('readTracedYaml', () => {
+    it('should record the line of every scalar', async () => {
+      const path = await writeFile('base.yaml', [
+        'technical:',
+        '  tools:',
+        '    - git',
+        '    - node',
+        '  editor:'
+      ]);
+
+      const { data, traced } = await readTracedYaml(path);
+
+      expect(data.technical.tools).toEqual(['git', 'node']);
+      expect(traced.technical.tools[1]).toEqual(new SourcedValue('node', path, 4));
+      expect(traced.technical.editor).toEqual(new SourcedValue(null, path, 5));
+    });
+
+    it('should reject invalid YAML', async () => {
+      const path = await writeFile('broken.yaml', ['technical: [unclosed']);
+
+      await expect(readTracedYaml(path)).rejects.toThrow(/Failed to read YAML file/);
+    });
+  });
+
+  describe('mergeTraced', () => {
+    it('should keep the origin of each value through layering and directives', async () => {
+      const base = await writeFile('base.yaml', ['technical:', '  tools: [git, vim]', '  level: junior']);
+      const layer = await writeFile('layer.yaml', ['technical:', '  tools: !remove [vim]', '  level: senior']);
+
+      const merged = mergeTraced(
+        traceValue({ technical: { tools: ['make'] } }, 'defaults'),
+        (await readTracedYaml(base)).traced,
+        (await readTracedYaml(layer)).traced
+      );
+
+      expect(stripProvenance(merged)).toEqual({ technical: { tools: ['make', 'git'], level: 'senior' } });
+      expect(listProvenance(merged.technical, ['technical'])).toEqual([
+        { path: ['technical', 'tools', 0], value: 'make', file: 'defaults', line: null },
+        { path: ['technical', 'tools', 1], value: 'git', file: base, line: 2 },
+        { path: ['technical', 'level'], value: 'senior', file: layer, line: 3 }
+      ]);
+    });
+  });
+
+  describe('paths', () => {
+    it('should parse dotted paths with indices', () => {
+      expect(parsePath('technical.tools[1]')).toEqual(['technical', 'tools', 1]);
+      expect(parsePath('technical.tools.1')).toEqual(['technical', 'tools', 1]);
+      expect(parsePath()).toEqual([]);
+    });
+
+    it('should return undefined for missing paths', () => {
+      const tree = traceValue({ technical: { tools: ['git'] } }, 'defaults');
+
+      expect(getAtPath(tree, ['technical', 'tools', 0]).value).toBe('git');
+      expect(getAtPath(tree, ['technical', 'tools', 0, 'deeper'])).toBeUndefined();
+      expect(getAtPath(tree, ['nope'])).toBeUndefined();
+    });
+  });
+
+  describe('formatSource', () => {
+    it('should include the line when known', () => {
+      expect(formatSource({ file: 'a.yaml', line: 3 })).toBe('a.yaml:3');
+      expect(formatSource({ file: 'built-in defaults', line: null })).toBe('built-in defaults');
+    });
+  });
+});
@@ -0,0 +1,200 @@
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import {
+  validateSchema,
+  validatePreferencesContent,
+  formatPath,
+  formatSchemaError
+} from '../src/parsers/schema-validator.js';
+import { YamlParseError } from '../src/parsers/yaml-parser.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const projectRoot = join(__dirname, '..');
+
+describe('Schema Validator', () => {
+  describe('validateSchema', () => {
+    it('should accept default-preferences.yaml', () => {
+      const content = readFileSync(join(projectRoot, 'default-preferences.yaml'), 'utf-8');
+      const result = validatePreferencesContent(content);
+
+      expect(result.errors).toEqual([]);
+      expect(result.valid).toBe(true);
+    });
+
+    it('should report missing required sections', () => {
+      const result = validateSchema({ technical: {} });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors[0].message).toBe('Missing required section: project_defaults');
+    });
+
+    it('should skip required sections in partial mode (layer files)', () => {
+      const result = validateSchema({ project_specific: { identity: {} } }, { partial: true });
+
+      expect(result.valid).toBe(true);
+    });
+
+    it('should report a string where a list is expected', () => {
+      const result = validateSchema({
+        technical: {},
+        project_defaults: {},
+        working_style: { communication: 'Concise bullets' }
+      });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual([
+        { path: ['working_style', 'communication'], message: 'Expected array, got string' }
+      ]);
+    });
+
+    it('should flag likely typos of known keys', () => {
+      const result = validateSchema({
+        technical: {},
+        project_defaults: {},
+        workin_style: { communication: ['Concise'] }
+      });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors[0].message).toContain("did you mean 'working_style'");
+    });
+
+    it('should allow custom sections that are not near a known key', () => {
+      const result = validateSchema({
+        technical: {},
+        project_defaults: {},
+        coding_and_design_principles: { anything: ['goes'] }
+      });
+
+      expect(result.valid).toBe(true);
+    });
+
+    it('should validate every creative pursuit against the pursuit schema', () => {
+      const result = validateSchema({
+        technical: {},
+        project_defaults: {},
+        creative_pursuits: {
+          writing: { pen_name: 'A. Author', background: 'Not a list' }
+        }
+      });
+
+      expect(result.errors[0].path).toEqual(['creative_pursuits', 'writing', 'background']);
+    });
+
+    it('should validate priority annotations at any depth', () => {
+      const result = validateSchema({
+        technical: { testing_standards: { _priority: 'urgent', _min_depth: 2 } },
+        project_defaults: {}
+      });
+
+      expect(result.errors).toHaveLength(1);
+      expect(result.errors[0].path).toEqual(['technical', 'testing_standards', '_priority']);
+    });
+
+    it('should flag likely typos of annotations without flagging similar plain keys', () => {
+      const result = validateSchema({
+        technical: { linting_policy: { _prority: 'high', priority: 'Lint before commit' } },
+        project_defaults: {}
+      });
+
+      expect(result.errors).toHaveLength(1);
+      expect(result.errors[0].message).toContain("did you mean '_priority'");
+    });
+
+    it('should validate _when conditions on sections and list items', () => {
+      const result = validateSchema({
+        technical: {
+          tools: ['git', { _when: { platform: 'darwin' }, value: 'brew' }, { _when: { os: 'linux' }, value: 'apt' }]
+        },
+        project_defaults: {},
+        work_setup: { _when: { hostname: ['work-*', 'corp-*'] }, vpn: 'on' }
+      });
+
+      expect(result.errors).toHaveLength(1);
+      expect(result.errors[0].path).toEqual(['technical', 'tools', 2, '_when', 'os']);
+      expect(result.errors[0].message).toBe("Unknown key 'os'");
+    });
+
+    it('should treat empty values as unset', () => {
+      const result = validateSchema({
+        technical: { tools: null },
+        project_defaults: {}
+      });
+
+      expect(result.valid).toBe(true);
+    });
+  });
+
+  describe('validatePreferencesContent', () => {
+    it('should attach line and column to each violation', () => {
+      const content = [
+        'technical:',
+        '  tools: git',
+        'project_defaults: {}',
+        'personality:',
+        '  traits:',
+        '    - Friendly',
+        '    - 42'
+      ].join('\n');
+
+      const result = validatePreferencesContent(content, 'prefs.yaml');
+
+      expect(result.errors).toEqual([
+        {
+          path: 'technical.tools',
+          message: 'Expected array, got string',
+          filepath: 'prefs.yaml',
+          lineNumber: 2,
+          columnNumber: 10
+        },
+        {
+          path: 'personality.traits[1]',
+          message: 'Expected string, got integer',
+          filepath: 'prefs.yaml',
+          lineNumber: 7,
+          columnNumber: 7
+        }
+      ]);
+    });
+
+    it('should point typo errors at the key', () => {
+      const content = 'technical: {}\nproject_defaults: {}\npersonalty:\n  traits: []\n';
+
+      const result = validatePreferencesContent(content);
+
+      expect(result.errors[0].lineNumber).toBe(3);
+      expect(result.errors[0].columnNumber).toBe(1);
+    });
+
+    it('should throw YamlParseError with line info on invalid YAML', () => {
+      const content = 'technical:\n  tools: [git\nproject_defaults: {}\n';
+
+      expect(() => validatePreferencesContent(content, 'broken.yaml')).toThrow(YamlParseError);
+      try {
+        validatePreferencesContent(content, 'broken.yaml');
+      } catch (e) {
+        expect(e.filepath).toBe('broken.yaml');
+        expect(e.lineNumber).toBeGreaterThan(0);
+      }
+    });
+  });
+
+  describe('formatting', () => {
+    it('should format paths with array indices', () => {
+      expect(formatPath(['technical', 'tools', 2])).toBe('technical.tools[2]');
+      expect(formatPath([])).toBe('<root>');
+    });
+
+    it('should format errors with location', () => {
+      const formatted = formatSchemaError({
+        path: 'technical.tools',
+        message: 'Expected array, got string',
+        lineNumber: 2,
+        columnNumber: 10
+      });
+
+      expect(formatted).toBe('technical.tools (line 2, column 10): Expected array, got string');
+    });
+  });
+});
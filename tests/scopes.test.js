@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getDefaultScopes,
+  resolveSectionScopes,
+  listTargets,
+  FALLBACK_SCOPES
+} from '../src/config/scopes.js';
+
+describe('Scopes', () => {
+  describe('getDefaultScopes', () => {
+    it('should use built-in defaults for known sections', () => {
+      expect(getDefaultScopes('personality')).toEqual({ targets: ['chat', 'global'], source: 'default' });
+    });
+
+    it('should let the scopes mapping override built-in defaults', () => {
+      const scopes = { personality: ['chat', 'api'] };
+
+      expect(getDefaultScopes('personality', scopes)).toEqual({ targets: ['chat', 'api'], source: 'scopes' });
+    });
+
+    it('should send unknown sections to the wildcard entry, else global', () => {
+      expect(getDefaultScopes('house_rules', { '*': ['global', 'project'] }).targets).toEqual(['global', 'project']);
+      expect(getDefaultScopes('house_rules')).toEqual({ targets: FALLBACK_SCOPES, source: 'fallback' });
+    });
+
+    it('should not apply the wildcard to sections with built-in defaults', () => {
+      expect(getDefaultScopes('technical', { '*': ['chat'] }).targets).toEqual(['global', 'project']);
+    });
+  });
+
+  describe('resolveSectionScopes', () => {
+    it('should prefer the section _scope over the scopes mapping', () => {
+      const result = resolveSectionScopes('technical', { _scope: ['projects'] }, { technical: ['chat'] });
+
+      expect(result).toEqual({ targets: ['projects'], source: '_scope' });
+    });
+  });
+
+  describe('listTargets', () => {
+    it('should list built-in targets followed by custom ones', () => {
+      const targets = listTargets({
+        scopes: { technical: ['global', 'api'] },
+        team_notes: { _scope: ['projects'] }
+      });
+
+      expect(targets).toEqual(['chat', 'global', 'project', 'api', 'projects']);
+    });
+  });
+});
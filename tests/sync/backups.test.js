@@ -0,0 +1,128 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { join } from 'path';
+import { mkdirSync, rmSync, writeFileSync, readFileSync, readdirSync, existsSync } from 'fs';
+import { tmpdir } from 'os';
+import { BackupStore } from '../../src/sync/backups.js';
+
+describe('BackupStore', () => {
+  let testDir;
+  let targetPath;
+
+  beforeEach(() => {
+    testDir = join(tmpdir(), `backups-test-${Date.now()}`);
+    mkdirSync(join(testDir, 'repo'), { recursive: true });
+    targetPath = join(testDir, 'repo', 'CLAUDE.md');
+    writeFileSync(targetPath, '# Original', 'utf-8');
+  });
+
+  afterEach(() => {
+    rmSync(testDir, { recursive: true, force: true });
+  });
+
+  // Backup file for a target taken at a given time, as create() would name it
+  function writeBackup(store, date, content = '# Old') {
+    const directory = store.directoryFor(targetPath);
+    mkdirSync(directory, { recursive: true });
+    const stamp = date.toISOString().replace(/:/g, '-').replace('T', '-').replace('.', '-').replace('Z', '');
+    const path = join(directory, `CLAUDE.md.backup.${stamp}`);
+    writeFileSync(path, content, 'utf-8');
+    return path;
+  }
+
+  it('should keep central backups in a directory per target', () => {
+    const store = new BackupStore({ directory: join(testDir, 'store') });
+
+    const backupPath = store.create(targetPath);
+
+    expect(backupPath.startsWith(store.directoryFor(targetPath))).toBe(true);
+    expect(store.read(backupPath)).toBe('# Original');
+    expect(readdirSync(join(testDir, 'repo'))).toEqual(['CLAUDE.md']);
+    expect(store.targets()).toEqual([targetPath]);
+  });
+
+  it('should keep per-target backups in a git-ignored directory next to the target', () => {
+    const store = new BackupStore({ location: 'target' });
+
+    const backupPath = store.create(targetPath);
+
+    expect(backupPath.startsWith(join(testDir, 'repo', '.backups'))).toBe(true);
+    expect(readFileSync(join(testDir, 'repo', '.backups', '.gitignore'), 'utf-8')).toBe('*\n');
+    expect(store.targets()).toEqual([]);
+  });
+
+  it('should gzip backups when compress is set', () => {
+    const store = new BackupStore({ directory: join(testDir, 'store'), compress: true });
+
+    const backupPath = store.create(targetPath);
+
+    expect(backupPath).toMatch(/\.gz$/);
+    expect(readFileSync(backupPath).subarray(0, 2)).toEqual(Buffer.from([0x1f, 0x8b]));
+    expect(store.read(backupPath)).toBe('# Original');
+    expect(store.list(targetPath)[0].compressed).toBe(true);
+  });
+
+  it('should list backups left next to the target by earlier versions', () => {
+    const store = new BackupStore({ directory: join(testDir, 'store') });
+    const legacy = join(testDir, 'repo', 'CLAUDE.md.backup.2025-01-02-03-04-05-678');
+    writeFileSync(legacy, '# Legacy', 'utf-8');
+
+    const backupPath = store.create(targetPath);
+
+    const backups = store.list(targetPath);
+    expect(backups.map(backup => backup.path)).toEqual([backupPath, legacy]);
+    expect(backups[1].createdAt).toEqual(new Date('2025-01-02T03:04:05.678Z'));
+  });
+
+  it('should keep only the most recent backups', () => {
+    const store = new BackupStore({ directory: join(testDir, 'store'), keep: 2 });
+    const oldest = writeBackup(store, new Date('2025-01-01T00:00:00Z'));
+    const older = writeBackup(store, new Date('2025-01-02T00:00:00Z'));
+
+    const newest = store.create(targetPath);
+
+    expect(existsSync(oldest)).toBe(false);
+    expect(store.list(targetPath).map(backup => backup.path)).toEqual([newest, older]);
+  });
+
+  it('should prune backups older than max_age_days but keep the newest', () => {
+    const store = new BackupStore({ directory: join(testDir, 'store'), keep: 0, max_age_days: 7 });
+    const stale = writeBackup(store, new Date('2025-01-01T00:00:00Z'));
+    const recent = writeBackup(store, new Date('2025-01-09T00:00:00Z'));
+    const now = new Date('2025-01-10T00:00:00Z');
+
+    expect(store.prune(targetPath, { now, dryRun: true })).toEqual([stale]);
+    expect(existsSync(stale)).toBe(true);
+
+    expect(store.prune(targetPath, { now })).toEqual([stale]);
+    expect(existsSync(stale)).toBe(false);
+
+    expect(store.prune(targetPath, { now: new Date('2026-01-01T00:00:00Z') })).toEqual([]);
+    expect(existsSync(recent)).toBe(true);
+  });
+
+  it('should find backups by path, index or relative time', () => {
+    const store = new BackupStore({ directory: join(testDir, 'store') });
+    const older = writeBackup(store, new Date('2025-01-01T00:00:00Z'));
+    const newer = writeBackup(store, new Date('2025-01-05T00:00:00Z'));
+    const now = new Date('2025-01-06T00:00:00Z');
+
+    expect(store.find(targetPath, older)).toBe(older);
+    expect(store.find(targetPath, '1')).toBe(newer);
+    expect(store.find(targetPath, '2')).toBe(older);
+    expect(store.find(targetPath, '1 day ago', now)).toBe(newer);
+    expect(store.find(targetPath, '3 days ago', now)).toBe(older);
+    expect(() => store.find(targetPath, '3')).toThrow('No backup #3');
+    expect(() => store.find(targetPath, '1 week ago', now)).toThrow('from 1 week ago or earlier');
+    expect(() => store.find(targetPath, 'nope')).toThrow('Backup not found: nope');
+  });
+
+  it('should reject unknown locations', () => {
+    expect(() => new BackupStore({ location: 'cloud' })).toThrow(/Invalid backups.location: cloud/);
+  });
+
+  it('should report missing backups', () => {
+    const store = new BackupStore({ directory: join(testDir, 'store') });
+
+    expect(() => store.read(join(testDir, 'missing'))).toThrow('Backup not found');
+  });
+});
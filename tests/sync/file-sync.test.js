@@ -1,18 +1,29 @@
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { FileSync } from '../../src/sync/file-sync.js';
+import { wrapManagedRegion } from '../../src/sync/managed-region.js';
+import { SyncConflictError } from '../../src/sync/snapshots.js';
+import { generateMetadata } from '../../src/utils/version.js';
+import { FileLockError, lockPathFor } from '../../src/utils/atomic-write.js';
 import { join } from 'path';
 import { mkdirSync, writeFileSync, readFileSync, existsSync, rmSync, readdirSync } from 'fs';
-import { tmpdir } from 'os';
+import { tmpdir, hostname } from 'os';
 
 describe('FileSync', () => {
   let testDir;
   let fileSync;
 
+  // Keep snapshots, locks and backups inside the test directory
+  const storeOptions = () => ({
+    snapshotDirectory: join(testDir, 'snapshots'),
+    lockDirectory: join(testDir, 'locks'),
+    backups: { directory: join(testDir, 'backups') }
+  });
+
   beforeEach(() => {
     // Create temp directory for tests
     testDir = join(tmpdir(), `file-sync-test-${Date.now()}`);
     mkdirSync(testDir, { recursive: true });
-    fileSync = new FileSync();
+    fileSync = new FileSync(storeOptions());
   });
 
   afterEach(() => {
@@ -131,6 +142,16 @@ User preferences
       const currentContent = readFileSync(filePath, 'utf-8');
       expect(currentContent).toBe(originalContent);
     });
+
+    it('should write backups to the central store rather than next to the file', async () => {
+      const filePath = join(testDir, 'test.md');
+      writeFileSync(filePath, '# Original Content', 'utf-8');
+
+      const backupPath = await fileSync.createBackup(filePath);
+
+      expect(backupPath.startsWith(join(testDir, 'backups'))).toBe(true);
+      expect(readdirSync(testDir).filter(f => f.includes('.backup.'))).toEqual([]);
+    });
   });
 
   describe('syncGlobal', () => {
@@ -145,7 +166,7 @@ User preferences
     });
 
     it('should create directory if it does not exist', async () => {
-      const testSync = new FileSync();
+      const testSync = new FileSync(storeOptions());
       const testPath = join(testDir, '.claude', 'CLAUDE.md');
       testSync.globalCLAUDEPath = testPath;
 
@@ -161,7 +182,7 @@ User preferences
     });
 
     it('should create backup before overwriting', async () => {
-      const testSync = new FileSync();
+      const testSync = new FileSync(storeOptions());
       const testPath = join(testDir, 'CLAUDE.md');
       testSync.globalCLAUDEPath = testPath;
 
@@ -169,12 +190,12 @@ User preferences
 
       await testSync.syncGlobal('# New Content', { backup: true });
 
-      const backups = readdirSync(testDir).filter(f => f.includes('.backup.'));
-      expect(backups.length).toBe(1);
+      expect(await testSync.listBackups(testPath)).toHaveLength(1);
+      expect(readdirSync(testDir).filter(f => f.includes('.backup.'))).toEqual([]);
     });
 
     it('should skip backup when backup option is false', async () => {
-      const testSync = new FileSync();
+      const testSync = new FileSync(storeOptions());
       const testPath = join(testDir, 'CLAUDE.md');
       testSync.globalCLAUDEPath = testPath;
 
@@ -182,8 +203,73 @@ User preferences
 
       await testSync.syncGlobal('# New Content', { backup: false });
 
-      const backups = readdirSync(testDir).filter(f => f.includes('.backup.'));
-      expect(backups.length).toBe(0);
+      expect(await testSync.listBackups(testPath)).toEqual([]);
+    });
+
+    it('should leave the file untouched when the source hash is unchanged', async () => {
+      const testPath = join(testDir, 'CLAUDE.md');
+      fileSync.globalCLAUDEPath = testPath;
+      const existing = `<!-- Generated by claude-context-sync v0.1.0 (abc1234) on 2025-01-02T03:04:05.000Z
+     Format: claude-md
+     Hash: sha256:0123456789abcdef
+-->
+
+# Prefs`;
+      writeFileSync(testPath, existing, 'utf-8');
+
+      const result = await fileSync.syncGlobal(`${generateMetadata({ format: 'claude-md', hash: 'sha256:0123456789abcdef' })}\n\n# Prefs`);
+
+      expect(result.unchanged).toBe(true);
+      expect(readFileSync(testPath, 'utf-8')).toBe(existing);
+      expect(await fileSync.listBackups(testPath)).toEqual([]);
+    });
+
+    it('should not write while another sync holds the lock', async () => {
+      const testPath = join(testDir, 'CLAUDE.md');
+      fileSync.globalCLAUDEPath = testPath;
+      writeFileSync(testPath, '# Original', 'utf-8');
+      const lock = { pid: process.pid, hostname: hostname(), createdAt: new Date().toISOString(), token: 'other' };
+      mkdirSync(join(testDir, 'locks'), { recursive: true });
+      writeFileSync(lockPathFor(testPath, join(testDir, 'locks')), JSON.stringify(lock), 'utf-8');
+
+      await expect(fileSync.syncGlobal('# New Content')).rejects.toThrow(FileLockError);
+      expect(readFileSync(testPath, 'utf-8')).toBe('# Original');
+    });
+
+    it('should merge edits made since the last sync', async () => {
+      const testPath = join(testDir, 'CLAUDE.md');
+      fileSync.globalCLAUDEPath = testPath;
+
+      await fileSync.syncGlobal('# Prefs\n- One\n- Two\n', { backup: false });
+      writeFileSync(testPath, '# Prefs\n- One\n- Two\n- My note\n', 'utf-8');
+      const result = await fileSync.syncGlobal('# Prefs\n- Uno\n- Two\n', { backup: false });
+
+      expect(result.editsMerged).toBe(true);
+      expect(readFileSync(testPath, 'utf-8')).toBe('# Prefs\n- Uno\n- Two\n- My note\n');
+    });
+
+    it('should leave the file alone and throw on conflicting edits by default', async () => {
+      const testPath = join(testDir, 'CLAUDE.md');
+      fileSync.globalCLAUDEPath = testPath;
+
+      await fileSync.syncGlobal('# Prefs\n- One\n', { backup: false });
+      writeFileSync(testPath, '# Prefs\n- Mine\n', 'utf-8');
+
+      await expect(fileSync.syncGlobal('# Prefs\n- Theirs\n', { backup: false }))
+        .rejects.toThrow(SyncConflictError);
+      expect(readFileSync(testPath, 'utf-8')).toBe('# Prefs\n- Mine\n');
+    });
+
+    it('should resolve conflicting edits with onConflict keep', async () => {
+      const testPath = join(testDir, 'CLAUDE.md');
+      fileSync.globalCLAUDEPath = testPath;
+
+      await fileSync.syncGlobal('# Prefs\n\n- One\n', { backup: false });
+      writeFileSync(testPath, '# Prefs\n\n- Mine\n', 'utf-8');
+      const result = await fileSync.syncGlobal('# Preferences\n\n- Theirs\n', { backup: false, onConflict: 'keep' });
+
+      expect(result.conflicts).toHaveLength(1);
+      expect(readFileSync(testPath, 'utf-8')).toBe('# Preferences\n\n- Mine\n');
     });
   });
 
@@ -208,7 +294,44 @@ User preferences
       expect(existsSync(result.path)).toBe(true);
 
       const written = readFileSync(result.path, 'utf-8');
-      expect(written).toBe(content);
+      expect(written).toBe(`${wrapManagedRegion(content)}\n`);
+    });
+
+    it('should update the managed region in place on re-sync', async () => {
+      const claudeDir = join(testDir, '.claude');
+      mkdirSync(claudeDir, { recursive: true });
+      const claudePath = join(claudeDir, 'CLAUDE.md');
+
+      const above = '# Project Notes\r\nKeep   this  exactly\n\n';
+      const below = '\n\n## Local Setup\n- Run make\n';
+      writeFileSync(claudePath, above + wrapManagedRegion('# Old Preferences') + below, 'utf-8');
+
+      await fileSync.syncProject('# New Preferences', testDir, { backup: false });
+      await fileSync.syncProject('# Newer Preferences', testDir, { backup: false });
+
+      const written = readFileSync(claudePath, 'utf-8');
+      expect(written).toBe(above + wrapManagedRegion('# Newer Preferences') + below);
+    });
+
+    it('should plan the merged content without writing', async () => {
+      const claudePath = join(testDir, 'CLAUDE.md');
+      writeFileSync(claudePath, '# Notes\n', 'utf-8');
+
+      const plan = await fileSync.planProject('# Prefs', testDir);
+
+      expect(plan).toMatchObject({ path: claudePath, current: '# Notes\n', content: `${wrapManagedRegion('# Prefs')}\n\n# Notes\n` });
+      expect(readFileSync(claudePath, 'utf-8')).toBe('# Notes\n');
+    });
+
+    it('should report conflicts in the managed region by file line', async () => {
+      const claudePath = join(testDir, '.claude', 'CLAUDE.md');
+      await fileSync.syncProject('# Prefs\n- One', testDir, { backup: false });
+
+      writeFileSync(claudePath, `# Notes\n\n${wrapManagedRegion('# Prefs\n- Mine')}\n`, 'utf-8');
+      const error = await fileSync.syncProject('# Prefs\n- Theirs', testDir, { backup: false }).catch(e => e);
+
+      expect(error).toBeInstanceOf(SyncConflictError);
+      expect(error.conflicts.map(c => c.line)).toEqual([5]);
     });
 
     it('should merge with existing content by default', async () => {
@@ -305,6 +428,20 @@ User preferences
     });
   });
 
+  describe('describeBackups', () => {
+    it('should report the generator version of each backup', async () => {
+      const filePath = join(testDir, 'test.md');
+      writeFileSync(filePath, `${generateMetadata({ format: 'claude-md' })}\n\n# Prefs`, 'utf-8');
+      await fileSync.createBackup(filePath);
+
+      const [backup] = await fileSync.describeBackups(filePath);
+
+      expect(backup.version).toMatch(/^\d+\.\d+\.\d+/);
+      expect(backup.size).toBeGreaterThan(0);
+      expect(backup.createdAt).toBeInstanceOf(Date);
+    });
+  });
+
   describe('restoreBackup', () => {
     it('should restore content from backup', async () => {
       const filePath = join(testDir, 'test.md');
@@ -329,6 +466,26 @@ User preferences
       await expect(fileSync.restoreBackup(backupPath, targetPath)).rejects.toThrow('Backup not found');
     });
 
+    it('should restore only the named sections', async () => {
+      const filePath = join(testDir, 'test.md');
+      writeFileSync(filePath, '# Prefs\n\n## Tools\n\n- vim\n\n## Style\n\n- terse\n', 'utf-8');
+      const backupPath = await fileSync.createBackup(filePath);
+      writeFileSync(filePath, '# Prefs\n\n## Tools\n\n- emacs\n\n## Style\n\n- verbose\n', 'utf-8');
+
+      await fileSync.restoreBackup(backupPath, filePath, { sections: ['Tools'] });
+
+      expect(readFileSync(filePath, 'utf-8')).toBe('# Prefs\n\n## Tools\n\n- vim\n\n## Style\n\n- verbose\n');
+    });
+
+    it('should refuse to restore sections the backup lacks', async () => {
+      const filePath = join(testDir, 'test.md');
+      writeFileSync(filePath, '# Prefs\n', 'utf-8');
+      const backupPath = await fileSync.createBackup(filePath);
+
+      expect(() => fileSync.planRestore(backupPath, filePath, { sections: ['Tools'] }))
+        .toThrow('Not found in backup: Tools');
+    });
+
     it('should create backup of current file before restoring', async () => {
       const filePath = join(testDir, 'test.md');
       writeFileSync(filePath, '# Original', 'utf-8');
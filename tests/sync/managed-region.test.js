@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest';
+import {
+  wrapManagedRegion,
+  findManagedRegion,
+  mergeManagedRegion,
+  ManagedRegionError,
+  MANAGED_REGION_BEGIN,
+  MANAGED_REGION_END
+} from '../../src/sync/managed-region.js';
+
+describe('Managed Region', () => {
+  describe('wrapManagedRegion', () => {
+    it('should wrap trimmed content in begin and end markers', () => {
+      expect(wrapManagedRegion('\n# Prefs\n\n')).toBe(`${MANAGED_REGION_BEGIN}\n# Prefs\n${MANAGED_REGION_END}`);
+    });
+  });
+
+  describe('findManagedRegion', () => {
+    it('should locate the region and its content', () => {
+      const text = `intro\n${wrapManagedRegion('# Prefs')}\noutro`;
+      const region = findManagedRegion(text);
+
+      expect(region.content).toBe('# Prefs');
+      expect(region.line).toBe(3);
+      expect(text.slice(0, region.start)).toBe('intro\n');
+      expect(text.slice(region.end)).toBe('\noutro');
+    });
+
+    it('should return null for files without markers', () => {
+      expect(findManagedRegion('# Hand-written')).toBe(null);
+    });
+
+    it('should reject unbalanced or repeated markers', () => {
+      expect(() => findManagedRegion(`${MANAGED_REGION_BEGIN}\n# Prefs`)).toThrow(ManagedRegionError);
+      expect(() => findManagedRegion(`${MANAGED_REGION_END}\n${MANAGED_REGION_BEGIN}`)).toThrow(/Unbalanced/);
+      expect(() => findManagedRegion(wrapManagedRegion('a') + wrapManagedRegion('b'))).toThrow(/more than one/);
+    });
+  });
+
+  describe('mergeManagedRegion', () => {
+    it('should replace only the region and keep surrounding bytes', () => {
+      const before = '# Notes\r\n\n  indented  \n';
+      const after = '\n\n---\n## Local\n- tabs\there\n';
+      const existing = before + wrapManagedRegion('# Old') + after;
+
+      expect(mergeManagedRegion(existing, '# New')).toBe(before + wrapManagedRegion('# New') + after);
+    });
+
+    it('should be stable across repeated syncs', () => {
+      const once = mergeManagedRegion('# Project notes\n', '# Prefs');
+      const twice = mergeManagedRegion(once, '# Prefs');
+
+      expect(twice).toBe(once);
+      expect(twice.split(MANAGED_REGION_BEGIN)).toHaveLength(2);
+    });
+
+    it('should put a region above hand-written files', () => {
+      expect(mergeManagedRegion('# Project notes\n', '# Prefs')).toBe(`${wrapManagedRegion('# Prefs')}\n\n# Project notes\n`);
+    });
+
+    it('should migrate the legacy PROJECT CONTEXT layout', () => {
+      const existing = '# Old prefs\n\n---\n\n# PROJECT CONTEXT\n## Stack\n';
+
+      expect(mergeManagedRegion(existing, '# Prefs'))
+        .toBe(`${wrapManagedRegion('# Prefs')}\n\n---\n\n# PROJECT CONTEXT\n## Stack\n`);
+    });
+
+    it('should replace fully generated legacy files, keeping a project-specific tail', () => {
+      const generated = '<!-- Generated by claude-context-sync v1.0.0 -->\n# Old prefs\n';
+      const tail = '<!-- PROJECT-SPECIFIC PREFERENCES -->\n## Ours\n';
+
+      expect(mergeManagedRegion(generated, '# Prefs')).toBe(`${wrapManagedRegion('# Prefs')}\n`);
+      expect(mergeManagedRegion(`${generated}\n${tail}`, '# Prefs')).toBe(`${wrapManagedRegion('# Prefs')}\n\n${tail}`);
+    });
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parsePreserveSpec,
+  findHeadingSection,
+  findCommentBlock,
+  extractPreservedSections,
+  insertPreservedSections
+} from '../../src/sync/preserved-sections.js';
+
+const existing = [
+  '# Claude Code Preferences',
+  '',
+  '## Working Style',
+  '- Old bullet',
+  '',
+  '## Local Setup',
+  'Run `make dev`.',
+  '',
+  '### Ports',
+  '- 8080',
+  '',
+  '```bash',
+  '# not a heading',
+  '```',
+  '',
+  '## Tools',
+  '- git',
+  '',
+  '<!-- preserve:team-notes -->',
+  'Standup at 10.',
+  '<!-- /preserve:team-notes -->',
+  ''
+].join('\n');
+
+const generated = '# Claude Code Preferences\n\n## Working Style\n- New bullet\n\n## Tools\n- git\n- node\n';
+
+describe('Preserved Sections', () => {
+  describe('parsePreserveSpec', () => {
+    it('should accept heading text, levelled headings and blocks', () => {
+      expect(parsePreserveSpec('Local Setup')).toMatchObject({ type: 'heading', name: 'Local Setup', level: null });
+      expect(parsePreserveSpec('### Ports')).toMatchObject({ type: 'heading', name: 'Ports', level: 3 });
+      expect(parsePreserveSpec({ block: 'team-notes', position: 'top' }))
+        .toMatchObject({ type: 'block', name: 'team-notes', position: 'top' });
+    });
+
+    it('should reject entries without a heading or block', () => {
+      expect(() => parsePreserveSpec({ position: 'top' })).toThrow(/Invalid preserve_sections entry/);
+    });
+  });
+
+  describe('finding sections', () => {
+    it('should include subheadings and ignore headings in code fences', () => {
+      const section = findHeadingSection(existing, 'local setup');
+      const text = existing.slice(section.start, section.end);
+
+      expect(text).toContain('### Ports');
+      expect(text).toContain('# not a heading');
+      expect(text).not.toContain('## Tools');
+    });
+
+    it('should respect a requested level', () => {
+      expect(findHeadingSection(existing, 'Ports', 2)).toBe(null);
+      expect(findHeadingSection(existing, 'Ports', 3)).not.toBe(null);
+    });
+
+    it('should find comment-delimited blocks including their markers', () => {
+      const block = findCommentBlock(existing, 'team-notes');
+
+      expect(existing.slice(block.start, block.end))
+        .toBe('<!-- preserve:team-notes -->\nStandup at 10.\n<!-- /preserve:team-notes -->');
+    });
+  });
+
+  describe('extractPreservedSections', () => {
+    it('should report missing sections by label', () => {
+      const { sections, missing } = extractPreservedSections(existing, ['Local Setup', '## Deploy', { block: 'gone' }]);
+
+      expect(sections).toHaveLength(1);
+      expect(missing).toEqual(['## Deploy', 'block gone']);
+    });
+  });
+
+  describe('insertPreservedSections', () => {
+    it('should append new sections at the bottom by default', () => {
+      const { sections } = extractPreservedSections(existing, [{ block: 'team-notes' }]);
+      const { content } = insertPreservedSections(generated, sections);
+
+      expect(content.endsWith('- node\n\n<!-- preserve:team-notes -->\nStandup at 10.\n<!-- /preserve:team-notes -->\n'))
+        .toBe(true);
+    });
+
+    it('should replace a generated heading of the same name in place', () => {
+      const { sections } = extractPreservedSections(existing, ['Working Style']);
+      const { content } = insertPreservedSections(generated, sections, 'top');
+
+      expect(content).toBe('# Claude Code Preferences\n\n## Working Style\n- Old bullet\n\n## Tools\n- git\n- node\n');
+    });
+
+    it('should place sections at the top, or before and after a heading', () => {
+      const { sections } = extractPreservedSections(existing, [
+        { heading: 'Local Setup', position: 'after:Working Style' },
+        { block: 'team-notes', position: 'top' }
+      ]);
+      const { content, warnings } = insertPreservedSections(generated, sections);
+
+      expect(warnings).toEqual([]);
+      expect(content.indexOf('Standup at 10.')).toBeLessThan(content.indexOf('## Working Style'));
+      expect(content.indexOf('## Local Setup')).toBeGreaterThan(content.indexOf('- New bullet'));
+      expect(content.indexOf('## Local Setup')).toBeLessThan(content.indexOf('## Tools'));
+    });
+
+    it('should warn and fall back to the bottom when an anchor is missing', () => {
+      const { sections } = extractPreservedSections(existing, [{ heading: 'Local Setup', position: 'before:Nope' }]);
+      const { content, warnings } = insertPreservedSections(generated, sections);
+
+      expect(warnings[0]).toMatch(/anchor for position 'before:Nope' not found/);
+      expect(content.trimEnd().endsWith('- 8080\n\n```bash\n# not a heading\n```')).toBe(true);
+    });
+  });
+});
@@ -104,6 +104,32 @@ create_pr: false
       expect(repos[0].config.create_pr).toBe(false);
     });
 
+    it('should read preserve_sections and default their position', async () => {
+      const repo1 = join(testDir, 'repo1');
+      mkdirSync(repo1, { recursive: true });
+      writeFileSync(join(repo1, '.claude-sync'), 'preserve_sections:\n  - Local Setup\n  - block: team-notes\n', 'utf-8');
+
+      const repos = await discovery.discover([testDir]);
+
+      expect(repos[0].config.preserve_sections).toEqual(['Local Setup', { block: 'team-notes' }]);
+      expect(repos[0].config.preserve_position).toBe('bottom');
+    });
+
+    it('should read targets and default to the root and .claude copies', async () => {
+      const repo1 = join(testDir, 'repo1');
+      const repo2 = join(testDir, 'repo2');
+      mkdirSync(repo1, { recursive: true });
+      mkdirSync(repo2, { recursive: true });
+      writeFileSync(join(repo1, '.claude-sync'), 'targets:\n  - root\n  - .github\n', 'utf-8');
+      writeFileSync(join(repo2, '.claude-sync'), 'sync: true\n', 'utf-8');
+
+      const repos = await discovery.discover([testDir]);
+      const targets = Object.fromEntries(repos.map(repo => [repo.path, repo.config.targets]));
+
+      expect(targets[repo1]).toEqual(['root', '.github']);
+      expect(targets[repo2]).toEqual(['root', '.claude']);
+    });
+
     it('should parse JSON marker files', async () => {
       const repo1 = join(testDir, 'repo1');
       mkdirSync(repo1, { recursive: true });
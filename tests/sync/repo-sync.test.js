@@ -0,0 +1,430 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { join } from 'path';
+import { execSync } from 'child_process';
+import { mkdirSync, writeFileSync, readFileSync, readdirSync, rmSync, existsSync } from 'fs';
+import { tmpdir, hostname } from 'os';
+import { RepoSync } from '../../src/sync/repo-sync.js';
+import { wrapManagedRegion } from '../../src/sync/managed-region.js';
+import * as config from '../../src/config/index.js';
+import * as transformers from '../../src/transformers/index.js';
+import { generateMetadata } from '../../src/utils/version.js';
+import { lockPathFor } from '../../src/utils/atomic-write.js';
+
+vi.mock('../../src/config/index.js');
+vi.mock('../../src/transformers/index.js');
+
+describe('RepoSync', () => {
+  let repoDir;
+  let snapshotDirectory;
+  let lockDirectory;
+  let generated;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    repoDir = join(tmpdir(), `repo-sync-test-${Date.now()}`);
+    mkdirSync(repoDir, { recursive: true });
+    snapshotDirectory = join(tmpdir(), `repo-sync-snapshots-${Date.now()}`);
+    lockDirectory = join(tmpdir(), `repo-sync-locks-${Date.now()}`);
+
+    generated = '# Claude Code Preferences\n- Concise bullets';
+    config.loadConfig.mockResolvedValue({ config: {} });
+    transformers.createTransformer.mockImplementation(() => ({ transform: async () => generated }));
+  });
+
+  afterEach(() => {
+    rmSync(repoDir, { recursive: true, force: true });
+    rmSync(snapshotDirectory, { recursive: true, force: true });
+    rmSync(lockDirectory, { recursive: true, force: true });
+  });
+
+  // A git repository with one commit and a .claude-sync marker config
+  function createRepo(name, config = {}) {
+    const path = join(repoDir, name);
+    mkdirSync(path, { recursive: true });
+    const git = command => execSync(`git ${command}`, { cwd: path, stdio: 'pipe', encoding: 'utf-8' }).trim();
+    git('init -q -b main');
+    git('config user.email test@example.com');
+    git('config user.name Test');
+    git('config commit.gpgsign false');
+    writeFileSync(join(path, 'README.md'), '# Repo\n', 'utf-8');
+    git('add README.md');
+    git('commit -q -m initial');
+    return { path, config, git, head: git('rev-parse HEAD') };
+  }
+
+  describe('diffRepo', () => {
+    it('should return current and synced content for every target without writing', async () => {
+      const claudePath = join(repoDir, 'CLAUDE.md');
+      writeFileSync(claudePath, wrapManagedRegion('# Stale'), 'utf-8');
+
+      const preview = await new RepoSync({ snapshotDirectory, lockDirectory }).diffRepo({ path: repoDir, config: {} });
+
+      expect(preview.files).toEqual([
+        { path: claudePath, before: wrapManagedRegion('# Stale'), after: wrapManagedRegion(generated) },
+        { path: join(repoDir, '.claude', 'CLAUDE.md'), before: null, after: `${wrapManagedRegion(generated)}\n` }
+      ]);
+      expect(readFileSync(claudePath, 'utf-8')).toBe(wrapManagedRegion('# Stale'));
+    });
+  });
+
+  describe('_syncPreferences', () => {
+    it('should write generated content inside a managed region', async () => {
+      const result = await new RepoSync({ snapshotDirectory, lockDirectory })._syncPreferences(repoDir, {});
+
+      expect(result.success).toBe(true);
+      expect(result.changes).toEqual([
+        `Updated ${join(repoDir, 'CLAUDE.md')}`,
+        `Updated ${join(repoDir, '.claude', 'CLAUDE.md')}`
+      ]);
+      expect(readFileSync(join(repoDir, 'CLAUDE.md'), 'utf-8')).toBe(`${wrapManagedRegion(generated)}\n`);
+    });
+
+    it('should leave targets alone while another sync holds their lock', async () => {
+      const lock = { pid: process.pid, hostname: hostname(), createdAt: new Date().toISOString(), token: 'other' };
+      mkdirSync(lockDirectory, { recursive: true });
+      writeFileSync(lockPathFor(join(repoDir, 'CLAUDE.md'), lockDirectory), JSON.stringify(lock), 'utf-8');
+
+      const result = await new RepoSync({ snapshotDirectory, lockDirectory })._syncPreferences(repoDir, {});
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('is being written by another sync');
+      expect(existsSync(join(repoDir, 'CLAUDE.md'))).toBe(false);
+      expect(existsSync(lockPathFor(join(repoDir, '.claude', 'CLAUDE.md'), lockDirectory))).toBe(false);
+    });
+
+    it('should report warnings from loading preferences with the repository', async () => {
+      config.loadConfig.mockImplementation(async (path, options) => {
+        options.onWarning('Warning: Failed to load preference layer team.yaml: bad indentation');
+        return { config: {} };
+      });
+
+      const result = await new RepoSync({ snapshotDirectory, lockDirectory })._syncPreferences(repoDir, {});
+
+      expect(config.loadConfig).toHaveBeenCalledWith(null, expect.objectContaining({ cwd: repoDir }));
+      expect(result.warnings).toEqual(['Warning: Failed to load preference layer team.yaml: bad indentation']);
+    });
+
+    it('should hold its locks outside the repository', async () => {
+      let duringSync;
+      transformers.createTransformer.mockImplementation(() => ({
+        transform: async () => {
+          duringSync = readdirSync(repoDir, { recursive: true });
+          return generated;
+        }
+      }));
+
+      await new RepoSync({ snapshotDirectory, lockDirectory })._syncPreferences(repoDir, {});
+
+      expect(duringSync).toEqual([]);
+      expect(readdirSync(lockDirectory)).toEqual([]);
+    });
+
+    it('should update the region in place and report unchanged files', async () => {
+      const claudePath = join(repoDir, 'CLAUDE.md');
+      const notes = '\n\n## Repo Notes\nRun `make dev` first.\n';
+      writeFileSync(claudePath, wrapManagedRegion('# Stale') + notes, 'utf-8');
+
+      const repoSync = new RepoSync({ snapshotDirectory, lockDirectory });
+      await repoSync._syncPreferences(repoDir, {});
+      const second = await repoSync._syncPreferences(repoDir, {});
+
+      expect(readFileSync(claudePath, 'utf-8')).toBe(wrapManagedRegion(generated) + notes);
+      expect(second.changes).toEqual([]);
+    });
+
+    it('should not rewrite files when only the header timestamp would change', async () => {
+      const claudePath = join(repoDir, 'CLAUDE.md');
+      const repoSync = new RepoSync({ snapshotDirectory, lockDirectory });
+      generated = `${generateMetadata({ format: 'claude-md', hash: 'sha256:0123456789abcdef' })}\n\n# Prefs`;
+      await repoSync._syncPreferences(repoDir, {});
+      const written = readFileSync(claudePath, 'utf-8');
+
+      generated = generated.replace(/ on \S+/, ' on 2099-01-01T00:00:00.000Z');
+      const second = await repoSync._syncPreferences(repoDir, {});
+
+      expect(second.changes).toEqual([]);
+      expect(readFileSync(claudePath, 'utf-8')).toBe(written);
+    });
+
+    it('should merge a preference change cleanly after a sync that changed nothing', async () => {
+      const claudePath = join(repoDir, 'CLAUDE.md');
+      const repoSync = new RepoSync({ snapshotDirectory, lockDirectory, onConflict: 'report' });
+      generated = `${generateMetadata({ format: 'claude-md', hash: 'sha256:0123456789abcdef' })}\n\n# Prefs\n- Tabs`;
+      await repoSync._syncPreferences(repoDir, {});
+
+      // Nothing changed but the header timestamp
+      generated = generated.replace(/ on \S+/, ' on 2099-01-01T00:00:00.000Z');
+      await repoSync._syncPreferences(repoDir, {});
+
+      generated = `${generateMetadata({ format: 'claude-md', hash: 'sha256:fedcba9876543210' })}\n\n# Prefs\n- Spaces`;
+      const third = await repoSync._syncPreferences(repoDir, {});
+
+      expect(third.success).toBe(true);
+      expect(third.warnings).toEqual([]);
+      expect(readFileSync(claudePath, 'utf-8')).toBe(`${wrapManagedRegion(generated)}\n`);
+    });
+
+    it('should keep preserve_sections from the existing region and warn about missing ones', async () => {
+      const claudePath = join(repoDir, 'CLAUDE.md');
+      writeFileSync(claudePath, `${wrapManagedRegion('# Old\n\n## Local Setup\nRun make dev')}\n`, 'utf-8');
+
+      const result = await new RepoSync({ snapshotDirectory, lockDirectory })._syncPreferences(repoDir, {
+        preserve_sections: ['Local Setup', 'Deploy Notes'],
+        preserve_position: 'bottom'
+      });
+
+      expect(readFileSync(claudePath, 'utf-8'))
+        .toBe(`${wrapManagedRegion(`${generated}\n\n## Local Setup\nRun make dev`)}\n`);
+      expect(result.warnings).toEqual([`Preserved section 'Deploy Notes' not found in ${claudePath}`]);
+    });
+
+    it('should keep edits made inside the region since the last sync', async () => {
+      const claudePath = join(repoDir, 'CLAUDE.md');
+      const repoSync = new RepoSync({ snapshotDirectory, lockDirectory });
+      generated = '# Preferences\n- Concise bullets\n\n## Testing\n- Vitest';
+      await repoSync._syncPreferences(repoDir, {});
+
+      writeFileSync(claudePath, readFileSync(claudePath, 'utf-8').replace('- Vitest', '- Vitest\n- Run `make e2e` too'), 'utf-8');
+      generated = '# Preferences\n- Short bullets\n\n## Testing\n- Vitest';
+      const result = await repoSync._syncPreferences(repoDir, {});
+
+      expect(readFileSync(claudePath, 'utf-8'))
+        .toBe(`${wrapManagedRegion('# Preferences\n- Short bullets\n\n## Testing\n- Vitest\n- Run `make e2e` too')}\n`);
+      expect(result.warnings).toEqual([`Kept edits made since the last sync in ${claudePath}`]);
+    });
+
+    it('should write nothing when edits conflict and onConflict is report', async () => {
+      const claudePath = join(repoDir, 'CLAUDE.md');
+      const dotClaudePath = join(repoDir, '.claude', 'CLAUDE.md');
+      const repoSync = new RepoSync({ snapshotDirectory, lockDirectory });
+      await repoSync._syncPreferences(repoDir, {});
+
+      const edited = `${wrapManagedRegion('# Claude Code Preferences\n- Long paragraphs')}\n`;
+      writeFileSync(claudePath, edited, 'utf-8');
+      generated = '# Claude Code Preferences\n- Short bullets';
+      const result = await repoSync._syncPreferences(repoDir, {});
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain(`Edits in ${claudePath} conflict with regenerated content (line 3)`);
+      expect(readFileSync(claudePath, 'utf-8')).toBe(edited);
+      expect(readFileSync(dotClaudePath, 'utf-8')).toContain('- Concise bullets');
+    });
+
+    it('should write conflict markers with onConflict markers', async () => {
+      const claudePath = join(repoDir, 'CLAUDE.md');
+      const repoSync = new RepoSync({ snapshotDirectory, lockDirectory, onConflict: 'markers' });
+      await repoSync._syncPreferences(repoDir, {});
+
+      writeFileSync(claudePath, `${wrapManagedRegion('# Claude Code Preferences\n- Long paragraphs')}\n`, 'utf-8');
+      generated = '# Claude Code Preferences\n- Short bullets';
+      const result = await repoSync._syncPreferences(repoDir, {});
+
+      expect(result.success).toBe(true);
+      expect(readFileSync(claudePath, 'utf-8')).toContain(
+        '<<<<<<< current\n- Long paragraphs\n=======\n- Short bullets\n>>>>>>> generated'
+      );
+      expect(result.warnings[0]).toMatch(/^Wrote 1 conflicting edit in .*CLAUDE\.md between conflict markers/);
+    });
+
+    it('should return the files it wrote', async () => {
+      const claudePath = join(repoDir, 'CLAUDE.md');
+      writeFileSync(claudePath, `${wrapManagedRegion(generated)}\n`, 'utf-8');
+
+      const result = await new RepoSync({ snapshotDirectory, lockDirectory })._syncPreferences(repoDir, {});
+
+      expect(result.files).toEqual([join(repoDir, '.claude', 'CLAUDE.md')]);
+    });
+
+    it('should sync only the targets the marker lists', async () => {
+      const result = await new RepoSync({ snapshotDirectory, lockDirectory })._syncPreferences(repoDir, { targets: ['.github'] });
+
+      expect(result.files).toEqual([join(repoDir, '.github', 'CLAUDE.md')]);
+      expect(existsSync(join(repoDir, 'CLAUDE.md'))).toBe(false);
+      expect(existsSync(join(repoDir, '.claude', 'CLAUDE.md'))).toBe(false);
+    });
+
+    it('should reject unknown or empty targets', async () => {
+      const repoSync = new RepoSync({ snapshotDirectory, lockDirectory });
+
+      const unknown = await repoSync._syncPreferences(repoDir, { targets: ['root', 'docs'] });
+      const empty = await repoSync._syncPreferences(repoDir, { targets: [] });
+
+      expect(unknown.error).toBe('Failed to sync preferences: Invalid target in .claude-sync: docs (expected one of: root, .claude, .github)');
+      expect(empty.error).toMatch(/No targets to sync/);
+      expect(existsSync(join(repoDir, 'CLAUDE.md'))).toBe(false);
+    });
+
+    it('should trim content to fit maxTokens and report what was trimmed', async () => {
+      config.loadConfig.mockResolvedValue({
+        config: { technical: { tools: ['git'] }, token_budget: { drop_order: ['technical'] } }
+      });
+      transformers.createTransformer.mockImplementation((format, preferences) => ({
+        transform: async () => (preferences.technical ? 'x'.repeat(400) : 'short')
+      }));
+
+      const repoSync = new RepoSync({ snapshotDirectory, lockDirectory, maxTokens: 50 });
+      const result = await repoSync._syncPreferences(repoDir, {});
+
+      expect(readFileSync(join(repoDir, 'CLAUDE.md'), 'utf-8')).toBe(`${wrapManagedRegion('short')}\n`);
+      expect(result.warnings).toContain("  - Dropped section 'technical' (-98 tokens)");
+      // Recorded so `status` regenerates with the same budget
+      expect(repoSync.lastGeneratedWith({ path: repoDir, config: {} })).toEqual({ maxTokens: 50 });
+      expect(new RepoSync({ snapshotDirectory, lockDirectory }).lastGeneratedWith({ path: join(repoDir, 'other'), config: {} })).toEqual({});
+    });
+
+    it('should report nothing to do in dry-run mode', async () => {
+      const result = await new RepoSync({ snapshotDirectory, lockDirectory })._syncPreferences(repoDir, {}, { dryRun: true });
+
+      expect(result.changes).toEqual(['Would update CLAUDE.md files']);
+      expect(config.loadConfig).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('syncRepo', () => {
+    it('should commit exactly the files it wrote', async () => {
+      const repo = createRepo('repo');
+
+      const result = await new RepoSync({ snapshotDirectory, lockDirectory }).syncRepo(repo);
+
+      expect(result.success).toBe(true);
+      expect(result.changes).toContain('Committed changes');
+      expect(repo.git('show --name-only --format= HEAD').split('\n')).toEqual(['.claude/CLAUDE.md', 'CLAUDE.md']);
+      expect(repo.git('status --porcelain')).toBe('');
+    });
+
+    it('should commit only the targets that changed', async () => {
+      const repo = createRepo('repo', { targets: ['root', '.github'] });
+      writeFileSync(join(repo.path, 'CLAUDE.md'), `${wrapManagedRegion(generated)}\n`, 'utf-8');
+      repo.git('add CLAUDE.md');
+      repo.git('commit -q -m "add CLAUDE.md"');
+
+      const result = await new RepoSync({ snapshotDirectory, lockDirectory }).syncRepo(repo);
+
+      expect(result.errors).toEqual([]);
+      expect(repo.git('show --name-only --format= HEAD')).toBe('.github/CLAUDE.md');
+      expect(existsSync(join(repo.path, '.claude'))).toBe(false);
+    });
+
+    it('should not commit when nothing changed', async () => {
+      const repo = createRepo('repo', { targets: ['root'] });
+      const repoSync = new RepoSync({ snapshotDirectory, lockDirectory });
+      await repoSync.syncRepo(repo);
+      const head = repo.git('rev-parse HEAD');
+
+      const result = await repoSync.syncRepo(repo);
+
+      expect(result.success).toBe(true);
+      expect(result.changes).toEqual([]);
+      expect(repo.git('rev-parse HEAD')).toBe(head);
+    });
+  });
+
+  describe('syncTransactional', () => {
+    let repos;
+
+    // Make commits in one repository fail
+    function failCommits(repoSync, repo) {
+      const commit = repoSync._commitChanges.bind(repoSync);
+      vi.spyOn(repoSync, '_commitChanges').mockImplementation((path, files) => (
+        path === repo.path ? Promise.resolve({ success: false, error: 'rejected' }) : commit(path, files)
+      ));
+    }
+
+    beforeEach(() => {
+      repos = [createRepo('one'), createRepo('two')];
+    });
+
+    it('should write and commit every repository when all succeed', async () => {
+      const { committed, results } = await new RepoSync({ snapshotDirectory, lockDirectory }).syncTransactional(repos);
+
+      expect(committed).toBe(true);
+      expect(results.map(r => r.success)).toEqual([true, true]);
+      for (const repo of repos) {
+        expect(repo.git('log --format=%s -1')).toBe('chore: update Claude preferences');
+        expect(repo.git('status --porcelain')).toBe('');
+      }
+    });
+
+    it('should roll back repositories already committed when a later one fails', async () => {
+      const repoSync = new RepoSync({ snapshotDirectory, lockDirectory });
+      failCommits(repoSync, repos[1]);
+
+      const { committed, results } = await repoSync.syncTransactional(repos);
+
+      expect(committed).toBe(false);
+      expect(results[0].rollback).toEqual({ success: true, git: { success: true }, files: { success: true } });
+      expect(results[1].rollback).toEqual({ success: true, git: { success: true }, files: { success: true } });
+      expect(results[1].errors[0]).toBe('Commit failed: rejected');
+      for (const repo of repos) {
+        expect(repo.git('rev-parse HEAD')).toBe(repo.head);
+        expect(repo.git('status --porcelain')).toBe('');
+        expect(existsSync(join(repo.path, 'CLAUDE.md'))).toBe(false);
+        expect(repoSync.snapshots.read(join(repo.path, 'CLAUDE.md'))).toBe(null);
+      }
+    });
+
+    it('should pass branch names to git without a shell', async () => {
+      const branch = 'claude/$(touch${IFS}pwned)';
+      repos[0].config = { create_pr: true, branch_name: branch };
+
+      const { committed, results } = await new RepoSync({ snapshotDirectory, lockDirectory }).syncTransactional([repos[0]]);
+
+      expect(committed).toBe(true);
+      expect(repos[0].git('rev-parse --abbrev-ref HEAD')).toBe(branch);
+      expect(existsSync(join(repos[0].path, 'pwned'))).toBe(false);
+      // No origin to push to
+      expect(results[0].errors[0]).toMatch(/^PR creation failed: git push failed/);
+    });
+
+    it('should refuse branch names git would read as options', async () => {
+      repos[0].config = { create_pr: true, branch_name: '--orphan=evil' };
+
+      const { committed, results } = await new RepoSync({ snapshotDirectory, lockDirectory }).syncTransactional([repos[0]]);
+
+      expect(committed).toBe(false);
+      expect(results[0].errors).toEqual(['Invalid branch_name: --orphan=evil']);
+      expect(existsSync(join(repos[0].path, 'CLAUDE.md'))).toBe(false);
+    });
+
+    it('should remove written files even when git cannot be rolled back', async () => {
+      // A stale lock makes both the commit and the reset fail
+      writeFileSync(join(repos[1].path, '.git', 'index.lock'), '', 'utf-8');
+      const repoSync = new RepoSync({ snapshotDirectory, lockDirectory });
+
+      const { committed, results } = await repoSync.syncTransactional(repos);
+
+      expect(committed).toBe(false);
+      expect(results[0].rollback.success).toBe(true);
+      expect(results[1].rollback).toMatchObject({ success: false, git: { success: false }, files: { success: true } });
+      expect(results[1].rollback.error).toMatch(/^git: git reset failed/);
+      for (const repo of repos) {
+        expect(existsSync(join(repo.path, 'CLAUDE.md'))).toBe(false);
+        expect(existsSync(join(repo.path, '.claude', 'CLAUDE.md'))).toBe(false);
+        expect(repoSync.snapshots.read(join(repo.path, 'CLAUDE.md'))).toBe(null);
+      }
+    });
+
+    it('should restore the PR branch and switch back when rolling back', async () => {
+      repos[0].config = { create_pr: true, branch_name: 'claude-prefs' };
+      const repoSync = new RepoSync({ snapshotDirectory, lockDirectory });
+      failCommits(repoSync, repos[1]);
+
+      const { results } = await repoSync.syncTransactional(repos);
+
+      expect(results[0].rollback).toEqual({ success: true, git: { success: true }, files: { success: true } });
+      expect(repos[0].git('rev-parse --abbrev-ref HEAD')).toBe('main');
+      expect(repos[0].git('branch --list claude-prefs')).toBe('');
+    });
+
+    it('should write nothing when a repository fails its checks', async () => {
+      writeFileSync(join(repos[1].path, 'README.md'), '# Edited\n', 'utf-8');
+
+      const { committed, results } = await new RepoSync({ snapshotDirectory, lockDirectory }).syncTransactional(repos);
+
+      expect(committed).toBe(false);
+      expect(results[0]).toMatchObject({ success: false, aborted: true, rollback: null });
+      expect(results[1].errors[0]).toContain('uncommitted changes');
+      expect(existsSync(join(repos[0].path, 'CLAUDE.md'))).toBe(false);
+    });
+  });
+});
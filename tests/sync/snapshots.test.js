@@ -0,0 +1,98 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { join } from 'path';
+import { mkdirSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import {
+  SnapshotStore,
+  SyncConflictError,
+  reconcileGenerated,
+  describeConflicts,
+  hashContent,
+  exportTarget
+} from '../../src/sync/snapshots.js';
+
+describe('snapshots', () => {
+  describe('SnapshotStore', () => {
+    let directory;
+    let store;
+
+    beforeEach(() => {
+      directory = join(tmpdir(), `snapshots-test-${Date.now()}`);
+      mkdirSync(directory, { recursive: true });
+      store = new SnapshotStore(directory);
+    });
+
+    afterEach(() => {
+      rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('should round-trip content with its hash', () => {
+      store.write('/repo/CLAUDE.md', '# Prefs');
+
+      const snapshot = store.read('/repo/CLAUDE.md');
+      expect(snapshot.content).toBe('# Prefs');
+      expect(snapshot.hash).toBe(hashContent('# Prefs'));
+      expect(store.read('/other/CLAUDE.md')).toBe(null);
+    });
+
+    it('should keep the options content was generated with', () => {
+      store.write('/repo/CLAUDE.md', '# Prefs', { maxTokens: 500 });
+
+      expect(store.read('/repo/CLAUDE.md').generatedWith).toEqual({ maxTokens: 500 });
+    });
+
+    it('should key export targets by name rather than path', () => {
+      const snapshot = store.write(exportTarget('chat'), 'chat text');
+
+      expect(snapshot.target).toBe('export:chat');
+      expect(store.read(exportTarget('chat')).content).toBe('chat text');
+    });
+
+    it('should ignore snapshots that do not match their hash', () => {
+      const file = store.pathFor('/repo/CLAUDE.md');
+      writeFileSync(file, JSON.stringify({ hash: 'stale', content: '# Prefs' }), 'utf-8');
+
+      expect(store.read('/repo/CLAUDE.md')).toBe(null);
+    });
+  });
+
+  describe('reconcileGenerated', () => {
+    it('should use generated content when there is nothing to merge', () => {
+      expect(reconcileGenerated({ current: null, previous: 'a', generated: 'b' }).content).toBe('b');
+      expect(reconcileGenerated({ current: 'x', previous: null, generated: 'b' }).content).toBe('b');
+      expect(reconcileGenerated({ current: 'a', previous: 'a', generated: 'b' }))
+        .toEqual({ content: 'b', conflicts: [], merged: false });
+    });
+
+    it('should carry edits over', () => {
+      const result = reconcileGenerated({ current: 'a\nb\nmine', previous: 'a\nb', generated: 'A\nb' });
+
+      expect(result).toEqual({ content: 'A\nb\nmine', conflicts: [], merged: true });
+    });
+
+    it('should return no content for conflicts in report mode', () => {
+      const result = reconcileGenerated({ current: 'mine', previous: 'base', generated: 'theirs' });
+
+      expect(result.content).toBe(null);
+      expect(result.conflicts).toHaveLength(1);
+    });
+
+    it('should resolve conflicts according to onConflict', () => {
+      const input = { current: 'mine', previous: 'base', generated: 'theirs' };
+
+      expect(reconcileGenerated({ ...input, onConflict: 'keep' }).content).toBe('mine');
+      expect(reconcileGenerated({ ...input, onConflict: 'overwrite' }).content).toBe('theirs');
+      expect(reconcileGenerated({ ...input, onConflict: 'markers' }).content).toContain('<<<<<<< current');
+      expect(() => reconcileGenerated({ ...input, onConflict: 'ours' })).toThrow(/Invalid --on-conflict mode/);
+    });
+  });
+
+  it('should name the conflicting lines', () => {
+    const conflicts = [{ line: 4 }, { line: 9 }];
+
+    expect(new SyncConflictError('/repo/CLAUDE.md', conflicts).message)
+      .toBe('Edits in /repo/CLAUDE.md conflict with regenerated content (lines 4, 9). Re-run with --on-conflict markers, keep or overwrite');
+    expect(describeConflicts('/repo/CLAUDE.md', conflicts, 'keep'))
+      .toBe('Kept 2 conflicting edits in /repo/CLAUDE.md over regenerated content (line 4, 9)');
+  });
+});
@@ -0,0 +1,125 @@
+import { describe, it, expect } from 'vitest';
+import { renderTemplate, toBulletList, TemplateError } from '../src/utils/template.js';
+
+describe('Template Engine', () => {
+  describe('variables', () => {
+    it('should substitute dotted paths without escaping', () => {
+      const output = renderTemplate('Hi {{user.name}} <{{user.role}}>', {
+        user: { name: 'JAX', role: 'buddy & helper' }
+      });
+
+      expect(output).toBe('Hi JAX <buddy & helper>');
+    });
+
+    it('should render missing values as empty strings', () => {
+      expect(renderTemplate('[{{missing.path}}]', {})).toBe('[]');
+    });
+
+    it('should ignore comments', () => {
+      expect(renderTemplate('a{{! note }}b', {})).toBe('ab');
+    });
+  });
+
+  describe('sections', () => {
+    it('should iterate arrays and expose the item as .', () => {
+      const output = renderTemplate('{{#items}}- {{.}}\n{{/items}}', { items: ['one', 'two'] });
+
+      expect(output).toBe('- one\n- two\n');
+    });
+
+    it('should enter objects and fall back to outer context', () => {
+      const output = renderTemplate('{{#persona}}{{name}} by {{author}}{{/persona}}', {
+        persona: { name: 'JAX' },
+        author: 'team'
+      });
+
+      expect(output).toBe('JAX by team');
+    });
+
+    it('should render inverted sections for empty values', () => {
+      const template = '{{^traits}}No traits{{/traits}}';
+
+      expect(renderTemplate(template, { traits: [] })).toBe('No traits');
+      expect(renderTemplate(template, { traits: ['dry'] })).toBe('');
+    });
+
+    it('should render if blocks once without iterating', () => {
+      const output = renderTemplate('{{#if items}}Items: {{join items " / "}}{{/if}}', { items: ['a', 'b'] });
+
+      expect(output).toBe('Items: a / b');
+    });
+
+    it('should iterate object entries with @key, skipping underscore keys', () => {
+      const output = renderTemplate('{{#each style}}{{title @key}}={{.}};{{/each}}', {
+        style: { _scope: ['chat'], tone: 'dry', pace: 'fast' }
+      });
+
+      expect(output).toBe('Tone=dry;Pace=fast;');
+    });
+
+    it('should consume lines holding only a section tag', () => {
+      const output = renderTemplate('start\n{{#show}}\nbody\n{{/show}}\nend\n', { show: true });
+
+      expect(output).toBe('start\nbody\nend\n');
+    });
+  });
+
+  describe('helpers', () => {
+    it('should render nested values as bullet lists', () => {
+      const output = renderTemplate('{{list tools}}', {
+        tools: { editors: ['vim'], shell: 'zsh', _scope: ['global'] }
+      });
+
+      expect(output).toBe('- **Editors**:\n  - vim\n- **Shell**: zsh');
+    });
+
+    it('should limit depth with limitDepth', () => {
+      const output = renderTemplate('{{limit data 1}}', {
+        data: { top: { nested: { deep: 'value' } } }
+      });
+
+      expect(output).toContain('**Top**');
+      expect(output).not.toContain('deep');
+    });
+
+    it('should condense objects with smartCondense', () => {
+      const output = renderTemplate('{{condense data}}', { data: { a: 'x', b: 'y' } });
+
+      expect(output).toContain('x');
+      expect(output).toContain('y');
+    });
+
+    it('should accept quoted string and number arguments', () => {
+      expect(renderTemplate('{{heading 2 "Title"}}', {})).toBe('## Title');
+    });
+
+    it('should accept custom helpers', () => {
+      const output = renderTemplate('{{shout name}}', { name: 'jax' }, {
+        helpers: { shout: value => `${value.toUpperCase()}!` }
+      });
+
+      expect(output).toBe('JAX!');
+    });
+  });
+
+  describe('errors', () => {
+    it('should reject unclosed sections with the template path', () => {
+      expect(() => renderTemplate('{{#items}}x', {}, { templatePath: 'my.mustache' }))
+        .toThrow(/Unclosed section \{\{#items\}\} \(in my\.mustache\)/);
+    });
+
+    it('should reject mismatched closing tags', () => {
+      expect(() => renderTemplate('{{#a}}{{/b}}', {})).toThrow(TemplateError);
+    });
+
+    it('should reject unknown helpers', () => {
+      expect(() => renderTemplate('{{nope value}}', { value: 1 })).toThrow(/Unknown helper: nope/);
+    });
+  });
+
+  describe('toBulletList', () => {
+    it('should flatten arrays of scalars', () => {
+      expect(toBulletList(['a', '', 'b'])).toBe('- a\n- b');
+    });
+  });
+});
@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import { mergeThreeWay } from '../src/utils/three-way-merge.js';
+
+const base = ['# Prefs', '- One', '- Two', '- Three'].join('\n');
+
+describe('mergeThreeWay', () => {
+  it('should combine changes made on different lines', () => {
+    const current = ['# Prefs', '- One', '- Two', '- Three', '- My note'].join('\n');
+    const generated = ['# Preferences', '- One', '- Two', '- Three'].join('\n');
+
+    const result = mergeThreeWay(base, current, generated);
+
+    expect(result.conflicts).toEqual([]);
+    expect(result.content).toBe(['# Preferences', '- One', '- Two', '- Three', '- My note'].join('\n'));
+  });
+
+  it('should take either side when only one changed', () => {
+    const changed = ['# Prefs', '- One', '- Three'].join('\n');
+
+    expect(mergeThreeWay(base, base, changed).content).toBe(changed);
+    expect(mergeThreeWay(base, changed, base).content).toBe(changed);
+    expect(mergeThreeWay(base, changed, changed).content).toBe(changed);
+  });
+
+  it('should write conflicting hunks between markers', () => {
+    const current = ['# Prefs', '- One', '- Mine', '- Three'].join('\n');
+    const generated = ['# Prefs', '- One', '- Theirs', '- Three'].join('\n');
+
+    const result = mergeThreeWay(base, current, generated);
+
+    expect(result.conflicts).toEqual([{ line: 3, current: ['- Mine'], generated: ['- Theirs'] }]);
+    expect(result.content).toBe([
+      '# Prefs',
+      '- One',
+      '<<<<<<< current',
+      '- Mine',
+      '=======',
+      '- Theirs',
+      '>>>>>>> generated',
+      '- Three'
+    ].join('\n'));
+  });
+
+  it('should treat insertions at the same place as a conflict', () => {
+    const current = `${base}\n- Mine`;
+    const generated = `${base}\n- Theirs`;
+
+    const result = mergeThreeWay(base, current, generated);
+
+    expect(result.conflicts).toHaveLength(1);
+    expect(result.conflicts[0].line).toBe(5);
+  });
+
+  it('should resolve conflicts to one side on request', () => {
+    const current = base.replace('- Two', '- Mine');
+    const generated = base.replace('- Two', '- Theirs');
+
+    expect(mergeThreeWay(base, current, generated, { resolve: 'current' }).content).toBe(current);
+    expect(mergeThreeWay(base, current, generated, { resolve: 'generated' }).content).toBe(generated);
+  });
+
+  it('should reject unknown resolutions', () => {
+    expect(() => mergeThreeWay(base, base, base, { resolve: 'ours' })).toThrow(/Invalid conflict resolution/);
+  });
+});
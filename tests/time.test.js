@@ -0,0 +1,30 @@
+import { describe, it, expect } from 'vitest';
+import { formatAge, parseAge } from '../src/utils/time.js';
+
+describe('formatAge', () => {
+  const now = new Date('2025-06-15T12:00:00Z');
+
+  it('should use the largest whole unit', () => {
+    expect(formatAge(new Date('2025-06-15T11:59:30Z'), now)).toBe('just now');
+    expect(formatAge(new Date('2025-06-15T11:59:00Z'), now)).toBe('1 minute ago');
+    expect(formatAge(new Date('2025-06-15T09:00:00Z'), now)).toBe('3 hours ago');
+    expect(formatAge(new Date('2025-06-12T12:00:00Z'), now)).toBe('3 days ago');
+    expect(formatAge(new Date('2024-06-15T12:00:00Z'), now)).toBe('1 year ago');
+  });
+});
+
+describe('parseAge', () => {
+  it('should read relative times', () => {
+    expect(parseAge('2 days ago')).toBe(2 * 24 * 60 * 60 * 1000);
+    expect(parseAge('1 week')).toBe(7 * 24 * 60 * 60 * 1000);
+    expect(parseAge('3h')).toBe(3 * 60 * 60 * 1000);
+    expect(parseAge('90 mins ago')).toBe(90 * 60 * 1000);
+    expect(parseAge('1 Month Ago')).toBe(30 * 24 * 60 * 60 * 1000);
+  });
+
+  it('should return null for anything else', () => {
+    expect(parseAge('yesterday')).toBe(null);
+    expect(parseAge('2 fortnights')).toBe(null);
+    expect(parseAge('/tmp/CLAUDE.md.backup')).toBe(null);
+  });
+});
@@ -0,0 +1,178 @@
+import { describe, it, expect } from 'vitest';
+import {
+  estimateTokens,
+  fitToTokenBudget,
+  formatBudgetReport,
+  CHARS_PER_TOKEN
+} from '../src/utils/token-budget.js';
+
+// Renders every leaf as "path: value", so depth limiting visibly shrinks output
+function flatten(value, prefix = '') {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    return Object.entries(value).flatMap(([key, child]) => flatten(child, `${prefix}${key}.`));
+  }
+  return [`${prefix}: ${Array.isArray(value) ? value.join(', ') : value}`];
+}
+
+const render = async preferences => flatten(preferences).join('\n');
+
+const preferences = {
+  personality: { construct_name: 'JAX' },
+  working_style: {
+    communication: ['Concise bullets', 'Structured outlines'],
+    deep: { nested: { detail: 'x'.repeat(200) } }
+  },
+  creative_pursuits: {
+    music: { passion: 'y'.repeat(400) }
+  },
+  technical: {
+    tools: ['git', 'node'],
+    notes: 'z'.repeat(300)
+  }
+};
+
+describe('Token Budget', () => {
+  describe('estimateTokens', () => {
+    it('should estimate from character count', () => {
+      expect(estimateTokens('a'.repeat(CHARS_PER_TOKEN * 10))).toBe(10);
+      expect(estimateTokens('abcde')).toBe(2);
+    });
+
+    it('should treat empty output as zero tokens', () => {
+      expect(estimateTokens('')).toBe(0);
+      expect(estimateTokens(undefined)).toBe(0);
+    });
+  });
+
+  describe('fitToTokenBudget', () => {
+    it('should leave output alone when it already fits', async () => {
+      const result = await fitToTokenBudget(preferences, render, { maxTokens: 10000 });
+
+      expect(result.fits).toBe(true);
+      expect(result.trimmed).toEqual([]);
+      expect(result.output).toBe(await render(preferences));
+    });
+
+    it('should lower depth before dropping sections', async () => {
+      const full = estimateTokens(await render(preferences));
+      const result = await fitToTokenBudget(preferences, render, { maxTokens: full - 40 });
+
+      expect(result.fits).toBe(true);
+      expect(result.trimmed[0].stage).toBe('depth');
+      expect(result.trimmed.some(t => t.stage === 'drop')).toBe(false);
+      expect(result.output).not.toContain('x'.repeat(200));
+    });
+
+    it('should drop sections in the configured order', async () => {
+      const result = await fitToTokenBudget(preferences, render, {
+        maxTokens: 40,
+        dropOrder: ['technical', 'creative_pursuits']
+      });
+
+      const drops = result.trimmed.filter(t => t.stage === 'drop').map(t => t.detail);
+      expect(drops).toEqual(["Dropped section 'technical'", "Dropped section 'creative_pursuits'"]);
+      expect(result.output).toContain('personality.construct_name');
+      expect(result.fits).toBe(true);
+    });
+
+    it('should never drop sections missing from the drop order', async () => {
+      const result = await fitToTokenBudget(preferences, render, { maxTokens: 1, dropOrder: [] });
+
+      expect(result.fits).toBe(false);
+      expect(result.output).toContain('personality.construct_name');
+      expect(result.output).toContain('creative_pursuits');
+    });
+
+    it('should drop low-priority sections first and never drop critical ones', async () => {
+      const annotated = {
+        ...preferences,
+        personality: { ...preferences.personality, _priority: 'low' },
+        technical: { ...preferences.technical, _priority: 'critical' }
+      };
+      const result = await fitToTokenBudget(annotated, render, {
+        maxTokens: 1,
+        dropOrder: ['technical', 'creative_pursuits']
+      });
+
+      const drops = result.trimmed.filter(t => t.stage === 'drop').map(t => t.detail);
+      expect(drops).toEqual(["Dropped section 'personality'", "Dropped section 'creative_pursuits'"]);
+      expect(result.output).toContain('z'.repeat(300));
+    });
+
+    it('should keep the critical subsections of a section it drops', async () => {
+      const annotated = {
+        ...preferences,
+        technical: {
+          ...preferences.technical,
+          testing_standards: { _priority: 'critical', rule: 'Tests must pass' },
+          git_github_workflow: { _priority: 'critical', rule: 'Never force-push main' },
+          aliases: { git: 'w'.repeat(300) }
+        }
+      };
+      const result = await fitToTokenBudget(annotated, render, { maxTokens: 1, dropOrder: ['technical'] });
+
+      const drops = result.trimmed.filter(t => t.stage === 'drop').map(t => t.detail);
+      expect(drops).toEqual(["Dropped section 'technical' except its critical subsections"]);
+      expect(result.output).toContain('Tests must pass');
+      expect(result.output).toContain('Never force-push main');
+      expect(result.output).not.toContain('z'.repeat(300));
+      expect(result.output).not.toContain('w'.repeat(300));
+    });
+
+    it('should keep known policies without annotations when it drops their section', async () => {
+      const legacy = {
+        ...preferences,
+        technical: {
+          ...preferences.technical,
+          git_github_workflow: ['Never force-push main'],
+          aliases: { git: 'w'.repeat(300) }
+        }
+      };
+      const result = await fitToTokenBudget(legacy, render, { maxTokens: 1, dropOrder: ['technical'] });
+
+      const drops = result.trimmed.filter(t => t.stage === 'drop').map(t => t.detail);
+      expect(drops).toEqual(["Dropped section 'technical' except its critical subsections"]);
+      expect(result.output).toContain('Never force-push main');
+      expect(result.output).not.toContain('w'.repeat(300));
+    });
+
+    it('should condense remaining sections as a last resort', async () => {
+      const result = await fitToTokenBudget(preferences, render, { maxTokens: 80, dropOrder: [] });
+
+      expect(result.trimmed.map(t => t.stage)).toContain('condense');
+      expect(result.output).not.toContain('y'.repeat(400));
+    });
+
+    it('should not mutate the input preferences', async () => {
+      const snapshot = structuredClone(preferences);
+
+      await fitToTokenBudget(preferences, render, { maxTokens: 1 });
+
+      expect(preferences).toEqual(snapshot);
+    });
+
+    it('should reject invalid budgets', async () => {
+      await expect(fitToTokenBudget(preferences, render, { maxTokens: Number('abc') }))
+        .rejects.toThrow(/Invalid token budget/);
+    });
+  });
+
+  describe('formatBudgetReport', () => {
+    it('should list each trimming step and flag budgets that still overflow', () => {
+      const lines = formatBudgetReport({
+        originalTokens: 900,
+        tokens: 600,
+        fits: false,
+        trimmed: [{ stage: 'drop', detail: "Dropped section 'technical'", saved: 300 }]
+      }, 500);
+
+      expect(lines[0]).toBe('Trimmed output from ~900 to ~600 tokens to fit --max-tokens 500:');
+      expect(lines[1]).toBe("  - Dropped section 'technical' (-300 tokens)");
+      expect(lines[2]).toMatch(/over the 500 token budget/);
+    });
+
+    it('should be empty when nothing was trimmed', () => {
+      expect(formatBudgetReport({ originalTokens: 10, tokens: 10, fits: true, trimmed: [] }, 50)).toEqual([]);
+    });
+  });
+});
@@ -91,6 +91,110 @@ describe('BaseTransformer', () => {
     });
   });
 
+  describe('configurable scopes', () => {
+    const preferences = {
+      scopes: { personality: ['chat'], '*': ['api'] },
+      personality: { traits: ['Dry humor'] },
+      house_rules: { rules: ['No force pushes'] }
+    };
+
+    it('should route sections through the scopes mapping', () => {
+      const transformer = new BaseTransformer(preferences);
+
+      expect(Object.keys(transformer.filterByScope('global'))).toEqual([]);
+      expect(Object.keys(transformer.filterByScope('api'))).toEqual(['house_rules']);
+      expect(transformer._getDefaultScopes('personality')).toEqual(['chat']);
+    });
+
+    it('should let options.scope override the requested targets', () => {
+      const transformer = new BaseTransformer(preferences, { scope: ['api'] });
+
+      expect(Object.keys(transformer.filterByScope(['chat', 'global']))).toEqual(['house_rules']);
+    });
+  });
+
+  describe('conditions', () => {
+    const preferences = {
+      working_style: {
+        communication: ['Be brief', { _when: { target: 'hybrid' }, value: 'Use bullets' }]
+      },
+      chat_notes: { _when: { target: 'chat' }, note: 'Chat only' }
+    };
+
+    it('should settle target conditions against the format name', () => {
+      const transformer = new BaseTransformer(preferences, { format: 'hybrid' });
+      const sections = transformer.filterByScope(['chat', 'global']);
+
+      expect(sections.working_style.communication).toEqual(['Be brief', 'Use bullets']);
+      expect(sections).not.toHaveProperty('chat_notes');
+      expect(transformer.conditionTrace.map(t => [t.path, t.included])).toEqual([
+        ['working_style.communication[1]', true],
+        ['chat_notes', false]
+      ]);
+    });
+
+    it('should match target against scope overrides', () => {
+      const apiNotes = { api_notes: { _scope: ['api'], _when: { target: 'api' }, note: 'API only' } };
+      const transformer = new BaseTransformer(apiNotes, { format: 'claude-md', scope: ['api'] });
+
+      expect(transformer.filterByScope('global').api_notes).toEqual({ _scope: ['api'], note: 'API only' });
+    });
+
+    it('should exclude blocks whose facts are unknown', () => {
+      const transformer = new BaseTransformer({ work: { _when: { hostname: 'work-*' }, vpn: 'on' } });
+
+      expect(transformer.filterByScope('global')).toEqual({});
+    });
+  });
+
+  describe('priority handling', () => {
+    const sections = {
+      technical: {
+        tools: ['git'],
+        testing_standards: {
+          _priority: 'critical',
+          rules: ['Run the full suite'],
+          workflow: { steps: { first: 'lint' } }
+        },
+        linting_policy: { _priority: 'high', principle: 'Lint everything' },
+        trivia: { _priority: 'low', fact: 'Not needed' }
+      }
+    };
+
+    it('should split critical and high subsections from the rest and drop low ones', () => {
+      const transformer = new BaseTransformer({});
+      const { critical, high, rest } = transformer.splitByPriority(sections);
+
+      expect(critical.map(c => c.key)).toEqual(['testing_standards']);
+      expect(high.map(h => h.key)).toEqual(['linting_policy']);
+      expect(rest).toEqual({ technical: { tools: ['git'] } });
+    });
+
+    it('should treat known policies without annotations as critical', () => {
+      const transformer = new BaseTransformer({});
+      const { critical, rest } = transformer.splitByPriority({
+        technical: { tools: ['git'], testing_standards: { rules: ['Run the full suite'] } }
+      });
+
+      expect(critical.map(c => c.key)).toEqual(['testing_standards']);
+      expect(transformer.getCriticalContent(critical[0].value)).toEqual({ rules: ['Run the full suite'] });
+      expect(rest).toEqual({ technical: { tools: ['git'] } });
+    });
+
+    it('should keep critical content to its minimum depth without placeholders', () => {
+      const transformer = new BaseTransformer({});
+      const content = transformer.getCriticalContent(sections.technical.testing_standards);
+
+      expect(content).toEqual({ rules: ['Run the full suite'] });
+    });
+
+    it('should summarize high-priority content without annotations', () => {
+      const transformer = new BaseTransformer({});
+
+      expect(transformer.getSummary(sections.technical.linting_policy)).toBe('principle: Lint everything');
+    });
+  });
+
   describe('abstract methods', () => {
     it('should require transform implementation', async () => {
       const transformer = new BaseTransformer({});
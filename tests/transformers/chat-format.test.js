@@ -165,6 +165,53 @@ describe('ChatFormatTransformer', () => {
 
       expect(output).toContain('Sci-fi, Psychology, and Technical debates');
     });
+
+    it('should not modify the preferences arrays it formats', async () => {
+      const preferences = {
+        personal_interests: {
+          primary: ['Sci-fi', 'Psychology', 'Technical debates']
+        }
+      };
+
+      const transformer = new ChatFormatTransformer(preferences);
+      await transformer.transform();
+      const second = await transformer.transform();
+
+      expect(preferences.personal_interests.primary).toHaveLength(3);
+      expect(second).toContain('Sci-fi, Psychology, and Technical debates');
+    });
+  });
+
+  describe('priority annotations', () => {
+    const preferences = {
+      working_style: {
+        communication: ['Concise bullets']
+      },
+      technical: {
+        git_commit_discipline: {
+          _priority: 'critical',
+          rules: ['Never revert without reading the diff', 'Fix forward by default']
+        },
+        linting_policy: { _priority: 'high', principle: 'Lint before commit' },
+        trivia: { _priority: 'low', fact: 'Prefers tabs on Tuesdays' }
+      }
+    };
+
+    it('should state every critical item as a must-follow policy', async () => {
+      const transformer = new ChatFormatTransformer(preferences);
+      const output = await transformer.transform();
+
+      expect(output).toContain('Must-follow policies: Git commit discipline: rules: ');
+      expect(output).toContain('Never revert without reading the diff; Fix forward by default');
+    });
+
+    it('should summarize high-priority content and omit low-priority content', async () => {
+      const transformer = new ChatFormatTransformer(preferences);
+      const output = await transformer.transform();
+
+      expect(output).toContain('Also important: Linting policy: principle: Lint before commit.');
+      expect(output).not.toContain('Prefers tabs on Tuesdays');
+    });
   });
 
   describe('legacy field support', () => {
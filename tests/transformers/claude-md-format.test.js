@@ -1,5 +1,6 @@
 import { describe, it, expect } from 'vitest';
 import { ClaudeMdFormatTransformer } from '../../src/transformers/claude-md-format.js';
+import { parseMetadata } from '../../src/utils/version.js';
 
 describe('ClaudeMdFormatTransformer', () => {
   describe('professional background formatting', () => {
@@ -241,6 +242,19 @@ describe('ClaudeMdFormatTransformer', () => {
     });
   });
 
+  describe('metadata hash', () => {
+    it('should hash the rendered sections, so only preference changes change it', async () => {
+      const hashOf = async preferences => parseMetadata(await new ClaudeMdFormatTransformer(preferences).transform()).hash;
+      const preferences = { working_style: { communication: ['Concise'] } };
+
+      const hash = await hashOf(preferences);
+
+      expect(hash).toMatch(/^sha256:/);
+      expect(await hashOf({ working_style: { communication: ['Concise'] } })).toBe(hash);
+      expect(await hashOf({ working_style: { communication: ['Verbose'] } })).not.toBe(hash);
+    });
+  });
+
   describe('scope filtering', () => {
     it('should include both chat and global scoped content', async () => {
       const preferences = {
@@ -279,6 +293,30 @@ describe('ClaudeMdFormatTransformer', () => {
     });
   });
 
+  describe('priority annotations', () => {
+    it('should flag critical sections and keep annotations out of the output', async () => {
+      const preferences = {
+        technical: {
+          git_commit_discipline: {
+            _priority: 'critical',
+            _min_depth: 2,
+            principle: 'Fix forward by default'
+          },
+          trivia: { _priority: 'low', fact: 'Still documented here' }
+        }
+      };
+
+      const transformer = new ClaudeMdFormatTransformer(preferences);
+      const output = await transformer.transform();
+
+      expect(output).toContain('### Git Commit Discipline (Critical)');
+      expect(output).toContain('Fix forward by default');
+      expect(output).toContain('Still documented here');
+      expect(output).not.toContain('_priority');
+      expect(output).not.toContain('Min Depth');
+    });
+  });
+
   describe('validation', () => {
     it('should validate successfully with content', () => {
       const preferences = {
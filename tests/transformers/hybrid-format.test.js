@@ -0,0 +1,28 @@
+import { describe, it, expect } from 'vitest';
+import { HybridFormatTransformer } from '../../src/transformers/hybrid-format.js';
+
+describe('HybridFormatTransformer', () => {
+  describe('critical policies', () => {
+    it('should list known policies from preferences without priority annotations', async () => {
+      const output = await new HybridFormatTransformer({
+        technical: {
+          tools: ['git'],
+          testing_standards: { core_requirements: ['Tests MUST pass before commit'] },
+          git_github_workflow: ['Never force push to main']
+        }
+      }).transform();
+
+      expect(output).toContain('**Critical Policies**:');
+      expect(output).toContain('*Testing Standards*:');
+      expect(output).toContain('Tests MUST pass before commit');
+      expect(output).toContain('*Git Github Workflow*:');
+      expect(output).toContain('Never force push to main');
+    });
+
+    it('should leave the block out when nothing is critical or high', async () => {
+      const output = await new HybridFormatTransformer({ technical: { tools: ['git'] } }).transform();
+
+      expect(output).not.toContain('Critical Policies');
+    });
+  });
+});
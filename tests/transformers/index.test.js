@@ -42,7 +42,8 @@ describe('Transformer Registry', () => {
       expect(formats).toContain('chat');
       expect(formats).toContain('claude-md');
       expect(formats).toContain('hybrid');
-      expect(formats).toHaveLength(3);
+      expect(formats).toContain('template');
+      expect(formats).toHaveLength(4);
     });
   });
 
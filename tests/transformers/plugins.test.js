@@ -0,0 +1,121 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdirSync, writeFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import {
+  createTransformer,
+  loadTransformerPlugins,
+  registerTransformer,
+  getTransformerInfo,
+  isFormatSupported
+} from '../../src/transformers/index.js';
+
+const PLUGIN_SOURCE = (format, description) => `
+export default class PluginTransformer {
+  static format = ${JSON.stringify(format)};
+  static description = ${JSON.stringify(description)};
+
+  constructor(preferences) {
+    this.preferences = preferences;
+  }
+
+  async transform() {
+    return Object.keys(this.preferences).join(',');
+  }
+}
+`;
+
+describe('Transformer Plugins', () => {
+  let testDir;
+
+  beforeEach(() => {
+    testDir = join(tmpdir(), `transformer-plugins-test-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    mkdirSync(testDir, { recursive: true });
+  });
+
+  afterEach(() => {
+    rmSync(testDir, { recursive: true, force: true });
+  });
+
+  it('should load transformers from the plugin directory', async () => {
+    const pluginDir = join(testDir, 'transformers');
+    mkdirSync(pluginDir);
+    writeFileSync(join(pluginDir, 'keys.js'), PLUGIN_SOURCE('keys-list', 'Section names only'));
+
+    const { loaded, errors } = await loadTransformerPlugins({ directory: pluginDir });
+
+    expect(errors).toEqual([]);
+    expect(loaded).toEqual(['keys-list']);
+    expect(await createTransformer('keys-list', { a: 1, b: 2 }).transform()).toBe('a,b');
+
+    const entry = getTransformerInfo().find(t => t.format === 'keys-list');
+    expect(entry.description).toBe('Section names only');
+    expect(entry.source).toBe(join(pluginDir, 'keys.js'));
+  });
+
+  it('should resolve config-listed modules relative to baseDir', async () => {
+    writeFileSync(join(testDir, 'team-format.mjs'), PLUGIN_SOURCE('team', 'Team layout'));
+
+    const { loaded } = await loadTransformerPlugins({
+      modules: ['./team-format.mjs'],
+      baseDir: testDir,
+      directory: null
+    });
+
+    expect(loaded).toEqual(['team']);
+    expect(isFormatSupported('team')).toBe(true);
+  });
+
+  it('should resolve package names from baseDir', async () => {
+    const packageDir = join(testDir, 'node_modules', 'team-transformer');
+    mkdirSync(packageDir, { recursive: true });
+    writeFileSync(join(packageDir, 'package.json'), JSON.stringify({ name: 'team-transformer', main: 'index.mjs' }));
+    writeFileSync(join(packageDir, 'index.mjs'), PLUGIN_SOURCE('team-package', 'Installed next to the config'));
+
+    const { loaded, errors } = await loadTransformerPlugins({
+      modules: ['team-transformer'],
+      baseDir: testDir,
+      directory: null
+    });
+
+    expect(errors).toEqual([]);
+    expect(loaded).toEqual(['team-package']);
+  });
+
+  it('should default the format name to the file name', async () => {
+    writeFileSync(
+      join(testDir, 'plain.js'),
+      'export default class { async transform() { return "plain"; } }'
+    );
+
+    const { loaded } = await loadTransformerPlugins({ modules: [join(testDir, 'plain.js')], directory: null });
+
+    expect(loaded).toEqual(['plain']);
+  });
+
+  it('should report modules that fail to load without throwing', async () => {
+    writeFileSync(join(testDir, 'broken.js'), 'export const nothing = 1;');
+
+    const { loaded, errors } = await loadTransformerPlugins({
+      modules: ['./broken.js', './missing.js'],
+      baseDir: testDir,
+      directory: null
+    });
+
+    expect(loaded).toEqual([]);
+    expect(errors).toHaveLength(2);
+    expect(errors[0].error).toBe('Module has no default export');
+  });
+
+  it('should refuse to override built-in transformers', () => {
+    class Fake {
+      async transform() { return ''; }
+    }
+
+    expect(() => registerTransformer('chat', Fake)).toThrow("Cannot override built-in transformer 'chat'");
+  });
+
+  it('should reject classes without a transform method', () => {
+    expect(() => registerTransformer('bad', class {})).toThrow(/transform\(\) method/);
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { TemplateFormatTransformer } from '../../src/transformers/template-format.js';
+import { createTransformer } from '../../src/transformers/index.js';
+
+const tempDir = join(tmpdir(), 'claude-context-sync-template-test');
+
+const preferences = {
+  personality: {
+    construct_name: 'JAX',
+    traits: ['Dry sense of humor']
+  },
+  professional_background: {
+    experience: '15 years',
+    philosophy: ['Understand the why']
+  },
+  creative_pursuits: {
+    writing: { pen_name: 'Quill', active_work: ['Short stories'] }
+  },
+  working_style: {
+    communication: ['Concise bullets']
+  },
+  technical_approach: {
+    _scope: ['project'],
+    testing: ['Always run tests']
+  },
+  custom_section: {
+    notes: ['Custom note']
+  }
+};
+
+beforeEach(async () => {
+  await fs.mkdir(tempDir, { recursive: true });
+});
+
+afterEach(async () => {
+  await fs.rm(tempDir, { recursive: true, force: true });
+});
+
+describe('TemplateFormatTransformer', () => {
+  describe('default template', () => {
+    it('should render persona, user context and preferences', async () => {
+      const output = await new TemplateFormatTransformer(preferences).transform();
+
+      expect(output).toContain('Format: template');
+      expect(output).toContain('**Name**: JAX');
+      expect(output).toContain('- Dry sense of humor');
+      expect(output).toContain('## User Context');
+      expect(output).toContain('- **Experience**: 15 years');
+      expect(output).toContain('#### Writing');
+      expect(output).toContain('**Pen Name**: Quill');
+      expect(output).toContain('### Working Style');
+      expect(output).toContain('## Custom Section');
+    });
+
+    it('should respect _scope filtering', async () => {
+      const output = await new TemplateFormatTransformer(preferences).transform();
+
+      expect(output).not.toContain('Always run tests');
+    });
+
+    it('should not leave runs of blank lines', async () => {
+      const output = await new TemplateFormatTransformer(preferences).transform();
+
+      expect(output).not.toMatch(/\n{3,}/);
+      expect(output.endsWith('\n')).toBe(true);
+    });
+  });
+
+  describe('custom templates', () => {
+    it('should render a user-supplied template', async () => {
+      const templatePath = join(tempDir, 'team.mustache');
+      await fs.writeFile(templatePath, 'Call me {{personality.construct_name}}.\n{{#each user_preferences}}{{title @key}}\n{{/each}}', 'utf-8');
+
+      const transformer = createTransformer('template', preferences, { templatePath });
+      const output = await transformer.transform();
+
+      expect(output).toBe('Call me JAX.\nWorking Style\n');
+    });
+
+    it('should use the scope option', async () => {
+      const templatePath = join(tempDir, 'project.mustache');
+      await fs.writeFile(templatePath, '{{#each sections}}{{@key}}\n{{/each}}', 'utf-8');
+
+      const output = await new TemplateFormatTransformer(preferences, { templatePath, scope: 'project' }).transform();
+
+      expect(output).toContain('technical_approach');
+      expect(output).not.toContain('personality');
+    });
+
+    it('should report a missing template file', async () => {
+      const transformer = new TemplateFormatTransformer(preferences, { templatePath: join(tempDir, 'nope.mustache') });
+
+      await expect(transformer.transform()).rejects.toThrow(/File not found/);
+    });
+  });
+});
@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import {
+  generateMetadata,
+  parseMetadata,
+  stripMetadata,
+  hashSource,
+  hasSameSourceHash
+} from '../src/utils/version.js';
+
+describe('version metadata', () => {
+  it('should parse the header generateMetadata writes', () => {
+    const metadata = parseMetadata(`${generateMetadata({ format: 'claude-md' })}\n\n# Prefs`);
+
+    expect(metadata.format).toBe('claude-md');
+    expect(metadata.version).toMatch(/^\d+\.\d+\.\d+/);
+    expect(metadata.generatedAt).toBeInstanceOf(Date);
+  });
+
+  it('should find the header anywhere in a file', () => {
+    const text = '# Notes\n<!-- Generated by claude-context-sync v1.2.0 (abc1234) on 2025-01-02T03:04:05.000Z\n     Format: chat\n-->';
+
+    expect(parseMetadata(text)).toEqual({
+      version: '1.2.0',
+      commit: 'abc1234',
+      generatedAt: new Date('2025-01-02T03:04:05.000Z'),
+      format: 'chat',
+      hash: null
+    });
+  });
+
+  it('should return null without a header', () => {
+    expect(parseMetadata('# Hand-written')).toBe(null);
+    expect(parseMetadata(null)).toBe(null);
+  });
+
+  it('should strip the header so runs compare equal', () => {
+    const text = `${generateMetadata({ format: 'claude-md' })}\n\n# Prefs`;
+
+    expect(stripMetadata(text)).toBe('# Prefs');
+    expect(stripMetadata('# Prefs')).toBe('# Prefs');
+  });
+
+  it('should carry a source hash that ignores key order', () => {
+    const hash = hashSource({ b: [1, { d: 2, c: 3 }], a: 'x' });
+
+    expect(hash).toMatch(/^sha256:[0-9a-f]{16}$/);
+    expect(hashSource({ a: 'x', b: [1, { c: 3, d: 2 }] })).toBe(hash);
+    expect(hashSource({ a: 'y', b: [1, { c: 3, d: 2 }] })).not.toBe(hash);
+    expect(parseMetadata(generateMetadata({ format: 'chat', hash })).hash).toBe(hash);
+  });
+
+  it('should compare source hashes, not timestamps', () => {
+    const header = hash => generateMetadata({ format: 'claude-md', hash });
+
+    expect(hasSameSourceHash(header('sha256:aaaa'), header('sha256:aaaa'))).toBe(true);
+    expect(hasSameSourceHash(header('sha256:aaaa'), header('sha256:bbbb'))).toBe(false);
+    expect(hasSameSourceHash(header(), header())).toBe(false);
+    expect(hasSameSourceHash(null, header('sha256:aaaa'))).toBe(false);
+  });
+});